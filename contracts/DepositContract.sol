@@ -1,93 +1,571 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./interfaces/ISignatureTransfer.sol";
+import "./utils/ZkClearAccess.sol";
 
-contract DepositContract is Ownable, ReentrancyGuard {
+contract DepositContract is ZkClearAccess, ReentrancyGuardUpgradeable {
     using SafeERC20 for IERC20;
 
+    enum AssetKind {
+        None,
+        Native,
+        ERC20
+    }
+
+    /// How an ERC20 asset's balances move. Standard tokens must deliver exactly the
+    /// deposited amount; fee-on-transfer tokens are credited with what arrived; rebasing
+    /// tokens would break the vault's fixed credits, so their deposits are rejected.
+    enum TokenBehavior {
+        Standard,
+        FeeOnTransfer,
+        Rebasing
+    }
+
+    /// Registry entry of an asset ID. IDs are never re-mapped once registered.
+    struct Asset {
+        AssetKind kind;
+        /// ERC20 token (zero for native ETH)
+        address token;
+        uint8 decimals;
+        /// Disabled assets reject deposits; withdrawals and exits keep working
+        bool enabled;
+        string symbol;
+        /// Smallest amount per deposit (0: any positive amount)
+        uint256 minDeposit;
+        /// Largest amount per deposit (0: no limit)
+        uint256 maxDeposit;
+    }
+
+    /// `user` is the credited recipient and `payer` the account the funds came from
+    /// (the same for plain deposits). `l2Account` optionally names the ZKClear account
+    /// to credit (zero: the recipient's own). `txHash` is the deposit ID; `depositIndex`
+    /// its position in the deposit queue and `depositsHash` the queue accumulator including it
     event Deposit(
         address indexed user,
         uint256 indexed assetId,
         uint256 amount,
-        bytes32 indexed txHash
+        bytes32 indexed txHash,
+        uint256 depositIndex,
+        bytes32 depositsHash,
+        address payer,
+        bytes32 l2Account
+    );
+
+    event WithdrawalContractUpdated(
+        address indexed oldWithdrawalContract,
+        address indexed newWithdrawalContract
     );
 
-    mapping(uint256 => address) public assetAddresses;
-    mapping(bytes32 => bool) public processedDeposits;
+    event FundsReleased(address indexed to, uint256 indexed assetId, uint256 amount);
+
+    event AssetRegistered(
+        uint256 indexed assetId,
+        address indexed token,
+        AssetKind kind,
+        uint8 decimals,
+        string symbol
+    );
+
+    event AssetUpdated(uint256 indexed assetId, uint256 minDeposit, uint256 maxDeposit, bool enabled);
+
+    event AssetDisabled(uint256 indexed assetId);
+
+    event TokenBehaviorUpdated(uint256 indexed assetId, TokenBehavior behavior);
 
-    constructor() Ownable(msg.sender) {}
+    /// Uniswap Permit2, deployed at the same address on every supported chain
+    ISignatureTransfer public constant PERMIT2 = ISignatureTransfer(0x000000000022D473030F116dDEE9F6B43aC78BA3);
 
-    function registerAsset(uint256 assetId, address tokenAddress) external onlyOwner {
+    mapping(uint256 => Asset) private assets;
+
+    /// Asset ID native ETH is deposited under (0 until registered)
+    uint256 public nativeAssetId;
+
+    /// Number of deposits so far (the next deposit's index)
+    uint256 public depositCount;
+
+    /// Deposit queue accumulator after every prefix of deposits:
+    /// depositHashes[n] = keccak256(abi.encode(depositHashes[n - 1], depositId, user, assetId, amount, l2Account))
+    /// for the n-th deposit, depositHashes[0] = 0
+    mapping(uint256 => bytes32) private depositHashes;
+
+    /// WithdrawalContract allowed to pay out proven withdrawals from this vault
+    address public withdrawalContract;
+
+    /// Token behavior of each ERC20 asset (Standard unless declared). Kept out of Asset
+    /// so the registry's layout stays upgrade-compatible.
+    mapping(uint256 => TokenBehavior) public tokenBehavior;
+
+    /**
+     * @notice Initialize the proxy (replaces the constructor)
+     * @dev The admin starts as asset manager and treasurer too (see tasks/roles.js)
+     * @param admin Initial admin
+     */
+    function initialize(address admin) external initializer {
+        __ZkClearAccess_init(admin);
+        __ReentrancyGuard_init();
+        _grantRole(ASSET_MANAGER_ROLE, admin);
+        _grantRole(TREASURER_ROLE, admin);
+    }
+
+    /**
+     * @notice Register an ERC20 asset, reading its decimals and symbol from the token
+     * @dev Asset IDs cannot be re-mapped: registering an existing ID reverts. The asset is
+     * enabled at once, so its behavior is declared in the same call
+     * @param assetId New asset ID
+     * @param tokenAddress ERC20 token
+     * @param behavior Token behavior
+     */
+    function registerAsset(
+        uint256 assetId,
+        address tokenAddress,
+        TokenBehavior behavior
+    ) external onlyRole(ASSET_MANAGER_ROLE) {
         require(tokenAddress != address(0), "Invalid token address");
-        assetAddresses[assetId] = tokenAddress;
+        require(tokenAddress.code.length > 0, "Token is not a contract");
+
+        (bool success, bytes memory data) = tokenAddress.staticcall(abi.encodeCall(IERC20Metadata.decimals, ()));
+        require(success && data.length == 32, "Token has no decimals");
+        uint8 decimals = abi.decode(data, (uint8));
+
+        // symbol() is optional and some tokens return bytes32; keep it empty then
+        string memory symbol;
+        (success, data) = tokenAddress.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        if (success && data.length >= 64) {
+            symbol = abi.decode(data, (string));
+        }
+
+        _registerAsset(assetId, AssetKind.ERC20, tokenAddress, decimals, symbol);
+        if (behavior != TokenBehavior.Standard) {
+            tokenBehavior[assetId] = behavior;
+            emit TokenBehaviorUpdated(assetId, behavior);
+        }
+    }
+
+    /**
+     * @notice Register the asset ID native ETH is deposited under (once)
+     * @param assetId New asset ID
+     */
+    function registerNativeAsset(uint256 assetId) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(nativeAssetId == 0, "Native asset already registered");
+        nativeAssetId = assetId;
+        _registerAsset(assetId, AssetKind.Native, address(0), 18, "ETH");
     }
 
-    function deposit(uint256 assetId, uint256 amount) external nonReentrant {
+    /**
+     * @notice Set the per-deposit limits of an asset
+     * @param assetId Registered asset ID
+     * @param minDeposit Smallest amount per deposit (0: any positive amount)
+     * @param maxDeposit Largest amount per deposit (0: no limit)
+     */
+    function setDepositLimits(uint256 assetId, uint256 minDeposit, uint256 maxDeposit) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(maxDeposit == 0 || maxDeposit >= minDeposit, "Invalid deposit limits");
+        Asset storage asset = _registeredAsset(assetId);
+        asset.minDeposit = minDeposit;
+        asset.maxDeposit = maxDeposit;
+        emit AssetUpdated(assetId, minDeposit, maxDeposit, asset.enabled);
+    }
+
+    /**
+     * @notice Stop accepting deposits of an asset. Withdrawals and exits are unaffected.
+     * @param assetId Registered asset ID
+     */
+    function disableAsset(uint256 assetId) external onlyRole(ASSET_MANAGER_ROLE) {
+        Asset storage asset = _registeredAsset(assetId);
+        require(asset.enabled, "Asset already disabled");
+        asset.enabled = false;
+        emit AssetDisabled(assetId);
+    }
+
+    /**
+     * @notice Accept deposits of a disabled asset again
+     * @param assetId Registered asset ID
+     */
+    function enableAsset(uint256 assetId) external onlyRole(ASSET_MANAGER_ROLE) {
+        Asset storage asset = _registeredAsset(assetId);
+        require(!asset.enabled, "Asset already enabled");
+        asset.enabled = true;
+        emit AssetUpdated(assetId, asset.minDeposit, asset.maxDeposit, true);
+    }
+
+    /**
+     * @notice Declare how an ERC20 asset's token moves balances
+     * @dev Deposits of a Standard asset revert if the vault receives anything but the
+     * deposited amount, so an undeclared transfer fee is caught rather than over-credited
+     * @param assetId Registered ERC20 asset ID
+     * @param behavior Token behavior
+     */
+    function setTokenBehavior(uint256 assetId, TokenBehavior behavior) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(_registeredAsset(assetId).kind == AssetKind.ERC20, "Not an ERC20 asset");
+        require(tokenBehavior[assetId] != behavior, "Token behavior unchanged");
+        tokenBehavior[assetId] = behavior;
+        emit TokenBehaviorUpdated(assetId, behavior);
+    }
+
+    /**
+     * @notice Registry entry of an asset ID
+     * @param assetId Asset ID
+     * @return Asset entry (kind None if not registered)
+     */
+    function getAsset(uint256 assetId) external view returns (Asset memory) {
+        return assets[assetId];
+    }
+
+    /**
+     * @notice Token of an ERC20 asset
+     * @param assetId Asset ID
+     * @return Token address (zero for native ETH and unregistered IDs)
+     */
+    function assetAddresses(uint256 assetId) external view returns (address) {
+        return assets[assetId].token;
+    }
+
+    /**
+     * @notice Deposit a registered ERC20 asset
+     * @dev The Deposit event carries the amount the vault received (see TokenBehavior)
+     * @param assetId Registered asset ID
+     * @param amount Amount to deposit
+     */
+    function deposit(uint256 assetId, uint256 amount) external whenNotPaused nonReentrant {
+        address tokenAddress = _depositToken(assetId, amount);
+
+        uint256 received = _pullTokens(assetId, tokenAddress, amount);
+
+        _recordDeposit(msg.sender, msg.sender, assetId, received, bytes32(0));
+    }
+
+    /**
+     * @notice Deposit an ERC20 asset, approving it with an EIP-2612 permit in the same transaction
+     * @dev The permit must be signed by msg.sender for this contract and at least `amount`.
+     * If the permit was already used (e.g. front-run from the mempool) the deposit still goes
+     * through as long as the allowance it granted is left.
+     * @param assetId Registered asset ID
+     * @param amount Amount to deposit
+     * @param deadline Permit deadline
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     */
+    function depositWithPermit(
+        uint256 assetId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused nonReentrant {
+        address tokenAddress = _depositToken(assetId, amount);
+
+        try IERC20Permit(tokenAddress).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+        } catch (bytes memory reason) {
+            if (IERC20(tokenAddress).allowance(msg.sender, address(this)) < amount) {
+                // Bubble up the token's error (expired, invalid signature, ...)
+                assembly {
+                    revert(add(reason, 32), mload(reason))
+                }
+            }
+        }
+
+        uint256 received = _pullTokens(assetId, tokenAddress, amount);
+
+        _recordDeposit(msg.sender, msg.sender, assetId, received, bytes32(0));
+    }
+
+    /**
+     * @notice Deposit an ERC20 asset with a Permit2 signature transfer
+     * @dev msg.sender must have approved Permit2 for the token and signed `permit` with this
+     * contract as spender. Permit2 rejects expired permits and used nonces.
+     * @param assetId Registered asset ID
+     * @param amount Amount to deposit (at most the permitted amount)
+     * @param permit Permit2 transfer permission for the asset's token
+     * @param signature Signature of `permit` by msg.sender
+     */
+    function depositWithPermit2(
+        uint256 assetId,
+        uint256 amount,
+        ISignatureTransfer.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external whenNotPaused nonReentrant {
+        address tokenAddress = _depositToken(assetId, amount);
+        require(permit.permitted.token == tokenAddress, "Permit token mismatch");
+
+        uint256 balanceBefore = IERC20(tokenAddress).balanceOf(address(this));
+        PERMIT2.permitTransferFrom(
+            permit,
+            ISignatureTransfer.SignatureTransferDetails({to: address(this), requestedAmount: amount}),
+            msg.sender,
+            signature
+        );
+        uint256 received = _receivedAmount(assetId, tokenAddress, balanceBefore, amount);
+
+        _recordDeposit(msg.sender, msg.sender, assetId, received, bytes32(0));
+    }
+
+    function depositNative(uint256 assetId) external payable whenNotPaused nonReentrant {
+        _checkNativeDeposit(assetId);
+
+        _recordDeposit(msg.sender, msg.sender, assetId, msg.value, bytes32(0));
+    }
+
+    /**
+     * @notice Deposit an ERC20 asset from msg.sender, credited to another recipient
+     * @param recipient Account credited on ZKClear
+     * @param assetId Registered asset ID
+     * @param amount Amount to deposit
+     */
+    function depositFor(address recipient, uint256 assetId, uint256 amount) external whenNotPaused nonReentrant {
+        _depositFor(recipient, assetId, amount, bytes32(0));
+    }
+
+    /**
+     * @notice Deposit an ERC20 asset from msg.sender, credited to a recipient's L2 account
+     * @param recipient Account credited on ZKClear
+     * @param l2Account ZKClear account identifier of the recipient (zero: the recipient's own)
+     * @param assetId Registered asset ID
+     * @param amount Amount to deposit
+     */
+    function depositForAccount(
+        address recipient,
+        bytes32 l2Account,
+        uint256 assetId,
+        uint256 amount
+    ) external whenNotPaused nonReentrant {
+        _depositFor(recipient, assetId, amount, l2Account);
+    }
+
+    /**
+     * @notice Deposit native ETH credited to another recipient
+     * @param recipient Account credited on ZKClear
+     * @param assetId Native asset ID
+     */
+    function depositNativeFor(address recipient, uint256 assetId) external payable whenNotPaused nonReentrant {
+        require(recipient != address(0), "Invalid recipient");
+        _checkNativeDeposit(assetId);
+
+        _recordDeposit(recipient, msg.sender, assetId, msg.value, bytes32(0));
+    }
+
+    /**
+     * @notice Deposit native ETH credited to a recipient's L2 account
+     * @param recipient Account credited on ZKClear
+     * @param l2Account ZKClear account identifier of the recipient (zero: the recipient's own)
+     * @param assetId Native asset ID
+     */
+    function depositNativeForAccount(
+        address recipient,
+        bytes32 l2Account,
+        uint256 assetId
+    ) external payable whenNotPaused nonReentrant {
+        require(recipient != address(0), "Invalid recipient");
+        _checkNativeDeposit(assetId);
+
+        _recordDeposit(recipient, msg.sender, assetId, msg.value, l2Account);
+    }
+
+    /**
+     * @notice Deposit queue accumulator after the first `index` deposits
+     * @param index Number of deposits (at most depositCount)
+     * @return Accumulator (zero for index 0)
+     */
+    function depositHashAt(uint256 index) external view returns (bytes32) {
+        require(index <= depositCount, "Deposit index out of range");
+        return depositHashes[index];
+    }
+
+    /**
+     * @notice Current deposit queue accumulator
+     * @return Accumulator over all deposits so far
+     */
+    function depositsHash() external view returns (bytes32) {
+        return depositHashes[depositCount];
+    }
+
+    /**
+     * @notice ID of the deposit at a queue index
+     * @dev keccak256(abi.encode(chainid, this contract, index)), unique across chains and deployments
+     * @param index Deposit index
+     * @return Deposit ID (the `txHash` emitted in Deposit)
+     */
+    function depositId(uint256 index) public view returns (bytes32) {
+        return keccak256(abi.encode(block.chainid, address(this), index));
+    }
+
+    function _depositToken(uint256 assetId, uint256 amount) private view returns (address tokenAddress) {
         // Security: Input validation
         require(amount > 0, "Amount must be greater than 0");
         require(assetId > 0, "Invalid asset ID");
         require(msg.sender != address(0), "Invalid sender");
-        
-        address tokenAddress = assetAddresses[assetId];
-        require(tokenAddress != address(0), "Asset not registered");
-        
-        bytes32 txHash = keccak256(
-            abi.encodePacked(
-                msg.sender,
-                assetId,
-                amount,
-                block.timestamp,
-                block.number,
-                blockhash(block.number - 1)
-            )
-        );
-        
-        require(!processedDeposits[txHash], "Deposit already processed");
-        processedDeposits[txHash] = true;
-        
+
+        Asset storage asset = assets[assetId];
+        require(asset.kind != AssetKind.None, "Asset not registered");
+        require(asset.kind == AssetKind.ERC20, "Use depositNative for this asset");
+        require(tokenBehavior[assetId] != TokenBehavior.Rebasing, "Rebasing token not supported");
+        _checkDepositAmount(asset, amount);
+        return asset.token;
+    }
+
+    /// Pull `amount` of an asset's token from msg.sender and return what the vault received
+    function _pullTokens(uint256 assetId, address tokenAddress, uint256 amount) private returns (uint256) {
         IERC20 token = IERC20(tokenAddress);
+        uint256 balanceBefore = token.balanceOf(address(this));
         token.safeTransferFrom(msg.sender, address(this), amount);
-        
-        emit Deposit(msg.sender, assetId, amount, txHash);
+        return _receivedAmount(assetId, tokenAddress, balanceBefore, amount);
+    }
+
+    /// Balance delta of a deposit, checked against the asset's token behavior
+    function _receivedAmount(
+        uint256 assetId,
+        address tokenAddress,
+        uint256 balanceBefore,
+        uint256 amount
+    ) private view returns (uint256 received) {
+        uint256 balance = IERC20(tokenAddress).balanceOf(address(this));
+        require(balance > balanceBefore, "Nothing received");
+        received = balance - balanceBefore;
+
+        if (tokenBehavior[assetId] == TokenBehavior.FeeOnTransfer) {
+            require(received <= amount, "Received more than deposited");
+            // Limits apply to the credited amount; the maximum was checked on the larger request
+            require(received >= assets[assetId].minDeposit, "Amount below minimum");
+        } else {
+            require(received == amount, "Received amount mismatch");
+        }
     }
 
-    function depositNative(uint256 assetId) external payable nonReentrant {
+    function _depositFor(address recipient, uint256 assetId, uint256 amount, bytes32 l2Account) private {
+        require(recipient != address(0), "Invalid recipient");
+        address tokenAddress = _depositToken(assetId, amount);
+
+        uint256 received = _pullTokens(assetId, tokenAddress, amount);
+
+        _recordDeposit(recipient, msg.sender, assetId, received, l2Account);
+    }
+
+    function _checkNativeDeposit(uint256 assetId) private view {
         // Security: Input validation
         require(msg.value > 0, "Amount must be greater than 0");
         require(assetId > 0, "Invalid asset ID");
         require(msg.sender != address(0), "Invalid sender");
-        require(assetAddresses[assetId] == address(0), "Use ERC20 deposit for this asset");
-        
-        bytes32 txHash = keccak256(
-            abi.encodePacked(
-                msg.sender,
-                assetId,
-                msg.value,
-                block.timestamp,
-                block.number,
-                blockhash(block.number - 1)
-            )
-        );
-        
-        require(!processedDeposits[txHash], "Deposit already processed");
-        processedDeposits[txHash] = true;
-        
-        emit Deposit(msg.sender, assetId, msg.value, txHash);
+
+        Asset storage asset = assets[assetId];
+        require(asset.kind != AssetKind.None, "Asset not registered");
+        require(asset.kind == AssetKind.Native, "Use ERC20 deposit for this asset");
+        _checkDepositAmount(asset, msg.value);
+    }
+
+    function _checkDepositAmount(Asset storage asset, uint256 amount) private view {
+        require(asset.enabled, "Asset disabled");
+        require(amount >= asset.minDeposit, "Amount below minimum");
+        require(asset.maxDeposit == 0 || amount <= asset.maxDeposit, "Amount above maximum");
+    }
+
+    function _registerAsset(
+        uint256 assetId,
+        AssetKind kind,
+        address token,
+        uint8 decimals,
+        string memory symbol
+    ) private {
+        require(assetId > 0, "Invalid asset ID");
+        require(assets[assetId].kind == AssetKind.None, "Asset already registered");
+
+        assets[assetId] = Asset({
+            kind: kind,
+            token: token,
+            decimals: decimals,
+            enabled: true,
+            symbol: symbol,
+            minDeposit: 0,
+            maxDeposit: 0
+        });
+        emit AssetRegistered(assetId, token, kind, decimals, symbol);
+    }
+
+    function _registeredAsset(uint256 assetId) private view returns (Asset storage asset) {
+        asset = assets[assetId];
+        require(asset.kind != AssetKind.None, "Asset not registered");
+    }
+
+    function _recordDeposit(
+        address user,
+        address payer,
+        uint256 assetId,
+        uint256 amount,
+        bytes32 l2Account
+    ) private {
+        uint256 index = depositCount;
+        bytes32 id = depositId(index);
+        bytes32 hash = keccak256(abi.encode(depositHashes[index], id, user, assetId, amount, l2Account));
+
+        depositCount = index + 1;
+        depositHashes[index + 1] = hash;
+
+        emit Deposit(user, assetId, amount, id, index, hash, payer, l2Account);
+    }
+
+    /**
+     * @notice Set the WithdrawalContract allowed to release funds (timelocked)
+     * @param _withdrawalContract WithdrawalContract address
+     */
+    function setWithdrawalContract(address _withdrawalContract) external onlyRole(TIMELOCK_ROLE) {
+        require(_withdrawalContract != address(0), "Invalid withdrawal contract");
+        address oldWithdrawalContract = withdrawalContract;
+        withdrawalContract = _withdrawalContract;
+        emit WithdrawalContractUpdated(oldWithdrawalContract, _withdrawalContract);
+    }
+
+    /**
+     * @notice Pay out a proven withdrawal (called by WithdrawalContract)
+     * @param to Recipient
+     * @param assetId Registered asset ID (disabled assets still pay out)
+     * @param amount Amount to send
+     */
+    function release(address to, uint256 assetId, uint256 amount) external nonReentrant {
+        require(msg.sender == withdrawalContract, "Only withdrawal contract");
+        require(to != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than 0");
+
+        Asset storage asset = _registeredAsset(assetId);
+        if (asset.kind == AssetKind.Native) {
+            require(address(this).balance >= amount, "Insufficient balance");
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20 token = IERC20(asset.token);
+            require(token.balanceOf(address(this)) >= amount, "Insufficient balance");
+            token.safeTransfer(to, amount);
+        }
+
+        emit FundsReleased(to, assetId, amount);
     }
 
-    function withdrawTokens(address tokenAddress, uint256 amount) external onlyOwner {
+    /**
+     * @notice Move tokens out of the vault to a treasurer (timelocked)
+     * @param tokenAddress ERC20 token
+     * @param to Recipient, a treasurer
+     * @param amount Amount to send
+     */
+    function withdrawTokens(address tokenAddress, address to, uint256 amount) external onlyRole(TIMELOCK_ROLE) {
         require(tokenAddress != address(0), "Invalid token address");
+        require(hasRole(TREASURER_ROLE, to), "Recipient is not a treasurer");
         IERC20 token = IERC20(tokenAddress);
-        token.safeTransfer(owner(), amount);
+        token.safeTransfer(to, amount);
     }
 
-    function withdrawNative(uint256 amount) external onlyOwner {
+    /**
+     * @notice Move native ETH out of the vault to a treasurer (timelocked)
+     * @param to Recipient, a treasurer
+     * @param amount Amount to send
+     */
+    function withdrawNative(address to, uint256 amount) external onlyRole(TIMELOCK_ROLE) {
+        require(hasRole(TREASURER_ROLE, to), "Recipient is not a treasurer");
         require(address(this).balance >= amount, "Insufficient balance");
-        (bool success, ) = payable(owner()).call{value: amount}("");
+        (bool success, ) = payable(to).call{value: amount}("");
         require(success, "Transfer failed");
     }
 
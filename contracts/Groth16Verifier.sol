@@ -1,14 +1,21 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "./libraries/Pairing.sol";
+import "./utils/AccessControlMembers.sol";
 
 /**
  * @title Groth16Verifier
  * @notice Verifies Groth16 proofs on BN254 curve
- * @dev This contract verifies Groth16 proofs for ZKClear block state transitions
+ * @dev This contract verifies Groth16 proofs for ZKClear block state transitions.
+ * Verifying keys are versioned and each proof is checked against the key active
+ * in the block it is verified in. A key decides which state transitions are
+ * accepted, so setting or scheduling one needs TIMELOCK_ROLE, like upgrades.
+ * Runs behind an ERC1967 proxy like the other contracts; TIMELOCK_ROLE administers
+ * itself, so key changes and upgrades go through the ZkClearTimelock like on the others.
  */
-contract Groth16Verifier {
+contract Groth16Verifier is AccessControlMembers, UUPSUpgradeable {
     using Pairing for *;
 
     struct VerifyingKey {
@@ -25,25 +32,65 @@ contract Groth16Verifier {
         Pairing.G1Point c;
     }
 
+    /// Key version metadata
+    struct KeyVersion {
+        bytes32 keyHash;
+        uint256 activationBlock;
+    }
+
     // Type aliases for convenience
     using Pairing for Pairing.G1Point;
     using Pairing for Pairing.G2Point;
 
-    VerifyingKey public vk;
+    /// Sets verifying keys and runs upgrades (same role as ZkClearAccess.TIMELOCK_ROLE)
+    bytes32 public constant TIMELOCK_ROLE = keccak256("TIMELOCK_ROLE");
+
+    /// Minimum gamma_abc length: 1 constant + 33 public inputs
+    /// (3 roots and the deposits hash * 8 elements, then the deposit index)
+    uint256 public constant MIN_GAMMA_ABC_LENGTH = 34;
+
+    /// Verifying keys by version (versions start at 1)
+    mapping(uint256 => VerifyingKey) private verifyingKeys;
+
+    /// Hash and activation block of each key version
+    mapping(uint256 => KeyVersion) public keyVersions;
 
-    event VerifyingKeySet();
+    /// Latest key version set or scheduled (0 = no key yet)
+    uint256 public latestVersion;
+
+    event VerifyingKeySet(uint256 indexed version, bytes32 indexed keyHash, uint256 activationBlock);
 
     error InvalidVerifyingKey();
     error InvalidPublicInputs();
     error InvalidProof();
+    error InvalidActivationBlock();
+    error UnknownKeyVersion();
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
     /**
-     * @notice Set the verifying key
+     * @notice Initialize the proxy (replaces the constructor)
+     * @dev The admin starts with TIMELOCK_ROLE too, until the deployment hands it to the timelock
+     * @param admin Initial admin
+     */
+    function initialize(address admin) external initializer {
+        __AccessControlEnumerable_init();
+        _setRoleAdmin(TIMELOCK_ROLE, TIMELOCK_ROLE);
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(TIMELOCK_ROLE, admin);
+    }
+
+    /**
+     * @notice Set the verifying key, active from the current block
      * @param _alpha Alpha point (G1)
      * @param _beta Beta point (G2)
      * @param _gamma Gamma point (G2)
      * @param _delta Delta point (G2)
      * @param _gamma_abc Array of gamma_abc points (G1) - one per public input
+     * @return version New key version
      */
     function setVerifyingKey(
         Pairing.G1Point memory _alpha,
@@ -51,54 +98,162 @@ contract Groth16Verifier {
         Pairing.G2Point memory _gamma,
         Pairing.G2Point memory _delta,
         Pairing.G1Point[] memory _gamma_abc
-    ) external {
+    ) external onlyRole(TIMELOCK_ROLE) returns (uint256 version) {
+        return _addVerifyingKey(_alpha, _beta, _gamma, _delta, _gamma_abc, block.number);
+    }
+
+    /**
+     * @notice Schedule a verifying key rotation
+     * @dev Proofs keep verifying against the current key until `_activationBlock`
+     * @param _alpha Alpha point (G1)
+     * @param _beta Beta point (G2)
+     * @param _gamma Gamma point (G2)
+     * @param _delta Delta point (G2)
+     * @param _gamma_abc Array of gamma_abc points (G1) - one per public input
+     * @param _activationBlock First block in which the key is used (must be in the future)
+     * @return version New key version
+     */
+    function scheduleVerifyingKey(
+        Pairing.G1Point memory _alpha,
+        Pairing.G2Point memory _beta,
+        Pairing.G2Point memory _gamma,
+        Pairing.G2Point memory _delta,
+        Pairing.G1Point[] memory _gamma_abc,
+        uint256 _activationBlock
+    ) external onlyRole(TIMELOCK_ROLE) returns (uint256 version) {
+        if (_activationBlock <= block.number) {
+            revert InvalidActivationBlock();
+        }
+        return _addVerifyingKey(_alpha, _beta, _gamma, _delta, _gamma_abc, _activationBlock);
+    }
+
+    function _addVerifyingKey(
+        Pairing.G1Point memory _alpha,
+        Pairing.G2Point memory _beta,
+        Pairing.G2Point memory _gamma,
+        Pairing.G2Point memory _delta,
+        Pairing.G1Point[] memory _gamma_abc,
+        uint256 _activationBlock
+    ) internal returns (uint256 version) {
         // Verify that gamma_abc has correct length
         // In Groth16, gamma_abc length = number of public inputs + 1 (constant term)
-        // We have 24 public inputs (3 roots * 8 elements each) + 1 constant = 25
-        // But Arkworks may generate more (27), so we accept >= 25
-        if (_gamma_abc.length < 25) {
+        // We have 33 public inputs (4 hashes * 8 elements each + deposit index) + 1 constant = 34
+        // But Arkworks may generate more, so we accept >= 34
+        if (_gamma_abc.length < MIN_GAMMA_ABC_LENGTH) {
             revert InvalidVerifyingKey();
         }
 
+        version = ++latestVersion;
+        VerifyingKey storage key = verifyingKeys[version];
+
         // Set verifying key fields
-        vk.alpha = _alpha;
-        vk.beta = _beta;
-        vk.gamma = _gamma;
-        vk.delta = _delta;
+        key.alpha = _alpha;
+        key.beta = _beta;
+        key.gamma = _gamma;
+        key.delta = _delta;
 
         // Copy gamma_abc array element by element (can't copy memory array to storage directly)
-        delete vk.gamma_abc;
         for (uint256 i = 0; i < _gamma_abc.length; i++) {
-            vk.gamma_abc.push(_gamma_abc[i]);
+            key.gamma_abc.push(_gamma_abc[i]);
+        }
+
+        bytes32 hash = hashVerifyingKey(_alpha, _beta, _gamma, _delta, _gamma_abc);
+        keyVersions[version] = KeyVersion(hash, _activationBlock);
+
+        emit VerifyingKeySet(version, hash, _activationBlock);
+    }
+
+    /**
+     * @notice Hash of an encoded verifying key
+     * @dev keccak256(abi.encode(alpha, beta, gamma, delta, gamma_abc))
+     * @return Key hash
+     */
+    function hashVerifyingKey(
+        Pairing.G1Point memory _alpha,
+        Pairing.G2Point memory _beta,
+        Pairing.G2Point memory _gamma,
+        Pairing.G2Point memory _delta,
+        Pairing.G1Point[] memory _gamma_abc
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_alpha, _beta, _gamma, _delta, _gamma_abc));
+    }
+
+    /**
+     * @notice Version of the key used for verification in the current block
+     * @dev The highest version whose activation block has been reached
+     * @return Active key version (0 if no key is active)
+     */
+    function activeVersion() public view returns (uint256) {
+        for (uint256 version = latestVersion; version > 0; version--) {
+            if (keyVersions[version].activationBlock <= block.number) {
+                return version;
+            }
         }
+        return 0;
+    }
 
-        emit VerifyingKeySet();
+    /**
+     * @notice Hash of the active verifying key
+     * @return Key hash (zero if no key is active)
+     */
+    function keyHash() external view returns (bytes32) {
+        return keyVersions[activeVersion()].keyHash;
+    }
+
+    /**
+     * @notice Get the active verifying key
+     * @return Active verifying key (empty if no key is active)
+     */
+    function vk() external view returns (VerifyingKey memory) {
+        return verifyingKeys[activeVersion()];
+    }
+
+    /**
+     * @notice Get the gamma_abc points of the active verifying key
+     * @return gamma_abc points (G1)
+     */
+    function getGammaAbc() external view returns (Pairing.G1Point[] memory) {
+        return verifyingKeys[activeVersion()].gamma_abc;
+    }
+
+    /**
+     * @notice Get a verifying key by version
+     * @param _version Key version
+     * @return Verifying key
+     */
+    function getVerifyingKey(uint256 _version) external view returns (VerifyingKey memory) {
+        if (_version == 0 || _version > latestVersion) {
+            revert UnknownKeyVersion();
+        }
+        return verifyingKeys[_version];
     }
 
     /**
      * @notice Verify a Groth16 proof
+     * @param _vk Verifying key
      * @param _proof The Groth16 proof (A, B, C)
-     * @param _publicInputs Array of public input field elements (24 elements for 3 roots)
+     * @param _publicInputs Array of public input field elements (33 elements, see VerifierContract.blockPublicInputs)
      * @return true if proof is valid
      */
     function verify(
+        VerifyingKey storage _vk,
         Proof memory _proof,
         uint256[] memory _publicInputs
     ) internal view returns (bool) {
-        // Verify public inputs length (24 elements: 3 roots * 8 elements each)
-        if (_publicInputs.length != 24) {
+        // Verify public inputs length (33 elements: 4 hashes * 8 elements each + deposit index)
+        if (_publicInputs.length != MIN_GAMMA_ABC_LENGTH - 1) {
             revert InvalidPublicInputs();
         }
 
-        // Verify that gamma_abc has enough elements (at least 25: 1 constant + 24 public inputs)
-        if (vk.gamma_abc.length < 25) {
+        // Verify that gamma_abc has enough elements (at least 34: 1 constant + 33 public inputs)
+        if (_vk.gamma_abc.length < MIN_GAMMA_ABC_LENGTH) {
             revert InvalidVerifyingKey();
         }
 
         // Compute vk_x (linear combination of gamma_abc with public inputs)
         // Optimized: reduce storage reads and use unchecked arithmetic where safe
-        // gamma_abc[0] is the constant term, gamma_abc[1..24] are for public inputs
-        Pairing.G1Point memory vk_x = vk.gamma_abc[0]; // Start with constant term
+        // gamma_abc[0] is the constant term, gamma_abc[1..33] are for public inputs
+        Pairing.G1Point memory vk_x = _vk.gamma_abc[0]; // Start with constant term
         
         // Add public input terms
         // Optimized: cache array length and use unchecked for loop counter
@@ -107,7 +262,7 @@ contract Groth16Verifier {
             for (uint256 i = 0; i < publicInputsLength; ++i) {
                 vk_x = Pairing.plus(
                     vk_x,
-                    Pairing.scalar_mul(vk.gamma_abc[i + 1], _publicInputs[i])
+                    Pairing.scalar_mul(_vk.gamma_abc[i + 1], _publicInputs[i])
                 );
             }
         }
@@ -123,14 +278,14 @@ contract Groth16Verifier {
         p1[0] = _proof.a;
         p2[0] = _proof.b;
 
-        p1[1] = Pairing.negate(vk.alpha);
-        p2[1] = vk.beta;
+        p1[1] = Pairing.negate(_vk.alpha);
+        p2[1] = _vk.beta;
 
         p1[2] = Pairing.negate(vk_x);
-        p2[2] = vk.gamma;
+        p2[2] = _vk.gamma;
 
         p1[3] = Pairing.negate(_proof.c);
-        p2[3] = vk.delta;
+        p2[3] = _vk.delta;
 
         return Pairing.pairing(p1, p2);
     }
@@ -138,19 +293,22 @@ contract Groth16Verifier {
     /**
      * @notice Verify a Groth16 proof with public inputs
      * @param _proof The Groth16 proof (A, B, C)
-     * @param _publicInputs Array of public input field elements (24 elements for 3 roots)
+     * @param _publicInputs Array of public input field elements (33 elements, see VerifierContract.blockPublicInputs)
      * @return true if proof is valid
      */
     function verifyProof(
         Proof memory _proof,
         uint256[] memory _publicInputs
     ) public view returns (bool) {
-        // Check that verifying key is set
-        if (vk.gamma_abc.length == 0) {
+        // Check that a verifying key is active
+        uint256 version = activeVersion();
+        if (version == 0) {
             revert InvalidVerifyingKey();
         }
 
-        return verify(_proof, _publicInputs);
+        return verify(verifyingKeys[version], _proof, _publicInputs);
     }
-}
 
+    /// Upgrades are timelocked (see upgradeToAndCall)
+    function _authorizeUpgrade(address) internal override onlyRole(TIMELOCK_ROLE) {}
+}
@@ -1,19 +1,52 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./DepositContract.sol";
 import "./Groth16Verifier.sol";
 import "./libraries/Pairing.sol";
+import "./utils/ZkClearAccess.sol";
 
 /**
  * @title VerifierContract
  * @notice Verifies ZK proofs for blocks and updates state_root on-chain
- * @dev Rollup-style verifier: accepts block proofs and maintains state_root
+ * @dev Rollup-style verifier: accepts block proofs and maintains state_root.
+ * Pausing stops block submission; the liveness clock stops with it, so a
+ * pause can never be used to push the system into exodus mode.
+ * Any SEQUENCER_ROLE member can submit blocks; the admin rotates sequencers
+ * with grantRole/revokeRole, so a lost sequencer key never halts the chain.
  */
-contract VerifierContract is Ownable, ReentrancyGuard {
+contract VerifierContract is ZkClearAccess, ReentrancyGuardUpgradeable {
     /// Groth16 verifier instance
     Groth16Verifier public groth16Verifier;
+
+    /// Deposit queue the blocks consume (see DepositContract.depositHashAt)
+    DepositContract public depositContract;
+
+    /// Header recorded for every accepted block
+    struct BlockHeader {
+        bytes32 prevStateRoot;
+        bytes32 newStateRoot;
+        bytes32 withdrawalsRoot;
+        /// Deposit queue accumulator after the deposits consumed so far
+        bytes32 depositsHash;
+        /// Number of deposits consumed up to and including this block
+        uint64 depositIndex;
+        uint64 l1BlockNumber;
+        uint64 timestamp;
+    }
+
+    /// Block proof submitted as part of a batch (same fields as submitBlockProof)
+    struct BlockSubmission {
+        uint256 blockId;
+        bytes32 prevStateRoot;
+        bytes32 newStateRoot;
+        bytes32 withdrawalsRoot;
+        uint256 depositIndex;
+        bytes32 depositsHash;
+        bytes proof;
+    }
+
     event StateRootUpdated(
         uint256 indexed blockId,
         bytes32 indexed prevStateRoot,
@@ -21,53 +54,122 @@ contract VerifierContract is Ownable, ReentrancyGuard {
         bytes32 withdrawalsRoot
     );
 
-    event SequencerUpdated(address indexed oldSequencer, address indexed newSequencer);
+    event WithdrawalContractAdded(address indexed withdrawalContract);
+
+    event WithdrawalContractRemoved(address indexed withdrawalContract);
+
+    event DepositContractSet(address indexed depositContract);
+
+    event LivenessTimeoutUpdated(uint256 oldTimeout, uint256 newTimeout);
+
+    event Groth16VerifierUpdated(address indexed oldGroth16Verifier, address indexed newGroth16Verifier);
+
+    /// Exodus mode entered: `stateRoot` of block `blockId` is final
+    event Frozen(uint256 indexed blockId, bytes32 stateRoot);
+
+    /// Liveness timeout set at deployment
+    uint256 public constant DEFAULT_LIVENESS_TIMEOUT = 7 days;
+
+    /// Longest liveness timeout, so exodus mode can always be reached
+    uint256 public constant MAX_LIVENESS_TIMEOUT = 30 days;
 
     /// Current state root (Merkle root of ZKClear state)
     bytes32 public stateRoot;
 
-    /// Sequencer address (only sequencer can submit proofs)
-    address public sequencer;
+    /// ID of the latest accepted block (0 = only the genesis state)
+    uint256 public lastBlockId;
 
-    /// Mapping of processed block IDs to prevent replay
-    mapping(uint256 => bool) public processedBlocks;
+    /// Header of every accepted block; block 0 holds the initial state root
+    mapping(uint256 => BlockHeader) private blockHeaders;
 
     /// Mapping of nullifiers to prevent double-spending withdrawals
     mapping(bytes32 => bool) public nullifiers;
 
+    /// Withdrawal contracts allowed to mark nullifiers as used
+    mapping(address => bool) public withdrawalContracts;
+
+    /// Time without a new block after which anyone can freeze the system
+    uint256 public livenessTimeout;
+
+    /// Exodus mode: no more blocks, users exit against the last stateRoot
+    bool public frozen;
+
+    /// Time block submission was last unpaused (the liveness clock restarts then)
+    uint256 public lastUnpausedAt;
+
     error InvalidSequencerAddress();
-    error OnlySequencer();
     error InvalidProof();
     error BlockAlreadyProcessed();
     error InvalidStateRoot();
     error InvalidBlockId();
     error VerifierNotSet();
+    error OnlyWithdrawalContract();
+    error InvalidWithdrawalContractAddress();
+    error EmptyBatch();
+    error InvalidDepositIndex();
+    error InvalidDepositsHash();
+    error InvalidDepositContractAddress();
+    error DepositContractAlreadySet();
+    error SystemFrozen();
+    error SequencerStillLive();
+    error InvalidLivenessTimeout();
+    error InvalidGroth16VerifierAddress();
+
+    modifier whenNotFrozen() {
+        if (frozen) revert SystemFrozen();
+        _;
+    }
 
-    modifier onlySequencer() {
-        if (msg.sender != sequencer) revert OnlySequencer();
+    modifier onlyWithdrawalContract() {
+        if (!withdrawalContracts[msg.sender]) revert OnlyWithdrawalContract();
         _;
     }
 
-    constructor(
+    /**
+     * @notice Initialize the proxy (replaces the constructor)
+     * @param _sequencer First sequencer
+     * @param _initialStateRoot State root of block 0
+     * @param _admin Initial admin
+     * @param _groth16Verifier Groth16Verifier (zero: not set yet)
+     */
+    function initialize(
         address _sequencer,
         bytes32 _initialStateRoot,
-        address _owner,
+        address _admin,
         address _groth16Verifier
-    ) Ownable(_owner) {
+    ) external initializer {
+        __ZkClearAccess_init(_admin);
+        __ReentrancyGuard_init();
         if (_sequencer == address(0)) revert InvalidSequencerAddress();
-        sequencer = _sequencer;
+        _grantRole(SEQUENCER_ROLE, _sequencer);
         stateRoot = _initialStateRoot;
+        blockHeaders[0] = BlockHeader(
+            bytes32(0),
+            _initialStateRoot,
+            bytes32(0),
+            bytes32(0),
+            0,
+            uint64(block.number),
+            uint64(block.timestamp)
+        );
         if (_groth16Verifier != address(0)) {
             groth16Verifier = Groth16Verifier(_groth16Verifier);
         }
+        livenessTimeout = DEFAULT_LIVENESS_TIMEOUT;
     }
 
     /**
      * @notice Submit block proof and update state root
-     * @param blockId Block ID
+     * @dev The deposit queue position is checked against DepositContract,
+     * bound into the proof's public inputs (see blockPublicInputs) and recorded
+     * in the block header.
+     * @param blockId Block ID (must be lastBlockId + 1)
      * @param prevStateRoot Previous state root (must match current stateRoot)
      * @param newStateRoot New state root after block execution
      * @param withdrawalsRoot Merkle root of withdrawals in this block
+     * @param depositIndex Deposits consumed up to and including this block
+     * (at least the previous block's, at most DepositContract.depositCount)
+     * @param depositsHash Deposit queue accumulator at depositIndex
      * @param proof ZK proof (STARK wrapped in SNARK) proving state transition
      */
     function submitBlockProof(
@@ -75,24 +177,90 @@ contract VerifierContract is Ownable, ReentrancyGuard {
         bytes32 prevStateRoot,
         bytes32 newStateRoot,
         bytes32 withdrawalsRoot,
+        uint256 depositIndex,
+        bytes32 depositsHash,
+        bytes calldata proof
+    ) external onlyRole(SEQUENCER_ROLE) whenNotFrozen whenNotPaused nonReentrant {
+        _submitBlock(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, depositIndex, depositsHash, proof);
+    }
+
+    /**
+     * @notice Submit several consecutive block proofs in one transaction
+     * @dev Blocks are applied in order, so each prevStateRoot must equal the
+     * previous block's newStateRoot. Any failing block reverts the whole batch.
+     * @param blocks Blocks in submission order
+     */
+    function submitBlockProofs(
+        BlockSubmission[] calldata blocks
+    ) external onlyRole(SEQUENCER_ROLE) whenNotFrozen whenNotPaused nonReentrant {
+        if (blocks.length == 0) revert EmptyBatch();
+
+        for (uint256 i = 0; i < blocks.length; ++i) {
+            BlockSubmission calldata submission = blocks[i];
+            _submitBlock(
+                submission.blockId,
+                submission.prevStateRoot,
+                submission.newStateRoot,
+                submission.withdrawalsRoot,
+                submission.depositIndex,
+                submission.depositsHash,
+                submission.proof
+            );
+        }
+    }
+
+    function _submitBlock(
+        uint256 blockId,
+        bytes32 prevStateRoot,
+        bytes32 newStateRoot,
+        bytes32 withdrawalsRoot,
+        uint256 depositIndex,
+        bytes32 depositsHash,
         bytes calldata proof
-    ) external onlySequencer nonReentrant {
+    ) private {
         // Optimized: early returns to save gas on failed checks
-        if (processedBlocks[blockId]) revert BlockAlreadyProcessed();
+        uint256 expectedBlockId = lastBlockId + 1;
+        if (blockId < expectedBlockId) revert BlockAlreadyProcessed();
+        if (blockId != expectedBlockId) revert InvalidBlockId();
         if (prevStateRoot != stateRoot) revert InvalidStateRoot();
         if (newStateRoot == bytes32(0)) revert InvalidStateRoot();
 
-        // Verify ZK proof (includes withdrawalsRoot validation)
-        if (!verifyBlockProof(prevStateRoot, newStateRoot, withdrawalsRoot, proof)) {
+        // Deposits are consumed in queue order: never go back, never past the
+        // end of the queue, and the accumulator must match the on-chain one
+        if (depositIndex < blockHeaders[blockId - 1].depositIndex) revert InvalidDepositIndex();
+        if (depositsHash != _depositHashAt(depositIndex)) revert InvalidDepositsHash();
+
+        // Verify ZK proof (includes withdrawalsRoot validation); the deposit
+        // range is a public input, so the proof covers the deposits consumed
+        if (!verifyBlockProof(prevStateRoot, newStateRoot, withdrawalsRoot, depositsHash, depositIndex, proof)) {
             revert InvalidProof();
         }
 
-        // Update state root and mark block as processed (SSTORE optimization: single slot update)
-        bytes32 oldStateRoot = stateRoot;
+        // Update state root and record the block header
         stateRoot = newStateRoot;
-        processedBlocks[blockId] = true;
+        lastBlockId = blockId;
+        blockHeaders[blockId] = BlockHeader(
+            prevStateRoot,
+            newStateRoot,
+            withdrawalsRoot,
+            depositsHash,
+            uint64(depositIndex),
+            uint64(block.number),
+            uint64(block.timestamp)
+        );
+
+        emit StateRootUpdated(blockId, prevStateRoot, newStateRoot, withdrawalsRoot);
+    }
 
-        emit StateRootUpdated(blockId, oldStateRoot, newStateRoot, withdrawalsRoot);
+    /// Queue accumulator after `index` deposits; the queue is empty without a deposit contract
+    function _depositHashAt(uint256 index) private view returns (bytes32) {
+        DepositContract depositContract_ = depositContract;
+        if (address(depositContract_) == address(0)) {
+            if (index != 0) revert InvalidDepositIndex();
+            return bytes32(0);
+        }
+        if (index > depositContract_.depositCount()) revert InvalidDepositIndex();
+        return depositContract_.depositHashAt(index);
     }
 
     /**
@@ -100,6 +268,8 @@ contract VerifierContract is Ownable, ReentrancyGuard {
      * @param prevStateRoot Previous state root
      * @param newStateRoot New state root
      * @param withdrawalsRoot Withdrawals root
+     * @param depositsHash Deposit queue accumulator at depositIndex
+     * @param depositIndex Deposits consumed up to and including this block
      * @param proof ZK proof (serialized Groth16 proof)
      * @return true if proof is valid
      */
@@ -107,6 +277,8 @@ contract VerifierContract is Ownable, ReentrancyGuard {
         bytes32 prevStateRoot,
         bytes32 newStateRoot,
         bytes32 withdrawalsRoot,
+        bytes32 depositsHash,
+        uint256 depositIndex,
         bytes calldata proof
     ) internal view returns (bool) {
         // Basic validation (applies to both real and placeholder verification)
@@ -127,10 +299,61 @@ contract VerifierContract is Ownable, ReentrancyGuard {
             return false;
         }
 
-        // Parse proof (A, B, C points)
+        Groth16Verifier.Proof memory groth16Proof = _decodeProof(proof);
+        uint256[] memory publicInputs = _blockPublicInputs(
+            prevStateRoot,
+            newStateRoot,
+            withdrawalsRoot,
+            depositsHash,
+            depositIndex
+        );
+
+        // Verify proof using Groth16 verifier
+        // Check if verifying key is set by checking if gamma_abc length > 0
+        // We can't directly access vk, so we try to verify and catch revert
+        // But since this is a view function, we need a different approach
+        // For now, we'll check if the verifier address is set and assume it has a key
+        // If verification fails, we'll fall back to placeholder
+        // Note: This is a limitation - we can't easily check if verifying key is set
+        // In production, verifying key should always be set before using the verifier
+        return groth16Verifier.verifyProof(groth16Proof, publicInputs);
+    }
+
+    /**
+     * @notice Decode a serialized Groth16 proof the way submitBlockProof does
+     * @dev For off-chain encoders to cross-check their output (see sdk/encoding.js)
+     * @param proof Serialized proof: A (64 bytes) || B (128 bytes) || C (64 bytes)
+     * @return Decoded proof
+     */
+    function decodeProof(bytes calldata proof) external pure returns (Groth16Verifier.Proof memory) {
+        if (proof.length < 256) revert InvalidProof();
+        return _decodeProof(proof);
+    }
+
+    /**
+     * @notice Public inputs submitBlockProof verifies a block proof against
+     * @dev Each root and the deposits hash become 8 u32 limbs (see
+     * _extractRootToPublicInputs), followed by the deposit index
+     * @param prevStateRoot Previous state root
+     * @param newStateRoot New state root
+     * @param withdrawalsRoot Withdrawals root
+     * @param depositsHash Deposit queue accumulator at depositIndex
+     * @param depositIndex Deposits consumed up to and including the block
+     * @return publicInputs 33 public inputs
+     */
+    function blockPublicInputs(
+        bytes32 prevStateRoot,
+        bytes32 newStateRoot,
+        bytes32 withdrawalsRoot,
+        bytes32 depositsHash,
+        uint256 depositIndex
+    ) external pure returns (uint256[] memory) {
+        return _blockPublicInputs(prevStateRoot, newStateRoot, withdrawalsRoot, depositsHash, depositIndex);
+    }
+
+    function _decodeProof(bytes calldata proof) private pure returns (Groth16Verifier.Proof memory groth16Proof) {
         // Optimized: use calldata slices directly to avoid memory copies
-        Groth16Verifier.Proof memory groth16Proof;
-        
+
         // A point (G1): 64 bytes (32 bytes X + 32 bytes Y)
         // Optimized: cache slice to avoid repeated calldata access
         bytes32 aX = bytes32(proof[0:32]);
@@ -151,23 +374,23 @@ contract VerifierContract is Ownable, ReentrancyGuard {
         bytes32 cX = bytes32(proof[192:224]);
         bytes32 cY = bytes32(proof[224:256]);
         groth16Proof.c = Pairing.G1Point(uint256(cX), uint256(cY));
+    }
 
-        // Convert public inputs (3 roots * 8 field elements each = 24 elements)
+    function _blockPublicInputs(
+        bytes32 prevStateRoot,
+        bytes32 newStateRoot,
+        bytes32 withdrawalsRoot,
+        bytes32 depositsHash,
+        uint256 depositIndex
+    ) private pure returns (uint256[] memory publicInputs) {
+        // Convert public inputs (4 hashes * 8 field elements each + deposit index = 33 elements)
         // Optimized: extract to helper function to avoid stack too deep
-        uint256[] memory publicInputs = new uint256[](24);
+        publicInputs = new uint256[](33);
         _extractRootToPublicInputs(prevStateRoot, publicInputs, 0);
         _extractRootToPublicInputs(newStateRoot, publicInputs, 8);
         _extractRootToPublicInputs(withdrawalsRoot, publicInputs, 16);
-
-        // Verify proof using Groth16 verifier
-        // Check if verifying key is set by checking if gamma_abc length > 0
-        // We can't directly access vk, so we try to verify and catch revert
-        // But since this is a view function, we need a different approach
-        // For now, we'll check if the verifier address is set and assume it has a key
-        // If verification fails, we'll fall back to placeholder
-        // Note: This is a limitation - we can't easily check if verifying key is set
-        // In production, verifying key should always be set before using the verifier
-        return groth16Verifier.verifyProof(groth16Proof, publicInputs);
+        _extractRootToPublicInputs(depositsHash, publicInputs, 24);
+        publicInputs[32] = depositIndex;
     }
 
     /**
@@ -213,21 +436,32 @@ contract VerifierContract is Ownable, ReentrancyGuard {
      * @notice Mark nullifier as used (called by WithdrawalContract)
      * @param nullifier Nullifier to mark as used
      */
-    function markNullifierUsed(bytes32 nullifier) external {
-        // Only WithdrawalContract can call this
-        // TODO: Add access control for WithdrawalContract addresses
+    function markNullifierUsed(bytes32 nullifier) external onlyWithdrawalContract {
         nullifiers[nullifier] = true;
     }
 
     /**
-     * @notice Set sequencer address
-     * @param _sequencer New sequencer address
+     * @notice Authorize a withdrawal contract to mark nullifiers (timelocked)
+     * @dev A withdrawal contract that can mark nullifiers can block every
+     * withdrawal and exit.
+     * @param withdrawalContract WithdrawalContract address
      */
-    function setSequencer(address _sequencer) external onlySequencer {
-        if (_sequencer == address(0)) revert InvalidSequencerAddress();
-        address oldSequencer = sequencer;
-        sequencer = _sequencer;
-        emit SequencerUpdated(oldSequencer, _sequencer);
+    function addWithdrawalContract(address withdrawalContract) external onlyRole(TIMELOCK_ROLE) {
+        if (withdrawalContract == address(0)) revert InvalidWithdrawalContractAddress();
+        withdrawalContracts[withdrawalContract] = true;
+        emit WithdrawalContractAdded(withdrawalContract);
+    }
+
+    /**
+     * @notice Revoke a withdrawal contract's permission to mark nullifiers (timelocked)
+     * @dev Removing the live WithdrawalContract stops withdrawals, exits and refunds;
+     * to stop a bad one at once, a guardian pauses it instead.
+     * @param withdrawalContract WithdrawalContract address
+     */
+    function removeWithdrawalContract(address withdrawalContract) external onlyRole(TIMELOCK_ROLE) {
+        if (!withdrawalContracts[withdrawalContract]) revert InvalidWithdrawalContractAddress();
+        withdrawalContracts[withdrawalContract] = false;
+        emit WithdrawalContractRemoved(withdrawalContract);
     }
 
     /**
@@ -239,12 +473,111 @@ contract VerifierContract is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Set Groth16 verifier address
+     * @notice Get the withdrawals root proven for a block
+     * @param blockId Block ID
+     * @return Withdrawals root (zero if the block was not accepted)
+     */
+    function getWithdrawalsRoot(uint256 blockId) external view returns (bytes32) {
+        return blockHeaders[blockId].withdrawalsRoot;
+    }
+
+    /**
+     * @notice Check whether a block has been accepted
+     * @param blockId Block ID
+     * @return true if the block has been accepted
+     */
+    function processedBlocks(uint256 blockId) external view returns (bool) {
+        return blockId != 0 && blockId <= lastBlockId;
+    }
+
+    /**
+     * @notice Get the header of an accepted block
+     * @param blockId Block ID (0 for the genesis header recorded at deployment)
+     * @return Block header
+     */
+    function getBlock(uint256 blockId) external view returns (BlockHeader memory) {
+        if (blockId > lastBlockId) revert InvalidBlockId();
+        return blockHeaders[blockId];
+    }
+
+    /**
+     * @notice Get the latest accepted block
+     * @return blockId Latest block ID (0 before the first block)
+     * @return header Its header
+     */
+    function latestBlock() external view returns (uint256 blockId, BlockHeader memory header) {
+        blockId = lastBlockId;
+        header = blockHeaders[blockId];
+    }
+
+    /**
+     * @notice Time from which freeze() can be called
+     * @return Timestamp of the latest block or unpause, whichever is later, plus
+     * livenessTimeout (type(uint256).max while paused)
+     */
+    function freezeDeadline() public view returns (uint256) {
+        if (paused()) {
+            return type(uint256).max;
+        }
+        uint256 lastActivity = blockHeaders[lastBlockId].timestamp;
+        if (lastUnpausedAt > lastActivity) {
+            lastActivity = lastUnpausedAt;
+        }
+        return lastActivity + livenessTimeout;
+    }
+
+    /**
+     * @notice Enter exodus mode after the sequencer missed the liveness timeout
+     * @dev Callable by anyone once no block has been accepted for livenessTimeout.
+     * Irreversible: submitBlockProof is disabled and users exit through
+     * WithdrawalContract against the last stateRoot.
+     */
+    function freeze() external whenNotFrozen whenNotPaused {
+        if (block.timestamp < freezeDeadline()) revert SequencerStillLive();
+        frozen = true;
+        emit Frozen(lastBlockId, stateRoot);
+    }
+
+    /**
+     * @notice Set the liveness timeout (timelocked)
+     * @dev Timelocked and capped at MAX_LIVENESS_TIMEOUT: a longer timeout
+     * postpones exodus mode, so users get the timelock delay to exit first.
+     * @param _livenessTimeout Seconds without a new block before freeze() is allowed
+     */
+    function setLivenessTimeout(uint256 _livenessTimeout) external onlyRole(TIMELOCK_ROLE) whenNotFrozen {
+        if (_livenessTimeout == 0 || _livenessTimeout > MAX_LIVENESS_TIMEOUT) revert InvalidLivenessTimeout();
+        uint256 oldTimeout = livenessTimeout;
+        livenessTimeout = _livenessTimeout;
+        emit LivenessTimeoutUpdated(oldTimeout, _livenessTimeout);
+    }
+
+    /**
+     * @notice Set the DepositContract whose deposit queue blocks consume
+     * @dev Can only be set once: block deposit indexes refer to this contract's queue
+     * @param _depositContract DepositContract address
+     */
+    function setDepositContract(address _depositContract) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_depositContract == address(0)) revert InvalidDepositContractAddress();
+        if (address(depositContract) != address(0)) revert DepositContractAlreadySet();
+        depositContract = DepositContract(payable(_depositContract));
+        emit DepositContractSet(_depositContract);
+    }
+
+    /**
+     * @notice Set Groth16 verifier address (timelocked)
      * @param _groth16Verifier Address of Groth16Verifier contract
      */
-    function setGroth16Verifier(address _groth16Verifier) external onlyOwner {
-        if (_groth16Verifier == address(0)) revert InvalidSequencerAddress();
+    function setGroth16Verifier(address _groth16Verifier) external onlyRole(TIMELOCK_ROLE) {
+        if (_groth16Verifier == address(0)) revert InvalidGroth16VerifierAddress();
+        address oldGroth16Verifier = address(groth16Verifier);
         groth16Verifier = Groth16Verifier(_groth16Verifier);
+        emit Groth16VerifierUpdated(oldGroth16Verifier, _groth16Verifier);
+    }
+
+    /// Restart the liveness clock so the sequencer gets a full timeout after a pause
+    function _unpause() internal override {
+        super._unpause();
+        lastUnpausedAt = block.timestamp;
     }
 
     /**
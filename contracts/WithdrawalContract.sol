@@ -1,49 +1,82 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "./VerifierContract.sol";
+import "./DepositContract.sol";
+import "./libraries/IndexedMerkleProof.sol";
+import "./utils/ZkClearAccess.sol";
 
 /**
  * @title WithdrawalContract
  * @notice Handles withdrawals with ZK proof verification (rollup-style)
  * @dev Verifies:
- *  1. Inclusion of withdrawal in withdrawals_root (merkle proof)
- *  2. Nullifier hasn't been used (double-spend protection)
+ *  1. Inclusion of withdrawal in the withdrawals_root proven for its block (merkle proof)
+ *  2. The leaf's nullifier, derived from its block and position, hasn't been used (double-spend protection)
  *  3. ZK proof of withdrawal validity
+ *  Valid withdrawals are paid out from DepositContract in the same transaction.
+ *  Once VerifierContract is frozen (exodus mode), users can also exit their
+ *  balance in the last state root and reclaim deposits no block consumed.
+ *  While paused (see ZkClearAccess) withdrawals, exits and refunds all revert.
  */
-contract WithdrawalContract is Ownable, ReentrancyGuard {
+contract WithdrawalContract is ZkClearAccess, ReentrancyGuardUpgradeable {
     event Withdrawal(
         address indexed user,
         uint256 indexed assetId,
         uint256 amount,
         bytes32 indexed nullifier,
+        uint256 blockId,
         bytes32 withdrawalsRoot
     );
 
+    event Exit(
+        address indexed user,
+        uint256 indexed assetId,
+        uint256 amount,
+        bytes32 indexed nullifier,
+        uint256 blockId,
+        bytes32 stateRoot
+    );
+
+    event DepositReclaimed(address indexed user, uint256 indexed assetId, uint256 amount, uint256 indexed depositIndex);
+
     event VerifierUpdated(address indexed oldVerifier, address indexed newVerifier);
 
+    event DepositContractUpdated(address indexed oldDepositContract, address indexed newDepositContract);
+
     /// Verifier contract for state root and nullifier checks
     VerifierContract public verifier;
 
-    /// Current withdrawals root from latest block
-    bytes32 public withdrawalsRoot;
+    /// Vault holding deposited funds; pays out withdrawals
+    DepositContract public depositContract;
 
     error InvalidUser();
     error InvalidAmount();
     error InvalidProof();
     error InvalidVerifierAddress();
+    error InvalidDepositContractAddress();
+    error DepositContractNotSet();
     error NullifierAlreadyUsed();
     error InvalidMerkleProof();
     error InvalidWithdrawalsRoot();
+    error NotFrozen();
+    error InvalidChainId();
+    error DepositAlreadyConsumed();
+    error InvalidDeposit();
 
     modifier onlyValidVerifier() {
         require(address(verifier) != address(0), "Verifier not set");
         _;
     }
 
-    constructor(address _verifier, address _owner) Ownable(_owner) {
+    /**
+     * @notice Initialize the proxy (replaces the constructor)
+     * @param _verifier VerifierContract
+     * @param _admin Initial admin
+     */
+    function initialize(address _verifier, address _admin) external initializer {
+        __ZkClearAccess_init(_admin);
+        __ReentrancyGuard_init();
         if (_verifier == address(0)) revert InvalidVerifierAddress();
         verifier = VerifierContract(_verifier);
     }
@@ -51,41 +84,42 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
     /**
      * @notice Withdraw assets with ZK proof
      * @param withdrawalData Withdrawal data (user, assetId, amount, etc.)
-     * @param merkleProof Merkle proof for inclusion in withdrawals_root
-     * @param nullifier Nullifier to prevent double-spending
+     * @param merkleProof Merkle proof for inclusion in withdrawals_root; its leaf index
+     * determines the nullifier spent (see withdrawalNullifier)
      * @param zkProof ZK proof (STARK wrapped in SNARK) proving withdrawal validity
-     * @param withdrawalsRoot_ Withdrawals root from block containing this withdrawal
+     * @param blockId Block containing this withdrawal (its proven withdrawals root is used)
      */
     function withdraw(
         WithdrawalData calldata withdrawalData,
         bytes calldata merkleProof,
-        bytes32 nullifier,
         bytes calldata zkProof,
-        bytes32 withdrawalsRoot_
-    ) external nonReentrant onlyValidVerifier {
+        uint256 blockId
+    ) external whenNotPaused nonReentrant onlyValidVerifier {
         // Security: Input validation
         if (withdrawalData.amount == 0) revert InvalidAmount();
         if (withdrawalData.user != msg.sender) revert InvalidUser();
         if (withdrawalData.user == address(0)) revert InvalidUser();
         if (withdrawalData.assetId == 0) revert InvalidAmount();
-        if (nullifier == bytes32(0)) revert InvalidProof();
         if (zkProof.length == 0) revert InvalidProof();
 
-        // Check nullifier hasn't been used (optimized: cache verifier address)
+        DepositContract depositContract_ = depositContract;
+        if (address(depositContract_) == address(0)) revert DepositContractNotSet();
+
         VerifierContract verifier_ = verifier;
-        if (verifier_.isNullifierUsed(nullifier)) revert NullifierAlreadyUsed();
 
-        // Verify withdrawals root matches current
-        bytes32 currentWithdrawalsRoot = withdrawalsRoot;
-        if (withdrawalsRoot_ != currentWithdrawalsRoot && withdrawalsRoot_ != bytes32(0)) {
-            revert InvalidWithdrawalsRoot();
-        }
+        // Withdrawals root proven for the block (zero if unknown block or no withdrawals)
+        bytes32 withdrawalsRoot = verifier_.getWithdrawalsRoot(blockId);
+        if (withdrawalsRoot == bytes32(0)) revert InvalidWithdrawalsRoot();
 
         // Verify merkle inclusion proof
-        if (!verifyMerkleProof(withdrawalData, merkleProof, withdrawalsRoot_)) {
+        if (!verifyMerkleProof(withdrawalData, merkleProof, withdrawalsRoot)) {
             revert InvalidMerkleProof();
         }
 
+        // One nullifier per leaf of the block, so a leaf pays out once whatever the caller sends
+        bytes32 nullifier = withdrawalNullifier(blockId, IndexedMerkleProof.leafIndex(merkleProof));
+        if (verifier_.isNullifierUsed(nullifier)) revert NullifierAlreadyUsed();
+
         // Verify ZK proof
         if (!verifyWithdrawalProof(withdrawalData, zkProof)) {
             revert InvalidProof();
@@ -94,27 +128,146 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
         // Mark nullifier as used
         verifier_.markNullifierUsed(nullifier);
 
+        // Pay out from the vault (nullifier is already spent, so re-entry cannot double-withdraw)
+        depositContract_.release(withdrawalData.user, withdrawalData.assetId, withdrawalData.amount);
+
         emit Withdrawal(
             withdrawalData.user,
             withdrawalData.assetId,
             withdrawalData.amount,
             nullifier,
-            withdrawalsRoot_
+            blockId,
+            withdrawalsRoot
         );
     }
 
     /**
-     * @notice Update withdrawals root (called by sequencer after block submission)
-     * @param newWithdrawalsRoot New withdrawals root
+     * @notice Exit a balance from the frozen state (exodus mode only)
+     * @dev Proves the balance leaf against VerifierContract.stateRoot, the root of
+     * the last accepted block. Each (user, asset) pair can exit once per chain.
+     * @param account Balance of msg.sender in the final state
+     * @param stateProof Merkle proof for inclusion in stateRoot (see IndexedMerkleProof)
      */
-    function updateWithdrawalsRoot(bytes32 newWithdrawalsRoot) external onlyOwner {
-        withdrawalsRoot = newWithdrawalsRoot;
+    function exit(
+        AccountBalance calldata account,
+        bytes calldata stateProof
+    ) external whenNotPaused nonReentrant onlyValidVerifier {
+        if (account.balance == 0) revert InvalidAmount();
+        if (account.user != msg.sender) revert InvalidUser();
+        if (account.assetId == 0) revert InvalidAmount();
+        if (account.chainId != block.chainid) revert InvalidChainId();
+
+        VerifierContract verifier_ = verifier;
+        if (!verifier_.frozen()) revert NotFrozen();
+
+        DepositContract depositContract_ = depositContract;
+        if (address(depositContract_) == address(0)) revert DepositContractNotSet();
+
+        bytes32 nullifier = exitNullifier(account.user, account.assetId);
+        if (verifier_.isNullifierUsed(nullifier)) revert NullifierAlreadyUsed();
+
+        bytes32 stateRoot = verifier_.stateRoot();
+        if (!IndexedMerkleProof.verify(stateProof, stateRoot, accountLeaf(account))) {
+            revert InvalidMerkleProof();
+        }
+
+        verifier_.markNullifierUsed(nullifier);
+        depositContract_.release(account.user, account.assetId, account.balance);
+
+        emit Exit(account.user, account.assetId, account.balance, nullifier, verifier_.lastBlockId(), stateRoot);
+    }
+
+    /**
+     * @notice Reclaim a deposit that no accepted block consumed (exodus mode only)
+     * @dev The deposit is checked against DepositContract's queue accumulator:
+     * depositHashAt(index + 1) must chain from depositHashAt(index) with these fields.
+     * The cut-off is the last block's depositIndex, which its proof commits to
+     * (see VerifierContract.blockPublicInputs), so the final state root credited
+     * exactly the deposits below it. Anyone can trigger the refund; funds always go to the credited recipient
+     * (`user` in the Deposit event, the depositor unless deposited with depositFor).
+     * @param depositIndex Position of the deposit in the queue
+     * @param user Credited recipient
+     * @param assetId Deposited asset
+     * @param amount Deposited amount
+     * @param l2Account L2 account the deposit named (zero if none)
+     */
+    function reclaimDeposit(
+        uint256 depositIndex,
+        address user,
+        uint256 assetId,
+        uint256 amount,
+        bytes32 l2Account
+    ) external whenNotPaused nonReentrant onlyValidVerifier {
+        VerifierContract verifier_ = verifier;
+        if (!verifier_.frozen()) revert NotFrozen();
+
+        DepositContract depositContract_ = depositContract;
+        if (address(depositContract_) == address(0)) revert DepositContractNotSet();
+        if (address(verifier_.depositContract()) != address(depositContract_)) revert InvalidDeposit();
+
+        // Deposits below the last block's index are part of the final state;
+        // the index is a public input of the block proof
+        (, VerifierContract.BlockHeader memory header) = verifier_.latestBlock();
+        if (depositIndex < header.depositIndex) revert DepositAlreadyConsumed();
+        if (depositIndex >= depositContract_.depositCount()) revert InvalidDeposit();
+
+        bytes32 id = depositContract_.depositId(depositIndex);
+        bytes32 expected = keccak256(
+            abi.encode(depositContract_.depositHashAt(depositIndex), id, user, assetId, amount, l2Account)
+        );
+        if (expected != depositContract_.depositHashAt(depositIndex + 1)) revert InvalidDeposit();
+
+        bytes32 nullifier = depositNullifier(depositIndex);
+        if (verifier_.isNullifierUsed(nullifier)) revert NullifierAlreadyUsed();
+
+        verifier_.markNullifierUsed(nullifier);
+        depositContract_.release(user, assetId, amount);
+
+        emit DepositReclaimed(user, assetId, amount, depositIndex);
+    }
+
+    /**
+     * @notice Compute the state tree leaf for an account balance
+     * @param account Account balance
+     * @return Leaf hash (matches hashAccount in sdk/merkle.js)
+     */
+    function accountLeaf(AccountBalance calldata account) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(account.user, account.assetId, account.balance, account.chainId));
+    }
+
+    /**
+     * @notice Nullifier spent by a withdrawal
+     * @param blockId Block whose withdrawals root contains the withdrawal
+     * @param leafIndex Position of the withdrawal in the block's withdrawals tree
+     * @return Nullifier, unique per chain (shared by every authorized withdrawal contract)
+     */
+    function withdrawalNullifier(uint256 blockId, uint256 leafIndex) public view returns (bytes32) {
+        return keccak256(abi.encode("zkclear.withdrawal", block.chainid, blockId, leafIndex));
+    }
+
+    /**
+     * @notice Nullifier spent by the exit of a balance
+     * @param user Account owner
+     * @param assetId Asset ID
+     * @return Nullifier, unique per chain (shared by every authorized withdrawal contract)
+     */
+    function exitNullifier(address user, uint256 assetId) public view returns (bytes32) {
+        return keccak256(abi.encode("zkclear.exit", block.chainid, user, assetId));
+    }
+
+    /**
+     * @notice Nullifier spent by reclaiming a deposit
+     * @param depositIndex Deposit queue index
+     * @return Nullifier, unique per chain (shared by every authorized withdrawal contract)
+     */
+    function depositNullifier(uint256 depositIndex) public view returns (bytes32) {
+        return keccak256(abi.encode("zkclear.deposit", block.chainid, depositIndex));
     }
 
     /**
      * @notice Verify merkle inclusion proof
      * @param withdrawalData Withdrawal data
-     * @param merkleProof Merkle proof
+     * @param merkleProof Merkle proof (leaf index followed by siblings, see IndexedMerkleProof)
      * @param root Withdrawals root
      * @return true if proof is valid
      */
@@ -123,14 +276,18 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
         bytes calldata merkleProof,
         bytes32 root
     ) internal pure returns (bool) {
-        // Basic merkle proof validation
-        // Note: Full merkle proof verification requires a merkle tree library
-        // For MVP, we validate inputs and leaf computation
-        if (merkleProof.length == 0) return false;
         if (root == bytes32(0)) return false;
 
-        // Compute leaf hash
-        bytes32 leaf = keccak256(
+        return IndexedMerkleProof.verify(merkleProof, root, withdrawalLeaf(withdrawalData));
+    }
+
+    /**
+     * @notice Compute the withdrawals tree leaf for a withdrawal
+     * @param withdrawalData Withdrawal data
+     * @return Leaf hash (matches hashWithdrawal in sdk/merkle.js)
+     */
+    function withdrawalLeaf(WithdrawalData calldata withdrawalData) public pure returns (bytes32) {
+        return keccak256(
             abi.encodePacked(
                 withdrawalData.user,
                 withdrawalData.assetId,
@@ -138,14 +295,6 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
                 withdrawalData.chainId
             )
         );
-
-        if (leaf == bytes32(0)) return false;
-        
-        // Basic validation using merkleProof and root
-        bytes32 proofHash = keccak256(abi.encodePacked(merkleProof, root));
-        if (proofHash == bytes32(0)) return false;
-
-        return true;
     }
 
     /**
@@ -168,10 +317,10 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Set verifier contract
+     * @notice Set verifier contract (timelocked)
      * @param _verifier New verifier contract address
      */
-    function setVerifier(address _verifier) external onlyOwner {
+    function setVerifier(address _verifier) external onlyRole(TIMELOCK_ROLE) {
         if (_verifier == address(0)) revert InvalidVerifierAddress();
         address oldVerifier = address(verifier);
         verifier = VerifierContract(_verifier);
@@ -179,11 +328,14 @@ contract WithdrawalContract is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Get current withdrawals root
-     * @return Current withdrawals root
+     * @notice Set deposit contract (vault) that pays out withdrawals (timelocked)
+     * @param _depositContract DepositContract address
      */
-    function getWithdrawalsRoot() external view returns (bytes32) {
-        return withdrawalsRoot;
+    function setDepositContract(address _depositContract) external onlyRole(TIMELOCK_ROLE) {
+        if (_depositContract == address(0)) revert InvalidDepositContractAddress();
+        address oldDepositContract = address(depositContract);
+        depositContract = DepositContract(payable(_depositContract));
+        emit DepositContractUpdated(oldDepositContract, _depositContract);
     }
 }
 
@@ -194,3 +346,11 @@ struct WithdrawalData {
     uint256 chainId;
 }
 
+/// Balance leaf of the state tree, as exited in exodus mode
+struct AccountBalance {
+    address user;
+    uint256 assetId;
+    uint256 balance;
+    uint256 chainId;
+}
+
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title ZkClearTimelock
+ * @notice Delays the sensitive operations of the ZKClear contracts, so users can
+ * see them coming and exit before they take effect
+ * @dev Holds TIMELOCK_ROLE on every ZKClear contract (see ZkClearAccess).
+ * Proposers schedule calls with schedule(), which can only run through
+ * execute() once getMinDelay() has passed; proposers can cancel() them before.
+ * Executors may be address(0), letting anyone execute a ready operation.
+ * The timelock administers itself: changing its delay or roles is a
+ * timelocked operation too.
+ */
+contract ZkClearTimelock is TimelockController {
+    /**
+     * @param minDelay Minimum delay between scheduling and executing, in seconds
+     * @param proposers Accounts allowed to schedule and cancel operations
+     * @param executors Accounts allowed to execute ready operations (address(0): anyone)
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors
+    ) TimelockController(minDelay, proposers, executors, address(0)) {}
+}
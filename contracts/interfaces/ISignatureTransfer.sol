@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISignatureTransfer
+ * @notice Subset of Uniswap Permit2's SignatureTransfer used for deposits
+ * @dev Permit2 is deployed at 0x000000000022D473030F116dDEE9F6B43aC78BA3 on every
+ * supported chain. Owners approve Permit2 once per token and then sign one-off
+ * transfers, each with an unordered nonce and a deadline.
+ */
+interface ISignatureTransfer {
+    /// Token and maximum amount a signature allows to transfer
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /// Signed transfer permission; the spender is the caller of permitTransferFrom
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /// Recipient and amount of a permitted transfer
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @notice Transfer tokens from `owner` with a signed permit
+     * @param permit Permit signed by the owner
+     * @param transferDetails Recipient and amount (at most the permitted amount)
+     * @param owner Token owner that signed the permit
+     * @param signature EIP-712 signature of the permit with msg.sender as spender
+     */
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IndexedMerkleProof
+ * @notice Index-based keccak256 Merkle path verification
+ * @dev Proof layout (all words 32 bytes, tightly packed):
+ *      [leafIndex][sibling_0][sibling_1]...[sibling_{depth-1}]
+ *      sibling_0 is the leaf's neighbour. At each level bit i of leafIndex
+ *      selects the side: 0 = node is the left child, 1 = node is the right child.
+ *      Parent = keccak256(left ++ right). Trees are padded with bytes32(0) leaves
+ *      up to the next power of two (see sdk/merkle.js).
+ */
+library IndexedMerkleProof {
+    /// Maximum supported tree depth (2^32 leaves)
+    uint256 internal constant MAX_DEPTH = 32;
+
+    /**
+     * @notice Verify that `leaf` is included in the tree with root `root`
+     * @param proof Packed proof (leaf index followed by siblings)
+     * @param root Expected Merkle root
+     * @param leaf Leaf hash
+     * @return true if the path from `leaf` hashes to `root`
+     */
+    function verify(
+        bytes calldata proof,
+        bytes32 root,
+        bytes32 leaf
+    ) internal pure returns (bool) {
+        if (proof.length < 32 || proof.length % 32 != 0) return false;
+
+        uint256 depth = proof.length / 32 - 1;
+        if (depth > MAX_DEPTH) return false;
+
+        uint256 index = uint256(bytes32(proof[0:32]));
+        // Index must address a leaf inside a tree of this depth
+        if (index >> depth != 0) return false;
+
+        bytes32 node = leaf;
+        for (uint256 i = 0; i < depth; ++i) {
+            uint256 offset = 32 * (i + 1);
+            bytes32 sibling = bytes32(proof[offset:offset + 32]);
+            if (index & 1 == 0) {
+                node = keccak256(abi.encodePacked(node, sibling));
+            } else {
+                node = keccak256(abi.encodePacked(sibling, node));
+            }
+            index >>= 1;
+        }
+
+        return node == root;
+    }
+
+    /**
+     * @notice Leaf index a proof is for
+     * @dev Only meaningful once `verify` accepted the proof
+     * @param proof Packed proof (leaf index followed by siblings)
+     * @return Leaf index (first word of the proof)
+     */
+    function leafIndex(bytes calldata proof) internal pure returns (uint256) {
+        return uint256(bytes32(proof[0:32]));
+    }
+}
@@ -2,14 +2,15 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract ERC20Mock is ERC20 {
+contract ERC20Mock is ERC20, ERC20Permit {
     constructor(
         string memory name,
         string memory symbol,
         address initialAccount,
         uint256 initialBalance
-    ) ERC20(name, symbol) {
+    ) ERC20(name, symbol) ERC20Permit(name) {
         _mint(initialAccount, initialBalance);
     }
 
@@ -21,4 +22,3 @@ contract ERC20Mock is ERC20 {
         _burn(account, amount);
     }
 }
-
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferTokenMock
+ * @notice ERC20 that burns a fee from every transfer, so the recipient gets less than
+ * the amount sent (like USDT with its fee switched on, or many reflection tokens)
+ */
+contract FeeOnTransferTokenMock is ERC20 {
+    /// Fee in basis points of each transferred amount
+    uint256 public feeBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        address initialAccount,
+        uint256 initialBalance,
+        uint256 _feeBps
+    ) ERC20(name, symbol) {
+        feeBps = _feeBps;
+        _mint(initialAccount, initialBalance);
+    }
+
+    function setFee(uint256 _feeBps) external {
+        require(_feeBps <= 10_000, "Fee above 100%");
+        feeBps = _feeBps;
+    }
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = (value * feeBps) / 10_000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
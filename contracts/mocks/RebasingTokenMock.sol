@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title RebasingTokenMock
+ * @notice ERC20 whose balances are shares scaled by a global index (like stETH or
+ * aTokens): `rebase` changes every holder's balance without a transfer
+ */
+contract RebasingTokenMock is ERC20 {
+    uint256 private constant ONE = 1e18;
+
+    /// Balance of one share, scaled by 1e18
+    uint256 public index = ONE;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        address initialAccount,
+        uint256 initialBalance
+    ) ERC20(name, symbol) {
+        _mint(initialAccount, initialBalance);
+    }
+
+    /**
+     * @notice Scale every balance
+     * @param newIndex Balance of one share, scaled by 1e18 (e.g. 1.1e18 for +10%)
+     */
+    function rebase(uint256 newIndex) external {
+        require(newIndex > 0, "Invalid index");
+        index = newIndex;
+    }
+
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+
+    function sharesOf(address account) public view returns (uint256) {
+        return super.balanceOf(account);
+    }
+
+    function balanceOf(address account) public view override returns (uint256) {
+        return (sharesOf(account) * index) / ONE;
+    }
+
+    function totalSupply() public view override returns (uint256) {
+        return (super.totalSupply() * index) / ONE;
+    }
+
+    // Amounts are converted to shares, rounding down like stETH transfers do
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, (value * ONE) / index);
+    }
+}
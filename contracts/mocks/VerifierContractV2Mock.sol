@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../VerifierContract.sol";
+
+/**
+ * @title VerifierContractV2Mock
+ * @notice VerifierContract with a variable and functions appended, as a compatible upgrade
+ */
+contract VerifierContractV2Mock is VerifierContract {
+    /// New state, stored after every VerifierContract variable
+    uint256 public upgradeCounter;
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    function incrementUpgradeCounter() external {
+        upgradeCounter++;
+    }
+}
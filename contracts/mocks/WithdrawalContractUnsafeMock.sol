@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../DepositContract.sol";
+import "../VerifierContract.sol";
+import "../utils/ZkClearAccess.sol";
+
+/**
+ * @title WithdrawalContractUnsafeMock
+ * @notice Declares WithdrawalContract's variables in the opposite order, as an
+ * upgrade that would corrupt its storage
+ */
+contract WithdrawalContractUnsafeMock is ZkClearAccess {
+    DepositContract public depositContract;
+
+    VerifierContract public verifier;
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title ZkClearProxy
+ * @notice ERC1967 proxy every ZKClear contract is deployed behind
+ * @dev The implementations are UUPS (see ZkClearAccess): the upgrade logic
+ * lives in the implementation, so the proxy only forwards calls. A subclass
+ * rather than ERC1967Proxy itself, so every proxy shares one named artifact.
+ */
+contract ZkClearProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlEnumerableUpgradeable.sol";
+
+/**
+ * @title AccessControlMembers
+ * @notice Enumerable access control that can list a role's members in one call
+ * @dev OpenZeppelin only ships getRoleMembers from 5.1, whose proxies need
+ * solc >= 0.8.21; this keeps the same view on 5.0.
+ */
+abstract contract AccessControlMembers is AccessControlEnumerableUpgradeable {
+    /**
+     * @notice Every account holding a role
+     * @param role Role ID
+     * @return members Members, in enumeration order
+     */
+    function getRoleMembers(bytes32 role) public view returns (address[] memory members) {
+        members = new address[](getRoleMemberCount(role));
+        for (uint256 i = 0; i < members.length; i++) {
+            members[i] = getRoleMember(role, i);
+        }
+    }
+}
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./AccessControlMembers.sol";
+
+/**
+ * @title ZkClearAccess
+ * @notice Roles shared by the ZKClear contracts, plus the guardian's emergency stop
+ * and admin-authorized UUPS upgrades
+ * @dev DEFAULT_ADMIN_ROLE administers every role, so the admin can always
+ * rotate or revoke sequencers, guardians, asset managers and treasurers; each role can
+ * have several members. A guardian (or the admin) can pause; only the
+ * admin can unpause, so a compromised guardian key can freeze the contract but
+ * never resume it. Inheriting contracts decide which functions are guarded by
+ * whenNotPaused and which roles they use.
+ *
+ * Operations that could take users' funds (moving funds out, swapping the
+ * contracts or verifying keys that check proofs, upgrades) need TIMELOCK_ROLE
+ * instead, held by the ZkClearTimelock. TIMELOCK_ROLE administers itself, so
+ * the admin can neither grant it nor take it away from the timelock. Funds
+ * moved out of the vault can only go to a treasurer.
+ *
+ * The contracts run behind ERC1967 proxies: implementations are initialized
+ * through initialize() instead of a constructor, and only TIMELOCK_ROLE can
+ * upgrade them. Inherited OpenZeppelin state lives in ERC-7201 namespaced
+ * slots, so the linear storage of each contract only holds its own variables;
+ * scripts/upgrade.js refuses upgrades that move or retype any of them.
+ */
+abstract contract ZkClearAccess is AccessControlMembers, PausableUpgradeable, UUPSUpgradeable {
+    /// Submits block proofs (VerifierContract)
+    bytes32 public constant SEQUENCER_ROLE = keccak256("SEQUENCER_ROLE");
+
+    /// Pauses the contract in an emergency
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// Registers assets and manages their deposit limits (DepositContract)
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");
+
+    /// Receives funds moved out of the vault outside of withdrawals (DepositContract)
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /// Runs the timelocked operations (the ZkClearTimelock once deployed)
+    bytes32 public constant TIMELOCK_ROLE = keccak256("TIMELOCK_ROLE");
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // Implementations are only ever used through a proxy
+        _disableInitializers();
+    }
+
+    /**
+     * @dev The admin also starts with TIMELOCK_ROLE to finish the deployment,
+     * then hands it to the timelock (see tasks/roles.js)
+     * @param admin Initial holder of DEFAULT_ADMIN_ROLE and TIMELOCK_ROLE
+     */
+    function __ZkClearAccess_init(address admin) internal onlyInitializing {
+        __AccessControlEnumerable_init();
+        __Pausable_init();
+        _setRoleAdmin(TIMELOCK_ROLE, TIMELOCK_ROLE);
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(TIMELOCK_ROLE, admin);
+    }
+
+    /**
+     * @notice Pause the contract (guardian or admin)
+     */
+    function pause() external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender) && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, GUARDIAN_ROLE);
+        }
+        _pause();
+    }
+
+    /**
+     * @notice Resume the contract (admin only)
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /// Upgrades are timelocked (see upgradeToAndCall)
+    function _authorizeUpgrade(address) internal override onlyRole(TIMELOCK_ROLE) {}
+}
@@ -1,5 +1,10 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/assets");
+require("./tasks/roles");
+require("./tasks/timelock");
+require("./tasks/verifying-key");
+require("./tasks/verify");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
@@ -18,6 +23,13 @@ module.exports = {
         runs: 200,
       },
       viaIR: true, // Enable IR-based code generation to handle stack too deep
+      outputSelection: {
+        "*": {
+          // Hardhat's defaults plus the storage layout checked by scripts/upgrade.js
+          "*": ["abi", "evm.bytecode", "evm.deployedBytecode", "evm.methodIdentifiers", "metadata", "storageLayout"],
+          "": ["ast"],
+        },
+      },
     },
   },
   networks: {
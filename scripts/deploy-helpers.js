@@ -1,13 +1,288 @@
 // Shared deployment logic for all scripts
 
 const hre = require("hardhat");
+const fs = require("fs");
+const { manifestPath, readManifest, writeManifest } = require("../sdk/manifest");
+const { ROLES } = require("../sdk/roles");
+const { getExplorer } = require("../tasks/verify");
+const { rolesConfigPath, readRolesConfig, resolveRoles, syncRoles } = require("../tasks/roles");
+const {
+  TIMELOCK_KEY,
+  TIMELOCK_CONTRACT,
+  timelockConfigPath,
+  readTimelockConfig,
+  resolveTimelockConfig,
+} = require("../tasks/timelock");
+const { storageLayout } = require("./storage-layout");
+
+/// ERC1967 proxy the upgradeable contracts are deployed behind
+const PROXY_CONTRACT = "ZkClearProxy";
+
+/// ERC1967 storage slot holding a proxy's implementation address
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Compiler settings a contract was built with
+ * @param {string} contractName - Contract name
+ * @returns {Promise<Object>} Compiler version, optimizer, viaIR and evmVersion
+ */
+async function compilerSettings(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const { optimizer, viaIR = false, evmVersion } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcLongVersion,
+    optimizer,
+    viaIR,
+    evmVersion,
+  };
+}
+
+/**
+ * Deploy a contract, or reuse the one recorded in the manifest
+ *
+ * A manifest entry is reused when code exists at its address, the bytecode hash
+ * matches the current artifact and it was deployed with the same constructor
+ * arguments. Entries without code (e.g. a restarted local node) or with
+ * different constructor arguments (a dependency was redeployed) are replaced.
+ *
+ * @param {Object} manifest - Manifest being built (updated and written in place)
+ * @param {string} key - Manifest key (deposit, groth16Verifier, verifier, withdrawal)
+ * @param {string} contractName - Contract name
+ * @param {Array} constructorArgs - Constructor arguments
+ * @param {Object} options
+ * @param {string} [options.dir] - Manifest directory
+ * @param {Function} options.log - Logger
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function deployOrResume(manifest, key, contractName, constructorArgs, { dir, log }) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+  const entry = manifest.contracts[key];
+
+  if (entry) {
+    const code = await hre.ethers.provider.getCode(entry.address);
+    if (code === "0x") {
+      log(`${contractName} from manifest has no code at ${entry.address}, redeploying`);
+    } else if (entry.bytecodeHash !== bytecodeHash) {
+      throw new Error(
+        `${contractName} at ${entry.address} was deployed from different bytecode. ` +
+        `Remove "${key}" from ${manifestPath(manifest.chainId, dir)} to redeploy it.`
+      );
+    } else if (JSON.stringify(entry.constructorArgs) !== JSON.stringify(constructorArgs)) {
+      log(`${contractName} at ${entry.address} has outdated constructor arguments, redeploying`);
+    } else {
+      log(`${contractName} already deployed at: ${entry.address}`);
+      return hre.ethers.getContractAt(contractName, entry.address);
+    }
+  }
+
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const contract = await factory.deploy(...constructorArgs);
+  await contract.waitForDeployment();
+  const receipt = await contract.deploymentTransaction().wait();
+
+  manifest.contracts[key] = {
+    contract: contractName,
+    address: await contract.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    constructorArgs,
+    bytecodeHash,
+    compiler: await compilerSettings(contractName),
+  };
+  writeManifest(manifest, { dir });
+  log(`${contractName} deployed to: ${manifest.contracts[key].address}`);
+
+  return contract;
+}
+
+/**
+ * Implementation a proxy currently delegates to
+ * @param {string} proxyAddress - Proxy address
+ * @returns {Promise<string>} Implementation address (checksummed)
+ */
+async function implementationAddress(proxyAddress) {
+  const value = await hre.ethers.provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+/**
+ * Deploy the implementation of an upgradeable contract
+ * @param {string} contractName - Contract name
+ * @param {import("ethers").Signer} [signer] - Deployer (defaults to the first signer)
+ * @returns {Promise<Object>} Manifest record: address, txHash, blockNumber, bytecodeHash, compiler and storageLayout
+ */
+async function deployImplementation(contractName, signer) {
+  const factory = await hre.ethers.getContractFactory(contractName, signer);
+  const implementation = await factory.deploy();
+  await implementation.waitForDeployment();
+  const receipt = await implementation.deploymentTransaction().wait();
+
+  return {
+    address: await implementation.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    bytecodeHash: hre.ethers.keccak256(factory.bytecode),
+    compiler: await compilerSettings(contractName),
+    storageLayout: await storageLayout(contractName),
+  };
+}
+
+// Deploy an implementation and a proxy initialized with initialize(...initArgs)
+async function sendProxyDeployment(contractName, initArgs, signer) {
+  const implementation = await deployImplementation(contractName, signer);
+  const factory = await hre.ethers.getContractFactory(contractName, signer);
+  const initData = factory.interface.encodeFunctionData("initialize", initArgs);
+
+  const proxyFactory = await hre.ethers.getContractFactory(PROXY_CONTRACT, signer);
+  const proxy = await proxyFactory.deploy(implementation.address, initData);
+  await proxy.waitForDeployment();
+  const receipt = await proxy.deploymentTransaction().wait();
+
+  // The proxy's deployment is the contract's: initialize() ran in it
+  const contract = new hre.ethers.Contract(
+    await proxy.getAddress(),
+    factory.interface,
+    factory.runner,
+    proxy.deploymentTransaction()
+  );
+  return {
+    contract,
+    receipt,
+    implementation,
+    constructorArgs: [implementation.address, initData],
+  };
+}
+
+/**
+ * Deploy an upgradeable contract behind a ZkClearProxy
+ *
+ * The implementation is deployed first, then the proxy, which calls
+ * initialize(...initArgs) in its constructor so nobody can initialize it in
+ * between.
+ *
+ * @param {string} contractName - Contract name
+ * @param {Array} [initArgs=[]] - initialize() arguments
+ * @param {Object} [options]
+ * @param {import("ethers").Signer} [options.signer] - Deployer (defaults to the first signer)
+ * @returns {Promise<import("ethers").Contract>} The proxy, with the implementation's ABI
+ */
+async function deployProxy(contractName, initArgs = [], { signer } = {}) {
+  const { contract } = await sendProxyDeployment(contractName, initArgs, signer);
+  return contract;
+}
+
+/**
+ * Deploy an upgradeable contract behind a proxy, or reuse the one recorded in the manifest
+ *
+ * Like deployOrResume, but the proxy is reused when it was initialized with
+ * the same arguments and still runs the recorded implementation, built from
+ * the current artifact. A proxy running older code is not redeployed: it
+ * keeps its state and is meant to be upgraded (see scripts/upgrade.js).
+ *
+ * The entry records the proxy (address, txHash, blockNumber, and the proxy's
+ * own constructorArgs for verification), initArgs, and the implementation.
+ *
+ * @param {Object} manifest - Manifest being built (updated and written in place)
+ * @param {string} key - Manifest key (deposit, groth16Verifier, verifier, withdrawal)
+ * @param {string} contractName - Contract name
+ * @param {Array} initArgs - initialize() arguments
+ * @param {Object} options
+ * @param {string} [options.dir] - Manifest directory
+ * @param {Function} options.log - Logger
+ * @returns {Promise<import("ethers").Contract>}
+ */
+async function deployProxyOrResume(manifest, key, contractName, initArgs, { dir, log }) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+  const entry = manifest.contracts[key];
+  const manifestFile = manifestPath(manifest.chainId, dir);
+
+  if (entry) {
+    const code = await hre.ethers.provider.getCode(entry.address);
+    if (code === "0x") {
+      log(`${contractName} from manifest has no code at ${entry.address}, redeploying`);
+    } else if (!entry.implementation) {
+      throw new Error(
+        `${contractName} at ${entry.address} was deployed without a proxy. ` +
+          `Remove "${key}" from ${manifestFile} to redeploy it behind one.`
+      );
+    } else if (JSON.stringify(entry.initArgs) !== JSON.stringify(initArgs)) {
+      log(`${contractName} at ${entry.address} has outdated initializer arguments, redeploying`);
+    } else if (entry.contract !== contractName || entry.implementation.bytecodeHash !== bytecodeHash) {
+      throw new Error(
+        `${entry.contract} at ${entry.address} runs an implementation built from different bytecode. ` +
+          `Upgrade it with "npm run upgrade -- --network ${hre.network.name}", ` +
+          `or remove "${key}" from ${manifestFile} to redeploy it.`
+      );
+    } else if ((await implementationAddress(entry.address)) !== entry.implementation.address) {
+      const pending = entry.pendingImplementation;
+      if (pending && (await implementationAddress(entry.address)) === pending.address) {
+        throw new Error(
+          `${contractName} at ${entry.address} runs the implementation of a timelocked upgrade ` +
+            `(${pending.address}). Record it with "npm run upgrade -- --network ${hre.network.name}" first.`
+        );
+      }
+      throw new Error(
+        `${contractName} at ${entry.address} no longer runs the implementation recorded in ${manifestFile} ` +
+          `(${entry.implementation.address}); it was upgraded outside scripts/upgrade.js.`
+      );
+    } else {
+      log(`${contractName} already deployed at: ${entry.address}`);
+      return hre.ethers.getContractAt(contractName, entry.address);
+    }
+  }
+
+  const { contract, receipt, implementation, constructorArgs } = await sendProxyDeployment(contractName, initArgs);
+
+  manifest.contracts[key] = {
+    contract: contractName,
+    address: await contract.getAddress(),
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    initArgs,
+    constructorArgs,
+    implementation,
+  };
+  writeManifest(manifest, { dir });
+  log(`${contractName} deployed to: ${manifest.contracts[key].address} (implementation ${implementation.address})`);
+
+  return contract;
+}
+
+// Timelocked setup calls only work until the deployment hands TIMELOCK_ROLE
+// to the timelock; after that, changing a link has to be proposed
+async function requireTimelockRole(contract, key, method, args, deployer) {
+  if (!(await contract.hasRole(ROLES.timelock, deployer))) {
+    throw new Error(
+      `${method} on ${await contract.getAddress()} is timelocked and ${deployer} no longer holds the timelock role. ` +
+        `Propose it with: npx hardhat zkclear:timelock:propose --network ${hre.network.name} ` +
+        `--contract ${key} --method ${method} --args '${JSON.stringify(args)}'`
+    );
+  }
+}
 
 /**
  * Deploy all ZKClear contracts to the current network
+ *
+ * Progress is recorded in the network's deployment manifest after every
+ * contract, and contracts already in the manifest are reused, so re-running
+ * after a failure resumes where it stopped.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory (defaults to deployments/)
+ * @param {Object} [options.roles] - Roles config (see tasks/roles.js); defaults to
+ * config/roles/<network>.json, or the deployer holding every role but guardian
+ * if the network has no config
+ * @param {Object} [options.timelock] - Timelock config (see tasks/timelock.js); defaults to
+ * config/timelock/<network>.json, or a two-day delay with the admin as proposer
+ * @param {Function} [options.log=console.log] - Logger
  * @returns {Promise<Object>} Deployment addresses and metadata
  */
-async function deployContracts() {
-  const chainId = await hre.ethers.provider.getNetwork().then((n) => Number(n.chainId));
+async function deployContracts({ dir, roles, timelock, log = console.log } = {}) {
+  const network = await hre.ethers.provider.getNetwork();
+  const chainId = Number(network.chainId);
   const signers = await hre.ethers.getSigners();
   
   if (!signers || signers.length === 0) {
@@ -26,43 +301,148 @@ async function deployContracts() {
     );
   }
 
-  console.log(`Deploying to chain ID: ${chainId}`);
-  console.log("Deploying contracts with account:", deployer.address);
-  console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+  log(`Deploying to chain ID: ${chainId}`);
+  log("Deploying contracts with account:", deployer.address);
+  log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
+
+  const existing = readManifest(chainId, { dir });
+  if (existing && existing.deployer !== deployer.address) {
+    throw new Error(
+      `Manifest ${manifestPath(chainId, dir)} was deployed by ${existing.deployer}, not ${deployer.address}`
+    );
+  }
+  const manifest = {
+    chainId,
+    network: hre.network.name,
+    deployer: deployer.address,
+    contracts: existing ? existing.contracts : {},
+  };
+
+  if (!roles) {
+    const configPath = rolesConfigPath(hre.network.name);
+    roles = fs.existsSync(configPath) ? readRolesConfig(configPath) : {};
+  }
+  roles = resolveRoles(roles, deployer.address);
+
+  if (!timelock) {
+    const configPath = timelockConfigPath(hre.network.name);
+    timelock = fs.existsSync(configPath) ? readTimelockConfig(configPath) : {};
+  }
+  timelock = resolveTimelockConfig(timelock, deployer.address, roles.admin);
+
+  const options = { dir, log };
+
+  // Deploy the timelock first: the contracts hand it TIMELOCK_ROLE at the end
+  const timelockArgs = [timelock.minDelay, timelock.proposers, timelock.executors];
+  const timelockEntry = manifest.contracts[TIMELOCK_KEY];
+  if (
+    timelockEntry &&
+    JSON.stringify(timelockEntry.constructorArgs) !== JSON.stringify(timelockArgs) &&
+    (await hre.ethers.provider.getCode(timelockEntry.address)) !== "0x"
+  ) {
+    throw new Error(
+      `${TIMELOCK_CONTRACT} at ${timelockEntry.address} was deployed with a different delay or proposers. ` +
+        "They can only change through the timelock itself: propose updateDelay, grantRole or revokeRole " +
+        "with zkclear:timelock:propose --contract timelock, then update the config to match."
+    );
+  }
+  const timelockContract = await deployOrResume(manifest, TIMELOCK_KEY, TIMELOCK_CONTRACT, timelockArgs, options);
+  const timelockAddress = await timelockContract.getAddress();
 
   // Deploy DepositContract
-  const DepositContract = await hre.ethers.getContractFactory("DepositContract");
-  const depositContract = await DepositContract.deploy();
-  await depositContract.waitForDeployment();
+  const depositContract = await deployProxyOrResume(
+    manifest,
+    "deposit",
+    "DepositContract",
+    [deployer.address], // admin
+    options
+  );
   const depositAddress = await depositContract.getAddress();
-  console.log("DepositContract deployed to:", depositAddress);
 
   // Deploy Groth16Verifier (can be set later with verifying key)
-  const Groth16Verifier = await hre.ethers.getContractFactory("Groth16Verifier");
-  const groth16Verifier = await Groth16Verifier.deploy();
-  await groth16Verifier.waitForDeployment();
+  const groth16Verifier = await deployProxyOrResume(
+    manifest,
+    "groth16Verifier",
+    "Groth16Verifier",
+    [deployer.address], // admin
+    options
+  );
   const groth16VerifierAddress = await groth16Verifier.getAddress();
-  console.log("Groth16Verifier deployed to:", groth16VerifierAddress);
 
   // Deploy VerifierContract
-  const VerifierContract = await hre.ethers.getContractFactory("VerifierContract");
   const initialStateRoot = hre.ethers.ZeroHash; // Will be updated after first block
-  const verifierContract = await VerifierContract.deploy(
-    deployer.address, // sequencer
-    initialStateRoot,
-    deployer.address, // owner
-    groth16VerifierAddress // groth16Verifier
+  const verifierContract = await deployProxyOrResume(
+    manifest,
+    "verifier",
+    "VerifierContract",
+    [
+      deployer.address, // initial sequencer (the roles config is applied below)
+      initialStateRoot,
+      deployer.address, // admin
+      groth16VerifierAddress, // groth16Verifier
+    ],
+    options
   );
-  await verifierContract.waitForDeployment();
   const verifierAddress = await verifierContract.getAddress();
-  console.log("VerifierContract deployed to:", verifierAddress);
 
   // Deploy WithdrawalContract
-  const WithdrawalContract = await hre.ethers.getContractFactory("WithdrawalContract");
-  const withdrawalContract = await WithdrawalContract.deploy(verifierAddress, deployer.address);
-  await withdrawalContract.waitForDeployment();
+  const withdrawalContract = await deployProxyOrResume(
+    manifest,
+    "withdrawal",
+    "WithdrawalContract",
+    [verifierAddress, deployer.address],
+    options
+  );
   const withdrawalAddress = await withdrawalContract.getAddress();
-  console.log("WithdrawalContract deployed to:", withdrawalAddress);
+
+  // Blocks consume DepositContract's deposit queue (set once per VerifierContract)
+  const queueAddress = await verifierContract.depositContract();
+  if (queueAddress === hre.ethers.ZeroAddress) {
+    await (await verifierContract.setDepositContract(depositAddress)).wait();
+  } else if (queueAddress !== depositAddress) {
+    throw new Error(
+      `VerifierContract at ${verifierAddress} already consumes the deposit queue of ${queueAddress}; ` +
+        "remove the verifier entry from the manifest to redeploy it"
+    );
+  }
+  log("Linked VerifierContract to the DepositContract deposit queue");
+
+  // Link the vault and WithdrawalContract so proven withdrawals are paid out
+  if ((await depositContract.withdrawalContract()) !== withdrawalAddress) {
+    const args = [withdrawalAddress];
+    await requireTimelockRole(depositContract, "deposit", "setWithdrawalContract", args, deployer.address);
+    await (await depositContract.setWithdrawalContract(withdrawalAddress)).wait();
+  }
+  if ((await withdrawalContract.depositContract()) !== depositAddress) {
+    const args = [depositAddress];
+    await requireTimelockRole(withdrawalContract, "withdrawal", "setDepositContract", args, deployer.address);
+    await (await withdrawalContract.setDepositContract(depositAddress)).wait();
+  }
+  log("Linked DepositContract and WithdrawalContract");
+
+  // Allow WithdrawalContract to mark nullifiers on VerifierContract
+  if (!(await verifierContract.withdrawalContracts(withdrawalAddress))) {
+    const args = [withdrawalAddress];
+    await requireTimelockRole(verifierContract, "verifier", "addWithdrawalContract", args, deployer.address);
+    await (await verifierContract.addWithdrawalContract(withdrawalAddress)).wait();
+  }
+  log("Authorized WithdrawalContract on VerifierContract");
+
+  // Hand the roles to the configured accounts and TIMELOCK_ROLE to the timelock;
+  // the deployer's admin role goes last
+  roles = { ...roles, timelock: timelockAddress };
+  await syncRoles(
+    {
+      deposit: depositContract,
+      groth16Verifier: groth16Verifier,
+      verifier: verifierContract,
+      withdrawal: withdrawalContract,
+    },
+    roles,
+    { log }
+  );
+  log("Roles assigned, admin:", roles.admin);
+  log("Timelocked operations go through:", timelockAddress);
 
   return {
     chainId,
@@ -71,80 +451,50 @@ async function deployContracts() {
     groth16VerifierAddress,
     verifierAddress,
     withdrawalAddress,
+    timelockAddress,
+    manifest,
+    manifestPath: manifestPath(chainId, dir),
+    roles,
+    timelock,
     contracts: {
       deposit: depositContract,
       groth16Verifier: groth16Verifier,
       verifier: verifierContract,
       withdrawal: withdrawalContract,
+      timelock: timelockContract,
     },
   };
 }
 
 /**
- * Verify contracts on block explorer (Ethereum only)
+ * Verify contracts on the block explorer, if the network has one configured
  * @param {Object} deployment - Deployment result from deployContracts()
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
  */
-async function verifyContracts(deployment) {
-  const verifiableChains = [1]; // Only Ethereum for now
-  if (!verifiableChains.includes(deployment.chainId)) {
+async function verifyContracts(deployment, { dir } = {}) {
+  if (!(await getExplorer(hre))) {
+    console.log(`\nNo block explorer configured for chain ID ${deployment.chainId}, skipping verification`);
     return;
   }
 
-  console.log("\nWaiting for block confirmations...");
-  const { contracts } = deployment;
-
-  if (contracts.deposit.deploymentTransaction()) {
-    await contracts.deposit.deploymentTransaction().wait(5);
-  }
-  if (contracts.verifier.deploymentTransaction()) {
-    await contracts.verifier.deploymentTransaction().wait(5);
-  }
-  if (contracts.withdrawal.deploymentTransaction()) {
-    await contracts.withdrawal.deploymentTransaction().wait(5);
-  }
-
   console.log("\nVerifying contracts on block explorer...");
-
-  const initialStateRoot = hre.ethers.ZeroHash;
-
-  try {
-    await hre.run("verify:verify", {
-      address: deployment.depositAddress,
-      constructorArguments: [],
-    });
-  } catch (error) {
-    console.log("Error verifying DepositContract:", error.message);
-  }
-
-  try {
-    await hre.run("verify:verify", {
-      address: deployment.groth16VerifierAddress,
-      constructorArguments: [],
-    });
-  } catch (error) {
-    console.log("Error verifying Groth16Verifier:", error.message);
-  }
-
-  try {
-    await hre.run("verify:verify", {
-      address: deployment.verifierAddress,
-      constructorArguments: [deployment.deployer, initialStateRoot, deployment.deployer, deployment.groth16VerifierAddress],
-    });
-  } catch (error) {
-    console.log("Error verifying VerifierContract:", error.message);
-  }
-
   try {
-    await hre.run("verify:verify", {
-      address: deployment.withdrawalAddress,
-      constructorArguments: [deployment.verifierAddress, deployment.deployer],
-    });
+    await hre.run("zkclear:verify", { deployments: dir });
   } catch (error) {
-    console.log("Error verifying WithdrawalContract:", error.message);
+    console.log(error.message);
+    console.log(`Retry with: npx hardhat zkclear:verify --network ${hre.network.name}`);
   }
 }
 
 module.exports = {
+  PROXY_CONTRACT,
+  compilerSettings,
+  implementationAddress,
+  deployImplementation,
+  deployProxy,
+  deployOrResume,
+  deployProxyOrResume,
   deployContracts,
   verifyContracts,
 };
@@ -16,28 +16,18 @@ async function main() {
   console.log("  Groth16Verifier:", deployment.groth16VerifierAddress);
   console.log("  VerifierContract:", deployment.verifierAddress);
   console.log("  WithdrawalContract:", deployment.withdrawalAddress);
+  console.log("  ZkClearTimelock:", deployment.timelockAddress);
 
   console.log("\n=== Next Steps ===");
   console.log("1. Set verifying key in Groth16Verifier:");
-  console.log(`   GROTH16_VERIFIER_ADDRESS=${deployment.groth16VerifierAddress} npx hardhat run scripts/set-verifying-key.js --network hardhat`);
+  console.log(
+    `   npx hardhat zkclear:set-vk --network <network> --address ${deployment.groth16VerifierAddress} --file <verifying key>`
+  );
+  console.log("   (exported from a circuit with the 33 block public inputs, see README)");
   console.log("\n2. Run tests:");
   console.log("   npx hardhat test");
 
-  // Save addresses to file for easy access
-  const fs = require("fs");
-  const addresses = {
-    chainId: deployment.chainId,
-    deployer: deployment.deployer,
-    deposit: deployment.depositAddress,
-    groth16Verifier: deployment.groth16VerifierAddress,
-    verifier: deployment.verifierAddress,
-    withdrawal: deployment.withdrawalAddress,
-  };
-  fs.writeFileSync(
-    "deployment-addresses.json",
-    JSON.stringify(addresses, null, 2)
-  );
-  console.log("\n✅ Addresses saved to deployment-addresses.json");
+  console.log(`\n✅ Deployment manifest saved to ${deployment.manifestPath}`);
 }
 
 main()
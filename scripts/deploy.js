@@ -6,9 +6,12 @@ async function main() {
   console.log("\n=== Deployment Summary ===");
   console.log("Chain ID:", deployment.chainId);
   console.log("DepositContract:", deployment.depositAddress);
+  console.log("Groth16Verifier:", deployment.groth16VerifierAddress);
   console.log("VerifierContract:", deployment.verifierAddress);
   console.log("WithdrawalContract:", deployment.withdrawalAddress);
+  console.log("ZkClearTimelock:", deployment.timelockAddress, `(${deployment.timelock.minDelay}s delay)`);
   console.log("Deployer:", deployment.deployer);
+  console.log("Manifest:", deployment.manifestPath);
 
   await verifyContracts(deployment);
 }
@@ -0,0 +1,367 @@
+// Local devnet bootstrap: contracts, test tokens, funded accounts, a
+// verifying key and a few proven blocks, plus an env file for the sequencer
+// and frontend
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { deployContracts, deployOrResume } = require("./deploy-helpers");
+const { syncAssets } = require("../tasks/assets");
+const { ZkClearClient } = require("../sdk/client");
+const { G1, G2 } = require("../sdk/bn254");
+const { encodeProof } = require("../sdk/encoding");
+const { StateTree } = require("../sdk/merkle");
+const { writeManifest } = require("../sdk/manifest");
+const { PERMIT2_ADDRESS } = require("../sdk/permits");
+const { ROLES } = require("../sdk/roles");
+const { scheduleCall, executeOperation } = require("../tasks/timelock");
+const { MIN_GAMMA_ABC_LENGTH, hashVerifyingKey, parseVerifyingKey, toContractArgs } = require("../sdk/verifying-key");
+
+const DEFAULT_ENV_FILE = path.join(__dirname, "..", ".env.devnet");
+
+/// Mnemonic of the default Hardhat accounts (public, devnet only)
+const HARDHAT_MNEMONIC = "test test test test test test test test test test test junk";
+
+/// Chain ID of the Hardhat network and `npx hardhat node`
+const DEVNET_CHAIN_ID = 31337n;
+
+/// Networks accepted as local whatever their chain ID
+const DEVNET_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_TOKENS = [
+  { symbol: "USDC", name: "USD Coin (devnet)" },
+  { symbol: "WETH", name: "Wrapped Ether (devnet)" },
+  { symbol: "DAI", name: "Dai Stablecoin (devnet)" },
+];
+
+const ACCOUNT_FUNDING = hre.ethers.parseEther("10000");
+const SAMPLE_DEPOSIT = hre.ethers.parseEther("100");
+
+function g1ToEvm(point) {
+  return { X: hre.ethers.toBeHex(point.x, 32), Y: hre.ethers.toBeHex(point.y, 32) };
+}
+
+function g2ToEvm(point) {
+  return {
+    X: [hre.ethers.toBeHex(point.x[1], 32), hre.ethers.toBeHex(point.x[0], 32)],
+    Y: [hre.ethers.toBeHex(point.y[1], 32), hre.ethers.toBeHex(point.y[0], 32)],
+  };
+}
+
+// The devnet registers mock tokens as assets and loads a key that accepts
+// every proof: refuse anything but a local node before touching the chain
+async function requireLocalNetwork() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (chainId !== DEVNET_CHAIN_ID && !DEVNET_NETWORKS.includes(hre.network.name)) {
+    throw new Error(
+      `Refusing to bootstrap a devnet on the ${hre.network.name} network (chain ${chainId}): ` +
+        `it only runs on a local node (${DEVNET_NETWORKS.join(" or ")}, or chain ${DEVNET_CHAIN_ID})`
+    );
+  }
+}
+
+/**
+ * Insecure verifying key for local devnets
+ *
+ * gamma_abc is (G1, 0, ..., 0), so the input commitment is G1 whatever the
+ * public inputs, and with alpha = G1, beta = gamma = delta = G2 the proof
+ * A = 3 G1, B = G2, C = G1 (devnetBlockProof) verifies every block. Never
+ * load it on a public network.
+ *
+ * @returns {Object} Canonical verifying key
+ */
+function devnetVerifyingKey() {
+  const zero = { X: hre.ethers.ZeroHash, Y: hre.ethers.ZeroHash };
+  return {
+    alpha: g1ToEvm(G1.generator),
+    beta: g2ToEvm(G2.generator),
+    gamma: g2ToEvm(G2.generator),
+    delta: g2ToEvm(G2.generator),
+    gammaAbc: [g1ToEvm(G1.generator), ...new Array(MIN_GAMMA_ABC_LENGTH - 1).fill(zero)],
+  };
+}
+
+/**
+ * Block proof accepted by devnetVerifyingKey for any block
+ * @returns {string} Serialized proof
+ */
+function devnetBlockProof() {
+  return encodeProof({
+    a: g1ToEvm(G1.mul(G1.generator, 3n)),
+    b: g2ToEvm(G2.generator),
+    c: g1ToEvm(G1.generator),
+  });
+}
+
+// Private key of a signer if it is one of the default Hardhat accounts
+function hardhatPrivateKey(address, index) {
+  const wallet = hre.ethers.HDNodeWallet.fromPhrase(HARDHAT_MNEMONIC, undefined, `m/44'/60'/0'/0/${index}`);
+  return wallet.address === address ? wallet.privateKey : undefined;
+}
+
+/**
+ * Deploy a token per entry and register it under consecutive asset IDs from 1,
+ * with native ETH under the next ID
+ * @returns {Promise<{assets: Array<{assetId: number, symbol: string, name: string, address: string, contract: Object}>, nativeAssetId: number}>}
+ */
+async function deployTokens(manifest, depositContract, deployer, tokens, { dir, log }) {
+  const assets = [];
+  for (const [i, { symbol, name }] of tokens.entries()) {
+    const assetId = i + 1;
+    const token = await deployOrResume(
+      manifest,
+      `token${symbol}`,
+      "ERC20Mock",
+      [name, symbol, deployer.address, "0"],
+      { dir, log }
+    );
+    assets.push({ assetId, symbol, name, address: await token.getAddress(), contract: token });
+  }
+
+  const nativeAssetId = assets.length + 1;
+  await syncAssets(
+    depositContract,
+    {
+      native: { assetId: nativeAssetId },
+      assets: assets.map(({ assetId, symbol, address }) => ({ assetId, symbol, token: address })),
+    },
+    { log }
+  );
+  return { assets, nativeAssetId };
+}
+
+// Top up every account to ACCOUNT_FUNDING of every token
+async function fundAccounts(accounts, assets, log) {
+  for (const { symbol, contract } of assets) {
+    for (const account of accounts) {
+      const balance = await contract.balanceOf(account.address);
+      if (balance < ACCOUNT_FUNDING) {
+        await (await contract.mint(account.address, ACCOUNT_FUNDING - balance)).wait();
+      }
+    }
+    log(`Funded ${accounts.length} accounts with ${hre.ethers.formatEther(ACCOUNT_FUNDING)} ${symbol}`);
+  }
+}
+
+// Set the key unless it is already the active one; returns whether it is the devnet key.
+// Setting a key is timelocked, so once the timelock holds TIMELOCK_ROLE the key is
+// proposed there and the local chain fast-forwarded past the delay to execute it.
+async function loadVerifyingKey({ groth16Verifier, timelock }, deployer, verifyingKeyFile, log) {
+  const key = verifyingKeyFile
+    ? parseVerifyingKey(fs.readFileSync(verifyingKeyFile, "utf-8")).key
+    : devnetVerifyingKey();
+  const keyHash = hashVerifyingKey(key);
+
+  if ((await groth16Verifier.keyHash()) !== keyHash) {
+    if (await groth16Verifier.hasRole(ROLES.timelock, deployer.address)) {
+      await (await groth16Verifier.setVerifyingKey(...toContractArgs(key))).wait();
+    } else {
+      const data = groth16Verifier.interface.encodeFunctionData("setVerifyingKey", toContractArgs(key));
+      const operation = await scheduleCall(timelock, { target: await groth16Verifier.getAddress(), data });
+      await hre.network.provider.send("evm_increaseTime", [Number(await timelock.getMinDelay())]);
+      await hre.network.provider.send("evm_mine");
+      await executeOperation(timelock, operation);
+    }
+  }
+  log(`Verifying key ${keyHash} active (${verifyingKeyFile || "insecure devnet key"})`);
+  return { keyHash, devnetKey: !verifyingKeyFile };
+}
+
+// Install Permit2Mock at the canonical Permit2 address so depositWithPermit2 works locally
+async function installPermit2(log) {
+  if ((await hre.ethers.provider.getCode(PERMIT2_ADDRESS)) !== "0x") {
+    return;
+  }
+  const permit2 = await hre.ethers.deployContract("Permit2Mock");
+  const code = await hre.ethers.provider.getCode(await permit2.getAddress());
+  await hre.network.provider.send("hardhat_setCode", [PERMIT2_ADDRESS, code]);
+  log(`Installed Permit2Mock at ${PERMIT2_ADDRESS}`);
+}
+
+/**
+ * Make one deposit per block and prove blocks consuming them
+ *
+ * Block i consumes deposit i - 1 (SAMPLE_DEPOSIT of asset (i - 1) mod n by
+ * account (i - 1) mod m). State roots are StateTree roots over the credited
+ * balances, withdrawals roots are empty.
+ */
+async function submitSampleBlocks(deployment, accounts, assets, blockCount, log) {
+  const addresses = {
+    deposit: deployment.depositAddress,
+    groth16Verifier: deployment.groth16VerifierAddress,
+    verifier: deployment.verifierAddress,
+    withdrawal: deployment.withdrawalAddress,
+  };
+  const sequencer = new ZkClearClient(await hre.ethers.getSigner(deployment.deployer), addresses);
+  const { chainId } = deployment;
+  const proof = devnetBlockProof();
+
+  const balances = new Map();
+  const blocks = [];
+  let stateRoot = await sequencer.getStateRoot();
+  for (let i = 0; i < blockCount; i++) {
+    const account = accounts[i % accounts.length];
+    const asset = assets[i % assets.length];
+    const deposit = await new ZkClearClient(account, addresses).deposit(asset.assetId, SAMPLE_DEPOSIT, {
+      approve: true,
+    });
+
+    const key = `${account.address}:${asset.assetId}`;
+    balances.set(key, (balances.get(key) || 0n) + SAMPLE_DEPOSIT);
+    const tree = new StateTree(
+      [...balances].map(([entry, balance]) => {
+        const [user, assetId] = entry.split(":");
+        return { user, assetId: BigInt(assetId), balance, chainId };
+      })
+    );
+
+    blocks.push({
+      blockId: i + 1,
+      prevStateRoot: stateRoot,
+      newStateRoot: tree.root,
+      withdrawalsRoot: hre.ethers.ZeroHash,
+      depositIndex: deposit.depositIndex + 1n,
+      depositsHash: deposit.depositsHash,
+      proof,
+    });
+    stateRoot = tree.root;
+  }
+
+  await sequencer.submitBlockProofs(blocks, { preflight: true });
+  log(`Submitted ${blocks.length} sample blocks, state root ${stateRoot}`);
+  return blocks.length;
+}
+
+function envFileContent(deployment, { rpcUrl, manifestPath, sequencerKey, accounts, assets, nativeAssetId }) {
+  const lines = [
+    "# ZKClear local devnet, generated by scripts/devnet.js",
+    `# ${new Date().toISOString()}`,
+    "",
+    "NETWORK=localhost",
+    `RPC_URL=${rpcUrl}`,
+    `CHAIN_ID=${deployment.chainId}`,
+    `DEPLOYMENT_MANIFEST=${manifestPath}`,
+    "",
+    `DEPOSIT_CONTRACT=${deployment.depositAddress}`,
+    `WITHDRAWAL_CONTRACT=${deployment.withdrawalAddress}`,
+    `VERIFIER_CONTRACT=${deployment.verifierAddress}`,
+    `GROTH16_VERIFIER_CONTRACT=${deployment.groth16VerifierAddress}`,
+    "",
+    `SEQUENCER_ADDRESS=${deployment.deployer}`,
+  ];
+  if (sequencerKey) {
+    lines.push(`SEQUENCER_PRIVATE_KEY=${sequencerKey}`);
+  }
+  lines.push("");
+  for (const { assetId, symbol, address } of assets) {
+    lines.push(`ASSET_${symbol}_ID=${assetId}`, `ASSET_${symbol}_TOKEN=${address}`);
+  }
+  lines.push(`NATIVE_ASSET_ID=${nativeAssetId}`, "");
+  lines.push(`TEST_ACCOUNTS=${accounts.map(({ address }) => address).join(",")}`);
+  const keys = accounts.map(({ privateKey }) => privateKey);
+  if (keys.every(Boolean)) {
+    lines.push(`TEST_PRIVATE_KEYS=${keys.join(",")}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Bootstrap a local devnet on the current network
+ *
+ * Deploys (or resumes) the ZKClear contracts and one ERC20Mock per token,
+ * registers the tokens as assets 1..n and native ETH as n + 1, funds test
+ * accounts, loads the verifying key and, on a fresh deployment, proves a few
+ * sample blocks. The manifest gains `assets`, `nativeAssetId` and `devnet`
+ * sections and the addresses are written to an env file. Throws before
+ * deploying anything unless the network is hardhat, localhost or chain 31337.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory (defaults to deployments/)
+ * @param {string} [options.envFile=".env.devnet"] - Env file to write
+ * @param {Array<{symbol: string, name: string}>} [options.tokens] - Test tokens (USDC, WETH, DAI by default)
+ * @param {number} [options.accountCount=4] - Test accounts to fund (signers after the deployer)
+ * @param {number} [options.blockCount=3] - Sample blocks to prove
+ * @param {string} [options.verifyingKeyFile] - Real verifying key to load instead of the insecure
+ *   devnet key (sample blocks are skipped, their proofs only verify against the devnet key)
+ * @param {Function} [options.log=console.log] - Logger
+ * @returns {Promise<Object>} Deployment, assets, accounts, sample block count and env file path
+ */
+async function bootstrapDevnet({
+  dir,
+  envFile = DEFAULT_ENV_FILE,
+  tokens = DEFAULT_TOKENS,
+  accountCount = 4,
+  blockCount = 3,
+  verifyingKeyFile,
+  log = console.log,
+} = {}) {
+  await requireLocalNetwork();
+  const deployment = await deployContracts({ dir, log });
+  const { manifest, contracts } = deployment;
+  const signers = await hre.ethers.getSigners();
+  const [deployer] = signers;
+
+  if (signers.length < accountCount + 1) {
+    throw new Error(`Devnet needs ${accountCount + 1} signers, the ${hre.network.name} network has ${signers.length}`);
+  }
+  const accounts = signers.slice(1, accountCount + 1);
+
+  const { assets, nativeAssetId } = await deployTokens(manifest, contracts.deposit, deployer, tokens, { dir, log });
+  await fundAccounts(accounts, assets, log);
+  await installPermit2(log);
+  const { devnetKey } = await loadVerifyingKey(contracts, deployer, verifyingKeyFile, log);
+
+  let sampleBlocks = 0;
+  if (!devnetKey) {
+    log("Skipping sample blocks: they can only be proven against the devnet verifying key");
+  } else if ((await contracts.verifier.lastBlockId()) > 0n) {
+    log(`VerifierContract already has ${await contracts.verifier.lastBlockId()} blocks, skipping sample blocks`);
+  } else if (blockCount > 0) {
+    sampleBlocks = await submitSampleBlocks(deployment, accounts, assets, blockCount, log);
+  }
+
+  const accountInfo = accounts.map((account, i) => ({
+    address: account.address,
+    privateKey: hardhatPrivateKey(account.address, i + 1),
+  }));
+
+  manifest.assets = Object.fromEntries(assets.map(({ symbol, assetId, address }) => [symbol, { assetId, address }]));
+  manifest.nativeAssetId = nativeAssetId;
+  manifest.devnet = {
+    accounts: accountInfo.map(({ address }) => address),
+    sampleBlocks: Number(await contracts.verifier.lastBlockId()),
+    insecureVerifyingKey: devnetKey,
+  };
+  const manifestPath = writeManifest(manifest, { dir });
+
+  const rpcUrl = hre.network.config.url || "http://127.0.0.1:8545";
+  fs.writeFileSync(
+    envFile,
+    envFileContent(deployment, {
+      rpcUrl,
+      manifestPath,
+      sequencerKey: hardhatPrivateKey(deployer.address, 0),
+      accounts: accountInfo,
+      assets,
+      nativeAssetId,
+    })
+  );
+  log(`Wrote ${envFile}`);
+
+  return {
+    ...deployment,
+    manifestPath,
+    assets: assets.map(({ assetId, symbol, name, address }) => ({ assetId, symbol, name, address })),
+    nativeAssetId,
+    accounts: accountInfo.map(({ address }) => address),
+    sampleBlocks,
+    envFile,
+  };
+}
+
+module.exports = {
+  DEFAULT_TOKENS,
+  bootstrapDevnet,
+  devnetVerifyingKey,
+  devnetBlockProof,
+};
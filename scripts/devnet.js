@@ -0,0 +1,67 @@
+// Bootstrap a local devnet: contracts, test tokens, funded accounts,
+// verifying key and sample blocks, written to the manifest and .env.devnet
+//
+// Usage:
+//   npx hardhat node
+//   npm run devnet
+//
+// Refuses to run unless the network is hardhat or localhost, or the chain ID is 31337.
+//
+// Options (environment variables):
+//   DEVNET_ACCOUNTS  Test accounts to fund (default 4)
+//   DEVNET_BLOCKS    Sample blocks to prove (default 3)
+//   DEVNET_VK_FILE   Verifying key to load instead of the insecure devnet key (no sample blocks)
+//   DEVNET_ENV_FILE  Env file to write (default .env.devnet)
+
+const { bootstrapDevnet } = require("./devnet-helpers");
+
+function intFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  console.log("=== Bootstrapping ZKClear Devnet ===\n");
+
+  const devnet = await bootstrapDevnet({
+    accountCount: intFromEnv("DEVNET_ACCOUNTS", 4),
+    blockCount: intFromEnv("DEVNET_BLOCKS", 3),
+    verifyingKeyFile: process.env.DEVNET_VK_FILE || undefined,
+    envFile: process.env.DEVNET_ENV_FILE || undefined,
+  });
+
+  console.log("\n=== Devnet Summary ===");
+  console.log("Chain ID:", devnet.chainId);
+  console.log("Sequencer:", devnet.deployer);
+  console.log("\nContract Addresses:");
+  console.log("  DepositContract:", devnet.depositAddress);
+  console.log("  Groth16Verifier:", devnet.groth16VerifierAddress);
+  console.log("  VerifierContract:", devnet.verifierAddress);
+  console.log("  WithdrawalContract:", devnet.withdrawalAddress);
+  console.log("\nAssets:");
+  for (const { assetId, symbol, address } of devnet.assets) {
+    console.log(`  ${assetId}: ${symbol} ${address}`);
+  }
+  console.log(`  ${devnet.nativeAssetId}: ETH (native)`);
+  console.log("\nFunded accounts:");
+  for (const address of devnet.accounts) {
+    console.log(`  ${address}`);
+  }
+  console.log(`\nSample blocks proven: ${devnet.sampleBlocks}`);
+
+  console.log(`\n✅ Manifest saved to ${devnet.manifestPath}`);
+  console.log(`✅ Environment saved to ${devnet.envFile}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+// Pause deposits, block submission and withdrawals on every contract in the
+// deployment manifest, then report the state of each
+//
+// Usage:
+//   npm run emergency-pause -- --network sepolia
+//
+// Run it with a guardian's (or the admin's) key as PRIVATE_KEY. Only the admin
+// can resume afterwards, by calling unpause() on each contract.
+//
+// Options (environment variables):
+//   PAUSE_DRY_RUN  "true" only reports the current state without sending transactions
+
+const hre = require("hardhat");
+const { pauseAll, formatPauseReport } = require("./pause-helpers");
+
+async function main() {
+  const dryRun = process.env.PAUSE_DRY_RUN === "true";
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  console.log(`=== ${dryRun ? "Pause status" : "EMERGENCY PAUSE"} on ${hre.network.name} (chain ${chainId}) ===`);
+  console.log("Signer:", signer.address, "\n");
+
+  const reports = await pauseAll({ signer, dryRun });
+  for (const line of formatPauseReport(reports)) {
+    console.log(line);
+  }
+
+  const failed = reports.filter(({ error }) => error);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} contract(s) could not be paused`);
+  }
+  if (!dryRun) {
+    console.log("\n✅ All contracts paused");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,32 @@
+// Write the ABIs the SDK loads (sdk/abi/<Name>.json) from the compiled artifacts
+//
+// Usage:
+//   npm run export-abis
+//
+// Run it after changing a contract's interface and commit the result; the
+// test suite fails while a committed ABI differs from its artifact. npm pack
+// and npm publish run it too (prepack), so a package never ships stale ABIs.
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ABI_DIR, SDK_CONTRACTS } = require("../sdk/abis");
+
+async function main() {
+  await hre.run("compile", { quiet: true });
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+
+  for (const contractName of SDK_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(contractName);
+    const abiPath = path.join(ABI_DIR, `${contractName}.json`);
+    fs.writeFileSync(abiPath, JSON.stringify(abi, null, 2) + "\n");
+    console.log(`Wrote ${path.relative(process.cwd(), abiPath)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,74 @@
+// Index ZKClear events from the deployment manifest into a local store
+//
+// Usage:
+//   npm run indexer                                          # follow the local devnet
+//   INDEXER_MODE=backfill npx hardhat run scripts/indexer.js --network sepolia
+//
+// Options (environment variables):
+//   INDEXER_MODE           "follow" keeps polling for new blocks (default), "backfill" syncs once and exits
+//   INDEXER_STORE          Store file; .sqlite/.db uses SQLite (default indexer-data/<chainId>.json)
+//   INDEXER_CHUNK_SIZE     Blocks per getLogs request (default 2000)
+//   INDEXER_CONFIRMATIONS  Blocks to stay behind the head (default 0)
+//   INDEXER_POLL_INTERVAL  Milliseconds between polls in follow mode (default 5000)
+
+const path = require("path");
+const hre = require("hardhat");
+const { ZkClearIndexer } = require("../sdk/indexer");
+const { openStore } = require("../sdk/indexer-stores");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "indexer-data");
+
+function intFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const mode = process.env.INDEXER_MODE || "follow";
+  if (mode !== "follow" && mode !== "backfill") {
+    throw new Error(`INDEXER_MODE must be "follow" or "backfill", got "${mode}"`);
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const storePath = process.env.INDEXER_STORE || path.join(DEFAULT_STORE_DIR, `${chainId}.json`);
+  const store = openStore(storePath);
+
+  const indexer = await ZkClearIndexer.fromDeployment(hre.ethers.provider, {
+    chainId: Number(chainId),
+    store,
+    chunkSize: intFromEnv("INDEXER_CHUNK_SIZE", 2000),
+    confirmations: intFromEnv("INDEXER_CONFIRMATIONS", 0),
+  });
+
+  console.log(`=== Indexing ZKClear events on ${hre.network.name} (chain ${chainId}) ===`);
+  console.log("Store:", storePath);
+  console.log("Start block:", (await store.getCursor())?.blockNumber ?? indexer.startBlock);
+
+  if (mode === "backfill") {
+    const { fromBlock, toBlock, events, reorg } = await indexer.sync();
+    if (reorg) {
+      console.log(`Reorg: dropped blocks ${reorg.from}-${reorg.to}`);
+    }
+    console.log(`\n✅ Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+  } else {
+    process.once("SIGINT", () => indexer.stop());
+    process.once("SIGTERM", () => indexer.stop());
+    await indexer.run({ pollInterval: intFromEnv("INDEXER_POLL_INTERVAL", 5000) });
+    console.log("\nStopped");
+  }
+
+  await store.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,122 @@
+// Emergency pause of every pausable contract in the deployment manifest
+
+const hre = require("hardhat");
+const { loadDeployment } = require("../sdk/manifest");
+const { toZkClearError } = require("../sdk/errors");
+const { ROLES } = require("../sdk/roles");
+
+/// Pausable contracts keyed like the manifest, with the operation each pause stops
+const PAUSABLE_CONTRACTS = {
+  deposit: { contract: "DepositContract", pauses: "deposits" },
+  verifier: { contract: "VerifierContract", pauses: "block submission" },
+  withdrawal: { contract: "WithdrawalContract", pauses: "withdrawals, exits and refunds" },
+};
+
+/**
+ * @typedef {Object} PauseReport
+ * @property {string} key - Manifest key
+ * @property {string} contract - Contract name
+ * @property {string} address - Contract address
+ * @property {string} pauses - Operation the pause stops
+ * @property {boolean} paused - Whether the contract is paused after the run
+ * @property {boolean} wasPaused - Whether it was already paused before the run
+ * @property {Array<string>} guardians - Accounts holding the guardian role
+ * @property {string|null} txHash - Pause transaction, if one was sent
+ * @property {string|null} error - Why pausing failed, if it did
+ */
+
+/**
+ * Pause every pausable contract in the manifest of the current network
+ *
+ * All pause transactions are sent before any of them is awaited, so one slow
+ * or failing contract does not hold up the others. Failures are reported per
+ * contract instead of aborting the run.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory (defaults to deployments/)
+ * @param {import("ethers").Signer} [options.signer] - Guardian or admin (defaults to the first signer)
+ * @param {boolean} [options.dryRun=false] - Only report the current state
+ * @returns {Promise<Array<PauseReport>>}
+ */
+async function pauseAll({ dir, signer, dryRun = false } = {}) {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const { contracts } = loadDeployment(chainId, { dir });
+  if (!signer) {
+    [signer] = await hre.ethers.getSigners();
+  }
+
+  const entries = [];
+  for (const [key, { contract: name, pauses }] of Object.entries(PAUSABLE_CONTRACTS)) {
+    if (!contracts[key]) {
+      continue;
+    }
+    const contract = await hre.ethers.getContractAt(name, contracts[key], signer);
+    entries.push({ key, name, pauses, contract, wasPaused: await contract.paused(), tx: null, error: null });
+  }
+  if (entries.length === 0) {
+    throw new Error(`Deployment manifest for chain ${chainId} has no pausable contracts`);
+  }
+
+  const describe = (entry, error) =>
+    toZkClearError(error, { contract: entry.name, method: "pause", interfaces: [entry.contract.interface] }).message;
+
+  if (!dryRun) {
+    for (const entry of entries.filter(({ wasPaused }) => !wasPaused)) {
+      try {
+        entry.tx = await entry.contract.pause();
+      } catch (error) {
+        entry.error = describe(entry, error);
+      }
+    }
+    await Promise.all(
+      entries
+        .filter(({ tx }) => tx)
+        .map((entry) =>
+          entry.tx.wait().catch((error) => {
+            entry.error = describe(entry, error);
+          })
+        )
+    );
+  }
+
+  return Promise.all(
+    entries.map(async ({ key, name, pauses, contract, wasPaused, tx, error }) => ({
+      key,
+      contract: name,
+      address: contracts[key],
+      pauses,
+      paused: await contract.paused(),
+      wasPaused,
+      guardians: [...(await contract.getRoleMembers(ROLES.guardian))],
+      txHash: tx ? tx.hash : null,
+      error,
+    }))
+  );
+}
+
+/**
+ * One line per contract describing a PauseReport
+ * @param {Array<PauseReport>} reports
+ * @returns {Array<string>}
+ */
+function formatPauseReport(reports) {
+  return reports.map(({ contract, address, pauses, paused, wasPaused, txHash, error }) => {
+    let state;
+    if (error) {
+      state = `❌ NOT PAUSED: ${error}`;
+    } else if (wasPaused) {
+      state = "already paused";
+    } else if (paused) {
+      state = `paused in ${txHash}`;
+    } else {
+      state = "running";
+    }
+    return `${contract.padEnd(18)} ${address}  ${pauses}: ${state}`;
+  });
+}
+
+module.exports = {
+  PAUSABLE_CONTRACTS,
+  pauseAll,
+  formatPauseReport,
+};
@@ -0,0 +1,160 @@
+// Storage layouts of the upgradeable contracts, and the rules an upgrade must follow
+//
+// Layouts come from solc's storageLayout output (requested in
+// hardhat.config.js) and are recorded in the deployment manifest for every
+// implementation, so an upgrade can be checked against what is actually
+// deployed rather than against the previous source. Only a contract's own
+// variables appear in the layout: the state of the inherited OpenZeppelin
+// upgradeable contracts lives in ERC-7201 namespaced slots.
+
+const hre = require("hardhat");
+const { isDeepStrictEqual } = require("util");
+
+/**
+ * @typedef {Object} StorageVariable
+ * @property {string} label - Variable name
+ * @property {string} slot - Storage slot (decimal string)
+ * @property {number} offset - Byte offset within the slot
+ * @property {string} type - Type ID (key of StorageLayout.types)
+ */
+
+/**
+ * @typedef {Object} StorageLayout
+ * @property {Array<StorageVariable>} storage - Variables in declaration order
+ * @property {Object<string, Object>} types - Types by ID (label, encoding, numberOfBytes,
+ * and key/value, base or members for mappings, arrays and structs)
+ */
+
+// Type IDs embed AST node IDs (t_struct(Asset)6565_storage), which change
+// whenever any source is edited; strip them so layouts compare across builds
+function normalizeTypeId(typeId) {
+  return typeId.replace(/\)\d+/g, ")");
+}
+
+function normalizeVariable({ label, slot, offset, type }) {
+  return { label, slot, offset, type: normalizeTypeId(type) };
+}
+
+function normalizeType({ label, encoding, numberOfBytes, key, value, base, members }) {
+  return {
+    label,
+    encoding,
+    numberOfBytes,
+    ...(key && { key: normalizeTypeId(key) }),
+    ...(value && { value: normalizeTypeId(value) }),
+    ...(base && { base: normalizeTypeId(base) }),
+    ...(members && { members: members.map(normalizeVariable) }),
+  };
+}
+
+/**
+ * Normalize a solc storage layout for recording and comparison
+ * @param {Object} layout - solc storageLayout output
+ * @returns {StorageLayout}
+ */
+function normalizeStorageLayout({ storage, types }) {
+  return {
+    storage: storage.map(normalizeVariable),
+    types: Object.fromEntries(
+      Object.entries(types || {}).map(([typeId, type]) => [normalizeTypeId(typeId), normalizeType(type)])
+    ),
+  };
+}
+
+/**
+ * Storage layout of a compiled contract
+ * @param {string} contractName - Contract name
+ * @returns {Promise<StorageLayout>}
+ */
+async function storageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const { storageLayout: layout } = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!layout) {
+    throw new Error(
+      `${contractName} was compiled without its storage layout. ` +
+        "Add storageLayout to the outputSelection in hardhat.config.js and recompile."
+    );
+  }
+  return normalizeStorageLayout(layout);
+}
+
+// Fully expanded type, so struct members and mapping values are compared too
+function describeType(types, typeId, seen = new Set()) {
+  const type = types[typeId];
+  if (!type) {
+    return { label: typeId };
+  }
+  if (seen.has(typeId)) {
+    return { label: type.label };
+  }
+  const nested = new Set(seen).add(typeId);
+  return {
+    label: type.label,
+    encoding: type.encoding,
+    numberOfBytes: type.numberOfBytes,
+    ...(type.key && { key: describeType(types, type.key, nested) }),
+    ...(type.value && { value: describeType(types, type.value, nested) }),
+    ...(type.base && { base: describeType(types, type.base, nested) }),
+    ...(type.members && {
+      members: type.members.map(({ label, slot, offset, type: member }) => ({
+        label,
+        slot,
+        offset,
+        type: describeType(types, member, nested),
+      })),
+    }),
+  };
+}
+
+/**
+ * Check that a new implementation keeps the storage of the previous one
+ *
+ * Every previous variable must still be at the same slot and offset, under
+ * the same name and with an identical type (struct members and mapping values
+ * included). New variables may only be appended. Renames are reported too:
+ * they are harmless to storage but usually mean a variable was replaced.
+ *
+ * @param {StorageLayout} previous - Layout of the deployed implementation
+ * @param {StorageLayout} next - Layout of the new implementation
+ * @returns {Array<string>} Problems found (empty if the upgrade is safe)
+ */
+function compareStorageLayouts(previous, next) {
+  const position = ({ slot, offset }) => `slot ${slot}${offset ? `, offset ${offset}` : ""}`;
+  const problems = [];
+  for (const variable of previous.storage) {
+    const where = position(variable);
+    const replacement = next.storage.find(({ slot, offset }) => slot === variable.slot && offset === variable.offset);
+
+    if (!replacement) {
+      const moved = next.storage.find(({ label }) => label === variable.label);
+      problems.push(
+        moved
+          ? `${variable.label} moved from ${where} to ${position(moved)}`
+          : `${variable.label} (${where}) was removed`
+      );
+      continue;
+    }
+    if (replacement.label !== variable.label) {
+      problems.push(`${where}: ${variable.label} was replaced by ${replacement.label}`);
+      continue;
+    }
+
+    const before = describeType(previous.types, variable.type);
+    const after = describeType(next.types, replacement.type);
+    if (!isDeepStrictEqual(before, after)) {
+      problems.push(
+        before.label === after.label
+          ? `${variable.label}: the layout of ${before.label} changed`
+          : `${variable.label}: type changed from ${before.label} to ${after.label}`
+      );
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  normalizeStorageLayout,
+  storageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,245 @@
+// Storage-layout-checked upgrades of the contracts in the deployment manifest
+
+const hre = require("hardhat");
+const { manifestPath, readManifest, writeManifest } = require("../sdk/manifest");
+const { ROLES } = require("../sdk/roles");
+const { TIMELOCK_KEY, TIMELOCK_CONTRACT, scheduleCall } = require("../tasks/timelock");
+const { deployImplementation, implementationAddress } = require("./deploy-helpers");
+const { storageLayout, compareStorageLayouts } = require("./storage-layout");
+
+/**
+ * @typedef {Object} UpgradeRequest
+ * @property {string} key - Manifest key
+ * @property {string} [contract] - New implementation's contract (defaults to the one in the manifest)
+ */
+
+/**
+ * @typedef {Object} UpgradeReport
+ * @property {string} key - Manifest key
+ * @property {string} contract - New implementation's contract
+ * @property {string} address - Proxy address
+ * @property {string} previousImplementation - Implementation before the run
+ * @property {string} implementation - Implementation after the run
+ * @property {string} status - "upgraded", "proposed" (scheduled on the timelock), "up-to-date" or "safe" (dry run)
+ * @property {string|null} txHash - upgradeToAndCall or schedule transaction, if one was sent
+ * @property {string|null} operation - Timelock operation of a proposed upgrade
+ */
+
+// Move the current implementation to previousImplementations; only the current
+// implementation's layout matters for the next upgrade, so it is not kept
+function recordUpgrade(entry, contractName, implementation, replacedBy) {
+  const { address, txHash, blockNumber, bytecodeHash, compiler } = entry.implementation;
+  entry.previousImplementations = [
+    ...(entry.previousImplementations || []),
+    { contract: entry.contract, address, txHash, blockNumber, bytecodeHash, compiler, replacedBy },
+  ];
+  entry.contract = contractName;
+  entry.implementation = implementation;
+}
+
+// Record an upgrade the timelock executed since the last run, or forget a
+// cancelled one
+async function settleProposedUpgrade(manifest, key, { dir, log }) {
+  const entry = manifest.contracts[key];
+  const pending = entry && entry.pendingImplementation;
+  if (!pending) {
+    return;
+  }
+  const { contract: contractName, operation, readyAt, ...implementation } = pending;
+
+  if ((await implementationAddress(entry.address)) === implementation.address) {
+    const proxy = await hre.ethers.getContractAt(contractName, entry.address);
+    const filter = proxy.filters.Upgraded(implementation.address);
+    const upgrades = await proxy.queryFilter(filter, implementation.blockNumber);
+    recordUpgrade(entry, contractName, implementation, upgrades.length > 0 ? upgrades.at(-1).transactionHash : null);
+    delete entry.pendingImplementation;
+    writeManifest(manifest, { dir });
+    log(`${contractName} at ${entry.address} was upgraded by the timelock to ${implementation.address}`);
+    return;
+  }
+
+  const timelock = await hre.ethers.getContractAt(TIMELOCK_CONTRACT, manifest.contracts[TIMELOCK_KEY].address);
+  if (!(await timelock.isOperationPending(operation))) {
+    delete entry.pendingImplementation;
+    writeManifest(manifest, { dir });
+    log(`The proposed upgrade of ${entry.contract} at ${entry.address} (operation ${operation}) was cancelled`);
+  }
+}
+
+// Everything an upgrade needs, checked before anything is sent
+async function planUpgrade(manifest, { key, contract }, { dir, signer, dryRun }) {
+  const entry = manifest.contracts[key];
+  if (!entry) {
+    throw new Error(`Contract "${key}" not found in the deployment manifest for chain ${manifest.chainId}`);
+  }
+  if (!entry.implementation) {
+    throw new Error(`${entry.contract} at ${entry.address} is not deployed behind a proxy and cannot be upgraded`);
+  }
+  const contractName = contract || entry.contract;
+  const previous = entry.implementation;
+
+  const running = await implementationAddress(entry.address);
+  if (running !== previous.address) {
+    throw new Error(
+      `${entry.contract} at ${entry.address} runs implementation ${running}, but ` +
+        `${manifestPath(manifest.chainId, dir)} records ${previous.address}; refusing to upgrade from an unknown layout`
+    );
+  }
+
+  const problems = compareStorageLayouts(previous.storageLayout, await storageLayout(contractName));
+  if (problems.length > 0) {
+    throw new Error(
+      `Refusing to upgrade ${key} from ${entry.contract} to ${contractName}, ` +
+        `the storage layout is incompatible:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`
+    );
+  }
+
+  const proxy = await hre.ethers.getContractAt(contractName, entry.address, signer);
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+  const upToDate = contractName === entry.contract && previous.bytecodeHash === bytecodeHash;
+
+  // An upgrade still waiting on the timelock must be executed or cancelled first
+  const pending = entry.pendingImplementation;
+  const proposed = Boolean(pending) && pending.contract === contractName && pending.bytecodeHash === bytecodeHash;
+  if (pending && !proposed) {
+    throw new Error(
+      `An upgrade of ${key} to ${pending.contract} at ${pending.address} is already proposed ` +
+        `(timelock operation ${pending.operation}); cancel it with zkclear:timelock:cancel first`
+    );
+  }
+
+  // Once the timelock holds TIMELOCK_ROLE, upgrades are proposed to it instead of sent
+  let timelock = null;
+  const account = await signer.getAddress();
+  if (!upToDate && !proposed && !(await proxy.hasRole(ROLES.timelock, account))) {
+    const timelockEntry = manifest.contracts[TIMELOCK_KEY];
+    if (timelockEntry && (await proxy.hasRole(ROLES.timelock, timelockEntry.address))) {
+      timelock = await hre.ethers.getContractAt(TIMELOCK_CONTRACT, timelockEntry.address, signer);
+    } else if (!dryRun) {
+      throw new Error(
+        `${account} does not hold the timelock role of ${entry.contract} at ${entry.address} and cannot upgrade it`
+      );
+    }
+    if (timelock && !dryRun && !(await timelock.hasRole(await timelock.PROPOSER_ROLE(), account))) {
+      throw new Error(
+        `${account} is not a proposer of the timelock at ${await timelock.getAddress()} ` +
+          `and cannot propose the upgrade of ${entry.contract} at ${entry.address}`
+      );
+    }
+  }
+  return { key, entry, contractName, proxy, upToDate, proposed, timelock };
+}
+
+/**
+ * Upgrade contracts in the manifest of the current network to their current artifacts
+ *
+ * Each proxy must still run the implementation recorded in the manifest, and
+ * the new implementation's storage layout must be compatible with the one
+ * recorded for it (see compareStorageLayouts). Every contract is checked
+ * before any transaction is sent, so one unsafe upgrade stops them all.
+ * Contracts whose bytecode did not change are left alone.
+ *
+ * A signer holding TIMELOCK_ROLE upgrades directly. Once the role belongs to
+ * the timelock, the new implementation is deployed and the upgrade is
+ * scheduled on the timelock instead, recorded as the entry's
+ * pendingImplementation; run this again after executing it (see
+ * tasks/timelock.js) to record the upgrade.
+ *
+ * The manifest entry then records the new implementation; the replaced one
+ * is appended to its previousImplementations.
+ *
+ * @param {Array<UpgradeRequest>} [requests] - Contracts to upgrade (defaults to every proxy in the manifest)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory (defaults to deployments/)
+ * @param {import("ethers").Signer} [options.signer] - Timelock role holder or timelock proposer
+ * (defaults to the first signer)
+ * @param {boolean} [options.dryRun=false] - Only check the upgrades
+ * @param {Function} [options.log=console.log] - Logger
+ * @returns {Promise<Array<UpgradeReport>>}
+ */
+async function upgradeContracts(requests, { dir, signer, dryRun = false, log = console.log } = {}) {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const manifest = readManifest(chainId, { dir });
+  if (!manifest) {
+    throw new Error(`No deployment manifest for chain ${chainId} at ${manifestPath(chainId, dir)}`);
+  }
+  if (!signer) {
+    [signer] = await hre.ethers.getSigners();
+  }
+  if (!requests) {
+    requests = Object.keys(manifest.contracts)
+      .filter((key) => manifest.contracts[key].implementation)
+      .map((key) => ({ key }));
+  }
+
+  for (const { key } of requests) {
+    await settleProposedUpgrade(manifest, key, { dir, log });
+  }
+  const plans = [];
+  for (const request of requests) {
+    plans.push(await planUpgrade(manifest, request, { dir, signer, dryRun }));
+  }
+
+  const reports = [];
+  for (const { key, entry, contractName, proxy, upToDate, proposed, timelock } of plans) {
+    const report = {
+      key,
+      contract: contractName,
+      address: entry.address,
+      previousImplementation: entry.implementation.address,
+      implementation: entry.implementation.address,
+      status: upToDate ? "up-to-date" : proposed ? "proposed" : "safe",
+      txHash: null,
+      operation: proposed ? entry.pendingImplementation.operation : null,
+    };
+    reports.push(report);
+    if (upToDate) {
+      log(`${contractName} at ${entry.address} is up to date`);
+      continue;
+    }
+    if (proposed) {
+      const readyAt = new Date(entry.pendingImplementation.readyAt * 1000).toISOString();
+      log(`${contractName} at ${entry.address}: upgrade already proposed, executable from ${readyAt}`);
+      continue;
+    }
+    if (dryRun) {
+      const route = timelock ? " through the timelock" : "";
+      log(`${entry.contract} at ${entry.address} can be upgraded to ${contractName}${route}`);
+      continue;
+    }
+
+    const implementation = await deployImplementation(contractName, signer);
+
+    if (timelock) {
+      const data = proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation.address, "0x"]);
+      const operation = await scheduleCall(timelock, { target: entry.address, data });
+      entry.pendingImplementation = {
+        contract: contractName,
+        ...implementation,
+        operation: operation.id,
+        readyAt: operation.readyAt,
+      };
+      writeManifest(manifest, { dir });
+
+      Object.assign(report, { status: "proposed", txHash: operation.txHash, operation: operation.id });
+      log(
+        `${contractName} at ${entry.address}: upgrade to ${implementation.address} proposed as timelock operation ` +
+          `${operation.id}, executable from ${new Date(operation.readyAt * 1000).toISOString()}`
+      );
+      continue;
+    }
+
+    const receipt = await (await proxy.upgradeToAndCall(implementation.address, "0x")).wait();
+    recordUpgrade(entry, contractName, implementation, receipt.hash);
+    writeManifest(manifest, { dir });
+
+    Object.assign(report, { implementation: implementation.address, status: "upgraded", txHash: receipt.hash });
+    log(`${contractName} at ${entry.address} upgraded to implementation ${implementation.address}`);
+  }
+  return reports;
+}
+
+module.exports = {
+  upgradeContracts,
+};
@@ -0,0 +1,61 @@
+// Upgrade the contracts in the deployment manifest to the current build
+//
+// Usage:
+//   npm run upgrade -- --network sepolia
+//
+// Every proxy in the manifest whose implementation bytecode changed is
+// upgraded, after checking that the new storage layout keeps every variable of
+// the deployed one (see scripts/storage-layout.js). Nothing is sent if any
+// upgrade is unsafe.
+//
+// Upgrades need TIMELOCK_ROLE, which the deployment hands to the timelock.
+// Run it with a timelock proposer's key as PRIVATE_KEY: the new
+// implementations are deployed and their upgrades scheduled on the timelock.
+// Once the delay has passed, execute them with zkclear:timelock:execute and
+// run this again to record them in the manifest.
+//
+// Options (environment variables):
+//   UPGRADE_CONTRACTS  Comma-separated manifest keys to upgrade (defaults to all),
+//                      each optionally as key:ContractName to switch to another contract
+//   UPGRADE_DRY_RUN    "true" only checks the upgrades without sending transactions
+
+const hre = require("hardhat");
+const { upgradeContracts } = require("./upgrade-helpers");
+
+function parseRequests(value) {
+  if (!value) {
+    return undefined;
+  }
+  return value.split(",").map((request) => {
+    const [key, contract] = request.trim().split(":");
+    return { key, contract };
+  });
+}
+
+async function main() {
+  const dryRun = process.env.UPGRADE_DRY_RUN === "true";
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  console.log(`=== ${dryRun ? "Upgrade check" : "Upgrade"} on ${hre.network.name} (chain ${chainId}) ===`);
+  console.log("Signer:", signer.address, "\n");
+
+  const reports = await upgradeContracts(parseRequests(process.env.UPGRADE_CONTRACTS), { signer, dryRun });
+
+  const count = (status) => reports.filter((report) => report.status === status).length;
+  if (dryRun) {
+    console.log(`\n✅ ${count("safe")} upgrade(s) pending, all storage layouts compatible`);
+  } else {
+    console.log(
+      `\n✅ ${count("upgraded")} contract(s) upgraded, ${count("proposed")} proposed to the timelock, ` +
+        `${count("up-to-date")} up to date`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+// Contract ABIs for the SDK, committed under sdk/abi/ so the package works
+// without compiling. scripts/export-abis.js regenerates them from the Hardhat
+// artifacts (npm run export-abis) whenever a contract's interface changes.
+
+const fs = require("fs");
+const path = require("path");
+
+const ABI_DIR = path.join(__dirname, "abi");
+
+/// Contracts the SDK talks to, exported by scripts/export-abis.js
+const SDK_CONTRACTS = ["DepositContract", "Groth16Verifier", "VerifierContract", "WithdrawalContract"];
+
+const cache = new Map();
+
+/**
+ * Load the ABI of a contract
+ * @param {string} contractName - Contract name (e.g. "DepositContract")
+ * @param {string} [abiDir] - Directory holding `<Name>.json` ABI files
+ * @returns {Array<Object>} Contract ABI
+ */
+function loadAbi(contractName, abiDir = ABI_DIR) {
+  const abiPath = path.join(abiDir, `${contractName}.json`);
+  if (cache.has(abiPath)) {
+    return cache.get(abiPath);
+  }
+
+  if (!fs.existsSync(abiPath)) {
+    throw new Error(`ABI for ${contractName} not found at ${abiPath}.\nRun \`npm run export-abis\` first.`);
+  }
+
+  const abi = JSON.parse(fs.readFileSync(abiPath, "utf-8"));
+  cache.set(abiPath, abi);
+  return abi;
+}
+
+module.exports = {
+  ABI_DIR,
+  SDK_CONTRACTS,
+  loadAbi,
+};
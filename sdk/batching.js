@@ -0,0 +1,48 @@
+// Splitting block submissions into gas-bounded submitBlockProofs batches
+//
+// A batch of n blocks is estimated as `baseGas + n * blockGas`: baseGas is
+// the per-transaction overhead (intrinsic gas, first cold storage writes),
+// blockGas the marginal cost of one more block (proof verification, calldata,
+// storage). ZkClearClient.submitBlockProofs calibrates both with estimateGas.
+
+/**
+ * Split blocks into consecutive batches whose estimated gas fits a budget
+ * @param {Array<import("./client").BlockSubmission>} blocks - Blocks in submission order
+ * @param {Object} options
+ * @param {bigint|number} options.gasBudget - Maximum gas per batch transaction
+ * @param {bigint|number} [options.baseGas=0] - Fixed gas of a batch transaction
+ * @param {bigint|number|function(import("./client").BlockSubmission): (bigint|number)} options.blockGas -
+ *   Gas per block, or a function estimating a given block
+ * @returns {Array<Array<import("./client").BlockSubmission>>} Batches in submission order
+ */
+function splitByGasBudget(blocks, { gasBudget, baseGas = 0n, blockGas }) {
+  const budget = BigInt(gasBudget);
+  const base = BigInt(baseGas);
+  const estimate = typeof blockGas === "function" ? (block) => BigInt(blockGas(block)) : () => BigInt(blockGas);
+
+  const batches = [];
+  let batch = [];
+  let batchGas = base;
+
+  for (const block of blocks) {
+    const gas = estimate(block);
+    if (base + gas > budget) {
+      throw new Error(`Block ${block.blockId} needs about ${base + gas} gas, more than the ${budget} gas budget`);
+    }
+    if (batch.length > 0 && batchGas + gas > budget) {
+      batches.push(batch);
+      batch = [];
+      batchGas = base;
+    }
+    batch.push(block);
+    batchGas += gas;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+module.exports = {
+  splitByGasBudget,
+};
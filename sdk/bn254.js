@@ -0,0 +1,321 @@
+// BN254 (alt_bn128) arithmetic in plain BigInt
+//
+// Enough of the curve to check Groth16 proofs off-chain the way the EVM
+// precompiles (EIP-196/197) do: G1 on y^2 = x^3 + 3 over Fp, G2 on the twist
+// y^2 = x^3 + 3/xi over Fp2 = Fp[i]/(i^2 + 1) with xi = 9 + i, and the ate
+// pairing into Fp12 = Fp2[w]/(w^6 - xi).
+//
+// Fp elements are bigints, Fp2 elements are [real, imaginary] pairs (note:
+// the reverse of the EVM coordinate order), Fp12 elements are arrays of six
+// Fp2 coefficients of 1, w, ..., w^5. The point at infinity is `null`.
+//
+// Nothing here is constant-time; it is meant for verification, not secrets.
+
+/// Base field modulus
+const P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+/// Group order (scalar field modulus)
+const R = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+/// BN parameter u
+const U = 4965661367192848881n;
+/// Ate pairing loop count: trace of Frobenius minus one, 6u^2
+const ATE_LOOP_COUNT = 6n * U * U;
+/// Hard part of the final exponentiation: (p^4 - p^2 + 1) / r
+const HARD_EXPONENT = (P ** 4n - P ** 2n + 1n) / R;
+
+function mod(a, m = P) {
+  const result = a % m;
+  return result < 0n ? result + m : result;
+}
+
+// Extended Euclid; a must be non-zero mod m
+function invert(a, m = P) {
+  let [oldR, r] = [mod(a, m), m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) {
+    throw new Error("Value is not invertible");
+  }
+  return mod(oldS, m);
+}
+
+// ===== Fields =====
+
+const fp = {
+  zero: 0n,
+  one: 1n,
+  add: (a, b) => mod(a + b),
+  sub: (a, b) => mod(a - b),
+  neg: (a) => mod(-a),
+  mul: (a, b) => mod(a * b),
+  inv: (a) => invert(a),
+  eq: (a, b) => a === b,
+  isZero: (a) => a === 0n,
+  fromInt: (n) => mod(BigInt(n)),
+};
+
+const fp2 = {
+  zero: [0n, 0n],
+  one: [1n, 0n],
+  add: (a, b) => [mod(a[0] + b[0]), mod(a[1] + b[1])],
+  sub: (a, b) => [mod(a[0] - b[0]), mod(a[1] - b[1])],
+  neg: (a) => [mod(-a[0]), mod(-a[1])],
+  mul: (a, b) => [mod(a[0] * b[0] - a[1] * b[1]), mod(a[0] * b[1] + a[1] * b[0])],
+  inv: (a) => {
+    const norm = invert(a[0] * a[0] + a[1] * a[1]);
+    return [mod(a[0] * norm), mod(-a[1] * norm)];
+  },
+  eq: (a, b) => a[0] === b[0] && a[1] === b[1],
+  isZero: (a) => a[0] === 0n && a[1] === 0n,
+  fromInt: (n) => [mod(BigInt(n)), 0n],
+  scale: (a, k) => [mod(a[0] * k), mod(a[1] * k)],
+  // Frobenius (x -> x^p) is conjugation since p = 3 mod 4
+  conjugate: (a) => [a[0], mod(-a[1])],
+  pow: (a, exponent) => {
+    let result = fp2.one;
+    let base = a;
+    for (let e = exponent; e > 0n; e >>= 1n) {
+      if (e & 1n) {
+        result = fp2.mul(result, base);
+      }
+      base = fp2.mul(base, base);
+    }
+    return result;
+  },
+};
+
+/// xi = 9 + i, the sextic non-residue defining the twist and Fp12
+const XI = [9n, 1n];
+/// w^(p-1) = xi^((p-1)/6); the Frobenius of w^k picks up its k-th power
+const FROBENIUS_COEFFICIENTS = (() => {
+  const gamma = fp2.pow(XI, (P - 1n) / 6n);
+  const coefficients = [fp2.one];
+  for (let k = 1; k < 6; k++) {
+    coefficients.push(fp2.mul(coefficients[k - 1], gamma));
+  }
+  return coefficients;
+})();
+
+const FP12_ONE = [fp2.one, fp2.zero, fp2.zero, fp2.zero, fp2.zero, fp2.zero];
+
+function fp12Mul(a, b) {
+  const product = new Array(11).fill(fp2.zero);
+  for (let i = 0; i < 6; i++) {
+    if (fp2.isZero(a[i])) {
+      continue;
+    }
+    for (let j = 0; j < 6; j++) {
+      if (!fp2.isZero(b[j])) {
+        product[i + j] = fp2.add(product[i + j], fp2.mul(a[i], b[j]));
+      }
+    }
+  }
+  // w^6 = xi
+  const result = product.slice(0, 6);
+  for (let k = 6; k < 11; k++) {
+    result[k - 6] = fp2.add(result[k - 6], fp2.mul(product[k], XI));
+  }
+  return result;
+}
+
+function fp12Frobenius(a, power = 1) {
+  let result = a;
+  for (let n = 0; n < power; n++) {
+    result = result.map((c, k) => fp2.mul(fp2.conjugate(c), FROBENIUS_COEFFICIENTS[k]));
+  }
+  return result;
+}
+
+// a^-1 = (a^p * a^p^2 * ... * a^p^11) / N(a), where the norm N(a) lies in Fp
+function fp12Inv(a) {
+  let conjugates = FP12_ONE;
+  let current = a;
+  for (let k = 1; k < 12; k++) {
+    current = fp12Frobenius(current);
+    conjugates = fp12Mul(conjugates, current);
+  }
+  const norm = fp12Mul(a, conjugates)[0][0];
+  const normInverse = invert(norm);
+  return conjugates.map((c) => fp2.scale(c, normInverse));
+}
+
+function fp12Pow(a, exponent) {
+  let result = FP12_ONE;
+  for (let bit = BigInt(exponent.toString(2).length) - 1n; bit >= 0n; bit--) {
+    result = fp12Mul(result, result);
+    if ((exponent >> bit) & 1n) {
+      result = fp12Mul(result, a);
+    }
+  }
+  return result;
+}
+
+function fp12IsOne(a) {
+  return a.every((c, k) => fp2.eq(c, k === 0 ? fp2.one : fp2.zero));
+}
+
+// ===== Curves =====
+
+/**
+ * Affine short Weierstrass curve y^2 = x^3 + b over a field
+ * @param {Object} F - Field operations
+ * @param {*} b - Curve constant
+ */
+function curve(F, b) {
+  const three = F.fromInt(3);
+  const two = F.fromInt(2);
+
+  const ops = {
+    b,
+    isOnCurve(point) {
+      if (point === null) {
+        return true;
+      }
+      const { x, y } = point;
+      return F.eq(F.mul(y, y), F.add(F.mul(F.mul(x, x), x), b));
+    },
+    eq(a, c) {
+      if (a === null || c === null) {
+        return a === c;
+      }
+      return F.eq(a.x, c.x) && F.eq(a.y, c.y);
+    },
+    neg(point) {
+      return point === null ? null : { x: point.x, y: F.neg(point.y) };
+    },
+    double(point) {
+      if (point === null || F.isZero(point.y)) {
+        return null;
+      }
+      const slope = F.mul(F.mul(three, F.mul(point.x, point.x)), F.inv(F.mul(two, point.y)));
+      return ops.fromSlope(slope, point, point);
+    },
+    add(a, c) {
+      if (a === null) {
+        return c;
+      }
+      if (c === null) {
+        return a;
+      }
+      if (F.eq(a.x, c.x)) {
+        return F.eq(a.y, c.y) ? ops.double(a) : null;
+      }
+      const slope = F.mul(F.sub(c.y, a.y), F.inv(F.sub(c.x, a.x)));
+      return ops.fromSlope(slope, a, c);
+    },
+    // Third intersection of the line through a and c, reflected
+    fromSlope(slope, a, c) {
+      const x = F.sub(F.sub(F.mul(slope, slope), a.x), c.x);
+      const y = F.sub(F.mul(slope, F.sub(a.x, x)), a.y);
+      return { x, y };
+    },
+    mul(point, scalar) {
+      let result = null;
+      let addend = point;
+      for (let k = BigInt(scalar); k > 0n; k >>= 1n) {
+        if (k & 1n) {
+          result = ops.add(result, addend);
+        }
+        addend = ops.double(addend);
+      }
+      return result;
+    },
+  };
+  return ops;
+}
+
+const G1 = {
+  ...curve(fp, 3n),
+  generator: { x: 1n, y: 2n },
+};
+
+const G2 = {
+  ...curve(fp2, fp2.mul(fp2.fromInt(3), fp2.inv(XI))),
+  generator: {
+    x: [
+      10857046999023057135944570762232829481370756359578518086990519993285655852781n,
+      11559732032986387107991004021392285783925812861821192530917403151452391805634n,
+    ],
+    y: [
+      8495653923123431417604973247489272438418190587263600148770280649306958101930n,
+      4082367875863433681332203403145435568316851327593401208105741076214120093531n,
+    ],
+  },
+};
+
+/**
+ * Check that a G2 point lies in the order-r subgroup (the twist has a large cofactor)
+ * @param {{x: bigint[], y: bigint[]}|null} point - Point on the twist
+ * @returns {boolean}
+ */
+G2.isInSubgroup = (point) => G2.mul(point, R) === null;
+
+// ===== Pairing =====
+
+// Line through T (on the twist) with the given slope, evaluated at P after
+// untwisting T to (x w^2, y w^3): yP - slope w xP + (slope xT - yT) w^3
+function lineEvaluation(slope, t, p) {
+  return [[p.y, 0n], fp2.neg(fp2.scale(slope, p.x)), fp2.zero, fp2.sub(fp2.mul(slope, t.x), t.y), fp2.zero, fp2.zero];
+}
+
+function millerLoop(pairs) {
+  let f = FP12_ONE;
+  const points = pairs.map(({ q }) => q);
+  const bits = ATE_LOOP_COUNT.toString(2);
+
+  for (let i = 1; i < bits.length; i++) {
+    f = fp12Mul(f, f);
+    pairs.forEach(({ p, q }, j) => {
+      const t = points[j];
+      const tangent = fp2.mul(fp2.scale(fp2.mul(t.x, t.x), 3n), fp2.inv(fp2.scale(t.y, 2n)));
+      f = fp12Mul(f, lineEvaluation(tangent, t, p));
+      points[j] = G2.fromSlope(tangent, t, t);
+
+      if (bits[i] === "1") {
+        const current = points[j];
+        // T = -Q would need a vertical line, which lies in Fp6 and is erased
+        // by the final exponentiation; the loop count is below r so it never happens
+        const chord = fp2.mul(fp2.sub(q.y, current.y), fp2.inv(fp2.sub(q.x, current.x)));
+        f = fp12Mul(f, lineEvaluation(chord, current, p));
+        points[j] = G2.fromSlope(chord, current, q);
+      }
+    });
+  }
+  return f;
+}
+
+function finalExponentiation(f) {
+  // Easy part: f^((p^6 - 1)(p^2 + 1))
+  let g = fp12Mul(fp12Frobenius(f, 6), fp12Inv(f));
+  g = fp12Mul(fp12Frobenius(g, 2), g);
+  // Hard part: (p^4 - p^2 + 1) / r
+  return fp12Pow(g, HARD_EXPONENT);
+}
+
+/**
+ * Pairing product check, like the ecPairing precompile:
+ * e(p[0], q[0]) * ... * e(p[n], q[n]) == 1
+ *
+ * Points must already be validated (on curve, q in the G2 subgroup).
+ *
+ * @param {Array<{p: Object|null, q: Object|null}>} pairs - G1 / G2 pairs
+ * @returns {boolean}
+ */
+function pairingCheck(pairs) {
+  const active = pairs.filter(({ p, q }) => p !== null && q !== null);
+  if (active.length === 0) {
+    return true;
+  }
+  return fp12IsOne(finalExponentiation(millerLoop(active)));
+}
+
+module.exports = {
+  P,
+  R,
+  G1,
+  G2,
+  pairingCheck,
+};
@@ -0,0 +1,849 @@
+// High-level client for the ZKClear contracts
+
+const { Contract, Interface, MaxUint256, ZeroHash } = require("ethers");
+const { loadAbi } = require("./abis");
+const { loadDeployment } = require("./manifest");
+const { toZkClearError } = require("./errors");
+const { splitByGasBudget } = require("./batching");
+const { decodeProof, blockPublicInputs } = require("./encoding");
+const { assertGroth16Proof } = require("./groth16");
+const { fromContract } = require("./verifying-key");
+const { PERMIT2_ADDRESS, signPermit, signPermit2 } = require("./permits");
+const { ROLES, CONTRACT_ROLES } = require("./roles");
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidApprover(address approver)",
+  "error ERC20InvalidSpender(address spender)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+];
+
+// Errors Permit2 reverts with during depositWithPermit2
+const PERMIT2_ERRORS = [
+  "error SignatureExpired(uint256 signatureDeadline)",
+  "error InvalidAmount(uint256 maxAmount)",
+  "error InvalidNonce()",
+  "error InvalidSigner()",
+];
+
+// DepositContract.AssetKind values
+const ASSET_KIND_NONE = 0n;
+const ASSET_KIND_NATIVE = 1n;
+
+// DepositContract.TokenBehavior names, by value
+const TOKEN_BEHAVIORS = ["standard", "feeOnTransfer", "rebasing"];
+
+const CONTRACT_NAMES = {
+  deposit: "DepositContract",
+  groth16Verifier: "Groth16Verifier",
+  verifier: "VerifierContract",
+  withdrawal: "WithdrawalContract",
+};
+
+/**
+ * @typedef {Object} DepositResult
+ * @property {string} user - Credited recipient (the depositor unless deposited for someone else)
+ * @property {string} payer - Account the funds came from
+ * @property {string} l2Account - L2 account the deposit names (zero hash if none)
+ * @property {bigint} assetId - Asset ID
+ * @property {bigint} amount - Amount the vault received and credited (less than requested for fee-on-transfer tokens)
+ * @property {string} txHash - Deposit ID emitted by DepositContract
+ * @property {bigint} depositIndex - Position in the deposit queue
+ * @property {string} depositsHash - Deposit queue accumulator including this deposit
+ * @property {import("ethers").TransactionReceipt} receipt - Transaction receipt
+ */
+
+/**
+ * @typedef {Object} AssetInfo
+ * @property {bigint} assetId - Asset ID
+ * @property {string} kind - "native" or "erc20"
+ * @property {string} token - ERC20 token (zero address for native ETH)
+ * @property {number} decimals - Token decimals
+ * @property {string} symbol - Token symbol (may be empty)
+ * @property {bigint} minDeposit - Smallest amount per deposit (0: any positive amount)
+ * @property {bigint} maxDeposit - Largest amount per deposit (0: no limit)
+ * @property {boolean} enabled - Whether deposits are accepted
+ * @property {string} behavior - "standard", "feeOnTransfer" (credited with the amount received)
+ * or "rebasing" (deposits rejected)
+ */
+
+/**
+ * @typedef {Object} BlockSubmission
+ * @property {bigint|number} blockId - Block ID
+ * @property {string} prevStateRoot - State root before the block
+ * @property {string} newStateRoot - State root after the block
+ * @property {string} withdrawalsRoot - Merkle root of the block's withdrawals
+ * @property {bigint|number} depositIndex - Deposits consumed up to and including the block
+ * @property {string} depositsHash - Deposit queue accumulator at depositIndex
+ * @property {string} proof - Serialized Groth16 proof (256 bytes)
+ */
+
+/**
+ * @typedef {Object} BlockHeader
+ * @property {bigint} blockId - Block ID
+ * @property {string} prevStateRoot - State root before the block
+ * @property {string} newStateRoot - State root after the block
+ * @property {string} withdrawalsRoot - Merkle root of the block's withdrawals
+ * @property {string} depositsHash - Deposit queue accumulator after the block
+ * @property {bigint} depositIndex - Deposits consumed up to and including the block
+ * @property {bigint} l1BlockNumber - L1 block the block was accepted in
+ * @property {bigint} timestamp - L1 timestamp the block was accepted at
+ */
+
+function toBlockHeader(blockId, header) {
+  return {
+    blockId,
+    prevStateRoot: header.prevStateRoot,
+    newStateRoot: header.newStateRoot,
+    withdrawalsRoot: header.withdrawalsRoot,
+    depositsHash: header.depositsHash,
+    depositIndex: header.depositIndex,
+    l1BlockNumber: header.l1BlockNumber,
+    timestamp: header.timestamp,
+  };
+}
+
+// BlockSubmission as a VerifierContract.BlockSubmission tuple
+function toBlockSubmission(block) {
+  return [
+    block.blockId,
+    block.prevStateRoot,
+    block.newStateRoot,
+    block.withdrawalsRoot,
+    block.depositIndex,
+    block.depositsHash,
+    block.proof,
+  ];
+}
+
+/**
+ * @typedef {Object} WithdrawalData
+ * @property {string} user - Recipient (must be the sender of the withdrawal)
+ * @property {bigint|number} assetId - Asset ID
+ * @property {bigint|number} amount - Amount
+ * @property {bigint|number} chainId - Chain ID the withdrawal targets
+ */
+
+/**
+ * @typedef {Object} WithdrawalRequest
+ * @property {WithdrawalData} withdrawal - Withdrawal leaf data
+ * @property {string} merkleProof - Inclusion proof in the withdrawals root (its leaf index picks the nullifier)
+ * @property {string} zkProof - ZK proof of withdrawal validity
+ * @property {bigint|number} blockId - Block whose proven withdrawals root contains the withdrawal
+ */
+
+/**
+ * @typedef {Object} AccountBalance
+ * @property {string} user - Account owner (must be the sender of the exit)
+ * @property {bigint|number} assetId - Asset ID
+ * @property {bigint|number} balance - Balance in the final state root
+ * @property {bigint|number} chainId - Chain ID the balance is exited on
+ */
+
+/**
+ * @typedef {Object} ExodusStatus
+ * @property {boolean} frozen - Whether exodus mode has been entered
+ * @property {bigint} livenessTimeout - Seconds without a block before freezing is allowed
+ * @property {bigint} freezeDeadline - Timestamp from which freeze() can be called (max uint256 while paused)
+ */
+
+/**
+ * @typedef {Object} PauseStatus
+ * @property {boolean} deposits - Whether DepositContract deposits are paused
+ * @property {boolean} blocks - Whether VerifierContract block submission is paused
+ * @property {boolean} withdrawals - Whether WithdrawalContract withdrawals, exits and refunds are paused
+ */
+
+class ZkClearClient {
+  /**
+   * @param {import("ethers").ContractRunner} runner - Signer (for transactions) or provider (read-only)
+   * @param {Object} addresses - Contract addresses keyed by deposit, groth16Verifier, verifier, withdrawal
+   * @param {Object} [options]
+   * @param {Object<string, Array>} [options.abis] - ABI overrides keyed like `addresses`
+   */
+  constructor(runner, addresses, { abis = {} } = {}) {
+    if (!runner) {
+      throw new Error("A signer or provider is required");
+    }
+    this.runner = runner;
+    this.addresses = { ...addresses };
+    this.contracts = {};
+
+    for (const [key, name] of Object.entries(CONTRACT_NAMES)) {
+      if (!this.addresses[key]) {
+        continue;
+      }
+      const abi = abis[key] || loadAbi(name);
+      this.contracts[key] = new Contract(this.addresses[key], abi, runner);
+    }
+
+    this._errorInterfaces = [
+      ...Object.values(this.contracts).map((contract) => contract.interface),
+      new Interface(ERC20_ABI),
+      new Interface(PERMIT2_ERRORS),
+    ];
+  }
+
+  /**
+   * Create a client from the deployment manifest of the runner's chain
+   * @param {import("ethers").ContractRunner} runner - Signer or provider
+   * @param {Object} [options]
+   * @param {number} [options.chainId] - Chain ID (defaults to the provider's network)
+   * @param {string} [options.dir] - Directory holding the manifest files
+   * @param {Object<string, Array>} [options.abis] - ABI overrides
+   * @returns {Promise<ZkClearClient>}
+   */
+  static async fromDeployment(runner, { chainId, dir, abis } = {}) {
+    if (chainId === undefined) {
+      const provider = runner.provider || runner;
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+    const deployment = loadDeployment(chainId, { dir });
+    return new ZkClearClient(runner, deployment.contracts, { abis });
+  }
+
+  // ===== Deposits =====
+
+  /**
+   * Approve DepositContract to pull an ERC20 asset
+   * @param {bigint|number} assetId - Registered asset ID
+   * @param {bigint} amount - Allowance to grant
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async approve(assetId, amount) {
+    const token = await this.getAssetToken(assetId);
+    return this._send(token, "ERC20", "approve", [this.addresses.deposit, amount]);
+  }
+
+  /**
+   * Deposit a registered ERC20 asset
+   * @param {bigint|number} assetId - Registered asset ID
+   * @param {bigint} amount - Amount to deposit
+   * @param {Object} [options]
+   * @param {boolean} [options.approve=false] - Approve the amount first if the allowance is too low
+   * @returns {Promise<DepositResult>}
+   */
+  async deposit(assetId, amount, { approve = false } = {}) {
+    if (approve) {
+      const token = await this.getAssetToken(assetId);
+      const owner = await this._signerAddress();
+      const allowance = await this._call(token, "ERC20", "allowance", [owner, this.addresses.deposit]);
+      if (allowance < BigInt(amount)) {
+        await this._send(token, "ERC20", "approve", [this.addresses.deposit, amount]);
+      }
+    }
+
+    const receipt = await this._send(this._contract("deposit"), "DepositContract", "deposit", [assetId, amount]);
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Deposit native ETH
+   * @param {bigint|number} assetId - Native asset ID
+   * @param {bigint} amount - Amount of wei to deposit
+   * @returns {Promise<DepositResult>}
+   */
+  async depositNative(assetId, amount) {
+    const receipt = await this._send(
+      this._contract("deposit"),
+      "DepositContract",
+      "depositNative",
+      [assetId, { value: amount }]
+    );
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Deposit a registered ERC20 asset credited to another recipient
+   * @param {string} recipient - Account credited on ZKClear
+   * @param {bigint|number} assetId - Registered asset ID
+   * @param {bigint} amount - Amount to deposit
+   * @param {Object} [options]
+   * @param {string} [options.l2Account=ZeroHash] - L2 account of the recipient to credit
+   * @param {boolean} [options.approve=false] - Approve the amount first if the allowance is too low
+   * @returns {Promise<DepositResult>}
+   */
+  async depositFor(recipient, assetId, amount, { l2Account = ZeroHash, approve = false } = {}) {
+    if (approve) {
+      const token = await this.getAssetToken(assetId);
+      const owner = await this._signerAddress();
+      const allowance = await this._call(token, "ERC20", "allowance", [owner, this.addresses.deposit]);
+      if (allowance < BigInt(amount)) {
+        await this._send(token, "ERC20", "approve", [this.addresses.deposit, amount]);
+      }
+    }
+
+    const [method, args] =
+      l2Account === ZeroHash
+        ? ["depositFor", [recipient, assetId, amount]]
+        : ["depositForAccount", [recipient, l2Account, assetId, amount]];
+    const receipt = await this._send(this._contract("deposit"), "DepositContract", method, args);
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Deposit native ETH credited to another recipient
+   * @param {string} recipient - Account credited on ZKClear
+   * @param {bigint|number} assetId - Native asset ID
+   * @param {bigint} amount - Amount of wei to deposit
+   * @param {Object} [options]
+   * @param {string} [options.l2Account=ZeroHash] - L2 account of the recipient to credit
+   * @returns {Promise<DepositResult>}
+   */
+  async depositNativeFor(recipient, assetId, amount, { l2Account = ZeroHash } = {}) {
+    const [method, args] =
+      l2Account === ZeroHash
+        ? ["depositNativeFor", [recipient, assetId]]
+        : ["depositNativeForAccount", [recipient, l2Account, assetId]];
+    const receipt = await this._send(this._contract("deposit"), "DepositContract", method, [...args, { value: amount }]);
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Deposit a registered EIP-2612 token, signing a permit instead of sending an approval
+   * @param {bigint|number} assetId - Registered asset ID
+   * @param {bigint} amount - Amount to deposit
+   * @param {Object} [options]
+   * @param {bigint|number} [options.deadline] - Permit deadline (see signPermit)
+   * @returns {Promise<DepositResult>}
+   */
+  async depositWithPermit(assetId, amount, { deadline } = {}) {
+    const token = await this.getAssetToken(assetId);
+    const { v, r, s, deadline: signedDeadline } = await signPermit(this._signer(), await token.getAddress(), {
+      spender: this.addresses.deposit,
+      value: amount,
+      deadline,
+    });
+
+    const receipt = await this._send(this._contract("deposit"), "DepositContract", "depositWithPermit", [
+      assetId,
+      amount,
+      signedDeadline,
+      v,
+      r,
+      s,
+    ]);
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Deposit a registered ERC20 asset with a Permit2 signature transfer
+   * @param {bigint|number} assetId - Registered asset ID
+   * @param {bigint} amount - Amount to deposit
+   * @param {Object} [options]
+   * @param {bigint|number} [options.deadline] - Permit deadline (see signPermit2)
+   * @param {bigint|number} [options.nonce] - Permit2 nonce, random by default
+   * @param {boolean} [options.approve=false] - Approve Permit2 for the token first if its allowance is too low
+   * @returns {Promise<DepositResult>}
+   */
+  async depositWithPermit2(assetId, amount, { deadline, nonce, approve = false } = {}) {
+    const token = await this.getAssetToken(assetId);
+    if (approve) {
+      const owner = await this._signerAddress();
+      const allowance = await this._call(token, "ERC20", "allowance", [owner, PERMIT2_ADDRESS]);
+      if (allowance < BigInt(amount)) {
+        await this._send(token, "ERC20", "approve", [PERMIT2_ADDRESS, MaxUint256]);
+      }
+    }
+
+    const { permit, signature } = await signPermit2(this._signer(), {
+      token: await token.getAddress(),
+      amount,
+      spender: this.addresses.deposit,
+      deadline,
+      nonce,
+    });
+    const receipt = await this._send(this._contract("deposit"), "DepositContract", "depositWithPermit2", [
+      assetId,
+      amount,
+      permit,
+      signature,
+    ]);
+    return this._depositResult(receipt);
+  }
+
+  /**
+   * Get the registry entry of an asset ID
+   * @param {bigint|number} assetId - Asset ID
+   * @returns {Promise<AssetInfo|null>} Null if the asset is not registered
+   */
+  async getAsset(assetId) {
+    const deposit = this._contract("deposit");
+    const asset = await this._call(deposit, "DepositContract", "getAsset", [assetId]);
+    if (asset.kind === ASSET_KIND_NONE) {
+      return null;
+    }
+    const behavior = await this._call(deposit, "DepositContract", "tokenBehavior", [assetId]);
+    return {
+      assetId: BigInt(assetId),
+      kind: asset.kind === ASSET_KIND_NATIVE ? "native" : "erc20",
+      token: asset.token,
+      decimals: Number(asset.decimals),
+      symbol: asset.symbol,
+      minDeposit: asset.minDeposit,
+      maxDeposit: asset.maxDeposit,
+      enabled: asset.enabled,
+      behavior: TOKEN_BEHAVIORS[Number(behavior)],
+    };
+  }
+
+  /**
+   * Get the asset ID native ETH is deposited under
+   * @returns {Promise<bigint|null>} Null if no native asset is registered
+   */
+  async getNativeAssetId() {
+    const assetId = await this._call(this._contract("deposit"), "DepositContract", "nativeAssetId", []);
+    return assetId === 0n ? null : assetId;
+  }
+
+  /**
+   * Get the ERC20 token registered for an asset ID
+   * @param {bigint|number} assetId - Asset ID
+   * @returns {Promise<Contract>} ERC20 contract bound to this client's runner
+   */
+  async getAssetToken(assetId) {
+    const asset = await this.getAsset(assetId);
+    if (asset === null) {
+      throw new Error(`Asset ${assetId} is not registered`);
+    }
+    if (asset.kind !== "erc20") {
+      throw new Error(`Asset ${assetId} is native ETH, not an ERC20 token`);
+    }
+    return new Contract(asset.token, ERC20_ABI, this.runner);
+  }
+
+  /**
+   * Get the current end of the deposit queue
+   * @returns {Promise<{depositCount: bigint, depositsHash: string}>} Deposits so far and their accumulator
+   */
+  async getDepositQueue() {
+    const deposit = this._contract("deposit");
+    const depositCount = await this._call(deposit, "DepositContract", "depositCount", []);
+    const depositsHash = await this._call(deposit, "DepositContract", "depositHashAt", [depositCount]);
+    return { depositCount, depositsHash };
+  }
+
+  /**
+   * Get the deposit queue accumulator after a number of deposits (the depositsHash a block consuming them states)
+   * @param {bigint|number} depositIndex - Number of deposits
+   * @returns {Promise<string>}
+   */
+  async getDepositsHashAt(depositIndex) {
+    return this._call(this._contract("deposit"), "DepositContract", "depositHashAt", [depositIndex]);
+  }
+
+  // ===== Blocks =====
+
+  /**
+   * Submit a block proof (sequencer only)
+   * @param {BlockSubmission} block - Block to submit
+   * @param {Object} [options]
+   * @param {boolean} [options.preflight=false] - Verify the proof off-chain against the active key first
+   * @returns {Promise<{blockId: bigint, prevStateRoot: string, newStateRoot: string, withdrawalsRoot: string, receipt: Object}>}
+   * @throws {Groth16ProofError} If preflight is set and the proof does not verify
+   */
+  async submitBlockProof(block, { preflight = false } = {}) {
+    if (preflight) {
+      await this.checkBlockProof(block);
+    }
+
+    const verifier = this._contract("verifier");
+    const receipt = await this._send(verifier, "VerifierContract", "submitBlockProof", toBlockSubmission(block));
+    return this._blockResult(this._findEvent(receipt, verifier, "StateRootUpdated"), receipt);
+  }
+
+  /**
+   * Submit consecutive block proofs in as few transactions as fit a gas budget (sequencer only)
+   *
+   * Each transaction calls submitBlockProofs, which applies its blocks atomically.
+   * If a later batch fails, earlier batches stay accepted.
+   *
+   * @param {BlockSubmission[]} blocks - Blocks in submission order
+   * @param {Object} [options]
+   * @param {bigint|number} [options.gasBudget] - Maximum gas per transaction (defaults to a single batch)
+   * @param {boolean} [options.preflight=false] - Verify every proof off-chain against the active key first
+   * @returns {Promise<Array<{blockId: bigint, prevStateRoot: string, newStateRoot: string, withdrawalsRoot: string, receipt: Object}>>}
+   *   One result per block, with the receipt of its batch
+   */
+  async submitBlockProofs(blocks, { gasBudget, preflight = false } = {}) {
+    if (blocks.length === 0) {
+      throw new Error("No blocks to submit");
+    }
+    if (preflight) {
+      for (const block of blocks) {
+        await this.checkBlockProof(block);
+      }
+    }
+
+    const batches =
+      gasBudget === undefined
+        ? [blocks]
+        : splitByGasBudget(blocks, { gasBudget, ...(await this.estimateBatchGas(blocks)) });
+
+    const verifier = this._contract("verifier");
+    const results = [];
+    for (const batch of batches) {
+      const receipt = await this._send(verifier, "VerifierContract", "submitBlockProofs", [
+        batch.map(toBlockSubmission),
+      ]);
+      for (const event of this._findEvents(receipt, verifier, "StateRootUpdated")) {
+        results.push(this._blockResult(event, receipt));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Estimate the gas model of submitBlockProofs from the first blocks of a batch
+   * @param {BlockSubmission[]} blocks - Blocks in submission order (the first two are estimated)
+   * @returns {Promise<{baseGas: bigint, blockGas: bigint}>} Fixed gas per transaction and gas per block
+   */
+  async estimateBatchGas(blocks) {
+    const verifier = this._contract("verifier");
+    const estimate = (batch) =>
+      this._estimateGas(verifier, "VerifierContract", "submitBlockProofs", [batch.map(toBlockSubmission)]);
+
+    const single = await estimate(blocks.slice(0, 1));
+    if (blocks.length === 1) {
+      return { baseGas: 0n, blockGas: single };
+    }
+    const blockGas = (await estimate(blocks.slice(0, 2))) - single;
+    return { baseGas: single - blockGas, blockGas };
+  }
+
+  /**
+   * Verify a block proof off-chain against the active verifying key
+   * @param {BlockSubmission} block - Block to check (blockId is not needed)
+   * @throws {Groth16ProofError} With the stage that failed
+   */
+  async checkBlockProof({ prevStateRoot, newStateRoot, withdrawalsRoot, depositsHash, depositIndex, proof }) {
+    const key = fromContract(await this._call(this._contract("groth16Verifier"), "Groth16Verifier", "vk", []));
+    const publicInputs = blockPublicInputs(prevStateRoot, newStateRoot, withdrawalsRoot, depositsHash, depositIndex);
+    assertGroth16Proof(key, decodeProof(proof), publicInputs);
+  }
+
+  /**
+   * Get the current state root
+   * @returns {Promise<string>}
+   */
+  async getStateRoot() {
+    return this._call(this._contract("verifier"), "VerifierContract", "stateRoot", []);
+  }
+
+  /**
+   * Check whether a block ID has already been processed
+   * @param {bigint|number} blockId - Block ID
+   * @returns {Promise<boolean>}
+   */
+  async isBlockProcessed(blockId) {
+    return this._call(this._contract("verifier"), "VerifierContract", "processedBlocks", [blockId]);
+  }
+
+  /**
+   * Get the header of an accepted block
+   * @param {bigint|number} blockId - Block ID (0 for the genesis header)
+   * @returns {Promise<BlockHeader>}
+   */
+  async getBlock(blockId) {
+    const header = await this._call(this._contract("verifier"), "VerifierContract", "getBlock", [blockId]);
+    return toBlockHeader(BigInt(blockId), header);
+  }
+
+  /**
+   * Get the header of the latest accepted block
+   * @returns {Promise<BlockHeader>} Genesis header (blockId 0) before the first block
+   */
+  async latestBlock() {
+    const [blockId, header] = await this._call(this._contract("verifier"), "VerifierContract", "latestBlock", []);
+    return toBlockHeader(blockId, header);
+  }
+
+  // ===== Withdrawals =====
+
+  /**
+   * Withdraw with a merkle inclusion proof and ZK proof
+   * @param {WithdrawalRequest} request - Withdrawal request
+   * @returns {Promise<{user: string, assetId: bigint, amount: bigint, nullifier: string, blockId: bigint, withdrawalsRoot: string, receipt: Object}>}
+   */
+  async withdraw({ withdrawal, merkleProof, zkProof, blockId }) {
+    const withdrawalContract = this._contract("withdrawal");
+    const receipt = await this._send(withdrawalContract, "WithdrawalContract", "withdraw", [
+      withdrawal,
+      merkleProof,
+      zkProof,
+      blockId,
+    ]);
+    const event = this._findEvent(receipt, withdrawalContract, "Withdrawal");
+    return {
+      user: event.args.user,
+      assetId: event.args.assetId,
+      amount: event.args.amount,
+      nullifier: event.args.nullifier,
+      blockId: event.args.blockId,
+      withdrawalsRoot: event.args.withdrawalsRoot,
+      receipt,
+    };
+  }
+
+  /**
+   * Check whether a nullifier has been used (see withdrawalNullifier in sdk/merkle.js)
+   * @param {string} nullifier - Nullifier
+   * @returns {Promise<boolean>}
+   */
+  async isNullifierUsed(nullifier) {
+    return this._call(this._contract("verifier"), "VerifierContract", "isNullifierUsed", [nullifier]);
+  }
+
+  /**
+   * Get the withdrawals root proven for a block
+   * @param {bigint|number} blockId - Block ID
+   * @returns {Promise<string>} Withdrawals root (ZeroHash if the block was not accepted)
+   */
+  async getWithdrawalsRoot(blockId) {
+    return this._call(this._contract("verifier"), "VerifierContract", "getWithdrawalsRoot", [blockId]);
+  }
+
+  // ===== Exodus =====
+
+  /**
+   * Get the liveness state of the sequencer
+   * @returns {Promise<ExodusStatus>}
+   */
+  async getExodusStatus() {
+    const verifier = this._contract("verifier");
+    const [frozen, livenessTimeout, freezeDeadline] = await Promise.all([
+      this._call(verifier, "VerifierContract", "frozen", []),
+      this._call(verifier, "VerifierContract", "livenessTimeout", []),
+      this._call(verifier, "VerifierContract", "freezeDeadline", []),
+    ]);
+    return { frozen, livenessTimeout, freezeDeadline };
+  }
+
+  /**
+   * Get which operations a guardian or the admin has paused
+   * @returns {Promise<PauseStatus>}
+   */
+  async getPauseStatus() {
+    const [deposits, blocks, withdrawals] = await Promise.all([
+      this._call(this._contract("deposit"), "DepositContract", "paused", []),
+      this._call(this._contract("verifier"), "VerifierContract", "paused", []),
+      this._call(this._contract("withdrawal"), "WithdrawalContract", "paused", []),
+    ]);
+    return { deposits, blocks, withdrawals };
+  }
+
+  /**
+   * Get the accounts holding a role on a contract
+   * @param {string} key - Contract key (deposit, groth16Verifier, verifier, withdrawal)
+   * @param {string} role - Role name (see ROLES in roles.js)
+   * @returns {Promise<Array<string>>}
+   */
+  async getRoleMembers(key, role) {
+    const contract = this._roleContract(key, role);
+    return [...(await this._call(contract, CONTRACT_NAMES[key], "getRoleMembers", [ROLES[role]]))];
+  }
+
+  /**
+   * Get the accounts allowed to submit blocks
+   * @returns {Promise<Array<string>>}
+   */
+  async getSequencers() {
+    return this.getRoleMembers("verifier", "sequencer");
+  }
+
+  /**
+   * Check whether an account holds a role on a contract
+   * @param {string} key - Contract key (deposit, groth16Verifier, verifier, withdrawal)
+   * @param {string} role - Role name (see ROLES in roles.js)
+   * @param {string} account - Account address
+   * @returns {Promise<boolean>}
+   */
+  async hasRole(key, role, account) {
+    return this._call(this._roleContract(key, role), CONTRACT_NAMES[key], "hasRole", [ROLES[role], account]);
+  }
+
+  /**
+   * Enter exodus mode (anyone, once the liveness timeout has passed)
+   * @returns {Promise<{blockId: bigint, stateRoot: string, receipt: Object}>} Final block and state root
+   */
+  async freeze() {
+    const verifier = this._contract("verifier");
+    const receipt = await this._send(verifier, "VerifierContract", "freeze", []);
+    const event = this._findEvent(receipt, verifier, "Frozen");
+    return { blockId: event.args.blockId, stateRoot: event.args.stateRoot, receipt };
+  }
+
+  /**
+   * Exit a balance from the frozen state root (exodus mode only)
+   * @param {Object} request
+   * @param {AccountBalance} request.account - Balance of the sender in the final state
+   * @param {string} request.stateProof - Inclusion proof in the state root (see StateTree)
+   * @returns {Promise<{user: string, assetId: bigint, amount: bigint, nullifier: string, blockId: bigint, stateRoot: string, receipt: Object}>}
+   */
+  async exit({ account, stateProof }) {
+    const withdrawalContract = this._contract("withdrawal");
+    const receipt = await this._send(withdrawalContract, "WithdrawalContract", "exit", [account, stateProof]);
+    const event = this._findEvent(receipt, withdrawalContract, "Exit");
+    return {
+      user: event.args.user,
+      assetId: event.args.assetId,
+      amount: event.args.amount,
+      nullifier: event.args.nullifier,
+      blockId: event.args.blockId,
+      stateRoot: event.args.stateRoot,
+      receipt,
+    };
+  }
+
+  /**
+   * Refund a deposit no accepted block consumed (exodus mode only)
+   * @param {Object} deposit - Deposit event fields (see DepositResult)
+   * @param {bigint|number} deposit.depositIndex - Position in the deposit queue
+   * @param {string} deposit.user - Credited recipient, who receives the refund
+   * @param {bigint|number} deposit.assetId - Asset ID
+   * @param {bigint|number} deposit.amount - Deposited amount
+   * @param {string} [deposit.l2Account=ZeroHash] - L2 account the deposit named
+   * @returns {Promise<{user: string, assetId: bigint, amount: bigint, depositIndex: bigint, receipt: Object}>}
+   */
+  async reclaimDeposit({ depositIndex, user, assetId, amount, l2Account = ZeroHash }) {
+    const withdrawalContract = this._contract("withdrawal");
+    const receipt = await this._send(withdrawalContract, "WithdrawalContract", "reclaimDeposit", [
+      depositIndex,
+      user,
+      assetId,
+      amount,
+      l2Account,
+    ]);
+    const event = this._findEvent(receipt, withdrawalContract, "DepositReclaimed");
+    return {
+      user: event.args.user,
+      assetId: event.args.assetId,
+      amount: event.args.amount,
+      depositIndex: event.args.depositIndex,
+      receipt,
+    };
+  }
+
+  // ===== Internals =====
+
+  _contract(key) {
+    const contract = this.contracts[key];
+    if (!contract) {
+      throw new Error(`No address configured for ${CONTRACT_NAMES[key]}`);
+    }
+    return contract;
+  }
+
+  _roleContract(key, role) {
+    if (!(CONTRACT_ROLES[key] || []).includes(role)) {
+      throw new Error(`${CONTRACT_NAMES[key] || key} has no ${role} role`);
+    }
+    return this._contract(key);
+  }
+
+  async _signerAddress() {
+    return this._signer().getAddress();
+  }
+
+  _signer() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new Error("A signer is required to send transactions");
+    }
+    return this.runner;
+  }
+
+  async _send(contract, contractName, method, args) {
+    try {
+      const tx = await contract[method](...args);
+      return await tx.wait();
+    } catch (error) {
+      throw toZkClearError(error, {
+        contract: contractName,
+        method,
+        interfaces: this._errorInterfaces,
+      });
+    }
+  }
+
+  async _call(contract, contractName, method, args) {
+    try {
+      return await contract[method](...args);
+    } catch (error) {
+      throw toZkClearError(error, {
+        contract: contractName,
+        method,
+        interfaces: this._errorInterfaces,
+      });
+    }
+  }
+
+  async _estimateGas(contract, contractName, method, args) {
+    try {
+      return await contract[method].estimateGas(...args);
+    } catch (error) {
+      throw toZkClearError(error, {
+        contract: contractName,
+        method,
+        interfaces: this._errorInterfaces,
+      });
+    }
+  }
+
+  _findEvents(receipt, contract, eventName) {
+    const address = contract.target.toLowerCase();
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== address) {
+        continue;
+      }
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        events.push(parsed);
+      }
+    }
+    return events;
+  }
+
+  _findEvent(receipt, contract, eventName) {
+    const [event] = this._findEvents(receipt, contract, eventName);
+    if (!event) {
+      throw new Error(`${eventName} event not found in transaction ${receipt.hash}`);
+    }
+    return event;
+  }
+
+  _blockResult(event, receipt) {
+    return {
+      blockId: event.args.blockId,
+      prevStateRoot: event.args.prevStateRoot,
+      newStateRoot: event.args.newStateRoot,
+      withdrawalsRoot: event.args.withdrawalsRoot,
+      receipt,
+    };
+  }
+
+  _depositResult(receipt) {
+    const event = this._findEvent(receipt, this._contract("deposit"), "Deposit");
+    return {
+      user: event.args.user,
+      payer: event.args.payer,
+      l2Account: event.args.l2Account,
+      assetId: event.args.assetId,
+      amount: event.args.amount,
+      txHash: event.args.txHash,
+      depositIndex: event.args.depositIndex,
+      depositsHash: event.args.depositsHash,
+      receipt,
+    };
+  }
+}
+
+module.exports = {
+  ZkClearClient,
+  CONTRACT_NAMES,
+};
@@ -0,0 +1,59 @@
+// Deposit IDs and the deposit queue accumulator, mirroring DepositContract
+//
+// Every deposit gets the next index in the queue. Its ID (emitted as
+// `txHash`) is keccak256(abi.encode(chainId, depositContract, index)), and
+// the accumulator after n deposits is
+//
+//   hash[n] = keccak256(abi.encode(hash[n - 1], id, user, assetId, amount, l2Account)),  hash[0] = 0
+//
+// where `user` is the credited recipient and `l2Account` the optional L2
+// account the deposit names (zero if none). The payer is not part of it.
+//
+// A block that consumed the first n deposits states n and hash[n].
+
+const { AbiCoder, ZeroHash, keccak256 } = require("ethers");
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * ID of the deposit at a queue index
+ * @param {bigint|number} chainId - Chain ID
+ * @param {string} depositContract - DepositContract address
+ * @param {bigint|number} index - Deposit index
+ * @returns {string} Deposit ID
+ */
+function depositId(chainId, depositContract, index) {
+  return keccak256(coder.encode(["uint256", "address", "uint256"], [chainId, depositContract, index]));
+}
+
+/**
+ * Append a deposit to the queue accumulator
+ * @param {string} prevHash - Accumulator before the deposit
+ * @param {{txHash: string, user: string, assetId: bigint|number, amount: bigint|number, l2Account: string}} deposit -
+ *   Deposit event fields (l2Account defaults to zero)
+ * @returns {string} Accumulator including the deposit
+ */
+function nextDepositsHash(prevHash, { txHash, user, assetId, amount, l2Account = ZeroHash }) {
+  return keccak256(
+    coder.encode(
+      ["bytes32", "bytes32", "address", "uint256", "uint256", "bytes32"],
+      [prevHash, txHash, user, assetId, amount, l2Account]
+    )
+  );
+}
+
+/**
+ * Accumulator over a run of deposits
+ * @param {Array<Object>} deposits - Deposits in queue order (see nextDepositsHash)
+ * @param {string} [prevHash=ZeroHash] - Accumulator before the first of them
+ * @returns {string}
+ */
+function depositsHash(deposits, prevHash = ZeroHash) {
+  return deposits.reduce(nextDepositsHash, prevHash);
+}
+
+module.exports = {
+  depositId,
+  nextDepositsHash,
+  depositsHash,
+};
@@ -0,0 +1,202 @@
+// Groth16 proof and public input encoding for VerifierContract.submitBlockProof
+//
+// Proof calldata is 256 bytes, every coordinate a 32-byte big-endian word:
+//
+//   A.X || A.Y || B.X[0] || B.X[1] || B.Y[0] || B.Y[1] || C.X || C.Y
+//
+// G2 coordinates are in EVM precompile order (EIP-197): [imaginary, real].
+// snarkjs and Arkworks proofs list them as [real, imaginary] (c0, c1) and are
+// swapped while parsing.
+//
+// Public inputs are 33 field elements: 8 u32 limbs per hash for the previous
+// state root, new state root, withdrawals root and deposits hash, then the
+// deposit index as a single element. The contract reads each bytes32 back to
+// front in 4-byte little-endian chunks, so limb i is the i-th 32-bit word of
+// the hash counting from its least significant end.
+
+const { concat, dataLength, dataSlice, toBeHex, toBigInt, zeroPadValue } = require("ethers");
+
+const PROOF_LENGTH = 256;
+const LIMBS_PER_ROOT = 8;
+const LIMB_MASK = 0xffffffffn;
+
+const PROOF_FORMATS = ["snarkjs", "arkworks", "canonical"];
+
+function word(value) {
+  return toBeHex(BigInt(value), 32);
+}
+
+/**
+ * @typedef {Object} Proof
+ * @property {{X: bigint, Y: bigint}} a - A (G1)
+ * @property {{X: bigint[], Y: bigint[]}} b - B (G2, EVM order)
+ * @property {{X: bigint, Y: bigint}} c - C (G1)
+ */
+
+/**
+ * Serialize a proof into submitBlockProof calldata
+ * @param {Proof} proof - Proof in EVM order (values may be any BigNumberish)
+ * @returns {string} 256-byte hex string
+ */
+function encodeProof({ a, b, c }) {
+  return concat([a.X, a.Y, b.X[0], b.X[1], b.Y[0], b.Y[1], c.X, c.Y].map(word));
+}
+
+/**
+ * Deserialize proof calldata the way VerifierContract does
+ * @param {string|Uint8Array} data - Serialized proof (bytes past 256 are ignored, as on-chain)
+ * @returns {Proof}
+ */
+function decodeProof(data) {
+  if (dataLength(data) < PROOF_LENGTH) {
+    throw new Error(`Invalid proof length: expected ${PROOF_LENGTH} bytes, got ${dataLength(data)}`);
+  }
+  const at = (index) => toBigInt(dataSlice(data, index * 32, (index + 1) * 32));
+  return {
+    a: { X: at(0), Y: at(1) },
+    b: { X: [at(2), at(3)], Y: [at(4), at(5)] },
+    c: { X: at(6), Y: at(7) },
+  };
+}
+
+/**
+ * Split a root into the 8 u32 public inputs VerifierContract derives from it
+ * @param {string} root - bytes32 root
+ * @returns {bigint[]} 8 limbs, least significant first
+ */
+function rootToPublicInputs(root) {
+  const value = toBigInt(zeroPadValue(root, 32));
+  const limbs = [];
+  for (let i = 0; i < LIMBS_PER_ROOT; i++) {
+    limbs.push((value >> BigInt(32 * i)) & LIMB_MASK);
+  }
+  return limbs;
+}
+
+/**
+ * Public inputs of a block proof
+ * @param {string} prevStateRoot - State root before the block
+ * @param {string} newStateRoot - State root after the block
+ * @param {string} withdrawalsRoot - Withdrawals root of the block
+ * @param {string} depositsHash - Deposit queue accumulator at depositIndex
+ * @param {bigint|number} depositIndex - Deposits consumed up to and including the block
+ * @returns {bigint[]} 33 public inputs
+ */
+function blockPublicInputs(prevStateRoot, newStateRoot, withdrawalsRoot, depositsHash, depositIndex) {
+  return [
+    ...rootToPublicInputs(prevStateRoot),
+    ...rootToPublicInputs(newStateRoot),
+    ...rootToPublicInputs(withdrawalsRoot),
+    ...rootToPublicInputs(depositsHash),
+    BigInt(depositIndex),
+  ];
+}
+
+/**
+ * Guess the format of a proof JSON object
+ * @param {Object} json - Parsed proof JSON
+ * @returns {"snarkjs"|"arkworks"|"canonical"}
+ */
+function detectProofFormat(json) {
+  if (json.pi_a !== undefined && json.pi_b !== undefined && json.pi_c !== undefined) {
+    return "snarkjs";
+  }
+  if (json.a !== undefined && json.a.x !== undefined) {
+    return "arkworks";
+  }
+  if (json.a !== undefined && json.a.X !== undefined) {
+    return "canonical";
+  }
+  throw new Error("Unrecognized proof JSON: expected snarkjs (pi_a, pi_b, pi_c), arkworks (a.x) or canonical (a.X) fields");
+}
+
+// [c0, c1] pairs (real first) into EVM order
+function g2FromC0C1(x, y) {
+  return { X: [BigInt(x[1]), BigInt(x[0])], Y: [BigInt(y[1]), BigInt(y[0])] };
+}
+
+/**
+ * Parse a snarkjs proof.json
+ * @param {Object} json - Parsed JSON
+ * @returns {Proof}
+ */
+function parseSnarkjsProof(json) {
+  if (json.protocol !== undefined && json.protocol !== "groth16") {
+    throw new Error(`Unsupported snarkjs protocol: ${json.protocol}`);
+  }
+  if (json.curve !== undefined && !["bn128", "bn254"].includes(json.curve)) {
+    throw new Error(`Unsupported snarkjs curve: ${json.curve}`);
+  }
+  return {
+    a: { X: BigInt(json.pi_a[0]), Y: BigInt(json.pi_a[1]) },
+    b: g2FromC0C1(json.pi_b[0], json.pi_b[1]),
+    c: { X: BigInt(json.pi_c[0]), Y: BigInt(json.pi_c[1]) },
+  };
+}
+
+/**
+ * Parse an Arkworks proof exported as JSON
+ *
+ * Mirrors the verifying key export: `{ "a": { "x", "y" }, "b": { "x": [c0, c1],
+ * "y": [c0, c1] }, "c": { "x", "y" } }` with hex or decimal coordinates.
+ *
+ * @param {Object} json - Parsed JSON
+ * @returns {Proof}
+ */
+function parseArkworksProof(json) {
+  return {
+    a: { X: BigInt(json.a.x), Y: BigInt(json.a.y) },
+    b: g2FromC0C1(json.b.x, json.b.y),
+    c: { X: BigInt(json.c.x), Y: BigInt(json.c.y) },
+  };
+}
+
+/**
+ * Parse a canonical proof JSON (already in EVM order, like Groth16Verifier.Proof)
+ * @param {Object} json - Parsed JSON
+ * @returns {Proof}
+ */
+function parseCanonicalProof(json) {
+  return {
+    a: { X: BigInt(json.a.X), Y: BigInt(json.a.Y) },
+    b: { X: json.b.X.map(BigInt), Y: json.b.Y.map(BigInt) },
+    c: { X: BigInt(json.c.X), Y: BigInt(json.c.Y) },
+  };
+}
+
+/**
+ * Parse a proof in any supported format
+ * @param {string|Object} input - Proof JSON (string or parsed object)
+ * @param {string} [format="auto"] - "auto", "snarkjs", "arkworks" or "canonical"
+ * @returns {{format: string, proof: Proof}} Detected format and proof in EVM order
+ */
+function parseProof(input, format = "auto") {
+  const json = typeof input === "string" ? JSON.parse(input) : input;
+  if (format === "auto") {
+    format = detectProofFormat(json);
+  }
+  if (!PROOF_FORMATS.includes(format)) {
+    throw new Error(`Unknown proof format "${format}" (expected one of: auto, ${PROOF_FORMATS.join(", ")})`);
+  }
+
+  let proof;
+  if (format === "snarkjs") {
+    proof = parseSnarkjsProof(json);
+  } else if (format === "arkworks") {
+    proof = parseArkworksProof(json);
+  } else {
+    proof = parseCanonicalProof(json);
+  }
+  return { format, proof };
+}
+
+module.exports = {
+  PROOF_LENGTH,
+  PROOF_FORMATS,
+  encodeProof,
+  decodeProof,
+  rootToPublicInputs,
+  blockPublicInputs,
+  detectProofFormat,
+  parseProof,
+};
@@ -0,0 +1,129 @@
+// Structured errors for reverted ZKClear contract calls
+
+const { Interface } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const builtinErrors = new Interface([
+  "error Error(string reason)",
+  "error Panic(uint256 code)",
+]);
+
+/**
+ * Error thrown by the SDK when a contract call reverts
+ *
+ * `kind` is one of:
+ *  - "custom": a custom error declared by one of the contracts (`name`, `args` set)
+ *  - "revert": a `require`/`revert` with a reason string (`reason` set)
+ *  - "panic": a Solidity panic (`args[0]` holds the panic code)
+ *  - "unknown": the revert data could not be decoded
+ */
+class ZkClearError extends Error {
+  constructor({ kind, name, args = [], reason = null, data = null, contract, method, cause }) {
+    const what = kind === "revert" ? `reverted: ${reason}` : `reverted with ${name || "unknown error"}`;
+    super(`${contract}.${method} ${what}`);
+    this.kind = kind;
+    this.name = "ZkClearError";
+    this.errorName = name || null;
+    this.args = args;
+    this.reason = reason;
+    this.data = data;
+    this.contract = contract;
+    this.method = method;
+    this.cause = cause;
+  }
+
+  /**
+   * Check whether this error is a given custom error or revert reason
+   * @param {string} nameOrReason - Custom error name or revert reason string
+   * @returns {boolean}
+   */
+  is(nameOrReason) {
+    return this.errorName === nameOrReason || this.reason === nameOrReason;
+  }
+}
+
+/**
+ * Find raw revert data inside an ethers / provider error
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string|null} Hex revert data, if any
+ */
+function extractRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== "object" || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data;
+    }
+    queue.push(current.data, current.error, current.info, current.cause);
+  }
+  return null;
+}
+
+/**
+ * Decode revert data against the given contract interfaces
+ * @param {string|null} data - Hex revert data
+ * @param {Array<Interface>} interfaces - Interfaces whose custom errors may appear
+ * @returns {{kind: string, name: string|null, args: Array, reason: string|null}}
+ */
+function decodeRevertData(data, interfaces) {
+  if (!data || data === "0x") {
+    return { kind: "unknown", name: null, args: [], reason: null };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = builtinErrors.decodeErrorResult("Error", data);
+    return { kind: "revert", name: "Error", args: [reason], reason };
+  }
+  if (selector === PANIC_SELECTOR) {
+    const [code] = builtinErrors.decodeErrorResult("Panic", data);
+    return { kind: "panic", name: "Panic", args: [code], reason: null };
+  }
+
+  for (const iface of interfaces) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      return { kind: "custom", name: parsed.name, args: [...parsed.args], reason: null };
+    }
+  }
+
+  return { kind: "unknown", name: null, args: [], reason: null };
+}
+
+/**
+ * Convert an ethers error into a ZkClearError
+ * @param {Error} error - Error thrown by ethers
+ * @param {Object} context
+ * @param {string} context.contract - Contract name
+ * @param {string} context.method - Method name
+ * @param {Array<Interface>} context.interfaces - Interfaces to decode custom errors with
+ * @returns {ZkClearError|Error} A ZkClearError, or the original error if it is not a revert
+ */
+function toZkClearError(error, { contract, method, interfaces }) {
+  if (error instanceof ZkClearError) {
+    return error;
+  }
+
+  const data = extractRevertData(error);
+  if (data === null && error.code !== "CALL_EXCEPTION") {
+    return error;
+  }
+
+  const decoded = decodeRevertData(data, interfaces);
+  return new ZkClearError({ ...decoded, data, contract, method, cause: error });
+}
+
+module.exports = {
+  ZkClearError,
+  decodeRevertData,
+  extractRevertData,
+  toZkClearError,
+};
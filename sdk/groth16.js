@@ -0,0 +1,171 @@
+// Off-chain Groth16 verification mirroring Groth16Verifier.verifyProof
+//
+// Lets the sequencer check a proof before paying for submitBlockProof, and
+// says why a proof is rejected instead of an opaque revert. Checks run in
+// three stages:
+//
+//   "input-range"     33 public inputs, each below the scalar field modulus,
+//                     and every coordinate below the base field modulus
+//   "point-on-curve"  proof and key points lie on their curves, G2 points in
+//                     the prime-order subgroup (the ecPairing precompile
+//                     rejects anything else)
+//   "pairing"         e(A, B) = e(alpha, beta) * e(vk_x, gamma) * e(C, delta)
+//
+// The contract hands public inputs to ecMul unreduced, so an input >= r that
+// the contract would accept is rejected here; block inputs are u32 limbs.
+
+const { P, R, G1, G2, pairingCheck } = require("./bn254");
+const { MIN_GAMMA_ABC_LENGTH } = require("./verifying-key");
+
+const PUBLIC_INPUT_COUNT = MIN_GAMMA_ABC_LENGTH - 1;
+
+const STAGES = ["input-range", "point-on-curve", "pairing"];
+
+/**
+ * Error thrown by assertGroth16Proof
+ *
+ * `stage` is the first check that failed: "input-range", "point-on-curve" or "pairing".
+ */
+class Groth16ProofError extends Error {
+  constructor(stage, reason) {
+    super(`Groth16 proof rejected (${stage}): ${reason}`);
+    this.name = "Groth16ProofError";
+    this.stage = stage;
+    this.reason = reason;
+  }
+}
+
+function fail(stage, reason) {
+  throw new Groth16ProofError(stage, reason);
+}
+
+function checkCoordinates(label, values) {
+  for (const value of values) {
+    if (value < 0n || value >= P) {
+      fail("input-range", `${label} has a coordinate outside the base field`);
+    }
+  }
+}
+
+// {X, Y} with EVM values -> affine G1 point ((0, 0) is infinity)
+function toG1(label, { X, Y }) {
+  const x = BigInt(X);
+  const y = BigInt(Y);
+  checkCoordinates(label, [x, y]);
+  return x === 0n && y === 0n ? null : { x, y };
+}
+
+// {X: [imaginary, real], Y: [imaginary, real]} -> affine G2 point (all zeros is infinity)
+function toG2(label, { X, Y }) {
+  const values = [...X, ...Y].map(BigInt);
+  checkCoordinates(label, values);
+  if (values.every((value) => value === 0n)) {
+    return null;
+  }
+  return { x: [values[1], values[0]], y: [values[3], values[2]] };
+}
+
+function checkG1(label, point) {
+  if (!G1.isOnCurve(point)) {
+    fail("point-on-curve", `${label} is not on the G1 curve`);
+  }
+}
+
+function checkG2(label, point) {
+  if (!G2.isOnCurve(point)) {
+    fail("point-on-curve", `${label} is not on the G2 curve`);
+  }
+  if (!G2.isInSubgroup(point)) {
+    fail("point-on-curve", `${label} is not in the G2 subgroup`);
+  }
+}
+
+/**
+ * Verify a Groth16 proof, throwing on failure
+ * @param {Object} key - Canonical verifying key (see parseVerifyingKey)
+ * @param {import("./encoding").Proof} proof - Proof in EVM order (see parseProof / decodeProof)
+ * @param {Array<bigint|number|string>} publicInputs - 33 public inputs (see blockPublicInputs)
+ * @throws {Groth16ProofError} If the proof does not verify
+ */
+function assertGroth16Proof(key, proof, publicInputs) {
+  // Stage 1: input ranges
+  if (publicInputs.length !== PUBLIC_INPUT_COUNT) {
+    fail("input-range", `expected ${PUBLIC_INPUT_COUNT} public inputs, got ${publicInputs.length}`);
+  }
+  if (key.gammaAbc.length < MIN_GAMMA_ABC_LENGTH) {
+    fail(
+      "input-range",
+      `verifying key has ${key.gammaAbc.length} gamma_abc points, expected at least ${MIN_GAMMA_ABC_LENGTH}`
+    );
+  }
+  const inputs = publicInputs.map(BigInt);
+  inputs.forEach((input, i) => {
+    if (input < 0n || input >= R) {
+      fail("input-range", `public input ${i} is outside the scalar field`);
+    }
+  });
+
+  const a = toG1("proof.a", proof.a);
+  const b = toG2("proof.b", proof.b);
+  const c = toG1("proof.c", proof.c);
+  const alpha = toG1("key.alpha", key.alpha);
+  const beta = toG2("key.beta", key.beta);
+  const gamma = toG2("key.gamma", key.gamma);
+  const delta = toG2("key.delta", key.delta);
+  // Like the contract, only the points for the 33 inputs are used
+  const gammaAbc = key.gammaAbc
+    .slice(0, MIN_GAMMA_ABC_LENGTH)
+    .map((point, i) => toG1(`key.gammaAbc[${i}]`, point));
+
+  // Stage 2: curve and subgroup membership
+  checkG1("proof.a", a);
+  checkG2("proof.b", b);
+  checkG1("proof.c", c);
+  checkG1("key.alpha", alpha);
+  checkG2("key.beta", beta);
+  checkG2("key.gamma", gamma);
+  checkG2("key.delta", delta);
+  gammaAbc.forEach((point, i) => checkG1(`key.gammaAbc[${i}]`, point));
+
+  // Stage 3: pairing equation
+  let vkX = gammaAbc[0];
+  inputs.forEach((input, i) => {
+    vkX = G1.add(vkX, G1.mul(gammaAbc[i + 1], input));
+  });
+
+  const valid = pairingCheck([
+    { p: a, q: b },
+    { p: G1.neg(alpha), q: beta },
+    { p: G1.neg(vkX), q: gamma },
+    { p: G1.neg(c), q: delta },
+  ]);
+  if (!valid) {
+    fail("pairing", "pairing check failed");
+  }
+}
+
+/**
+ * Verify a Groth16 proof
+ * @param {Object} key - Canonical verifying key (see parseVerifyingKey)
+ * @param {import("./encoding").Proof} proof - Proof in EVM order (see parseProof / decodeProof)
+ * @param {Array<bigint|number|string>} publicInputs - 33 public inputs (see blockPublicInputs)
+ * @returns {{valid: boolean, stage?: string, reason?: string}} Failed stage and reason if invalid
+ */
+function verifyGroth16Proof(key, proof, publicInputs) {
+  try {
+    assertGroth16Proof(key, proof, publicInputs);
+    return { valid: true };
+  } catch (error) {
+    if (error instanceof Groth16ProofError) {
+      return { valid: false, stage: error.stage, reason: error.reason };
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  STAGES,
+  Groth16ProofError,
+  assertGroth16Proof,
+  verifyGroth16Proof,
+};
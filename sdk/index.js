@@ -0,0 +1,82 @@
+// ZKClear JavaScript SDK
+//
+// Usage:
+//   const { ZkClearClient } = require("zkclear-contracts");
+//   const client = await ZkClearClient.fromDeployment(signer);
+//   await client.deposit(1, amount, { approve: true });
+
+const { ZkClearClient, CONTRACT_NAMES } = require("./client");
+const { ZkClearError, decodeRevertData } = require("./errors");
+const { loadDeployment, readManifest, writeManifest } = require("./manifest");
+const { loadAbi } = require("./abis");
+const {
+  MerkleTree,
+  WithdrawalTree,
+  StateTree,
+  hashWithdrawal,
+  hashAccount,
+  withdrawalNullifier,
+  verifyProof,
+} = require("./merkle");
+const { splitByGasBudget } = require("./batching");
+const { depositId, nextDepositsHash, depositsHash } = require("./deposits");
+const { PERMIT2_ADDRESS, signPermit, signPermit2 } = require("./permits");
+const { ROLES, CONTRACT_ROLES, roleName } = require("./roles");
+const { ZkClearIndexer, INDEXED_EVENTS } = require("./indexer");
+const { MemoryStore, JsonStore, SqliteStore, openStore } = require("./indexer-stores");
+const { encodeProof, decodeProof, rootToPublicInputs, blockPublicInputs, parseProof } = require("./encoding");
+const { Groth16ProofError, assertGroth16Proof, verifyGroth16Proof } = require("./groth16");
+const {
+  parseVerifyingKey,
+  toContractArgs,
+  fromContract,
+  hashVerifyingKey,
+  verifyingKeysEqual,
+} = require("./verifying-key");
+
+module.exports = {
+  ZkClearClient,
+  ZkClearError,
+  CONTRACT_NAMES,
+  decodeRevertData,
+  loadDeployment,
+  readManifest,
+  writeManifest,
+  loadAbi,
+  MerkleTree,
+  WithdrawalTree,
+  StateTree,
+  hashWithdrawal,
+  hashAccount,
+  withdrawalNullifier,
+  verifyProof,
+  splitByGasBudget,
+  depositId,
+  nextDepositsHash,
+  depositsHash,
+  PERMIT2_ADDRESS,
+  signPermit,
+  signPermit2,
+  ROLES,
+  CONTRACT_ROLES,
+  roleName,
+  ZkClearIndexer,
+  INDEXED_EVENTS,
+  MemoryStore,
+  JsonStore,
+  SqliteStore,
+  openStore,
+  encodeProof,
+  decodeProof,
+  rootToPublicInputs,
+  blockPublicInputs,
+  parseProof,
+  Groth16ProofError,
+  assertGroth16Proof,
+  verifyGroth16Proof,
+  parseVerifyingKey,
+  toContractArgs,
+  fromContract,
+  hashVerifyingKey,
+  verifyingKeysEqual,
+};
@@ -0,0 +1,319 @@
+// Local stores for the event indexer
+//
+// A store holds indexed events, the hashes of scanned blocks (used to detect
+// reorgs) and the cursor: the last block scanned. Any object with these
+// methods can be used; they may return values or promises:
+//
+//   getCursor()                       -> {blockNumber, blockHash} | null
+//   recentBlocks(limit)               -> [{blockNumber, blockHash}], newest first
+//   commit({events, blocks, cursor})  append a scanned range atomically
+//   rollback(ancestor)                drop everything after ancestor ({blockNumber, blockHash}, or null for all)
+//   query(filter)                     -> events matching an EventFilter, in chain order
+//   close()
+//
+// Event records are JSON-safe: uint256 values are decimal strings.
+
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} type - Event name (e.g. "Deposit")
+ * @property {number} blockNumber - L1 block number
+ * @property {string} blockHash - L1 block hash
+ * @property {string} transactionHash - Transaction hash
+ * @property {number} logIndex - Log index in the block
+ * @property {string} address - Emitting contract
+ * @property {string|null} user - Credited deposit recipient, or recipient of a withdrawal, exit, refund or
+ *   FundsReleased payout (deposit payers are in `args.payer`)
+ * @property {string|null} assetId - Asset ID (decimal string)
+ * @property {string|null} blockId - ZKClear block ID (decimal string)
+ * @property {Object<string, string>} args - All event arguments, uint256 values as decimal strings
+ */
+
+/**
+ * @typedef {Object} EventFilter
+ * @property {string|Array<string>} [type] - Event name(s)
+ * @property {string} [user] - Credited deposit recipient or payout recipient
+ * @property {bigint|number|string} [assetId] - Asset ID
+ * @property {bigint|number|string} [blockId] - ZKClear block ID
+ * @property {number} [fromBlock] - First L1 block (inclusive)
+ * @property {number} [toBlock] - Last L1 block (inclusive)
+ */
+
+// EventFilter with user checksummed and IDs as decimal strings
+function normalizeFilter({ type, user, assetId, blockId, fromBlock, toBlock } = {}) {
+  return {
+    types: type === undefined ? null : [].concat(type),
+    user: user === undefined ? null : getAddress(user),
+    assetId: assetId === undefined ? null : BigInt(assetId).toString(),
+    blockId: blockId === undefined ? null : BigInt(blockId).toString(),
+    fromBlock: fromBlock === undefined ? null : Number(fromBlock),
+    toBlock: toBlock === undefined ? null : Number(toBlock),
+  };
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * In-memory store, lost when the process exits
+ */
+class MemoryStore {
+  constructor() {
+    this.cursor = null;
+    this.blocks = [];
+    this.events = [];
+  }
+
+  getCursor() {
+    return this.cursor;
+  }
+
+  recentBlocks(limit) {
+    return this.blocks.slice(-limit).reverse();
+  }
+
+  commit({ events, blocks, cursor }) {
+    this.events.push(...events);
+    this.events.sort(compareEvents);
+    for (const block of blocks) {
+      if (!this.blocks.some(({ blockNumber }) => blockNumber === block.blockNumber)) {
+        this.blocks.push(block);
+      }
+    }
+    this.blocks.sort((a, b) => a.blockNumber - b.blockNumber);
+    this.cursor = cursor;
+  }
+
+  rollback(ancestor) {
+    const last = ancestor ? ancestor.blockNumber : -1;
+    this.events = this.events.filter(({ blockNumber }) => blockNumber <= last);
+    this.blocks = this.blocks.filter(({ blockNumber }) => blockNumber <= last);
+    this.cursor = ancestor;
+  }
+
+  query(filter) {
+    const { types, user, assetId, blockId, fromBlock, toBlock } = normalizeFilter(filter);
+    return this.events.filter(
+      (event) =>
+        (types === null || types.includes(event.type)) &&
+        (user === null || event.user === user) &&
+        (assetId === null || event.assetId === assetId) &&
+        (blockId === null || event.blockId === blockId) &&
+        (fromBlock === null || event.blockNumber >= fromBlock) &&
+        (toBlock === null || event.blockNumber <= toBlock)
+    );
+  }
+
+  close() {}
+}
+
+/**
+ * Store kept in a single JSON file, rewritten after every scanned range.
+ * Simple and dependency free, meant for devnets and small histories.
+ */
+class JsonStore extends MemoryStore {
+  /**
+   * @param {string} filepath - JSON file (created if missing)
+   */
+  constructor(filepath) {
+    super();
+    this.filepath = filepath;
+    if (fs.existsSync(filepath)) {
+      const { cursor, blocks, events } = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+      this.cursor = cursor;
+      this.blocks = blocks;
+      this.events = events;
+    }
+  }
+
+  commit(range) {
+    super.commit(range);
+    this._save();
+  }
+
+  rollback(ancestor) {
+    super.rollback(ancestor);
+    this._save();
+  }
+
+  _save() {
+    fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+    // Write and rename so a crash never leaves a truncated file
+    const tmp = `${this.filepath}.tmp`;
+    const { cursor, blocks, events } = this;
+    fs.writeFileSync(tmp, JSON.stringify({ cursor, blocks, events }, null, 2) + "\n");
+    fs.renameSync(tmp, this.filepath);
+  }
+}
+
+/**
+ * Store kept in an SQLite database. Needs the optional `better-sqlite3` package.
+ */
+class SqliteStore {
+  /**
+   * @param {string} filepath - Database file (created if missing), or ":memory:"
+   */
+  constructor(filepath) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error("SqliteStore needs the better-sqlite3 package: npm install better-sqlite3", { cause: error });
+    }
+
+    if (filepath !== ":memory:") {
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    }
+    this.db = new Database(filepath);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        block_hash TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        address TEXT NOT NULL,
+        user TEXT,
+        asset_id TEXT,
+        block_id TEXT,
+        args TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS events_user ON events (user);
+      CREATE INDEX IF NOT EXISTS events_asset_id ON events (asset_id);
+      CREATE INDEX IF NOT EXISTS events_block_id ON events (block_id);
+      CREATE TABLE IF NOT EXISTS blocks (
+        block_number INTEGER PRIMARY KEY,
+        block_hash TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS cursor (
+        id INTEGER PRIMARY KEY CHECK (id = 0),
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL
+      );
+    `);
+
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (block_number, log_index, type, block_hash, transaction_hash, address, user, asset_id, block_id, args)
+      VALUES (@blockNumber, @logIndex, @type, @blockHash, @transactionHash, @address, @user, @assetId, @blockId, @args)
+    `);
+    const insertBlock = this.db.prepare(
+      "INSERT OR IGNORE INTO blocks (block_number, block_hash) VALUES (@blockNumber, @blockHash)"
+    );
+    const setCursor = this.db.prepare(
+      "INSERT OR REPLACE INTO cursor (id, block_number, block_hash) VALUES (0, @blockNumber, @blockHash)"
+    );
+    const deleteEvents = this.db.prepare("DELETE FROM events WHERE block_number > ?");
+    const deleteBlocks = this.db.prepare("DELETE FROM blocks WHERE block_number > ?");
+    const clearCursor = this.db.prepare("DELETE FROM cursor");
+
+    this._commit = this.db.transaction(({ events, blocks, cursor }) => {
+      for (const event of events) {
+        insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+      }
+      for (const block of blocks) {
+        insertBlock.run(block);
+      }
+      setCursor.run(cursor);
+    });
+    this._rollback = this.db.transaction((ancestor) => {
+      deleteEvents.run(ancestor ? ancestor.blockNumber : -1);
+      deleteBlocks.run(ancestor ? ancestor.blockNumber : -1);
+      if (ancestor) {
+        setCursor.run(ancestor);
+      } else {
+        clearCursor.run();
+      }
+    });
+  }
+
+  getCursor() {
+    const row = this.db.prepare("SELECT block_number, block_hash FROM cursor").get();
+    return row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null;
+  }
+
+  recentBlocks(limit) {
+    return this.db
+      .prepare("SELECT block_number, block_hash FROM blocks ORDER BY block_number DESC LIMIT ?")
+      .all(limit)
+      .map((row) => ({ blockNumber: row.block_number, blockHash: row.block_hash }));
+  }
+
+  commit(range) {
+    this._commit(range);
+  }
+
+  rollback(ancestor) {
+    this._rollback(ancestor);
+  }
+
+  query(filter) {
+    const { types, user, assetId, blockId, fromBlock, toBlock } = normalizeFilter(filter);
+    const conditions = [];
+    const params = [];
+    if (types !== null) {
+      conditions.push(`type IN (${types.map(() => "?").join(", ")})`);
+      params.push(...types);
+    }
+    for (const [column, value] of [
+      ["user", user],
+      ["asset_id", assetId],
+      ["block_id", blockId],
+    ]) {
+      if (value !== null) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (fromBlock !== null) {
+      conditions.push("block_number >= ?");
+      params.push(fromBlock);
+    }
+    if (toBlock !== null) {
+      conditions.push("block_number <= ?");
+      params.push(toBlock);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM events ${where} ORDER BY block_number, log_index`)
+      .all(...params)
+      .map((row) => ({
+        type: row.type,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        transactionHash: row.transaction_hash,
+        logIndex: row.log_index,
+        address: row.address,
+        user: row.user,
+        assetId: row.asset_id,
+        blockId: row.block_id,
+        args: JSON.parse(row.args),
+      }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Open a store by file extension: `.sqlite`/`.db` use SqliteStore, anything else JsonStore
+ * @param {string} filepath - Store file
+ * @returns {MemoryStore|SqliteStore}
+ */
+function openStore(filepath) {
+  return /\.(sqlite3?|db)$/.test(filepath) ? new SqliteStore(filepath) : new JsonStore(filepath);
+}
+
+module.exports = {
+  MemoryStore,
+  JsonStore,
+  SqliteStore,
+  openStore,
+};
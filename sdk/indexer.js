@@ -0,0 +1,330 @@
+// Event indexer: rebuilds the ZKClear event history into a local store
+//
+// Scans Deposit, FundsReleased, StateRootUpdated, RoleGranted/RoleRevoked
+// (sequencer and other role changes on VerifierContract), Withdrawal, Exit,
+// DepositReclaimed and VerifierUpdated logs in chunked block ranges from the
+// deployment block.
+// The hash of every scanned block that ends a range or holds an event is
+// kept; before each scan the cursor block is checked against the chain, and
+// on a mismatch the store is rolled back to the newest block still on the
+// canonical chain and that range is scanned again. A range whose end block
+// changed while its logs were fetched is fetched again.
+//
+// Usage:
+//   const indexer = await ZkClearIndexer.fromDeployment(provider, { store: new JsonStore("history.json") });
+//   await indexer.sync();                  // one-shot backfill up to the head
+//   await indexer.getUserEvents(user);     // or indexer.run() to keep following
+
+const { Contract } = require("ethers");
+const { loadAbi } = require("./abis");
+const { loadDeployment } = require("./manifest");
+const { MemoryStore } = require("./indexer-stores");
+
+/// Events indexed per contract, keyed like the client's addresses
+const INDEXED_EVENTS = {
+  deposit: ["Deposit", "FundsReleased"],
+  verifier: ["StateRootUpdated", "RoleGranted", "RoleRevoked"],
+  withdrawal: ["Withdrawal", "Exit", "DepositReclaimed", "VerifierUpdated"],
+};
+
+/// Attempts at scanning a range before giving up when its end block keeps changing
+const MAX_SCAN_ATTEMPTS = 3;
+
+const CONTRACT_NAMES = {
+  deposit: "DepositContract",
+  verifier: "VerifierContract",
+  withdrawal: "WithdrawalContract",
+};
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number} fromBlock - First L1 block scanned
+ * @property {number} toBlock - Last L1 block scanned (fromBlock - 1 if already up to date)
+ * @property {number} events - Events added
+ * @property {{from: number, to: number}|null} reorg - Range of blocks dropped because of a reorg
+ */
+
+// Event record with uint256 values as decimal strings (see IndexedEvent)
+function toRecord(log, parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return {
+    type: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    address: log.address,
+    user: args.user ?? args.to ?? null,
+    assetId: args.assetId ?? null,
+    blockId: args.blockId ?? null,
+    args,
+  };
+}
+
+class ZkClearIndexer {
+  /**
+   * @param {import("ethers").Provider} provider - Provider to read logs from
+   * @param {Object} addresses - Contract addresses keyed by deposit, verifier, withdrawal
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Store to write to (see indexer-stores.js), defaults to a MemoryStore
+   * @param {number} [options.startBlock=0] - First block to scan (the deployment block)
+   * @param {number} [options.chunkSize=2000] - Blocks per getLogs request
+   * @param {number} [options.confirmations=0] - Blocks to stay behind the head
+   * @param {number} [options.maxReorgDepth=64] - Scanned blocks searched for a common ancestor before reindexing everything
+   * @param {Object<string, Array>} [options.abis] - ABI overrides keyed like `addresses`
+   * @param {Function} [options.log] - Logger for the long-lived run loop
+   */
+  constructor(
+    provider,
+    addresses,
+    {
+      store = new MemoryStore(),
+      startBlock = 0,
+      chunkSize = 2000,
+      confirmations = 0,
+      maxReorgDepth = 64,
+      abis = {},
+      log = console.log,
+    } = {}
+  ) {
+    if (!provider) {
+      throw new Error("A provider is required");
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error(`chunkSize must be a positive integer, got ${chunkSize}`);
+    }
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.chunkSize = chunkSize;
+    this.confirmations = confirmations;
+    this.maxReorgDepth = maxReorgDepth;
+    this.log = log;
+
+    this.contracts = {};
+    this._events = {};
+    const topics = [];
+    for (const [key, events] of Object.entries(INDEXED_EVENTS)) {
+      if (!addresses[key]) {
+        throw new Error(`No address configured for ${CONTRACT_NAMES[key]}`);
+      }
+      const contract = new Contract(addresses[key], abis[key] || loadAbi(CONTRACT_NAMES[key]), provider);
+      this.contracts[addresses[key].toLowerCase()] = contract;
+      this._events[addresses[key].toLowerCase()] = events;
+      topics.push(...events.map((name) => contract.interface.getEvent(name).topicHash));
+    }
+    this._logFilter = { address: Object.keys(this.contracts), topics: [topics] };
+
+    this._running = false;
+    this._timer = null;
+    this._wake = null;
+  }
+
+  /**
+   * Create an indexer for the deployment manifest of the provider's chain,
+   * starting at the block the first contract was deployed in
+   * @param {import("ethers").Provider} provider - Provider to read logs from
+   * @param {Object} [options] - Constructor options, plus:
+   * @param {number} [options.chainId] - Chain ID (defaults to the provider's network)
+   * @param {string} [options.dir] - Directory holding the manifest files
+   * @returns {Promise<ZkClearIndexer>}
+   */
+  static async fromDeployment(provider, { chainId, dir, ...options } = {}) {
+    if (chainId === undefined) {
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+    const { contracts, manifest } = loadDeployment(chainId, { dir });
+    const deployBlocks = Object.keys(INDEXED_EVENTS)
+      .map((key) => manifest.contracts[key] && manifest.contracts[key].blockNumber)
+      .filter((blockNumber) => blockNumber !== undefined && blockNumber !== null);
+    const startBlock = deployBlocks.length > 0 ? Math.min(...deployBlocks) : 0;
+    return new ZkClearIndexer(provider, contracts, { startBlock, ...options });
+  }
+
+  // ===== Indexing =====
+
+  /**
+   * Scan from the cursor up to the head (minus confirmations), handling reorgs first
+   * @param {Object} [options]
+   * @param {number} [options.toBlock] - Stop at this block instead of the head
+   * @returns {Promise<SyncResult>}
+   */
+  async sync({ toBlock } = {}) {
+    const reorg = await this._checkReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const target = toBlock === undefined ? head : Math.min(toBlock, head);
+    const cursor = await this.store.getCursor();
+    const fromBlock = cursor ? cursor.blockNumber + 1 : this.startBlock;
+
+    let added = 0;
+    for (let from = fromBlock; from <= target; from += this.chunkSize) {
+      added += await this._scan(from, Math.min(from + this.chunkSize - 1, target));
+    }
+
+    return { fromBlock, toBlock: Math.max(target, fromBlock - 1), events: added, reorg };
+  }
+
+  /**
+   * Keep syncing until stop() is called. Errors are logged and retried on the next poll.
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval=5000] - Milliseconds between syncs
+   * @returns {Promise<void>} Resolves once stopped
+   */
+  async run({ pollInterval = 5000 } = {}) {
+    this._running = true;
+    while (this._running) {
+      try {
+        const { fromBlock, toBlock, events, reorg } = await this.sync();
+        if (reorg) {
+          this.log(`Reorg: dropped blocks ${reorg.from}-${reorg.to}`);
+        }
+        if (toBlock >= fromBlock) {
+          this.log(`Indexed blocks ${fromBlock}-${toBlock}: ${events} events`);
+        }
+      } catch (error) {
+        this.log(`Sync failed, retrying: ${error.message}`);
+      }
+
+      if (this._running) {
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, pollInterval);
+        });
+      }
+    }
+  }
+
+  /**
+   * Stop a running run() loop after the current sync
+   */
+  stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    if (this._wake) {
+      this._wake();
+    }
+  }
+
+  // ===== Queries =====
+
+  /**
+   * Get indexed events in chain order
+   * @param {import("./indexer-stores").EventFilter} [filter]
+   * @returns {Promise<Array<import("./indexer-stores").IndexedEvent>>}
+   */
+  async getEvents(filter = {}) {
+    return this.store.query(filter);
+  }
+
+  /**
+   * Get a user's deposits, withdrawals, exodus exits and refunds, and the payouts releasing them
+   * @param {string} user - User address
+   * @param {import("./indexer-stores").EventFilter} [filter] - Further restrictions
+   * @returns {Promise<Array<import("./indexer-stores").IndexedEvent>>}
+   */
+  async getUserEvents(user, filter = {}) {
+    return this.store.query({ ...filter, user });
+  }
+
+  /**
+   * Get deposits, withdrawals, exits, refunds and payouts of an asset
+   * @param {bigint|number|string} assetId - Asset ID
+   * @param {import("./indexer-stores").EventFilter} [filter] - Further restrictions
+   * @returns {Promise<Array<import("./indexer-stores").IndexedEvent>>}
+   */
+  async getAssetEvents(assetId, filter = {}) {
+    return this.store.query({ ...filter, assetId });
+  }
+
+  /**
+   * Get the StateRootUpdated event of a ZKClear block and the withdrawals and exits paid against it
+   * @param {bigint|number|string} blockId - ZKClear block ID
+   * @param {import("./indexer-stores").EventFilter} [filter] - Further restrictions
+   * @returns {Promise<Array<import("./indexer-stores").IndexedEvent>>}
+   */
+  async getBlockEvents(blockId, filter = {}) {
+    return this.store.query({ ...filter, blockId });
+  }
+
+  // ===== Internals =====
+
+  async _scan(fromBlock, toBlock) {
+    const { logs, end } = await this._fetchRange(fromBlock, toBlock);
+
+    const events = [];
+    const blocks = new Map();
+    for (const log of logs) {
+      // The topic filter is shared by all contracts: keep only the events
+      // indexed for the one that emitted the log
+      const address = log.address.toLowerCase();
+      const contract = this.contracts[address];
+      const parsed = contract && contract.interface.parseLog(log);
+      if (!parsed || !this._events[address].includes(parsed.name)) {
+        continue;
+      }
+      events.push(toRecord(log, parsed));
+      blocks.set(log.blockNumber, log.blockHash);
+    }
+    blocks.set(end.number, end.hash);
+
+    await this.store.commit({
+      events,
+      blocks: [...blocks].map(([blockNumber, blockHash]) => ({ blockNumber, blockHash })),
+      cursor: { blockNumber: end.number, blockHash: end.hash },
+    });
+    return events.length;
+  }
+
+  // Logs of a range together with its end block, both from the same fork: a
+  // reorg between the two requests would otherwise store the dropped fork's
+  // events under a cursor that _checkReorg takes as canonical
+  async _fetchRange(fromBlock, toBlock) {
+    for (let attempt = 1; attempt <= MAX_SCAN_ATTEMPTS; attempt++) {
+      const end = await this.provider.getBlock(toBlock);
+      if (!end) {
+        throw new Error(`Block ${toBlock} not found`);
+      }
+      const logs = await this.provider.getLogs({ ...this._logFilter, fromBlock, toBlock });
+      const current = await this.provider.getBlock(toBlock);
+      const sameFork = logs.every(({ blockNumber, blockHash }) => blockNumber !== end.number || blockHash === end.hash);
+      if (current && current.hash === end.hash && sameFork) {
+        return { logs, end };
+      }
+    }
+    throw new Error(`Block ${toBlock} changed while scanning blocks ${fromBlock}-${toBlock}`);
+  }
+
+  // Roll back to the newest scanned block still on the chain if the cursor was reorged out
+  async _checkReorg() {
+    const cursor = await this.store.getCursor();
+    if (!cursor || (await this._isCanonical(cursor))) {
+      return null;
+    }
+
+    let ancestor = null;
+    for (const block of await this.store.recentBlocks(this.maxReorgDepth)) {
+      if (await this._isCanonical(block)) {
+        ancestor = block;
+        break;
+      }
+    }
+
+    await this.store.rollback(ancestor);
+    return { from: ancestor ? ancestor.blockNumber + 1 : this.startBlock, to: cursor.blockNumber };
+  }
+
+  async _isCanonical({ blockNumber, blockHash }) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block !== null && block.hash === blockHash;
+  }
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  ZkClearIndexer,
+};
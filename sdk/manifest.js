@@ -0,0 +1,133 @@
+// Deployment manifests
+//
+// Every network has one manifest, `deployments/<chainId>.json`:
+//
+//   {
+//     "chainId": 11155111,
+//     "network": "sepolia",
+//     "deployer": "0x..",
+//     "contracts": {
+//       "deposit": {
+//         "contract": "DepositContract",
+//         "address": "0x..",
+//         "txHash": "0x..",
+//         "blockNumber": 123,
+//         "initArgs": ["0x.."],
+//         "constructorArgs": ["0x..", "0x.."],
+//         "implementation": {
+//           "address": "0x..",
+//           "txHash": "0x..",
+//           "blockNumber": 122,
+//           "bytecodeHash": "0x..",
+//           "compiler": { "version": "0.8.20+commit.a1b79de6", "optimizer": {...}, "viaIR": true, "evmVersion": "paris" },
+//           "storageLayout": { "storage": [...], "types": {...} }
+//         },
+//         "previousImplementations": [
+//           { "contract": "DepositContract", "address": "0x..", ..., "replacedBy": "0x.." }
+//         ]
+//       },
+//       "groth16Verifier": { ... }, "verifier": { ... }, "withdrawal": { ... },
+//       "timelock": { "contract": "ZkClearTimelock", "address": "0x..", "constructorArgs": [3600, ["0x.."], ["0x.."]], ... }
+//     },
+//     "updatedAt": "2024-01-01T00:00:00.000Z"
+//   }
+//
+// The ZKClear contracts run behind proxies: address, txHash and
+// constructorArgs are the proxy's (ZkClearProxy, whose arguments are the
+// implementation and the encoded initialize call), initArgs are the
+// initialize() arguments, and implementation describes the logic contract
+// currently behind the proxy. scripts/upgrade.js checks new implementations
+// against the recorded storageLayout and moves the replaced one to
+// previousImplementations. An upgrade proposed to the timelock but not yet
+// executed is recorded as pendingImplementation (the implementation fields
+// plus its contract, timelock operation and readyAt). Contracts deployed
+// without a proxy (the timelock, the devnet tokens) record bytecodeHash and
+// compiler at the top level instead.
+//
+// Entries are written one contract at a time, so a partially failed
+// deployment leaves a manifest that deployContracts can resume from.
+//
+// scripts/devnet.js also records its test tokens as `token<SYMBOL>`
+// contracts, plus `assets` ({ SYMBOL: { assetId, address } }),
+// `nativeAssetId` and a `devnet` section.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Path of the manifest for a chain
+ * @param {number} chainId - Chain ID
+ * @param {string} [dir] - Manifest directory
+ * @returns {string}
+ */
+function manifestPath(chainId, dir = DEFAULT_DIR) {
+  return path.join(dir, `${Number(chainId)}.json`);
+}
+
+/**
+ * Read the manifest for a chain
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
+ * @returns {Object|null} Manifest, or null if the chain has none
+ */
+function readManifest(chainId, { dir = DEFAULT_DIR } = {}) {
+  const filepath = manifestPath(chainId, dir);
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+}
+
+/**
+ * Write a manifest, creating the directory if needed
+ * @param {Object} manifest - Manifest (must include chainId)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
+ * @returns {string} Path written
+ */
+function writeManifest(manifest, { dir = DEFAULT_DIR } = {}) {
+  const filepath = manifestPath(manifest.chainId, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filepath, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+  return filepath;
+}
+
+/**
+ * Load the deployed contract addresses for a chain
+ * @param {number} chainId - Chain ID to load addresses for
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Manifest directory
+ * @returns {{chainId: number, network: string, deployer: string, contracts: Object<string, string>, manifest: Object}}
+ */
+function loadDeployment(chainId, { dir = DEFAULT_DIR } = {}) {
+  chainId = Number(chainId);
+
+  const manifest = readManifest(chainId, { dir });
+  if (!manifest) {
+    throw new Error(`No deployment found for chain ID ${chainId} in ${dir}`);
+  }
+
+  const contracts = {};
+  for (const [key, entry] of Object.entries(manifest.contracts || {})) {
+    contracts[key] = entry.address;
+  }
+
+  return {
+    chainId,
+    network: manifest.network,
+    deployer: manifest.deployer,
+    contracts,
+    manifest,
+  };
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  loadDeployment,
+};
@@ -0,0 +1,221 @@
+// Withdrawals and state Merkle trees matching contracts/libraries/IndexedMerkleProof.sol
+
+const { AbiCoder, concat, keccak256, solidityPackedKeccak256, toBeHex, zeroPadValue, ZeroHash } = require("ethers");
+
+const MAX_DEPTH = 32;
+
+/**
+ * Hash a withdrawal into its tree leaf (same as WithdrawalContract.withdrawalLeaf)
+ * @param {import("./client").WithdrawalData} withdrawal - Withdrawal data
+ * @returns {string} Leaf hash
+ */
+function hashWithdrawal({ user, assetId, amount, chainId }) {
+  return solidityPackedKeccak256(
+    ["address", "uint256", "uint256", "uint256"],
+    [user, assetId, amount, chainId]
+  );
+}
+
+/**
+ * Hash an account balance into its state tree leaf (same as WithdrawalContract.accountLeaf)
+ * @param {import("./client").AccountBalance} account - Account balance
+ * @returns {string} Leaf hash
+ */
+function hashAccount({ user, assetId, balance, chainId }) {
+  return solidityPackedKeccak256(
+    ["address", "uint256", "uint256", "uint256"],
+    [user, assetId, balance, chainId]
+  );
+}
+
+/**
+ * Nullifier a withdrawal spends (same as WithdrawalContract.withdrawalNullifier)
+ * @param {bigint|number} chainId - Chain ID of the WithdrawalContract
+ * @param {bigint|number} blockId - Block whose withdrawals root contains the withdrawal
+ * @param {bigint|number} leafIndex - Position of the withdrawal in the block's withdrawals tree
+ * @returns {string} Nullifier
+ */
+function withdrawalNullifier(chainId, blockId, leafIndex) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      ["string", "uint256", "uint256", "uint256"],
+      ["zkclear.withdrawal", chainId, blockId, leafIndex]
+    )
+  );
+}
+
+function hashPair(left, right) {
+  return keccak256(concat([left, right]));
+}
+
+/**
+ * Index-based keccak256 Merkle tree
+ *
+ * Leaves are padded with ZeroHash up to the next power of two. Proofs are the
+ * packed bytes `[leafIndex][sibling_0]...[sibling_{depth-1}]` that
+ * IndexedMerkleProof.verify expects.
+ */
+class MerkleTree {
+  /**
+   * @param {Array<string>} leaves - Leaf hashes, in tree order
+   */
+  constructor(leaves) {
+    if (leaves.length === 0) {
+      throw new Error("Cannot build a Merkle tree without leaves");
+    }
+
+    let depth = 0;
+    while (1 << depth < leaves.length) {
+      depth++;
+    }
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Too many leaves: maximum depth is ${MAX_DEPTH}`);
+    }
+
+    const size = 2 ** depth;
+    const base = leaves.map((leaf) => zeroPadValue(leaf, 32));
+    while (base.length < size) {
+      base.push(ZeroHash);
+    }
+
+    this.depth = depth;
+    this.leafCount = leaves.length;
+    this.layers = [base];
+    for (let level = 0; level < depth; level++) {
+      const below = this.layers[level];
+      const layer = [];
+      for (let i = 0; i < below.length; i += 2) {
+        layer.push(hashPair(below[i], below[i + 1]));
+      }
+      this.layers.push(layer);
+    }
+  }
+
+  /**
+   * @returns {string} Merkle root
+   */
+  get root() {
+    return this.layers[this.depth][0];
+  }
+
+  /**
+   * Get the leaf at an index
+   * @param {number} index - Leaf index
+   * @returns {string} Leaf hash
+   */
+  getLeaf(index) {
+    this._checkIndex(index);
+    return this.layers[0][index];
+  }
+
+  /**
+   * Build the inclusion proof for a leaf
+   * @param {number} index - Leaf index
+   * @returns {string} Packed proof bytes
+   */
+  getProof(index) {
+    this._checkIndex(index);
+
+    const words = [zeroPadValue(toBeHex(index), 32)];
+    let position = index;
+    for (let level = 0; level < this.depth; level++) {
+      words.push(this.layers[level][position ^ 1]);
+      position >>= 1;
+    }
+    return concat(words);
+  }
+
+  _checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.leafCount) {
+      throw new Error(`Leaf index ${index} out of range (0..${this.leafCount - 1})`);
+    }
+  }
+}
+
+/**
+ * Merkle tree over a block's withdrawals
+ */
+class WithdrawalTree extends MerkleTree {
+  /**
+   * @param {Array<import("./client").WithdrawalData>} withdrawals - Withdrawals, in block order
+   */
+  constructor(withdrawals) {
+    super(withdrawals.map(hashWithdrawal));
+    this.withdrawals = withdrawals;
+  }
+
+  /**
+   * Find the index of a withdrawal in the tree
+   * @param {import("./client").WithdrawalData} withdrawal - Withdrawal data
+   * @returns {number} Leaf index, or -1 if not present
+   */
+  indexOf(withdrawal) {
+    const leaf = hashWithdrawal(withdrawal);
+    return this.layers[0].slice(0, this.leafCount).indexOf(leaf);
+  }
+}
+
+/**
+ * Merkle tree over the account balances of a state root, for exits in exodus mode
+ */
+class StateTree extends MerkleTree {
+  /**
+   * @param {Array<import("./client").AccountBalance>} accounts - Account balances, in state order
+   */
+  constructor(accounts) {
+    super(accounts.map(hashAccount));
+    this.accounts = accounts;
+  }
+
+  /**
+   * Find the index of an account balance in the tree
+   * @param {import("./client").AccountBalance} account - Account balance
+   * @returns {number} Leaf index, or -1 if not present
+   */
+  indexOf(account) {
+    const leaf = hashAccount(account);
+    return this.layers[0].slice(0, this.leafCount).indexOf(leaf);
+  }
+}
+
+/**
+ * Verify a packed proof off-chain (mirrors IndexedMerkleProof.verify)
+ * @param {string} proof - Packed proof bytes
+ * @param {string} root - Expected root
+ * @param {string} leaf - Leaf hash
+ * @returns {boolean}
+ */
+function verifyProof(proof, root, leaf) {
+  const hex = proof.startsWith("0x") ? proof.slice(2) : proof;
+  if (hex.length < 64 || hex.length % 64 !== 0) {
+    return false;
+  }
+
+  const depth = hex.length / 64 - 1;
+  if (depth > MAX_DEPTH) {
+    return false;
+  }
+
+  let index = BigInt("0x" + hex.slice(0, 64));
+  if (index >> BigInt(depth) !== 0n) {
+    return false;
+  }
+
+  let node = leaf;
+  for (let i = 0; i < depth; i++) {
+    const sibling = "0x" + hex.slice(64 * (i + 1), 64 * (i + 2));
+    node = (index & 1n) === 0n ? hashPair(node, sibling) : hashPair(sibling, node);
+    index >>= 1n;
+  }
+  return node.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  MerkleTree,
+  WithdrawalTree,
+  StateTree,
+  hashWithdrawal,
+  hashAccount,
+  withdrawalNullifier,
+  verifyProof,
+};
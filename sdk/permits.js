@@ -0,0 +1,161 @@
+// Typed-data signing for approval-free deposits
+//
+// EIP-2612: the token itself grants DepositContract an allowance from a
+// signed Permit, consumed by DepositContract.depositWithPermit.
+//
+// Permit2: the owner approves Permit2 once per token, then signs a one-off
+// PermitTransferFrom with DepositContract as spender, an unordered nonce and
+// a deadline, consumed by DepositContract.depositWithPermit2.
+
+const { Contract, Signature, hexlify, randomBytes } = require("ethers");
+
+/// Uniswap Permit2, deployed at the same address on every supported chain
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+/// Lifetime of permits signed without an explicit deadline, in seconds
+const DEFAULT_PERMIT_TTL = 3600;
+
+const PERMIT_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: "permitted", type: "TokenPermissions" },
+    { name: "spender", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  TokenPermissions: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+/**
+ * @typedef {Object} SignedPermit
+ * @property {string} owner - Token owner (the signer)
+ * @property {string} spender - Spender granted the allowance
+ * @property {bigint} value - Allowance
+ * @property {bigint} deadline - Last timestamp the permit is valid at
+ * @property {number} v - Signature v
+ * @property {string} r - Signature r
+ * @property {string} s - Signature s
+ */
+
+/**
+ * @typedef {Object} SignedPermit2
+ * @property {{permitted: {token: string, amount: bigint}, nonce: bigint, deadline: bigint}} permit -
+ *   PermitTransferFrom as passed to depositWithPermit2
+ * @property {string} spender - Spender the permit was signed for
+ * @property {string} signature - 65-byte signature
+ */
+
+/**
+ * Deadline DEFAULT_PERMIT_TTL seconds after the latest block
+ * @param {import("ethers").Provider} provider - Provider
+ * @returns {Promise<bigint>}
+ */
+async function defaultDeadline(provider) {
+  const block = await provider.getBlock("latest");
+  return BigInt(block.timestamp + DEFAULT_PERMIT_TTL);
+}
+
+/**
+ * Random unordered Permit2 nonce
+ * @returns {bigint}
+ */
+function randomNonce() {
+  return BigInt(hexlify(randomBytes(32)));
+}
+
+// EIP-712 domain of a permit token: ERC-5267 eip712Domain() if available, else name() and version "1"
+async function tokenDomain(token, chainId) {
+  try {
+    const domain = await token.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+    };
+  } catch {
+    return { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() };
+  }
+}
+
+/**
+ * Sign an EIP-2612 permit
+ * @param {import("ethers").Signer} signer - Token owner
+ * @param {string} tokenAddress - EIP-2612 token
+ * @param {Object} params
+ * @param {string} params.spender - Spender to grant the allowance (DepositContract)
+ * @param {bigint|number} params.value - Allowance
+ * @param {bigint|number} [params.deadline] - Defaults to DEFAULT_PERMIT_TTL after the latest block
+ * @param {bigint|number} [params.nonce] - Defaults to the token's current nonce for the owner
+ * @returns {Promise<SignedPermit>}
+ */
+async function signPermit(signer, tokenAddress, { spender, value, deadline, nonce }) {
+  const token = new Contract(tokenAddress, PERMIT_TOKEN_ABI, signer);
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+
+  const message = {
+    owner,
+    spender,
+    value: BigInt(value),
+    nonce: nonce === undefined ? await token.nonces(owner) : BigInt(nonce),
+    deadline: deadline === undefined ? await defaultDeadline(signer.provider) : BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(await tokenDomain(token, chainId), PERMIT_TYPES, message);
+  const { v, r, s } = Signature.from(signature);
+  return { owner, spender, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+/**
+ * Sign a Permit2 PermitTransferFrom
+ * @param {import("ethers").Signer} signer - Token owner
+ * @param {Object} params
+ * @param {string} params.token - Token to transfer
+ * @param {bigint|number} params.amount - Maximum amount to transfer
+ * @param {string} params.spender - Contract allowed to use the permit (DepositContract)
+ * @param {bigint|number} [params.deadline] - Defaults to DEFAULT_PERMIT_TTL after the latest block
+ * @param {bigint|number} [params.nonce] - Unordered nonce, random by default
+ * @param {string} [params.permit2=PERMIT2_ADDRESS] - Permit2 address
+ * @returns {Promise<SignedPermit2>}
+ */
+async function signPermit2(signer, { token, amount, spender, deadline, nonce, permit2 = PERMIT2_ADDRESS }) {
+  const { chainId } = await signer.provider.getNetwork();
+
+  const permit = {
+    permitted: { token, amount: BigInt(amount) },
+    nonce: nonce === undefined ? randomNonce() : BigInt(nonce),
+    deadline: deadline === undefined ? await defaultDeadline(signer.provider) : BigInt(deadline),
+  };
+  const domain = { name: "Permit2", chainId, verifyingContract: permit2 };
+  const signature = await signer.signTypedData(domain, PERMIT2_TYPES, { ...permit, spender });
+  return { permit, spender, signature };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  DEFAULT_PERMIT_TTL,
+  PERMIT_TYPES,
+  PERMIT2_TYPES,
+  defaultDeadline,
+  randomNonce,
+  signPermit,
+  signPermit2,
+};
@@ -0,0 +1,38 @@
+// Access control roles of the ZKClear contracts (see contracts/utils/ZkClearAccess.sol)
+
+const { ZeroHash, id } = require("ethers");
+
+/// Role IDs by name; the admin role administers all the others but the
+/// timelock role, which administers itself
+const ROLES = {
+  admin: ZeroHash, // DEFAULT_ADMIN_ROLE
+  sequencer: id("SEQUENCER_ROLE"),
+  guardian: id("GUARDIAN_ROLE"),
+  assetManager: id("ASSET_MANAGER_ROLE"),
+  treasurer: id("TREASURER_ROLE"),
+  timelock: id("TIMELOCK_ROLE"),
+};
+
+/// Roles each contract checks, keyed like the manifest
+const CONTRACT_ROLES = {
+  deposit: ["admin", "guardian", "assetManager", "treasurer", "timelock"],
+  groth16Verifier: ["admin", "timelock"],
+  verifier: ["admin", "sequencer", "guardian", "timelock"],
+  withdrawal: ["admin", "guardian", "timelock"],
+};
+
+/**
+ * Name of a role ID
+ * @param {string} role - Role ID (bytes32)
+ * @returns {string|null} Role name, or null for an unknown role
+ */
+function roleName(role) {
+  const entry = Object.entries(ROLES).find(([, value]) => value === role.toLowerCase());
+  return entry ? entry[0] : null;
+}
+
+module.exports = {
+  ROLES,
+  CONTRACT_ROLES,
+  roleName,
+};
@@ -0,0 +1,268 @@
+// Groth16 verifying key parsing for Groth16Verifier.setVerifyingKey
+//
+// Keys are normalized to the "canonical" form, which mirrors the contract's
+// VerifyingKey struct and is what gets sent on-chain:
+//
+//   {
+//     "alpha": { "X": "0x..", "Y": "0x.." },
+//     "beta":  { "X": ["0x..", "0x.."], "Y": ["0x..", "0x.."] },
+//     "gamma": { ... }, "delta": { ... },
+//     "gammaAbc": [{ "X": "0x..", "Y": "0x.." }, ...]
+//   }
+//
+// G2 coordinates are in EVM precompile order (EIP-197): [imaginary, real].
+// Arkworks text exports and snarkjs keys list them as [real, imaginary]
+// (c0, c1), so both are swapped while parsing.
+
+const { AbiCoder, keccak256, toBeHex } = require("ethers");
+
+/// Minimum gamma_abc length: 1 constant + 33 public inputs
+/// (3 roots and the deposits hash * 8 limbs, then the deposit index)
+const MIN_GAMMA_ABC_LENGTH = 34;
+
+const FORMATS = ["arkworks", "snarkjs", "canonical"];
+
+function toHex32(value) {
+  return toBeHex(BigInt(value), 32);
+}
+
+function g1(x, y) {
+  return { X: toHex32(x), Y: toHex32(y) };
+}
+
+// [c0, c1] pairs (real first) into EVM order
+function g2FromC0C1(x, y) {
+  return { X: [toHex32(x[1]), toHex32(x[0])], Y: [toHex32(y[1]), toHex32(y[0])] };
+}
+
+/**
+ * Guess the format of a verifying key file
+ * @param {string} content - File content
+ * @returns {"arkworks"|"snarkjs"|"canonical"}
+ */
+function detectFormat(content) {
+  const trimmed = content.trim();
+  if (!trimmed.startsWith("{")) {
+    return "arkworks";
+  }
+
+  let json;
+  try {
+    json = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`Verifying key looks like JSON but does not parse: ${error.message}`);
+  }
+  if (json.vk_alpha_1 !== undefined && json.IC !== undefined) {
+    return "snarkjs";
+  }
+  if (json.alpha !== undefined && json.gammaAbc !== undefined) {
+    return "canonical";
+  }
+  throw new Error("Unrecognized verifying key JSON: expected snarkjs (vk_alpha_1, IC) or canonical (alpha, gammaAbc) fields");
+}
+
+function extractValue(content, key) {
+  const regex = new RegExp(`${key}\\s+(0x[0-9a-fA-F]+)`);
+  const match = content.match(regex);
+  if (!match) {
+    throw new Error(`Failed to extract ${key}`);
+  }
+  return match[1];
+}
+
+function extractArray(content, key) {
+  const regex = new RegExp(`${key}\\s+\\[(0x[0-9a-fA-F]+),\\s+(0x[0-9a-fA-F]+)\\]`);
+  const match = content.match(regex);
+  if (!match) {
+    throw new Error(`Failed to extract ${key}`);
+  }
+  return [match[1], match[2]];
+}
+
+function extractGammaAbc(content) {
+  const gammaAbc = [];
+  const regex = /gamma_abc\[(\d+)\]:\s+\((0x[0-9a-fA-F]+),\s+(0x[0-9a-fA-F]+)\)/g;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    gammaAbc[parseInt(match[1])] = g1(match[2], match[3]);
+  }
+
+  for (let i = 0; i < gammaAbc.length; i++) {
+    if (gammaAbc[i] === undefined) {
+      throw new Error(`Missing gamma_abc[${i}]`);
+    }
+  }
+  return gammaAbc;
+}
+
+/**
+ * Parse the Arkworks text export (scripts/verifying_key.txt)
+ * @param {string} content - File content
+ * @returns {Object} Canonical verifying key
+ */
+function parseArkworks(content) {
+  return {
+    alpha: g1(extractValue(content, "alpha_X:"), extractValue(content, "alpha_Y:")),
+    beta: g2FromC0C1(extractArray(content, "beta_X:"), extractArray(content, "beta_Y:")),
+    gamma: g2FromC0C1(extractArray(content, "gamma_X:"), extractArray(content, "gamma_Y:")),
+    delta: g2FromC0C1(extractArray(content, "delta_X:"), extractArray(content, "delta_Y:")),
+    gammaAbc: extractGammaAbc(content),
+  };
+}
+
+/**
+ * Parse a snarkjs verification_key.json
+ * @param {Object} json - Parsed JSON
+ * @returns {Object} Canonical verifying key
+ */
+function parseSnarkjs(json) {
+  if (json.protocol !== undefined && json.protocol !== "groth16") {
+    throw new Error(`Unsupported snarkjs protocol: ${json.protocol}`);
+  }
+  if (json.curve !== undefined && !["bn128", "bn254"].includes(json.curve)) {
+    throw new Error(`Unsupported snarkjs curve: ${json.curve}`);
+  }
+
+  return {
+    alpha: g1(json.vk_alpha_1[0], json.vk_alpha_1[1]),
+    beta: g2FromC0C1(json.vk_beta_2[0], json.vk_beta_2[1]),
+    gamma: g2FromC0C1(json.vk_gamma_2[0], json.vk_gamma_2[1]),
+    delta: g2FromC0C1(json.vk_delta_2[0], json.vk_delta_2[1]),
+    gammaAbc: json.IC.map((point) => g1(point[0], point[1])),
+  };
+}
+
+/**
+ * Parse a canonical JSON key (already in contract order)
+ * @param {Object} json - Parsed JSON
+ * @returns {Object} Canonical verifying key
+ */
+function parseCanonical(json) {
+  const g2 = (point) => ({ X: point.X.map(toHex32), Y: point.Y.map(toHex32) });
+  return {
+    alpha: g1(json.alpha.X, json.alpha.Y),
+    beta: g2(json.beta),
+    gamma: g2(json.gamma),
+    delta: g2(json.delta),
+    gammaAbc: json.gammaAbc.map((point) => g1(point.X, point.Y)),
+  };
+}
+
+/**
+ * Parse a verifying key in any supported format
+ * @param {string} content - File content
+ * @param {string} [format="auto"] - "auto", "arkworks", "snarkjs" or "canonical"
+ * @returns {{format: string, key: Object}} Detected format and canonical key
+ */
+function parseVerifyingKey(content, format = "auto") {
+  if (format === "auto") {
+    format = detectFormat(content);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown verifying key format "${format}" (expected one of: auto, ${FORMATS.join(", ")})`);
+  }
+
+  let key;
+  if (format === "arkworks") {
+    key = parseArkworks(content);
+  } else if (format === "snarkjs") {
+    key = parseSnarkjs(JSON.parse(content));
+  } else {
+    key = parseCanonical(JSON.parse(content));
+  }
+
+  if (key.gammaAbc.length < MIN_GAMMA_ABC_LENGTH) {
+    throw new Error(
+      `Invalid gamma_abc length: expected at least ${MIN_GAMMA_ABC_LENGTH}, got ${key.gammaAbc.length}`
+    );
+  }
+
+  return { format, key };
+}
+
+/**
+ * Arguments for Groth16Verifier.setVerifyingKey
+ * @param {Object} key - Canonical verifying key
+ * @returns {Array} [alpha, beta, gamma, delta, gammaAbc]
+ */
+function toContractArgs(key) {
+  return [key.alpha, key.beta, key.gamma, key.delta, key.gammaAbc];
+}
+
+const KEY_ABI_TYPES = [
+  "tuple(uint256 X, uint256 Y)",
+  "tuple(uint256[2] X, uint256[2] Y)",
+  "tuple(uint256[2] X, uint256[2] Y)",
+  "tuple(uint256[2] X, uint256[2] Y)",
+  "tuple(uint256 X, uint256 Y)[]",
+];
+
+/**
+ * Key hash as computed by Groth16Verifier.hashVerifyingKey
+ * @param {Object} key - Canonical verifying key
+ * @returns {string} keccak256 of the ABI-encoded key
+ */
+function hashVerifyingKey(key) {
+  return keccak256(AbiCoder.defaultAbiCoder().encode(KEY_ABI_TYPES, toContractArgs(key)));
+}
+
+/**
+ * Build a canonical key from values read back from Groth16Verifier
+ * @param {Object} vk - Result of `vk()` or `getVerifyingKey(version)`
+ * @param {Array} [gammaAbc=vk.gamma_abc] - Result of `getGammaAbc()`
+ * @returns {Object} Canonical verifying key
+ */
+function fromContract(vk, gammaAbc = vk.gamma_abc) {
+  const g2 = (point) => ({ X: [...point.X].map(toHex32), Y: [...point.Y].map(toHex32) });
+  return {
+    alpha: g1(vk.alpha.X, vk.alpha.Y),
+    beta: g2(vk.beta),
+    gamma: g2(vk.gamma),
+    delta: g2(vk.delta),
+    gammaAbc: gammaAbc.map((point) => g1(point.X, point.Y)),
+  };
+}
+
+/**
+ * Compare two canonical keys
+ * @param {Object} a - Canonical verifying key
+ * @param {Object} b - Canonical verifying key
+ * @returns {boolean}
+ */
+function verifyingKeysEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Human-readable dump of a canonical key
+ * @param {Object} key - Canonical verifying key
+ * @returns {string}
+ */
+function formatVerifyingKey(key) {
+  const lines = [
+    `alpha:    (${key.alpha.X}, ${key.alpha.Y})`,
+    `beta.X:   [${key.beta.X.join(", ")}]`,
+    `beta.Y:   [${key.beta.Y.join(", ")}]`,
+    `gamma.X:  [${key.gamma.X.join(", ")}]`,
+    `gamma.Y:  [${key.gamma.Y.join(", ")}]`,
+    `delta.X:  [${key.delta.X.join(", ")}]`,
+    `delta.Y:  [${key.delta.Y.join(", ")}]`,
+    `gamma_abc (${key.gammaAbc.length} points):`,
+  ];
+  key.gammaAbc.forEach((point, i) => {
+    lines.push(`  [${i}] (${point.X}, ${point.Y})`);
+  });
+  return lines.join("\n");
+}
+
+module.exports = {
+  FORMATS,
+  MIN_GAMMA_ABC_LENGTH,
+  detectFormat,
+  formatVerifyingKey,
+  fromContract,
+  hashVerifyingKey,
+  parseVerifyingKey,
+  toContractArgs,
+  verifyingKeysEqual,
+};
@@ -0,0 +1,243 @@
+// Hardhat task: register assets in DepositContract from a per-network config file
+// Usage: npx hardhat zkclear:register-assets --network <network> [--file config/assets/<network>.json]
+//
+// Config file:
+//   {
+//     "native": { "assetId": 1, "minDeposit": "0.001", "maxDeposit": "100" },
+//     "assets": [
+//       { "assetId": 2, "symbol": "USDC", "token": "0x...", "minDeposit": "1", "enabled": true },
+//       { "assetId": 3, "token": "0x...", "behavior": "feeOnTransfer" }
+//     ]
+//   }
+//
+// Limits are in whole units of the asset (scaled by its decimals); an omitted
+// or "0" minDeposit/maxDeposit means no limit. "symbol" is optional and only
+// checked against the token. "behavior" declares how an ERC20 token moves
+// balances: "standard" (the default), "feeOnTransfer" (deposits are credited
+// with the amount received) or "rebasing" (deposits are rejected). Running the
+// task again is safe: registered assets only get their limits, enabled flag and
+// behavior synced, and an asset ID registered to a different token is an error,
+// since asset IDs cannot be re-mapped. New assets are registered with their
+// behavior, and an asset whose behavior changes is disabled until it is set.
+
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { isAddress, getAddress, parseUnits, formatUnits } = require("ethers");
+const { loadDeployment } = require("../sdk/manifest");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config", "assets");
+
+/// DepositContract.AssetKind
+const ASSET_KIND = { None: 0n, Native: 1n, ERC20: 2n };
+
+/// DepositContract.TokenBehavior, by config name
+const TOKEN_BEHAVIOR = { standard: 0n, feeOnTransfer: 1n, rebasing: 2n };
+
+/**
+ * @typedef {Object} AssetConfig
+ * @property {number} assetId - Asset ID
+ * @property {string} [token] - ERC20 token (absent for native ETH)
+ * @property {string} [symbol] - Expected token symbol
+ * @property {string} [minDeposit="0"] - Smallest deposit in whole units
+ * @property {string} [maxDeposit="0"] - Largest deposit in whole units (0: no limit)
+ * @property {boolean} [enabled=true] - Whether deposits are accepted
+ * @property {string} [behavior="standard"] - ERC20 token behavior: "standard", "feeOnTransfer" or "rebasing"
+ */
+
+/**
+ * @typedef {Object} AssetSyncResult
+ * @property {number} assetId - Asset ID
+ * @property {string} kind - "native" or "erc20"
+ * @property {string} token - Token address (zero for native ETH)
+ * @property {string} symbol - Symbol stored in the registry
+ * @property {number} decimals - Decimals stored in the registry
+ * @property {bigint} minDeposit - Smallest deposit in base units
+ * @property {bigint} maxDeposit - Largest deposit in base units (0: no limit)
+ * @property {boolean} enabled - Whether deposits are accepted
+ * @property {string} behavior - Token behavior ("standard" for native ETH)
+ * @property {Array<string>} changes - Transactions sent: "registered", "limits", "enabled", "disabled", "behavior"
+ */
+
+/**
+ * Default config file of a network
+ * @param {string} network - Hardhat network name
+ * @returns {string}
+ */
+function assetConfigPath(network) {
+  return path.join(CONFIG_DIR, `${network}.json`);
+}
+
+/**
+ * Read and validate an asset config file
+ * @param {string} file - Config file
+ * @returns {{native: AssetConfig|null, assets: Array<AssetConfig>}}
+ */
+function readAssetConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Asset config not found: ${file}`);
+  }
+  const { native = null, assets = [] } = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  const seen = new Set();
+  for (const entry of native ? [native, ...assets] : assets) {
+    if (!Number.isSafeInteger(entry.assetId) || entry.assetId < 1) {
+      throw new Error(`${file}: assetId must be a positive integer, got ${JSON.stringify(entry.assetId)}`);
+    }
+    if (seen.has(entry.assetId)) {
+      throw new Error(`${file}: asset ${entry.assetId} is configured twice`);
+    }
+    seen.add(entry.assetId);
+    if (entry !== native && !isAddress(entry.token)) {
+      throw new Error(`${file}: asset ${entry.assetId} has an invalid token address ${JSON.stringify(entry.token)}`);
+    }
+    if (entry.behavior !== undefined) {
+      if (entry === native) {
+        throw new Error(`${file}: the native asset has no token behavior`);
+      }
+      if (!Object.hasOwn(TOKEN_BEHAVIOR, entry.behavior)) {
+        throw new Error(
+          `${file}: asset ${entry.assetId} has an unknown behavior ${JSON.stringify(entry.behavior)}, ` +
+            `expected one of ${Object.keys(TOKEN_BEHAVIOR).join(", ")}`
+        );
+      }
+    }
+  }
+  return { native, assets };
+}
+
+// Register one asset if missing, then sync its limits, enabled flag and token behavior
+async function syncAsset(depositContract, entry, native, log) {
+  const { assetId, minDeposit = "0", maxDeposit = "0", enabled = true, behavior = "standard" } = entry;
+  const token = native ? "0x0000000000000000000000000000000000000000" : getAddress(entry.token);
+  const kind = native ? ASSET_KIND.Native : ASSET_KIND.ERC20;
+  const changes = [];
+
+  let asset = await depositContract.getAsset(assetId);
+  if (asset.kind === ASSET_KIND.None) {
+    const tx = native
+      ? await depositContract.registerNativeAsset(assetId)
+      : await depositContract.registerAsset(assetId, token, TOKEN_BEHAVIOR[behavior]);
+    await tx.wait();
+    changes.push("registered");
+    asset = await depositContract.getAsset(assetId);
+  } else if (asset.kind !== kind || asset.token !== token) {
+    const current = asset.kind === ASSET_KIND.Native ? "native ETH" : asset.token;
+    throw new Error(
+      `Asset ${assetId} is registered to ${current}, the config says ${native ? "native ETH" : token}. ` +
+      "Asset IDs cannot be re-mapped: give the new asset a new ID."
+    );
+  }
+
+  if (entry.symbol !== undefined && entry.symbol !== asset.symbol) {
+    throw new Error(`Asset ${assetId} (${token}) has symbol "${asset.symbol}", the config says "${entry.symbol}"`);
+  }
+
+  const decimals = Number(asset.decimals);
+  const min = parseUnits(String(minDeposit), decimals);
+  const max = parseUnits(String(maxDeposit), decimals);
+  if (asset.minDeposit !== min || asset.maxDeposit !== max) {
+    await (await depositContract.setDepositLimits(assetId, min, max)).wait();
+    changes.push("limits");
+  }
+  // A deposit credited under the old behavior cannot be corrected, so the asset
+  // stays disabled while its behavior changes and is only enabled afterwards
+  let isEnabled = asset.enabled;
+  if (!native && (await depositContract.tokenBehavior(assetId)) !== TOKEN_BEHAVIOR[behavior]) {
+    if (isEnabled) {
+      await (await depositContract.disableAsset(assetId)).wait();
+      isEnabled = false;
+    }
+    await (await depositContract.setTokenBehavior(assetId, TOKEN_BEHAVIOR[behavior])).wait();
+    changes.push("behavior");
+  }
+  if (isEnabled !== enabled) {
+    await (await (enabled ? depositContract.enableAsset(assetId) : depositContract.disableAsset(assetId))).wait();
+  }
+  if (asset.enabled !== enabled) {
+    changes.push(enabled ? "enabled" : "disabled");
+  }
+
+  const limits = `min ${formatUnits(min, decimals)}, max ${max === 0n ? "none" : formatUnits(max, decimals)}`;
+  log(
+    `Asset ${assetId}: ${asset.symbol || token} (${limits}${behavior === "standard" ? "" : `, ${behavior}`}` +
+    `${enabled ? "" : ", disabled"})` +
+    `${changes.length > 0 ? ` [${changes.join(", ")}]` : " up to date"}`
+  );
+
+  return {
+    assetId,
+    kind: native ? "native" : "erc20",
+    token,
+    symbol: asset.symbol,
+    decimals,
+    minDeposit: min,
+    maxDeposit: max,
+    enabled,
+    behavior,
+    changes,
+  };
+}
+
+/**
+ * Bring the DepositContract registry in line with an asset config
+ * @param {import("ethers").Contract} depositContract - DepositContract connected to an asset manager
+ * @param {{native: AssetConfig|null, assets: Array<AssetConfig>}} config - Asset config
+ * @param {Object} [options]
+ * @param {Function} [options.log=console.log] - Logger
+ * @returns {Promise<Array<AssetSyncResult>>}
+ */
+async function syncAssets(depositContract, { native = null, assets = [] }, { log = console.log } = {}) {
+  const results = [];
+  if (native) {
+    const nativeAssetId = await depositContract.nativeAssetId();
+    if (nativeAssetId !== 0n && nativeAssetId !== BigInt(native.assetId)) {
+      throw new Error(`Native ETH is registered as asset ${nativeAssetId}, the config says ${native.assetId}`);
+    }
+    results.push(await syncAsset(depositContract, native, true, log));
+  }
+  for (const entry of assets) {
+    results.push(await syncAsset(depositContract, entry, false, log));
+  }
+  return results;
+}
+
+task("zkclear:register-assets", "Register assets and deposit limits in DepositContract from a config file")
+  .addOptionalParam("file", "Asset config file (defaults to config/assets/<network>.json)")
+  .addOptionalParam("address", "DepositContract address (defaults to the deployment manifest)")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ file, address, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const configPath = path.resolve(file || assetConfigPath(hre.network.name));
+    const assetConfig = readAssetConfig(configPath);
+
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    if (!address) {
+      address = loadDeployment(chainId, { dir: deployments }).contracts.deposit;
+      if (!address) {
+        throw new Error(`Deployment manifest for chain ${chainId} has no DepositContract address`);
+      }
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    log(`Network: ${hre.network.name} (chain ID ${chainId})`);
+    log(`DepositContract: ${address}`);
+    log(`Signer: ${signer.address}`);
+    log(`Config: ${configPath}\n`);
+
+    const depositContract = await hre.ethers.getContractAt("DepositContract", address, signer);
+    const assets = await syncAssets(depositContract, assetConfig, { log });
+
+    const sent = assets.reduce((count, { changes }) => count + changes.length, 0);
+    log(`\n✅ ${assets.length} assets checked, ${sent} transactions sent`);
+    return { address, assets };
+  });
+
+module.exports = {
+  ASSET_KIND,
+  TOKEN_BEHAVIOR,
+  assetConfigPath,
+  readAssetConfig,
+  syncAssets,
+};
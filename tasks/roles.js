@@ -0,0 +1,244 @@
+// Hardhat task: assign roles on the ZKClear contracts from a per-network config file
+// Usage: npx hardhat zkclear:roles --network <network> [--file config/roles/<network>.json]
+//
+// Config file:
+//   {
+//     "admin": "0x...",
+//     "sequencers": ["0x...", "0x..."],
+//     "guardians": ["0x..."],
+//     "assetManagers": ["0x..."],
+//     "treasurers": ["0x..."]
+//   }
+//
+// "deployer" stands for the signer's address. An omitted key keeps the
+// deployment default: the deployer is admin, sequencer, asset manager and
+// treasurer, and there are no guardians. Every role ends up with exactly the configured
+// members: missing ones are granted, others revoked. The admin is granted
+// first and revoked last, so the signer keeps the rights to finish the run;
+// once the admin has moved, only the new admin can run the task again.
+//
+// TIMELOCK_ROLE is not configurable: it goes to the ZkClearTimelock in the
+// manifest. Only a holder of the role can hand it over, so once the timelock
+// has it, the task leaves it alone.
+
+const { task } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { isAddress, getAddress } = require("ethers");
+const { loadDeployment } = require("../sdk/manifest");
+const { ROLES, CONTRACT_ROLES } = require("../sdk/roles");
+const { CONTRACT_NAMES } = require("../sdk/client");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config", "roles");
+
+/// Config key of each configurable role; "admin" holds one account, the others a list
+const CONFIG_KEYS = {
+  admin: "admin",
+  sequencer: "sequencers",
+  guardian: "guardians",
+  assetManager: "assetManagers",
+  treasurer: "treasurers",
+};
+
+/**
+ * @typedef {Object} RolesConfig
+ * @property {string} admin - Admin of every contract
+ * @property {Array<string>} sequencers - Accounts allowed to submit blocks
+ * @property {Array<string>} guardians - Accounts allowed to pause
+ * @property {Array<string>} assetManagers - Accounts managing the asset registry
+ * @property {Array<string>} treasurers - Accounts the timelock can move funds out of DepositContract to
+ * @property {string} [timelock] - ZkClearTimelock to hand TIMELOCK_ROLE to (from the manifest, not the config file)
+ */
+
+/**
+ * @typedef {Object} RoleChange
+ * @property {string} role - Role name
+ * @property {string} account - Account address
+ * @property {string} action - "granted" or "revoked"
+ */
+
+/**
+ * @typedef {Object} RolesSyncResult
+ * @property {string} key - Manifest key
+ * @property {string} contract - Contract name
+ * @property {string} address - Contract address
+ * @property {Array<RoleChange>} changes - Transactions sent, in order
+ */
+
+/**
+ * Default config file of a network
+ * @param {string} network - Hardhat network name
+ * @returns {string}
+ */
+function rolesConfigPath(network) {
+  return path.join(CONFIG_DIR, `${network}.json`);
+}
+
+/**
+ * Read and validate a roles config file
+ * @param {string} file - Config file
+ * @returns {Object} Config as written (accounts may be "deployer")
+ */
+function readRolesConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Roles config not found: ${file}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  for (const key of Object.keys(config)) {
+    if (!Object.values(CONFIG_KEYS).includes(key)) {
+      throw new Error(`${file}: unknown role "${key}"`);
+    }
+  }
+  const isAccount = (account) => account === "deployer" || isAddress(account);
+  if (config.admin !== undefined && !isAccount(config.admin)) {
+    throw new Error(`${file}: invalid admin address ${JSON.stringify(config.admin)}`);
+  }
+  for (const key of Object.values(CONFIG_KEYS).filter((key) => key !== "admin" && config[key] !== undefined)) {
+    if (!Array.isArray(config[key])) {
+      throw new Error(`${file}: ${key} must be a list of addresses`);
+    }
+    const invalid = config[key].find((account) => !isAccount(account));
+    if (invalid !== undefined) {
+      throw new Error(`${file}: ${key} has an invalid address ${JSON.stringify(invalid)}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Fill in the defaults of a roles config and replace "deployer" by its address
+ * @param {Object} config - Config from readRolesConfig (or {} for the defaults)
+ * @param {string} deployer - Deployer address
+ * @returns {RolesConfig}
+ */
+function resolveRoles(config, deployer) {
+  const resolve = (account) => getAddress(account === "deployer" ? deployer : account);
+  const list = (accounts) => [...new Set(accounts.map(resolve))];
+  const {
+    admin = "deployer",
+    sequencers = ["deployer"],
+    guardians = [],
+    assetManagers = ["deployer"],
+    treasurers = ["deployer"],
+  } = config;
+
+  const roles = {
+    admin: resolve(admin),
+    sequencers: list(sequencers),
+    guardians: list(guardians),
+    assetManagers: list(assetManagers),
+    treasurers: list(treasurers),
+  };
+  if (roles.admin === "0x0000000000000000000000000000000000000000") {
+    throw new Error("The admin cannot be the zero address");
+  }
+  if (roles.sequencers.length === 0) {
+    throw new Error("At least one sequencer is required, or no block can ever be submitted");
+  }
+  return roles;
+}
+
+// Grant and revoke one contract's roles to match the config
+async function syncContractRoles(key, contract, roles, signer, log) {
+  const name = CONTRACT_NAMES[key];
+  const address = await contract.getAddress();
+
+  const grants = [];
+  let revokes = [];
+  for (const role of CONTRACT_ROLES[key]) {
+    if (role === "timelock" && !roles.timelock) {
+      continue;
+    }
+    const wanted = role === "admin" || role === "timelock" ? [roles[role]] : roles[CONFIG_KEYS[role]];
+    const current = [...(await contract.getRoleMembers(ROLES[role]))];
+    grants.push(...wanted.filter((account) => !current.includes(account)).map((account) => ({ role, account })));
+    revokes.push(...current.filter((account) => !wanted.includes(account)).map((account) => ({ role, account })));
+  }
+  // The signer's own admin role goes last, or it could not send the rest
+  const isSignerAdmin = ({ role, account }) => role === "admin" && account === signer;
+  revokes = [...revokes.filter((revoke) => !isSignerAdmin(revoke)), ...revokes.filter(isSignerAdmin)];
+
+  // The timelock role administers itself; the admin administers the others
+  const pending = [...grants, ...revokes];
+  if (pending.some(({ role }) => role !== "timelock") && !(await contract.hasRole(ROLES.admin, signer))) {
+    throw new Error(`${signer} is not an admin of ${name} at ${address} and cannot change its roles`);
+  }
+  if (pending.some(({ role }) => role === "timelock") && !(await contract.hasRole(ROLES.timelock, signer))) {
+    throw new Error(
+      `${signer} does not hold the timelock role of ${name} at ${address} and cannot hand it to ${roles.timelock}`
+    );
+  }
+
+  const changes = [];
+  for (const { role, account } of grants) {
+    await (await contract.grantRole(ROLES[role], account)).wait();
+    changes.push({ role, account, action: "granted" });
+  }
+  for (const { role, account } of revokes) {
+    await (await contract.revokeRole(ROLES[role], account)).wait();
+    changes.push({ role, account, action: "revoked" });
+  }
+
+  log(`${name} (${address}):${changes.length > 0 ? "" : " up to date"}`);
+  for (const { role, account, action } of changes) {
+    log(`  ${action} ${role} ${action === "granted" ? "to" : "from"} ${account}`);
+  }
+  return { key, contract: name, address, changes };
+}
+
+/**
+ * Bring the roles of the deployed contracts in line with a config
+ * @param {Object<string, import("ethers").Contract>} contracts - Contracts keyed like the manifest, connected to an admin
+ * @param {RolesConfig} roles - Resolved config (see resolveRoles)
+ * @param {Object} [options]
+ * @param {Function} [options.log=console.log] - Logger
+ * @returns {Promise<Array<RolesSyncResult>>}
+ */
+async function syncRoles(contracts, roles, { log = console.log } = {}) {
+  const results = [];
+  for (const key of Object.keys(CONTRACT_ROLES).filter((key) => contracts[key])) {
+    const signer = await contracts[key].runner.getAddress();
+    results.push(await syncContractRoles(key, contracts[key], roles, signer, log));
+  }
+  return results;
+}
+
+task("zkclear:roles", "Assign roles on the deployed contracts from a config file")
+  .addOptionalParam("file", "Roles config file (defaults to config/roles/<network>.json)")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ file, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const configPath = path.resolve(file || rolesConfigPath(hre.network.name));
+    const config = readRolesConfig(configPath);
+
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    const { contracts: addresses } = loadDeployment(chainId, { dir: deployments });
+    const [signer] = await hre.ethers.getSigners();
+    const roles = { ...resolveRoles(config, signer.address), timelock: addresses.timelock };
+
+    log(`Network: ${hre.network.name} (chain ID ${chainId})`);
+    log(`Signer: ${signer.address}`);
+    log(`Config: ${configPath}\n`);
+
+    const contracts = {};
+    for (const key of Object.keys(CONTRACT_ROLES).filter((key) => addresses[key])) {
+      contracts[key] = await hre.ethers.getContractAt(CONTRACT_NAMES[key], addresses[key], signer);
+    }
+    if (Object.keys(contracts).length === 0) {
+      throw new Error(`Deployment manifest for chain ${chainId} has no contracts with roles`);
+    }
+    const results = await syncRoles(contracts, roles, { log });
+
+    const sent = results.reduce((count, { changes }) => count + changes.length, 0);
+    log(`\n✅ ${results.length} contracts checked, ${sent} transactions sent`);
+    return { roles, contracts: results };
+  });
+
+module.exports = {
+  rolesConfigPath,
+  readRolesConfig,
+  resolveRoles,
+  syncRoles,
+};
@@ -0,0 +1,447 @@
+// Hardhat tasks: propose, list, execute and cancel timelocked operations on the ZKClear contracts
+// Usage:
+//   npx hardhat zkclear:timelock:propose --network <network> --contract deposit --method withdrawNative \
+//     --args '["0x...", "1000000000000000000"]' [--delay <seconds>]
+//   npx hardhat zkclear:timelock:list --network <network> [--all] [--chunk-size 2000]
+//   npx hardhat zkclear:timelock:execute --network <network> --id <operation id>
+//   npx hardhat zkclear:timelock:cancel --network <network> --id <operation id>
+//
+// The sensitive functions of the contracts (withdrawTokens, withdrawNative,
+// setWithdrawalContract, addWithdrawalContract, removeWithdrawalContract,
+// WithdrawalContract.setDepositContract, setGroth16Verifier, setVerifier,
+// setLivenessTimeout, setVerifyingKey, scheduleVerifyingKey and upgrades) need
+// TIMELOCK_ROLE, which the deployment hands to the ZkClearTimelock in the
+// manifest. A proposer schedules a call, anyone watching the timelock's
+// CallScheduled events sees it coming, and it can only be executed once the
+// delay has passed. Proposers can cancel it until then.
+//
+// Timelock config file (config/timelock/<network>.json), read at deployment:
+//   {
+//     "minDelay": 3600,
+//     "proposers": ["0x..."],
+//     "executors": ["0x..."]
+//   }
+//
+// "deployer" stands for the deployer's address. minDelay defaults to two
+// days, proposers (who can also cancel) to the configured admin, and omitted
+// executors let anyone execute a ready operation. After deployment the delay
+// and the timelock's roles only change through the timelock itself
+// (updateDelay, grantRole and revokeRole on --contract timelock).
+
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { isAddress, getAddress, hexlify, randomBytes, ZeroAddress, ZeroHash } = require("ethers");
+const { loadDeployment } = require("../sdk/manifest");
+
+const CONFIG_DIR = path.join(__dirname, "..", "config", "timelock");
+
+/// Manifest key and contract of the timelock
+const TIMELOCK_KEY = "timelock";
+const TIMELOCK_CONTRACT = "ZkClearTimelock";
+
+/// Default minimum delay: long enough for users to notice and exit
+const DEFAULT_MIN_DELAY = 2 * 24 * 60 * 60;
+
+/// Blocks per event query, so RPCs that cap log ranges can serve the scan
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/// TimelockController.OperationState, by value
+const OPERATION_STATES = ["cancelled", "waiting", "ready", "done"];
+
+/**
+ * @typedef {Object} TimelockConfig
+ * @property {number} minDelay - Minimum delay in seconds
+ * @property {Array<string>} proposers - Accounts allowed to schedule and cancel
+ * @property {Array<string>} executors - Accounts allowed to execute ([ZeroAddress]: anyone)
+ */
+
+/**
+ * @typedef {Object} TimelockCall
+ * @property {string} target - Called contract
+ * @property {bigint} value - Wei sent with the call
+ * @property {string} data - Calldata
+ * @property {string|null} [description] - Decoded call, e.g. "DepositContract.withdrawNative(0x.., 1)"
+ */
+
+/**
+ * @typedef {Object} TimelockOperation
+ * @property {string} id - Operation ID (hashOperation / hashOperationBatch)
+ * @property {Array<TimelockCall>} calls - Calls, executed in order
+ * @property {string} predecessor - Operation that must be done first (ZeroHash: none)
+ * @property {string} salt - Salt
+ * @property {string} state - "waiting", "ready", "done" or "cancelled"
+ * @property {number} readyAt - Timestamp from which it can be executed (0 once cancelled)
+ * @property {number} blockNumber - Block it was scheduled in
+ * @property {string} txHash - Transaction that scheduled it
+ */
+
+/**
+ * Default timelock config file of a network
+ * @param {string} network - Hardhat network name
+ * @returns {string}
+ */
+function timelockConfigPath(network) {
+  return path.join(CONFIG_DIR, `${network}.json`);
+}
+
+/**
+ * Read and validate a timelock config file
+ * @param {string} file - Config file
+ * @returns {Object} Config as written (accounts may be "deployer")
+ */
+function readTimelockConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Timelock config not found: ${file}`);
+  }
+  const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  for (const key of Object.keys(config)) {
+    if (!["minDelay", "proposers", "executors"].includes(key)) {
+      throw new Error(`${file}: unknown key "${key}"`);
+    }
+  }
+  if (config.minDelay !== undefined && !(Number.isSafeInteger(config.minDelay) && config.minDelay >= 0)) {
+    throw new Error(`${file}: minDelay must be a number of seconds, got ${JSON.stringify(config.minDelay)}`);
+  }
+  for (const key of ["proposers", "executors"].filter((key) => config[key] !== undefined)) {
+    if (!Array.isArray(config[key])) {
+      throw new Error(`${file}: ${key} must be a list of addresses`);
+    }
+    const invalid = config[key].find((account) => account !== "deployer" && !isAddress(account));
+    if (invalid !== undefined) {
+      throw new Error(`${file}: ${key} has an invalid address ${JSON.stringify(invalid)}`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Fill in the defaults of a timelock config and replace "deployer" by its address
+ * @param {Object} config - Config from readTimelockConfig (or {} for the defaults)
+ * @param {string} deployer - Deployer address
+ * @param {string} admin - Admin of the contracts (the default proposer)
+ * @returns {TimelockConfig}
+ */
+function resolveTimelockConfig(config, deployer, admin) {
+  const resolve = (account) => getAddress(account === "deployer" ? deployer : account);
+  const list = (accounts) => [...new Set(accounts.map(resolve))];
+  const { minDelay = DEFAULT_MIN_DELAY, proposers = [admin], executors = [] } = config;
+
+  const resolved = {
+    minDelay,
+    proposers: list(proposers),
+    executors: executors.length > 0 ? list(executors) : [ZeroAddress],
+  };
+  if (resolved.proposers.length === 0) {
+    throw new Error("At least one proposer is required, or no timelocked operation can ever be scheduled");
+  }
+  return resolved;
+}
+
+// Names and interfaces of the manifest contracts by lowercased address, to decode calls
+async function knownContracts(hre, manifest) {
+  const interfaces = new Map();
+  for (const { contract, address } of Object.values(manifest.contracts)) {
+    const artifact = await hre.artifacts.readArtifact(contract);
+    interfaces.set(address.toLowerCase(), { name: contract, iface: new hre.ethers.Interface(artifact.abi) });
+  }
+  return interfaces;
+}
+
+function describeCall(contracts, { target, value, data }) {
+  const known = contracts.get(target.toLowerCase());
+  const parsed = known && known.iface.parseTransaction({ data, value });
+  if (!parsed) {
+    return null;
+  }
+  // Struct and array arguments (verifying keys, batches) hold bigints at any depth
+  const json = (arg) => JSON.stringify(arg, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+  const args = parsed.args.map((arg) => (Array.isArray(arg) ? json(arg) : arg.toString()));
+  return `${known.name}.${parsed.name}(${args.join(", ")})`;
+}
+
+/**
+ * Schedule a call through the timelock
+ * @param {import("ethers").Contract} timelock - ZkClearTimelock connected to a proposer
+ * @param {Object} call
+ * @param {string} call.target - Contract to call
+ * @param {string} call.data - Calldata
+ * @param {bigint} [call.value=0n] - Wei to send
+ * @param {Object} [options]
+ * @param {number|bigint} [options.delay] - Delay in seconds (defaults to the timelock's minimum)
+ * @param {string} [options.salt] - Salt (defaults to a random one, so the same call can be proposed twice)
+ * @param {string} [options.predecessor=ZeroHash] - Operation that must be executed first
+ * @returns {Promise<TimelockOperation>}
+ */
+async function scheduleCall(
+  timelock,
+  { target, data, value = 0n },
+  { delay, salt = hexlify(randomBytes(32)), predecessor = ZeroHash } = {}
+) {
+  const minDelay = await timelock.getMinDelay();
+  delay = delay === undefined ? minDelay : BigInt(delay);
+  if (delay < minDelay) {
+    throw new Error(`Delay ${delay}s is shorter than the timelock's minimum of ${minDelay}s`);
+  }
+  const proposer = await timelock.runner.getAddress();
+  if (!(await timelock.hasRole(await timelock.PROPOSER_ROLE(), proposer))) {
+    throw new Error(`${proposer} is not a proposer of the timelock at ${await timelock.getAddress()}`);
+  }
+
+  const receipt = await (await timelock.schedule(target, value, data, predecessor, salt, delay)).wait();
+  const id = await timelock.hashOperation(target, value, data, predecessor, salt);
+  return {
+    id,
+    calls: [{ target: getAddress(target), value: BigInt(value), data }],
+    predecessor,
+    salt,
+    state: "waiting",
+    readyAt: Number(await timelock.getTimestamp(id)),
+    blockNumber: receipt.blockNumber,
+    txHash: receipt.hash,
+  };
+}
+
+/**
+ * Operations scheduled on the timelock, rebuilt from its events
+ * @param {import("ethers").Contract} timelock - ZkClearTimelock
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock=0] - First block to scan (the timelock's deployment block)
+ * @param {number} [options.chunkSize=2000] - Blocks per event query
+ * @param {boolean} [options.all=false] - Include executed and cancelled operations
+ * @returns {Promise<Array<TimelockOperation>>} Operations in scheduling order
+ */
+async function listOperations(timelock, { fromBlock = 0, chunkSize = DEFAULT_CHUNK_SIZE, all = false } = {}) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error(`chunkSize must be a positive integer, got ${chunkSize}`);
+  }
+  const toBlock = await timelock.runner.provider.getBlockNumber();
+  const scheduled = [];
+  const salts = [];
+  for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+    const to = Math.min(from + chunkSize - 1, toBlock);
+    const [chunkScheduled, chunkSalts] = await Promise.all([
+      timelock.queryFilter(timelock.filters.CallScheduled(), from, to),
+      timelock.queryFilter(timelock.filters.CallSalt(), from, to),
+    ]);
+    scheduled.push(...chunkScheduled);
+    salts.push(...chunkSalts);
+  }
+  const saltOf = new Map(salts.map(({ args }) => [args.id, args.salt]));
+
+  // A batch emits one CallScheduled per call, with the same ID
+  const operations = new Map();
+  for (const { args, blockNumber, transactionHash } of scheduled) {
+    if (!operations.has(args.id)) {
+      operations.set(args.id, {
+        id: args.id,
+        calls: [],
+        predecessor: args.predecessor,
+        salt: saltOf.get(args.id) || ZeroHash,
+        blockNumber,
+        txHash: transactionHash,
+      });
+    }
+    operations.get(args.id).calls[Number(args.index)] = { target: args.target, value: args.value, data: args.data };
+  }
+
+  const results = [];
+  for (const operation of operations.values()) {
+    const [state, readyAt] = await Promise.all([
+      timelock.getOperationState(operation.id),
+      timelock.getTimestamp(operation.id),
+    ]);
+    const result = { ...operation, state: OPERATION_STATES[Number(state)], readyAt: Number(readyAt) };
+    if (all || result.state === "waiting" || result.state === "ready") {
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Execute a ready operation
+ * @param {import("ethers").Contract} timelock - ZkClearTimelock connected to an executor
+ * @param {TimelockOperation} operation - Operation from listOperations
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ */
+async function executeOperation(timelock, operation) {
+  const { id, calls, predecessor, salt } = operation;
+  const state = OPERATION_STATES[Number(await timelock.getOperationState(id))];
+  if (state === "waiting") {
+    const readyAt = Number(await timelock.getTimestamp(id));
+    throw new Error(`Operation ${id} is not ready until ${new Date(readyAt * 1000).toISOString()}`);
+  }
+  if (state !== "ready") {
+    throw new Error(`Operation ${id} is ${state === "done" ? "already executed" : "not scheduled"}`);
+  }
+
+  const executor = await timelock.runner.getAddress();
+  const role = await timelock.EXECUTOR_ROLE();
+  if (!(await timelock.hasRole(role, ZeroAddress)) && !(await timelock.hasRole(role, executor))) {
+    throw new Error(`${executor} is not an executor of the timelock at ${await timelock.getAddress()}`);
+  }
+
+  const tx =
+    calls.length === 1
+      ? await timelock.execute(calls[0].target, calls[0].value, calls[0].data, predecessor, salt)
+      : await timelock.executeBatch(
+          calls.map(({ target }) => target),
+          calls.map(({ value }) => value),
+          calls.map(({ data }) => data),
+          predecessor,
+          salt
+        );
+  return tx.wait();
+}
+
+// The network's timelock from its manifest, with the known contracts to decode calls
+async function loadTimelock(hre, deployments, signer) {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const { manifest } = loadDeployment(chainId, { dir: deployments });
+  const entry = manifest.contracts[TIMELOCK_KEY];
+  if (!entry) {
+    throw new Error(`Deployment manifest for chain ${chainId} has no timelock`);
+  }
+  return {
+    manifest,
+    entry,
+    timelock: await hre.ethers.getContractAt(TIMELOCK_CONTRACT, entry.address, signer),
+    contracts: await knownContracts(hre, manifest),
+  };
+}
+
+function formatOperation(contracts, { id, calls, state, readyAt }) {
+  const ready = state === "waiting" ? `, ready at ${new Date(readyAt * 1000).toISOString()}` : "";
+  const lines = [`${id} (${state}${ready})`];
+  for (const call of calls) {
+    const value = call.value > 0n ? ` with ${call.value} wei` : "";
+    lines.push(`  ${describeCall(contracts, call) || `${call.target} ${call.data}`}${value}`);
+  }
+  return lines;
+}
+
+// Operation by ID, for execute and cancel
+async function findOperation(timelock, entry, id, chunkSize) {
+  const operation = (await listOperations(timelock, { fromBlock: entry.blockNumber, chunkSize, all: true })).find(
+    (operation) => operation.id === id.toLowerCase()
+  );
+  if (!operation) {
+    throw new Error(`Operation ${id} was never scheduled on the timelock at ${entry.address}`);
+  }
+  return operation;
+}
+
+task("zkclear:timelock:propose", "Schedule a call to a deployed contract through the timelock")
+  .addParam("contract", "Manifest key of the contract to call (deposit, verifier, withdrawal, timelock, ...)")
+  .addParam("method", "Function name or signature")
+  .addOptionalParam("args", "Arguments as a JSON array", "[]")
+  .addOptionalParam("value", "Wei to send with the call", "0")
+  .addOptionalParam("delay", "Delay in seconds (defaults to the timelock's minimum)")
+  .addOptionalParam("salt", "Salt (defaults to a random one)")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ contract: key, method, args, value, delay, salt, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const [signer] = await hre.ethers.getSigners();
+    const { manifest, timelock, contracts } = await loadTimelock(hre, deployments, signer);
+
+    const target = manifest.contracts[key];
+    if (!target) {
+      throw new Error(`Contract "${key}" not found in the deployment manifest for chain ${manifest.chainId}`);
+    }
+    const { iface } = contracts.get(target.address.toLowerCase());
+    const fragment = iface.getFunction(method);
+    if (!fragment) {
+      throw new Error(`${target.contract} has no function ${method}`);
+    }
+    const data = iface.encodeFunctionData(fragment, JSON.parse(args));
+
+    const call = { target: target.address, data, value: BigInt(value) };
+    const operation = await scheduleCall(timelock, call, { delay, salt });
+    log(`Scheduled on the timelock at ${await timelock.getAddress()}:`);
+    for (const line of formatOperation(contracts, operation)) {
+      log(`  ${line}`);
+    }
+    return operation;
+  });
+
+task("zkclear:timelock:list", "List the operations pending on the timelock")
+  .addFlag("all", "Include executed and cancelled operations")
+  .addOptionalParam("chunkSize", "Blocks per event query", DEFAULT_CHUNK_SIZE, types.int)
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ all, chunkSize, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const { entry, timelock, contracts } = await loadTimelock(hre, deployments);
+
+    const operations = await listOperations(timelock, { fromBlock: entry.blockNumber, chunkSize, all });
+    log(`Timelock ${entry.address}, minimum delay ${await timelock.getMinDelay()}s`);
+    log(operations.length > 0 ? "" : `No ${all ? "" : "pending "}operations`);
+    for (const operation of operations) {
+      for (const line of formatOperation(contracts, operation)) {
+        log(line);
+      }
+    }
+    return operations.map((operation) => ({
+      ...operation,
+      calls: operation.calls.map((call) => ({ ...call, description: describeCall(contracts, call) })),
+    }));
+  });
+
+task("zkclear:timelock:execute", "Execute a ready timelock operation")
+  .addParam("id", "Operation ID")
+  .addOptionalParam("chunkSize", "Blocks per event query", DEFAULT_CHUNK_SIZE, types.int)
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ id, chunkSize, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const [signer] = await hre.ethers.getSigners();
+    const { entry, timelock, contracts } = await loadTimelock(hre, deployments, signer);
+
+    const operation = await findOperation(timelock, entry, id, chunkSize);
+    const receipt = await executeOperation(timelock, operation);
+    log(`Executed in ${receipt.hash}:`);
+    for (const line of formatOperation(contracts, { ...operation, state: "done" })) {
+      log(`  ${line}`);
+    }
+    return { ...operation, state: "done", executedIn: receipt.hash };
+  });
+
+task("zkclear:timelock:cancel", "Cancel a pending timelock operation")
+  .addParam("id", "Operation ID")
+  .addOptionalParam("chunkSize", "Blocks per event query", DEFAULT_CHUNK_SIZE, types.int)
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addFlag("quiet", "Don't print progress")
+  .setAction(async ({ id, chunkSize, deployments, quiet }, hre) => {
+    const log = quiet ? () => {} : console.log;
+    const [signer] = await hre.ethers.getSigners();
+    const { entry, timelock, contracts } = await loadTimelock(hre, deployments, signer);
+
+    const operation = await findOperation(timelock, entry, id, chunkSize);
+    if (operation.state !== "waiting" && operation.state !== "ready") {
+      throw new Error(`Operation ${operation.id} is ${operation.state === "done" ? "already executed" : "cancelled"}`);
+    }
+    if (!(await timelock.hasRole(await timelock.CANCELLER_ROLE(), signer.address))) {
+      throw new Error(`${signer.address} cannot cancel operations on the timelock at ${entry.address}`);
+    }
+    const receipt = await (await timelock.cancel(operation.id)).wait();
+    log(`Cancelled in ${receipt.hash}:`);
+    for (const line of formatOperation(contracts, { ...operation, state: "cancelled" })) {
+      log(`  ${line}`);
+    }
+    return { ...operation, state: "cancelled", cancelledIn: receipt.hash };
+  });
+
+module.exports = {
+  TIMELOCK_KEY,
+  TIMELOCK_CONTRACT,
+  DEFAULT_MIN_DELAY,
+  timelockConfigPath,
+  readTimelockConfig,
+  resolveTimelockConfig,
+  scheduleCall,
+  listOperations,
+  executeOperation,
+};
@@ -0,0 +1,151 @@
+// Hardhat task: verify the deployed contracts on the network's block explorer
+// Usage: npx hardhat zkclear:verify --network <network> [--contracts deposit,verifier] [--retries 5]
+//
+// Upgradeable contracts are verified twice: their current implementation, and
+// the ZkClearProxy in front of it.
+
+const { task, types } = require("hardhat/config");
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const { loadDeployment } = require("../sdk/manifest");
+
+// Explorer responses meaning the contract is deployed but not indexed yet
+const NOT_INDEXED_PATTERN = /does not have bytecode|Unable to locate ContractCode|not yet indexed|A network request failed/i;
+const ALREADY_VERIFIED_PATTERN = /already verified/i;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// What to verify for a manifest entry: the contract itself, or its
+// implementation and proxy
+function verificationTargets(key, entry) {
+  const { contract, address, txHash, constructorArgs, implementation } = entry;
+  if (!implementation) {
+    return [{ key, contract, label: contract, address, txHash, constructorArgs }];
+  }
+  return [
+    {
+      key,
+      contract,
+      label: contract,
+      address: implementation.address,
+      txHash: implementation.txHash,
+      constructorArgs: [],
+    },
+    { key, contract: "ZkClearProxy", label: `${contract} proxy`, address, txHash, constructorArgs },
+  ];
+}
+
+/**
+ * Explorer client for the current network, or null if none is configured
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<Etherscan|null>}
+ */
+async function getExplorer(hre) {
+  const { customChains = [], apiKey } = hre.config.etherscan;
+  let chainConfig;
+  try {
+    chainConfig = await Etherscan.getCurrentChainConfig(hre.network.name, hre.network.provider, customChains);
+  } catch (error) {
+    return null;
+  }
+
+  const key = typeof apiKey === "string" ? apiKey : (apiKey || {})[chainConfig.network];
+  if (!key) {
+    return null;
+  }
+  return Etherscan.fromChainConfig(apiKey, chainConfig);
+}
+
+task("zkclear:verify", "Verify the contracts in the deployment manifest on the block explorer")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addOptionalParam("contracts", "Comma-separated manifest keys to verify (defaults to all)")
+  .addOptionalParam("confirmations", "Confirmations to wait for before verifying", 5, types.int)
+  .addOptionalParam("retries", "Retries while the explorer has not indexed a contract", 5, types.int)
+  .addOptionalParam("delay", "Initial retry delay in milliseconds (doubles on every retry)", 15000, types.int)
+  .setAction(async ({ deployments, contracts, confirmations, retries, delay }, hre) => {
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    const { manifest } = loadDeployment(chainId, { dir: deployments });
+
+    const explorer = await getExplorer(hre);
+    if (!explorer) {
+      throw new Error(
+        `No block explorer configured for network ${hre.network.name} (chain ID ${chainId}). ` +
+        "Add an API key and chain to the etherscan section of hardhat.config.js."
+      );
+    }
+
+    const keys = contracts ? contracts.split(",").map((key) => key.trim()) : Object.keys(manifest.contracts);
+    const targets = [];
+    for (const key of keys) {
+      const entry = manifest.contracts[key];
+      if (!entry) {
+        throw new Error(`Contract "${key}" not found in the deployment manifest for chain ${chainId}`);
+      }
+      targets.push(...verificationTargets(key, entry));
+    }
+
+    const results = [];
+    for (const { key, contract, label, address, txHash, constructorArgs } of targets) {
+      const result = { key, contract, label, address };
+      results.push(result);
+
+      if (await explorer.isVerified(address)) {
+        console.log(`${label} at ${address} is already verified, skipping`);
+        result.status = "already-verified";
+        continue;
+      }
+
+      if (confirmations > 0 && txHash) {
+        // Providers that pruned or never indexed the transaction return null:
+        // the explorer retries below cover a contract it has not indexed yet
+        const tx = await hre.ethers.provider.getTransaction(txHash);
+        if (tx) {
+          console.log(`Waiting for ${confirmations} confirmations of ${label}...`);
+          await tx.wait(confirmations);
+        } else {
+          console.log(`Deployment transaction ${txHash} of ${label} not found, verifying without waiting`);
+        }
+      }
+
+      const { sourceName, contractName } = await hre.artifacts.readArtifact(contract);
+      for (let attempt = 0; ; attempt++) {
+        result.attempts = attempt + 1;
+        try {
+          await hre.run("verify:etherscan", {
+            address,
+            constructorArgsParams: constructorArgs,
+            contract: `${sourceName}:${contractName}`,
+          });
+          result.status = "verified";
+          break;
+        } catch (error) {
+          if (ALREADY_VERIFIED_PATTERN.test(error.message)) {
+            result.status = "already-verified";
+            break;
+          }
+          if (attempt < retries && NOT_INDEXED_PATTERN.test(error.message)) {
+            const wait = delay * 2 ** attempt;
+            console.log(`${label} is not indexed by the explorer yet, retrying in ${wait / 1000}s`);
+            await sleep(wait);
+            continue;
+          }
+          console.log(`Error verifying ${label}:`, error.message);
+          result.status = "failed";
+          result.error = error.message;
+          break;
+        }
+      }
+    }
+
+    const failed = results.filter((result) => result.status === "failed");
+    if (failed.length > 0) {
+      throw new Error(`Verification failed for: ${failed.map((result) => result.label).join(", ")}`);
+    }
+
+    return results;
+  });
+
+module.exports = {
+  getExplorer,
+};
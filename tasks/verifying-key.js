@@ -0,0 +1,129 @@
+// Hardhat task: load a Groth16 verifying key into Groth16Verifier
+// Usage: npx hardhat zkclear:set-vk --network <network> --file vk.json [--format auto] [--activation-block N]
+//
+// The key must come from a circuit with the 33 block public inputs (see
+// VerifierContract.blockPublicInputs); there is no default file, since the
+// key in scripts/verifying_key.txt predates the deposit inputs.
+//
+// Setting a key needs TIMELOCK_ROLE. Once the deployment has handed it to the
+// ZkClearTimelock, the key is proposed there instead (the signer must be a
+// proposer) and takes effect when zkclear:timelock:execute runs the operation.
+
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
+const { loadDeployment } = require("../sdk/manifest");
+const { ROLES } = require("../sdk/roles");
+const { TIMELOCK_CONTRACT, scheduleCall } = require("./timelock");
+const {
+  FORMATS,
+  formatVerifyingKey,
+  fromContract,
+  hashVerifyingKey,
+  parseVerifyingKey,
+  toContractArgs,
+  verifyingKeysEqual,
+} = require("../sdk/verifying-key");
+
+task("zkclear:set-vk", "Set the Groth16 verifying key from an Arkworks, snarkjs or canonical JSON file")
+  .addParam("file", "Verifying key file exported from the circuit")
+  .addOptionalParam("format", `Key format: auto, ${FORMATS.join(", ")}`, "auto")
+  .addOptionalParam("address", "Groth16Verifier address (defaults to the deployment manifest)")
+  .addOptionalParam("deployments", "Deployment manifest directory (defaults to deployments/)")
+  .addOptionalParam("activationBlock", "Schedule the key to activate at this block instead of now", undefined, types.int)
+  .addFlag("quiet", "Don't print the parsed key")
+  .setAction(async ({ file, format, address, deployments, activationBlock, quiet }, hre) => {
+    const keyPath = path.resolve(file);
+    if (!fs.existsSync(keyPath)) {
+      throw new Error(`Verifying key file not found: ${keyPath}`);
+    }
+
+    const parsed = parseVerifyingKey(fs.readFileSync(keyPath, "utf-8"), format);
+    const { key } = parsed;
+    const keyHash = hashVerifyingKey(key);
+
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    if (!address) {
+      address = loadDeployment(chainId, { dir: deployments }).contracts.groth16Verifier;
+      if (!address) {
+        throw new Error(`Deployment manifest for chain ${chainId} has no Groth16Verifier address`);
+      }
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    if (!quiet) {
+      console.log(`Network: ${hre.network.name} (chain ID ${chainId})`);
+      console.log(`Groth16Verifier: ${address}`);
+      console.log(`Signer: ${signer.address}`);
+      console.log(`Key file: ${keyPath} (${parsed.format})`);
+      console.log(`Key hash: ${keyHash}\n`);
+      console.log(formatVerifyingKey(key));
+      console.log();
+    }
+
+    const verifier = await hre.ethers.getContractAt("Groth16Verifier", address, signer);
+    const [method, args] =
+      activationBlock === undefined
+        ? ["setVerifyingKey", toContractArgs(key)]
+        : ["scheduleVerifyingKey", [...toContractArgs(key), activationBlock]];
+
+    // Once the timelock holds TIMELOCK_ROLE, the key is proposed to it instead of sent
+    if (!(await verifier.hasRole(ROLES.timelock, signer.address))) {
+      const timelockAddress = loadDeployment(chainId, { dir: deployments }).contracts.timelock;
+      if (!timelockAddress || !(await verifier.hasRole(ROLES.timelock, timelockAddress))) {
+        throw new Error(
+          `${signer.address} does not hold the timelock role of Groth16Verifier at ${address} and cannot set the verifying key`
+        );
+      }
+      const timelock = await hre.ethers.getContractAt(TIMELOCK_CONTRACT, timelockAddress, signer);
+      const data = verifier.interface.encodeFunctionData(method, args);
+      const operation = await scheduleCall(timelock, { target: address, data });
+      if (!quiet) {
+        console.log(
+          `${method} proposed as timelock operation ${operation.id}, ` +
+            `executable from ${new Date(operation.readyAt * 1000).toISOString()} with zkclear:timelock:execute`
+        );
+      }
+      return {
+        address,
+        format: parsed.format,
+        key,
+        keyHash,
+        status: "proposed",
+        operation: operation.id,
+        readyAt: operation.readyAt,
+        txHash: operation.txHash,
+      };
+    }
+
+    const tx = await verifier[method](...args);
+    if (!quiet) {
+      console.log("Transaction hash:", tx.hash);
+    }
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+      .map((log) => verifier.interface.parseLog(log))
+      .find((parsedLog) => parsedLog && parsedLog.name === "VerifyingKeySet");
+    const version = event.args.version;
+
+    // Read the key back and make sure the chain holds exactly what the file says
+    const onChain = fromContract(await verifier.getVerifyingKey(version));
+    if (!verifyingKeysEqual(onChain, key) || event.args.keyHash !== keyHash) {
+      throw new Error("Verifying key read back from Groth16Verifier does not match the file");
+    }
+    if (!quiet) {
+      console.log(`Verifying key version ${version} active from block ${event.args.activationBlock}, confirmed on-chain`);
+    }
+
+    return {
+      address,
+      format: parsed.format,
+      key,
+      keyHash,
+      status: "set",
+      version,
+      activationBlock: event.args.activationBlock,
+      txHash: tx.hash,
+    };
+  });
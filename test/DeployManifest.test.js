@@ -0,0 +1,233 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts, implementationAddress } = require("../scripts/deploy-helpers");
+const { ROLES, loadDeployment, readManifest, writeManifest } = require("../sdk");
+
+describe("Deployment manifest", function () {
+  const CONTRACT_KEYS = ["deposit", "groth16Verifier", "verifier", "withdrawal"];
+  const quiet = () => {};
+
+  // Fails right before the roles are handed over, like a dropped RPC connection
+  const interrupted = (message) => {
+    if (String(message).startsWith("Authorized WithdrawalContract")) {
+      throw new Error("interrupted");
+    }
+  };
+
+  let dir;
+  let chainId;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-deploy-"));
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+  });
+
+  it("Should record every contract in the manifest", async function () {
+    const [deployer] = await ethers.getSigners();
+    const deployment = await deployContracts({ dir, log: quiet });
+
+    const manifest = readManifest(chainId, { dir });
+    expect(deployment.manifestPath).to.equal(path.join(dir, `${chainId}.json`));
+    expect(manifest.chainId).to.equal(chainId);
+    expect(manifest.network).to.equal("hardhat");
+    expect(manifest.deployer).to.equal(deployer.address);
+    expect(Object.keys(manifest.contracts)).to.have.members([...CONTRACT_KEYS, "timelock"]);
+
+    const verifier = manifest.contracts.verifier;
+    const receipt = await ethers.provider.getTransactionReceipt(verifier.txHash);
+    const artifact = await hre.artifacts.readArtifact("VerifierContract");
+    expect(verifier.contract).to.equal("VerifierContract");
+    expect(verifier.address).to.equal(deployment.verifierAddress);
+    expect(receipt.contractAddress).to.equal(verifier.address);
+    expect(verifier.blockNumber).to.equal(receipt.blockNumber);
+    expect(verifier.initArgs).to.deep.equal([
+      deployer.address,
+      ethers.ZeroHash,
+      deployer.address,
+      deployment.groth16VerifierAddress,
+    ]);
+
+    // The proxy's own constructor arguments, for verification
+    const initData = deployment.contracts.verifier.interface.encodeFunctionData("initialize", verifier.initArgs);
+    expect(verifier.constructorArgs).to.deep.equal([verifier.implementation.address, initData]);
+
+    const { implementation } = verifier;
+    const implementationReceipt = await ethers.provider.getTransactionReceipt(implementation.txHash);
+    expect(await implementationAddress(verifier.address)).to.equal(implementation.address);
+    expect(implementationReceipt.contractAddress).to.equal(implementation.address);
+    expect(implementation.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+    expect(implementation.compiler.version).to.match(/^0\.8\.20/);
+    expect(implementation.compiler.viaIR).to.be.true;
+    expect(implementation.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+    expect(implementation.storageLayout.storage.map(({ label }) => label)).to.include.members([
+      "stateRoot",
+      "nullifiers",
+      "frozen",
+    ]);
+  });
+
+  it("Should deploy the timelock and hand it the timelock role", async function () {
+    const [deployer] = await ethers.getSigners();
+    const deployment = await deployContracts({ dir, log: quiet });
+
+    const { timelock } = readManifest(chainId, { dir }).contracts;
+    expect(timelock.contract).to.equal("ZkClearTimelock");
+    expect(timelock.address).to.equal(deployment.timelockAddress);
+    expect(timelock.constructorArgs).to.deep.equal([2 * 24 * 60 * 60, [deployer.address], [ethers.ZeroAddress]]);
+    expect(timelock.implementation).to.be.undefined;
+    expect(await deployment.contracts.timelock.getMinDelay()).to.equal(2 * 24 * 60 * 60);
+
+    for (const key of CONTRACT_KEYS) {
+      expect(await deployment.contracts[key].getRoleMembers(ROLES.timelock)).to.deep.equal([timelock.address]);
+    }
+  });
+
+  it("Should refuse to change the timelock's config by redeploying it", async function () {
+    await deployContracts({ dir, log: quiet });
+
+    await expect(deployContracts({ dir, timelock: { minDelay: 60 }, log: quiet })).to.be.rejectedWith(
+      "was deployed with a different delay or proposers"
+    );
+  });
+
+  it("Should resolve addresses from the manifest", async function () {
+    const deployment = await deployContracts({ dir, log: quiet });
+
+    const { contracts } = loadDeployment(chainId, { dir });
+    expect(contracts).to.deep.equal({
+      deposit: deployment.depositAddress,
+      groth16Verifier: deployment.groth16VerifierAddress,
+      verifier: deployment.verifierAddress,
+      withdrawal: deployment.withdrawalAddress,
+      timelock: deployment.timelockAddress,
+    });
+  });
+
+  it("Should not redeploy finished contracts", async function () {
+    const first = await deployContracts({ dir, log: quiet });
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deployContracts({ dir, log: quiet });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(second.depositAddress).to.equal(first.depositAddress);
+    expect(second.groth16VerifierAddress).to.equal(first.groth16VerifierAddress);
+    expect(second.verifierAddress).to.equal(first.verifierAddress);
+    expect(second.withdrawalAddress).to.equal(first.withdrawalAddress);
+  });
+
+  it("Should resume a partially failed deployment", async function () {
+    await expect(deployContracts({ dir, log: interrupted })).to.be.rejectedWith("interrupted");
+    const first = readManifest(chainId, { dir }).contracts;
+    const manifest = readManifest(chainId, { dir });
+    delete manifest.contracts.withdrawal;
+    writeManifest(manifest, { dir });
+
+    const resumed = await deployContracts({ dir, log: quiet });
+
+    expect(resumed.depositAddress).to.equal(first.deposit.address);
+    expect(resumed.verifierAddress).to.equal(first.verifier.address);
+    expect(resumed.withdrawalAddress).to.not.equal(first.withdrawal.address);
+    expect(readManifest(chainId, { dir }).contracts.withdrawal.address).to.equal(resumed.withdrawalAddress);
+
+    // Setup is re-run against the new WithdrawalContract
+    const { deposit, verifier, withdrawal } = resumed.contracts;
+    expect(await deposit.withdrawalContract()).to.equal(resumed.withdrawalAddress);
+    expect(await withdrawal.depositContract()).to.equal(resumed.depositAddress);
+    expect(await verifier.withdrawalContracts(resumed.withdrawalAddress)).to.be.true;
+    expect(await verifier.depositContract()).to.equal(resumed.depositAddress);
+  });
+
+  it("Should leave timelocked links to the timelock once it holds the role", async function () {
+    const first = await deployContracts({ dir, log: quiet });
+    const manifest = readManifest(chainId, { dir });
+    delete manifest.contracts.withdrawal;
+    writeManifest(manifest, { dir });
+
+    await expect(deployContracts({ dir, log: quiet })).to.be.rejectedWith(
+      /setWithdrawalContract on .* is timelocked .* zkclear:timelock:propose --network hardhat --contract deposit/
+    );
+    expect(await first.contracts.deposit.withdrawalContract()).to.equal(first.withdrawalAddress);
+  });
+
+  it("Should refuse to point a verifier at a redeployed deposit queue", async function () {
+    await deployContracts({ dir, log: quiet });
+    const manifest = readManifest(chainId, { dir });
+    delete manifest.contracts.deposit;
+    writeManifest(manifest, { dir });
+
+    await expect(deployContracts({ dir, log: quiet })).to.be.rejectedWith(/already consumes the deposit queue/);
+  });
+
+  it("Should redeploy dependents when a dependency is redeployed", async function () {
+    await expect(deployContracts({ dir, log: interrupted })).to.be.rejectedWith("interrupted");
+    const first = readManifest(chainId, { dir }).contracts;
+    const manifest = readManifest(chainId, { dir });
+    delete manifest.contracts.groth16Verifier;
+    writeManifest(manifest, { dir });
+
+    const resumed = await deployContracts({ dir, log: quiet });
+
+    expect(resumed.depositAddress).to.equal(first.deposit.address);
+    expect(resumed.groth16VerifierAddress).to.not.equal(first.groth16Verifier.address);
+    expect(resumed.verifierAddress).to.not.equal(first.verifier.address);
+    expect(resumed.withdrawalAddress).to.not.equal(first.withdrawal.address);
+    expect(await resumed.contracts.verifier.groth16Verifier()).to.equal(resumed.groth16VerifierAddress);
+  });
+
+  it("Should redeploy entries without code", async function () {
+    const [deployer] = await ethers.getSigners();
+    writeManifest(
+      {
+        chainId,
+        deployer: deployer.address,
+        contracts: {
+          deposit: { contract: "DepositContract", address: ethers.Wallet.createRandom().address, constructorArgs: [] },
+        },
+      },
+      { dir }
+    );
+
+    const deployment = await deployContracts({ dir, log: quiet });
+
+    expect(await ethers.provider.getCode(deployment.depositAddress)).to.not.equal("0x");
+    expect(readManifest(chainId, { dir }).contracts.deposit.address).to.equal(deployment.depositAddress);
+  });
+
+  it("Should refuse to reuse proxies running different bytecode", async function () {
+    await deployContracts({ dir, log: quiet });
+    const manifest = readManifest(chainId, { dir });
+    manifest.contracts.deposit.implementation.bytecodeHash = ethers.ZeroHash;
+    writeManifest(manifest, { dir });
+
+    await expect(deployContracts({ dir, log: quiet })).to.be.rejectedWith(
+      /runs an implementation built from different bytecode\. Upgrade it with "npm run upgrade/
+    );
+  });
+
+  it("Should refuse to reuse contracts deployed without a proxy", async function () {
+    const [deployer] = await ethers.getSigners();
+    const token = await ethers.deployContract("ERC20Mock", ["Token", "TKN", deployer.address, 0]);
+    writeManifest(
+      {
+        chainId,
+        deployer: deployer.address,
+        contracts: { deposit: { contract: "DepositContract", address: await token.getAddress(), constructorArgs: [] } },
+      },
+      { dir }
+    );
+
+    await expect(deployContracts({ dir, log: quiet })).to.be.rejectedWith("was deployed without a proxy");
+  });
+
+  it("Should refuse to resume another deployer's manifest", async function () {
+    const [, other] = await ethers.getSigners();
+    writeManifest({ chainId, deployer: other.address, contracts: {} }, { dir });
+
+    await expect(deployContracts({ dir, log: quiet })).to.be.rejectedWith(`was deployed by ${other.address}`);
+  });
+});
@@ -1,14 +1,17 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { depositId, depositsHash: sdkDepositsHash } = require("../sdk/deposits");
+const { PERMIT2_ADDRESS, signPermit, signPermit2 } = require("../sdk/permits");
+const { ROLES } = require("../sdk/roles");
+const { deployProxy } = require("../scripts/deploy-helpers");
 
 describe("DepositContract", function () {
   async function deployFixture() {
     const [owner, user] = await ethers.getSigners();
 
-    const DepositContract = await ethers.getContractFactory("DepositContract");
-    const depositContract = await DepositContract.deploy();
-    await depositContract.waitForDeployment();
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
 
     const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
     const mockToken = await ERC20Mock.deploy(
@@ -19,7 +22,8 @@ describe("DepositContract", function () {
     );
     await mockToken.waitForDeployment();
 
-    await depositContract.connect(owner).registerAsset(1, await mockToken.getAddress());
+    await depositContract.connect(owner).registerAsset(1, await mockToken.getAddress(), 0);
+    await depositContract.connect(owner).registerNativeAsset(2);
     await mockToken.transfer(user.address, ethers.parseEther("1000"));
     await mockToken.connect(user).approve(await depositContract.getAddress(), ethers.MaxUint256);
 
@@ -85,32 +89,302 @@ describe("DepositContract", function () {
       ).to.be.revertedWith("Asset not registered");
     });
 
-    it("Should prevent duplicate deposits", async function () {
+    it("Should give identical deposits in the same block distinct IDs", async function () {
       const assetId = 1;
       const amount = ethers.parseEther("1.0");
 
-      // First deposit
-      await depositContract.connect(user).deposit(assetId, amount);
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const first = await depositContract.connect(user).deposit(assetId, amount);
+        const second = await depositContract.connect(user).deposit(assetId, amount);
+        await network.provider.send("evm_mine");
+
+        const [firstReceipt, secondReceipt] = await Promise.all([first.wait(), second.wait()]);
+        expect(firstReceipt.blockNumber).to.equal(secondReceipt.blockNumber);
+        expect(firstReceipt.status).to.equal(1);
+        expect(secondReceipt.status).to.equal(1);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await depositContract.depositCount()).to.equal(2);
+      expect(await depositContract.depositId(0)).to.not.equal(await depositContract.depositId(1));
+      expect(await mockToken.balanceOf(await depositContract.getAddress())).to.equal(amount * 2n);
+    });
+  });
 
-      // Note: Duplicate prevention relies on txHash which includes:
-      // - msg.sender, assetId, amount, block.timestamp, block.number, blockhash(block.number - 1)
-      // Since block.number and blockhash change between transactions in Hardhat,
-      // we can't easily test exact duplicates. However, the contract logic is correct:
-      // it prevents the same txHash from being processed twice.
-      // 
-      // To test that processedDeposits mapping works, we verify that multiple deposits
-      // with different amounts succeed (different amounts = different txHash)
-      const amount2 = ethers.parseEther("2.0");
-      await depositContract.connect(user).deposit(assetId, amount2);
-      
-      // Both deposits should succeed because they have different amounts (different txHash)
-      expect(await mockToken.balanceOf(await depositContract.getAddress())).to.equal(amount + amount2);
+  describe("Deposit Queue", function () {
+    async function depositEvent(tx) {
+      const receipt = await tx.wait();
+      const log = receipt.logs.find((entry) => depositContract.interface.parseLog(entry)?.name === "Deposit");
+      return depositContract.interface.parseLog(log).args;
+    }
+
+    it("Should start empty", async function () {
+      expect(await depositContract.depositCount()).to.equal(0);
+      expect(await depositContract.depositsHash()).to.equal(ethers.ZeroHash);
+      expect(await depositContract.depositHashAt(0)).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should number deposits and derive their IDs from the index", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const address = await depositContract.getAddress();
+
+      for (let index = 0; index < 3; index++) {
+        const args = await depositEvent(await depositContract.connect(user).deposit(1, ethers.parseEther("1.0")));
+
+        expect(args.depositIndex).to.equal(index);
+        expect(args.txHash).to.equal(depositId(chainId, address, index));
+        expect(await depositContract.depositId(index)).to.equal(args.txHash);
+      }
+      expect(await depositContract.depositCount()).to.equal(3);
+    });
+
+    it("Should chain every deposit into the accumulator", async function () {
+      const deposits = [];
+      for (const amount of [ethers.parseEther("1.0"), ethers.parseEther("2.0")]) {
+        deposits.push(await depositEvent(await depositContract.connect(user).deposit(1, amount)));
+      }
+      deposits.push(await depositEvent(await depositContract.connect(owner).depositNative(2, { value: 5n })));
+      deposits.push(
+        await depositEvent(await depositContract.connect(user).depositForAccount(owner.address, ethers.id("l2"), 1, 7n))
+      );
+
+      deposits.forEach((args, i) => {
+        expect(args.depositsHash).to.equal(sdkDepositsHash(deposits.slice(0, i + 1)));
+      });
+      expect(await depositContract.depositsHash()).to.equal(sdkDepositsHash(deposits));
+      expect(await depositContract.depositHashAt(1)).to.equal(deposits[0].depositsHash);
+      expect(await depositContract.depositHashAt(3)).to.equal(deposits[2].depositsHash);
+      expect(sdkDepositsHash(deposits.slice(3), deposits[2].depositsHash)).to.not.equal(
+        sdkDepositsHash([{ ...deposits[3].toObject(), l2Account: ethers.ZeroHash }], deposits[2].depositsHash)
+      );
+    });
+
+    it("Should reject accumulator lookups past the end of the queue", async function () {
+      await depositContract.connect(user).deposit(1, ethers.parseEther("1.0"));
+
+      await expect(depositContract.depositHashAt(2)).to.be.revertedWith("Deposit index out of range");
+    });
+  });
+
+  describe("Deposits For Another Recipient", function () {
+    const amount = ethers.parseEther("3.0");
+    const l2Account = ethers.id("zkclear account");
+
+    it("Should credit the recipient and record the payer", async function () {
+      const tx = depositContract.connect(user).depositFor(owner.address, 1, amount);
+
+      await expect(tx)
+        .to.emit(depositContract, "Deposit")
+        .withArgs(owner.address, 1, amount, anyValue, 0, anyValue, user.address, ethers.ZeroHash);
+      await expect(tx).to.changeTokenBalances(mockToken, [user, depositContract], [-amount, amount]);
+    });
+
+    it("Should carry an L2 account identifier", async function () {
+      await expect(depositContract.connect(user).depositForAccount(owner.address, l2Account, 1, amount))
+        .to.emit(depositContract, "Deposit")
+        .withArgs(owner.address, 1, amount, anyValue, 0, anyValue, user.address, l2Account);
+    });
+
+    it("Should deposit native ETH for a recipient", async function () {
+      await expect(depositContract.connect(user).depositNativeFor(owner.address, 2, { value: amount }))
+        .to.emit(depositContract, "Deposit")
+        .withArgs(owner.address, 2, amount, anyValue, 0, anyValue, user.address, ethers.ZeroHash);
+      await expect(
+        depositContract.connect(user).depositNativeForAccount(owner.address, l2Account, 2, { value: amount })
+      )
+        .to.emit(depositContract, "Deposit")
+        .withArgs(owner.address, 2, amount, anyValue, 1, anyValue, user.address, l2Account);
+    });
+
+    it("Should attribute plain deposits to the depositor", async function () {
+      await expect(depositContract.connect(user).deposit(1, amount))
+        .to.emit(depositContract, "Deposit")
+        .withArgs(user.address, 1, amount, anyValue, 0, anyValue, user.address, ethers.ZeroHash);
+    });
+
+    it("Should reject the zero recipient", async function () {
+      await expect(
+        depositContract.connect(user).depositFor(ethers.ZeroAddress, 1, amount)
+      ).to.be.revertedWith("Invalid recipient");
+      await expect(
+        depositContract.connect(user).depositNativeFor(ethers.ZeroAddress, 2, { value: amount })
+      ).to.be.revertedWith("Invalid recipient");
+    });
+
+    it("Should give identical deposits for a recipient in the same block distinct IDs", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const first = await depositContract.connect(user).depositForAccount(owner.address, l2Account, 1, amount);
+        const second = await depositContract.connect(user).depositForAccount(owner.address, l2Account, 1, amount);
+        await network.provider.send("evm_mine");
+
+        const [firstReceipt, secondReceipt] = await Promise.all([first.wait(), second.wait()]);
+        expect(firstReceipt.blockNumber).to.equal(secondReceipt.blockNumber);
+        expect(secondReceipt.status).to.equal(1);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await depositContract.depositCount()).to.equal(2);
+      expect(await depositContract.depositId(0)).to.not.equal(await depositContract.depositId(1));
+      expect(await depositContract.depositHashAt(1)).to.not.equal(await depositContract.depositHashAt(2));
+    });
+  });
+
+  describe("Permit Deposits", function () {
+    const amount = ethers.parseEther("10.0");
+
+    // `holder` has tokens but never approved DepositContract; Permit2Mock sits at the canonical address
+    async function permitFixture() {
+      const fixture = await deployFixture();
+      const [, , holder] = await ethers.getSigners();
+      await fixture.mockToken.transfer(holder.address, ethers.parseEther("100"));
+
+      const permit2Mock = await ethers.deployContract("Permit2Mock");
+      const code = await ethers.provider.getCode(await permit2Mock.getAddress());
+      await network.provider.send("hardhat_setCode", [PERMIT2_ADDRESS, code]);
+      const permit2 = await ethers.getContractAt("Permit2Mock", PERMIT2_ADDRESS);
+
+      return { ...fixture, holder, permit2 };
+    }
+
+    let holder;
+    let permit2;
+    let depositAddress;
+    let tokenAddress;
+
+    beforeEach(async function () {
+      ({ depositContract, mockToken, owner, user, holder, permit2 } = await loadFixture(permitFixture));
+      depositAddress = await depositContract.getAddress();
+      tokenAddress = await mockToken.getAddress();
+    });
+
+    function permitArgs({ v, r, s, deadline }) {
+      return [1, amount, deadline, v, r, s];
+    }
+
+    describe("EIP-2612", function () {
+      it("Should deposit without a prior approval", async function () {
+        const permit = await signPermit(holder, tokenAddress, { spender: depositAddress, value: amount });
+
+        const tx = depositContract.connect(holder).depositWithPermit(...permitArgs(permit));
+
+        await expect(tx).to.emit(depositContract, "Deposit");
+        await expect(tx).to.changeTokenBalances(mockToken, [holder, depositContract], [-amount, amount]);
+        expect(await mockToken.allowance(holder.address, depositAddress)).to.equal(0);
+      });
+
+      it("Should reject expired permits", async function () {
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp;
+        const permit = await signPermit(holder, tokenAddress, { spender: depositAddress, value: amount, deadline });
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit(...permitArgs(permit))
+        ).to.be.revertedWithCustomError(mockToken, "ERC2612ExpiredSignature");
+      });
+
+      it("Should reject replayed permits", async function () {
+        const permit = await signPermit(holder, tokenAddress, { spender: depositAddress, value: amount });
+        await depositContract.connect(holder).depositWithPermit(...permitArgs(permit));
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit(...permitArgs(permit))
+        ).to.be.revertedWithCustomError(mockToken, "ERC2612InvalidSigner");
+      });
+
+      it("Should reject permits signed by someone else", async function () {
+        const permit = await signPermit(holder, tokenAddress, { spender: depositAddress, value: amount });
+
+        await expect(
+          depositContract.connect(owner).depositWithPermit(...permitArgs(permit))
+        ).to.be.revertedWithCustomError(mockToken, "ERC2612InvalidSigner");
+      });
+
+      it("Should still deposit when the permit was front-run", async function () {
+        const permit = await signPermit(holder, tokenAddress, { spender: depositAddress, value: amount });
+        await mockToken
+          .connect(user)
+          .permit(holder.address, depositAddress, amount, permit.deadline, permit.v, permit.r, permit.s);
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit(...permitArgs(permit))
+        ).to.changeTokenBalance(mockToken, depositContract, amount);
+      });
+    });
+
+    describe("Permit2", function () {
+      beforeEach(async function () {
+        await mockToken.connect(holder).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+      });
+
+      function signDeposit(signer, params = {}) {
+        return signPermit2(signer, { token: tokenAddress, amount, spender: depositAddress, ...params });
+      }
+
+      it("Should deposit with a signature transfer", async function () {
+        const { permit, signature } = await signDeposit(holder);
+
+        const tx = depositContract.connect(holder).depositWithPermit2(1, amount, permit, signature);
+
+        await expect(tx).to.emit(depositContract, "Deposit");
+        await expect(tx).to.changeTokenBalances(mockToken, [holder, depositContract], [-amount, amount]);
+        expect(await mockToken.allowance(holder.address, depositAddress)).to.equal(0);
+      });
+
+      it("Should deposit less than the permitted amount", async function () {
+        const { permit, signature } = await signDeposit(holder, { amount: amount * 2n });
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit2(1, amount, permit, signature)
+        ).to.changeTokenBalance(mockToken, depositContract, amount);
+      });
+
+      it("Should reject expired permits", async function () {
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp;
+        const { permit, signature } = await signDeposit(holder, { deadline });
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit2(1, amount, permit, signature)
+        ).to.be.revertedWithCustomError(permit2, "SignatureExpired");
+      });
+
+      it("Should reject replayed permits", async function () {
+        const { permit, signature } = await signDeposit(holder);
+        await depositContract.connect(holder).depositWithPermit2(1, amount, permit, signature);
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit2(1, amount, permit, signature)
+        ).to.be.revertedWithCustomError(permit2, "InvalidNonce");
+      });
+
+      it("Should reject permits used by someone else", async function () {
+        const { permit, signature } = await signDeposit(holder);
+
+        await expect(
+          depositContract.connect(user).depositWithPermit2(1, amount, permit, signature)
+        ).to.be.revertedWithCustomError(permit2, "InvalidSigner");
+      });
+
+      it("Should reject amounts above the permit and other tokens", async function () {
+        const { permit, signature } = await signDeposit(holder);
+
+        await expect(
+          depositContract.connect(holder).depositWithPermit2(1, amount + 1n, permit, signature)
+        ).to.be.revertedWithCustomError(permit2, "InvalidAmount");
+
+        const other = await signDeposit(holder, { token: depositAddress });
+        await expect(
+          depositContract.connect(holder).depositWithPermit2(1, amount, other.permit, other.signature)
+        ).to.be.revertedWith("Permit token mismatch");
+      });
     });
   });
 
   describe("Native ETH Deposits", function () {
-    it("Should handle native ETH deposits for unregistered assets", async function () {
-      const assetId = 0;
+    it("Should handle native ETH deposits for the native asset", async function () {
+      const assetId = 2;
       const amount = ethers.parseEther("1.0");
 
       const tx = await depositContract.connect(user).depositNative(assetId, { value: amount });
@@ -138,7 +412,7 @@ describe("DepositContract", function () {
     });
 
     it("Should reject zero native ETH amount", async function () {
-      const assetId = 0;
+      const assetId = 2;
       const amount = 0;
 
       await expect(
@@ -158,32 +432,335 @@ describe("DepositContract", function () {
 
   describe("Asset Registration", function () {
     it("Should allow owner to register assets", async function () {
-      const assetId = 2;
+      const assetId = 3;
       const tokenAddress = await mockToken.getAddress();
 
-      await depositContract.connect(owner).registerAsset(assetId, tokenAddress);
+      await depositContract.connect(owner).registerAsset(assetId, tokenAddress, 0);
       const registeredAddress = await depositContract.assetAddresses(assetId);
       expect(registeredAddress).to.equal(tokenAddress);
     });
 
-    it("Should reject non-owner from registering assets", async function () {
-      const assetId = 2;
+    it("Should reject non-asset-manager from registering assets", async function () {
+      const assetId = 3;
       const tokenAddress = await mockToken.getAddress();
 
       await expect(
-        depositContract.connect(user).registerAsset(assetId, tokenAddress)
-      ).to.be.revertedWithCustomError(depositContract, "OwnableUnauthorizedAccount");
+        depositContract.connect(user).registerAsset(assetId, tokenAddress, 0)
+      ).to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount");
     });
 
     it("Should reject zero address for asset registration", async function () {
       await expect(
-        depositContract.connect(owner).registerAsset(2, ethers.ZeroAddress)
+        depositContract.connect(owner).registerAsset(3, ethers.ZeroAddress, 0)
       ).to.be.revertedWith("Invalid token address");
     });
+
+    it("Should record token metadata and emit AssetRegistered", async function () {
+      const tokenAddress = await mockToken.getAddress();
+
+      await expect(depositContract.connect(owner).registerAsset(3, tokenAddress, 0))
+        .to.emit(depositContract, "AssetRegistered")
+        .withArgs(3, tokenAddress, 2, 18, "TEST");
+
+      const asset = await depositContract.getAsset(3);
+      expect(asset.kind).to.equal(2);
+      expect(asset.token).to.equal(tokenAddress);
+      expect(asset.decimals).to.equal(18);
+      expect(asset.symbol).to.equal("TEST");
+      expect(asset.enabled).to.be.true;
+      expect(asset.minDeposit).to.equal(0);
+      expect(asset.maxDeposit).to.equal(0);
+    });
+
+    it("Should reject re-mapping a registered asset ID", async function () {
+      const other = await ethers.deployContract("ERC20Mock", ["Other", "OTH", owner.address, 0]);
+
+      await expect(
+        depositContract.connect(owner).registerAsset(1, await other.getAddress(), 0)
+      ).to.be.revertedWith("Asset already registered");
+      await expect(depositContract.connect(owner).registerAsset(2, await other.getAddress(), 0)).to.be.revertedWith(
+        "Asset already registered"
+      );
+      await expect(depositContract.connect(owner).registerNativeAsset(1)).to.be.revertedWith(
+        "Native asset already registered"
+      );
+      expect(await depositContract.assetAddresses(1)).to.equal(await mockToken.getAddress());
+    });
+
+    it("Should reject asset ID 0 and tokens without decimals", async function () {
+      await expect(
+        depositContract.connect(owner).registerAsset(0, await mockToken.getAddress(), 0)
+      ).to.be.revertedWith("Invalid asset ID");
+      await expect(depositContract.connect(owner).registerAsset(3, user.address, 0)).to.be.revertedWith(
+        "Token is not a contract"
+      );
+      await expect(
+        depositContract.connect(owner).registerAsset(3, await depositContract.getAddress(), 0)
+      ).to.be.revertedWith("Token has no decimals");
+    });
+
+    it("Should register a single native asset", async function () {
+      const fresh = await deployProxy("DepositContract", [owner.address]);
+      expect(await fresh.nativeAssetId()).to.equal(0);
+
+      await expect(fresh.registerNativeAsset(7))
+        .to.emit(fresh, "AssetRegistered")
+        .withArgs(7, ethers.ZeroAddress, 1, 18, "ETH");
+      expect(await fresh.nativeAssetId()).to.equal(7);
+      expect((await fresh.getAsset(7)).kind).to.equal(1);
+
+      await expect(fresh.registerNativeAsset(8)).to.be.revertedWith("Native asset already registered");
+      await expect(fresh.connect(user).registerNativeAsset(8)).to.be.revertedWithCustomError(
+        fresh,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should reject native deposits under any other asset ID", async function () {
+      await expect(depositContract.connect(user).depositNative(5, { value: 1n })).to.be.revertedWith(
+        "Asset not registered"
+      );
+      await expect(depositContract.connect(user).deposit(2, 1n)).to.be.revertedWith(
+        "Use depositNative for this asset"
+      );
+    });
   });
 
-  describe("Owner Functions", function () {
-    it("Should allow owner to withdraw tokens", async function () {
+  describe("Asset Limits", function () {
+    it("Should enforce per-deposit minimum and maximum", async function () {
+      await expect(depositContract.connect(owner).setDepositLimits(1, 10n, 100n))
+        .to.emit(depositContract, "AssetUpdated")
+        .withArgs(1, 10n, 100n, true);
+
+      await expect(depositContract.connect(user).deposit(1, 9n)).to.be.revertedWith("Amount below minimum");
+      await expect(depositContract.connect(user).deposit(1, 101n)).to.be.revertedWith("Amount above maximum");
+      await depositContract.connect(user).deposit(1, 10n);
+      await depositContract.connect(user).deposit(1, 100n);
+
+      await depositContract.connect(owner).setDepositLimits(2, ethers.parseEther("1"), 0);
+      await expect(
+        depositContract.connect(user).depositNative(2, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Amount below minimum");
+      await depositContract.connect(user).depositNative(2, { value: ethers.parseEther("500") });
+    });
+
+    it("Should apply limits to permit and on-behalf deposits", async function () {
+      await depositContract.connect(owner).setDepositLimits(1, 0, 100n);
+
+      await expect(depositContract.connect(user).depositFor(owner.address, 1, 101n)).to.be.revertedWith(
+        "Amount above maximum"
+      );
+      await expect(
+        depositContract.connect(user).depositNativeFor(owner.address, 2, { value: 1n })
+      ).to.not.be.reverted;
+    });
+
+    it("Should reject invalid limits, unregistered assets and non-asset-managers", async function () {
+      await expect(depositContract.connect(owner).setDepositLimits(1, 100n, 10n)).to.be.revertedWith(
+        "Invalid deposit limits"
+      );
+      await expect(depositContract.connect(owner).setDepositLimits(9, 0, 0)).to.be.revertedWith(
+        "Asset not registered"
+      );
+      await expect(depositContract.connect(user).setDepositLimits(1, 0, 0)).to.be.revertedWithCustomError(
+        depositContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Asset Disabling", function () {
+    it("Should reject deposits of a disabled asset until it is enabled again", async function () {
+      await expect(depositContract.connect(owner).disableAsset(1))
+        .to.emit(depositContract, "AssetDisabled")
+        .withArgs(1);
+      expect((await depositContract.getAsset(1)).enabled).to.be.false;
+
+      await expect(depositContract.connect(user).deposit(1, 1n)).to.be.revertedWith("Asset disabled");
+      await expect(depositContract.connect(owner).disableAsset(1)).to.be.revertedWith("Asset already disabled");
+
+      await expect(depositContract.connect(owner).enableAsset(1))
+        .to.emit(depositContract, "AssetUpdated")
+        .withArgs(1, 0, 0, true);
+      await depositContract.connect(user).deposit(1, 1n);
+      await expect(depositContract.connect(owner).enableAsset(1)).to.be.revertedWith("Asset already enabled");
+    });
+
+    it("Should disable native deposits", async function () {
+      await depositContract.connect(owner).disableAsset(2);
+      await expect(depositContract.connect(user).depositNative(2, { value: 1n })).to.be.revertedWith(
+        "Asset disabled"
+      );
+    });
+
+    it("Should keep releasing funds of a disabled asset", async function () {
+      const amount = ethers.parseEther("1.0");
+      await depositContract.connect(user).deposit(1, amount);
+      await depositContract.connect(user).depositNative(2, { value: amount });
+      await depositContract.connect(owner).disableAsset(1);
+      await depositContract.connect(owner).disableAsset(2);
+      await depositContract.connect(owner).setWithdrawalContract(owner.address);
+
+      await expect(
+        depositContract.connect(owner).release(user.address, 1, amount)
+      ).to.changeTokenBalances(mockToken, [user, depositContract], [amount, -amount]);
+      await expect(
+        depositContract.connect(owner).release(user.address, 2, amount)
+      ).to.changeEtherBalances([user, depositContract], [amount, -amount]);
+      await expect(depositContract.connect(owner).release(user.address, 5, amount)).to.be.revertedWith(
+        "Asset not registered"
+      );
+    });
+
+    it("Should reject non-asset-managers", async function () {
+      await expect(depositContract.connect(user).disableAsset(1)).to.be.revertedWithCustomError(
+        depositContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(depositContract.connect(user).enableAsset(1)).to.be.revertedWithCustomError(
+        depositContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("Token Behavior", function () {
+    const amount = ethers.parseEther("100");
+    const FEE_ON_TRANSFER = 1;
+    const REBASING = 2;
+
+    // Asset 3 burns 1% of every transfer, asset 4 rebases
+    async function tokenBehaviorFixture() {
+      const fixture = await deployFixture();
+      const { depositContract, owner, user } = fixture;
+      const depositAddress = await depositContract.getAddress();
+
+      const feeToken = await ethers.deployContract("FeeOnTransferTokenMock", [
+        "Fee Token",
+        "FEE",
+        user.address,
+        ethers.parseEther("1000"),
+        100,
+      ]);
+      const rebasingToken = await ethers.deployContract("RebasingTokenMock", [
+        "Rebasing Token",
+        "REB",
+        user.address,
+        ethers.parseEther("1000"),
+      ]);
+      await depositContract.connect(owner).registerAsset(3, await feeToken.getAddress(), 0);
+      await depositContract.connect(owner).registerAsset(4, await rebasingToken.getAddress(), 0);
+      await feeToken.connect(user).approve(depositAddress, ethers.MaxUint256);
+      await rebasingToken.connect(user).approve(depositAddress, ethers.MaxUint256);
+
+      return { ...fixture, feeToken, rebasingToken };
+    }
+
+    let feeToken;
+    let rebasingToken;
+
+    beforeEach(async function () {
+      ({ depositContract, mockToken, owner, user, feeToken, rebasingToken } = await loadFixture(tokenBehaviorFixture));
+    });
+
+    it("Should reject a transfer fee the asset does not declare", async function () {
+      expect(await depositContract.tokenBehavior(3)).to.equal(0);
+
+      await expect(depositContract.connect(user).deposit(3, amount)).to.be.revertedWith("Received amount mismatch");
+      await expect(depositContract.connect(user).depositFor(owner.address, 3, amount)).to.be.revertedWith(
+        "Received amount mismatch"
+      );
+    });
+
+    it("Should credit fee-on-transfer deposits with the amount received", async function () {
+      await expect(depositContract.connect(owner).setTokenBehavior(3, FEE_ON_TRANSFER))
+        .to.emit(depositContract, "TokenBehaviorUpdated")
+        .withArgs(3, FEE_ON_TRANSFER);
+      const received = (amount * 99n) / 100n;
+
+      const tx = depositContract.connect(user).deposit(3, amount);
+
+      const id = await depositContract.depositId(0);
+      const hash = sdkDepositsHash([{ txHash: id, user: user.address, assetId: 3n, amount: received }]);
+      await expect(tx)
+        .to.emit(depositContract, "Deposit")
+        .withArgs(user.address, 3, received, id, 0, hash, user.address, ethers.ZeroHash);
+      await expect(tx).to.changeTokenBalances(feeToken, [user, depositContract], [-amount, received]);
+      expect(await depositContract.depositsHash()).to.equal(hash);
+
+      await expect(depositContract.connect(user).depositFor(owner.address, 3, amount))
+        .to.emit(depositContract, "Deposit")
+        .withArgs(owner.address, 3, received, anyValue, 1, anyValue, user.address, ethers.ZeroHash);
+    });
+
+    it("Should apply the minimum deposit to the amount received", async function () {
+      await depositContract.connect(owner).setTokenBehavior(3, FEE_ON_TRANSFER);
+      await depositContract.connect(owner).setDepositLimits(3, amount, 0);
+
+      await expect(depositContract.connect(user).deposit(3, amount)).to.be.revertedWith("Amount below minimum");
+
+      await feeToken.setFee(10_000);
+      await expect(depositContract.connect(user).deposit(3, amount)).to.be.revertedWith("Nothing received");
+    });
+
+    it("Should reject deposits of rebasing tokens", async function () {
+      // Undeclared, a rebase shows up as transfers that lose rounding dust
+      await rebasingToken.rebase(ethers.parseEther("1.5"));
+      await expect(depositContract.connect(user).deposit(4, amount)).to.be.revertedWith("Received amount mismatch");
+
+      await depositContract.connect(owner).setTokenBehavior(4, REBASING);
+      await expect(depositContract.connect(user).deposit(4, ethers.parseEther("3"))).to.be.revertedWith(
+        "Rebasing token not supported"
+      );
+      await expect(
+        depositContract.connect(user).depositFor(owner.address, 4, ethers.parseEther("3"))
+      ).to.be.revertedWith("Rebasing token not supported");
+    });
+
+    it("Should keep releasing funds of a rebasing asset", async function () {
+      await depositContract.connect(user).deposit(4, amount);
+      await depositContract.connect(owner).setTokenBehavior(4, REBASING);
+      await depositContract.connect(owner).setWithdrawalContract(owner.address);
+
+      await expect(
+        depositContract.connect(owner).release(user.address, 4, amount)
+      ).to.changeTokenBalances(rebasingToken, [user, depositContract], [amount, -amount]);
+    });
+
+    it("Should declare the behavior when registering an asset", async function () {
+      const token = await ethers.deployContract("RebasingTokenMock", ["Rebasing", "RB2", user.address, amount]);
+      await token.connect(user).approve(await depositContract.getAddress(), amount);
+
+      await expect(depositContract.connect(owner).registerAsset(5, await token.getAddress(), REBASING))
+        .to.emit(depositContract, "TokenBehaviorUpdated")
+        .withArgs(5, REBASING);
+      expect(await depositContract.tokenBehavior(5)).to.equal(REBASING);
+      await expect(depositContract.connect(user).deposit(5, amount)).to.be.revertedWith("Rebasing token not supported");
+
+      await expect(depositContract.connect(owner).registerAsset(6, await mockToken.getAddress(), 0)).not.to.emit(
+        depositContract,
+        "TokenBehaviorUpdated"
+      );
+    });
+
+    it("Should only declare the behavior of ERC20 assets", async function () {
+      await expect(depositContract.connect(owner).setTokenBehavior(2, FEE_ON_TRANSFER)).to.be.revertedWith(
+        "Not an ERC20 asset"
+      );
+      await expect(depositContract.connect(owner).setTokenBehavior(9, FEE_ON_TRANSFER)).to.be.revertedWith(
+        "Asset not registered"
+      );
+      await expect(depositContract.connect(owner).setTokenBehavior(1, 0)).to.be.revertedWith(
+        "Token behavior unchanged"
+      );
+      await expect(depositContract.connect(user).setTokenBehavior(3, FEE_ON_TRANSFER))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, ROLES.assetManager);
+    });
+  });
+
+  describe("Timelocked Withdrawals", function () {
+    it("Should allow the timelock to withdraw tokens", async function () {
       const assetId = 1;
       const amount = ethers.parseEther("1.0");
       
@@ -191,21 +768,21 @@ describe("DepositContract", function () {
       
       const balanceBefore = await mockToken.balanceOf(owner.address);
       
-      await depositContract.connect(owner).withdrawTokens(await mockToken.getAddress(), amount);
+      await depositContract.connect(owner).withdrawTokens(await mockToken.getAddress(), owner.address, amount);
       
       const balanceAfter = await mockToken.balanceOf(owner.address);
       expect(balanceAfter - balanceBefore).to.equal(amount);
     });
 
-    it("Should allow owner to withdraw native ETH", async function () {
-      const assetId = 0;
+    it("Should allow the timelock to withdraw native ETH", async function () {
+      const assetId = 2;
       const amount = ethers.parseEther("1.0");
       
       await depositContract.connect(user).depositNative(assetId, { value: amount });
       
       const ownerBalanceBefore = await ethers.provider.getBalance(owner.address);
       
-      const tx = await depositContract.connect(owner).withdrawNative(amount);
+      const tx = await depositContract.connect(owner).withdrawNative(owner.address, amount);
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
       
@@ -213,37 +790,156 @@ describe("DepositContract", function () {
       expect(ownerBalanceAfter - ownerBalanceBefore + gasUsed).to.equal(amount);
     });
 
-    it("Should reject non-owner from withdrawing tokens", async function () {
+    it("Should reject others from withdrawing tokens", async function () {
       await expect(
-        depositContract.connect(user).withdrawTokens(await mockToken.getAddress(), ethers.parseEther("1.0"))
-      ).to.be.revertedWithCustomError(depositContract, "OwnableUnauthorizedAccount");
+        depositContract
+          .connect(user)
+          .withdrawTokens(await mockToken.getAddress(), user.address, ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should reject non-owner from withdrawing native ETH", async function () {
+    it("Should reject others from withdrawing native ETH", async function () {
       await expect(
-        depositContract.connect(user).withdrawNative(ethers.parseEther("1.0"))
-      ).to.be.revertedWithCustomError(depositContract, "OwnableUnauthorizedAccount");
+        depositContract.connect(user).withdrawNative(user.address, ethers.parseEther("1.0"))
+      ).to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount");
     });
 
     it("Should reject zero address for token withdrawal", async function () {
       await expect(
-        depositContract.connect(owner).withdrawTokens(ethers.ZeroAddress, ethers.parseEther("1.0"))
+        depositContract.connect(owner).withdrawTokens(ethers.ZeroAddress, owner.address, ethers.parseEther("1.0"))
       ).to.be.revertedWith("Invalid token address");
     });
 
+    it("Should only pay treasurers", async function () {
+      await depositContract.connect(user).depositNative(2, { value: ethers.parseEther("1.0") });
+
+      for (const recipient of [user.address, ethers.ZeroAddress]) {
+        await expect(
+          depositContract.connect(owner).withdrawTokens(await mockToken.getAddress(), recipient, 1)
+        ).to.be.revertedWith("Recipient is not a treasurer");
+        await expect(depositContract.connect(owner).withdrawNative(recipient, 1)).to.be.revertedWith(
+          "Recipient is not a treasurer"
+        );
+      }
+    });
+
     it("Should reject insufficient balance for native withdrawal", async function () {
-      const assetId = 0;
+      const assetId = 2;
       const depositAmount = ethers.parseEther("1.0");
       const withdrawAmount = ethers.parseEther("2.0");
       
       await depositContract.connect(user).depositNative(assetId, { value: depositAmount });
       
       await expect(
-        depositContract.connect(owner).withdrawNative(withdrawAmount)
+        depositContract.connect(owner).withdrawNative(owner.address, withdrawAmount)
       ).to.be.revertedWith("Insufficient balance");
     });
   });
 
+  describe("Roles", function () {
+    it("Should give the deployer the admin, asset manager, treasurer and timelock roles", async function () {
+      for (const role of [ROLES.admin, ROLES.assetManager, ROLES.treasurer, ROLES.timelock]) {
+        expect(await depositContract.getRoleMembers(role)).to.deep.equal([owner.address]);
+      }
+      expect(await depositContract.getRoleMemberCount(ROLES.guardian)).to.equal(0);
+    });
+
+    it("Should let an asset manager run the registry without being admin", async function () {
+      await depositContract.grantRole(ROLES.assetManager, user.address);
+      await depositContract.revokeRole(ROLES.assetManager, owner.address);
+
+      await expect(depositContract.connect(user).setDepositLimits(1, 1, 0)).to.emit(depositContract, "AssetUpdated");
+      await expect(depositContract.connect(user).disableAsset(1)).to.emit(depositContract, "AssetDisabled");
+      await expect(depositContract.connect(user).setWithdrawalContract(user.address))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, ROLES.timelock);
+      await expect(depositContract.enableAsset(1))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.assetManager);
+    });
+
+    it("Should pay timelocked withdrawals to any treasurer the admin names", async function () {
+      const amount = ethers.parseEther("1.0");
+      await depositContract.connect(user).deposit(1, amount);
+      await depositContract.connect(user).depositNative(2, { value: amount });
+      await depositContract.grantRole(ROLES.treasurer, user.address);
+
+      await expect(
+        depositContract.withdrawTokens(await mockToken.getAddress(), user.address, amount)
+      ).to.changeTokenBalances(mockToken, [user, owner], [amount, 0]);
+      await expect(depositContract.withdrawNative(user.address, amount)).to.changeEtherBalances(
+        [user, owner],
+        [amount, 0]
+      );
+    });
+
+    it("Should not let a treasurer move funds without the timelock", async function () {
+      await depositContract.connect(user).depositNative(2, { value: ethers.parseEther("1.0") });
+      await depositContract.grantRole(ROLES.treasurer, user.address);
+
+      await expect(depositContract.connect(user).withdrawNative(user.address, 1))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, ROLES.timelock);
+    });
+
+    it("Should keep the timelock role out of the admin's reach", async function () {
+      expect(await depositContract.getRoleAdmin(ROLES.timelock)).to.equal(ROLES.timelock);
+
+      // Handed over like the deployment does, the admin can neither take it back nor withdraw
+      await depositContract.grantRole(ROLES.timelock, user.address);
+      await depositContract.renounceRole(ROLES.timelock, owner.address);
+      await expect(depositContract.grantRole(ROLES.timelock, owner.address))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
+      await expect(depositContract.revokeRole(ROLES.timelock, user.address)).to.be.revertedWithCustomError(
+        depositContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(depositContract.withdrawNative(owner.address, 1))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
+      await expect(depositContract.setWithdrawalContract(owner.address))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
+    });
+  });
+
+  describe("Withdrawal Contract Link", function () {
+    it("Should allow admin to set the withdrawal contract", async function () {
+      await expect(depositContract.connect(owner).setWithdrawalContract(user.address))
+        .to.emit(depositContract, "WithdrawalContractUpdated")
+        .withArgs(ethers.ZeroAddress, user.address);
+      expect(await depositContract.withdrawalContract()).to.equal(user.address);
+    });
+
+    it("Should reject non-admin from setting the withdrawal contract", async function () {
+      await expect(
+        depositContract.connect(user).setWithdrawalContract(user.address)
+      ).to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject zero address for the withdrawal contract", async function () {
+      await expect(
+        depositContract.connect(owner).setWithdrawalContract(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid withdrawal contract");
+    });
+
+    it("Should release funds only to the linked withdrawal contract", async function () {
+      const amount = ethers.parseEther("1.0");
+      await depositContract.connect(user).deposit(1, amount);
+
+      await expect(
+        depositContract.connect(user).release(user.address, 1, amount)
+      ).to.be.revertedWith("Only withdrawal contract");
+
+      // An EOA standing in for WithdrawalContract
+      await depositContract.connect(owner).setWithdrawalContract(owner.address);
+      await expect(
+        depositContract.connect(owner).release(user.address, 1, amount)
+      ).to.changeTokenBalances(mockToken, [user, depositContract], [amount, -amount]);
+    });
+  });
+
   describe("Multiple Deposits", function () {
     it("Should handle multiple ERC20 deposits", async function () {
       const assetId = 1;
@@ -259,7 +955,7 @@ describe("DepositContract", function () {
     });
 
     it("Should handle multiple native ETH deposits", async function () {
-      const assetId = 0;
+      const assetId = 2;
       const amount1 = ethers.parseEther("1.0");
       const amount2 = ethers.parseEther("2.0");
 
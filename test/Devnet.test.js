@@ -0,0 +1,118 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { bootstrapDevnet, devnetVerifyingKey } = require("../scripts/devnet-helpers");
+const { ZkClearClient, PERMIT2_ADDRESS, hashVerifyingKey, readManifest } = require("../sdk");
+
+describe("Devnet bootstrap", function () {
+  const quiet = () => {};
+
+  let dir;
+  let envFile;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-devnet-"));
+    envFile = path.join(dir, ".env.devnet");
+  });
+
+  function readEnv() {
+    const entries = fs
+      .readFileSync(envFile, "utf-8")
+      .split("\n")
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => line.split("="));
+    return Object.fromEntries(entries);
+  }
+
+  it("Should deploy, register and fund assets, and prove sample blocks", async function () {
+    const signers = await ethers.getSigners();
+    const devnet = await bootstrapDevnet({ dir, envFile, accountCount: 2, blockCount: 3, log: quiet });
+
+    expect(devnet.assets.map(({ symbol }) => symbol)).to.deep.equal(["USDC", "WETH", "DAI"]);
+    expect(devnet.accounts).to.deep.equal([signers[1].address, signers[2].address]);
+    expect(devnet.sampleBlocks).to.equal(3);
+
+    const { deposit, groth16Verifier, verifier } = devnet.contracts;
+    for (const { assetId, address } of devnet.assets) {
+      expect(await deposit.assetAddresses(assetId)).to.equal(address);
+    }
+    expect(await deposit.nativeAssetId()).to.equal(devnet.nativeAssetId);
+    const usdc = await ethers.getContractAt("ERC20Mock", devnet.assets[0].address);
+    expect(await usdc.balanceOf(signers[2].address)).to.equal(ethers.parseEther("10000"));
+    expect(await ethers.provider.getCode(PERMIT2_ADDRESS)).to.not.equal("0x");
+
+    expect(await groth16Verifier.keyHash()).to.equal(hashVerifyingKey(devnetVerifyingKey()));
+    expect(await verifier.lastBlockId()).to.equal(3);
+    expect(await verifier.getWithdrawalsRoot(3)).to.equal(ethers.ZeroHash);
+    expect((await verifier.getBlock(3)).depositIndex).to.equal(3);
+    expect(await deposit.depositCount()).to.equal(3);
+  });
+
+  it("Should write the manifest and env file", async function () {
+    const devnet = await bootstrapDevnet({ dir, envFile, accountCount: 2, blockCount: 1, log: quiet });
+    const manifest = readManifest(devnet.chainId, { dir });
+
+    expect(manifest.assets.WETH).to.deep.equal({ assetId: 2, address: devnet.assets[1].address });
+    expect(manifest.contracts.tokenWETH.address).to.equal(devnet.assets[1].address);
+    expect(manifest.nativeAssetId).to.equal(4);
+    expect(manifest.devnet).to.deep.equal({ accounts: devnet.accounts, sampleBlocks: 1, insecureVerifyingKey: true });
+
+    const env = readEnv();
+    expect(env.CHAIN_ID).to.equal("31337");
+    expect(env.DEPOSIT_CONTRACT).to.equal(devnet.depositAddress);
+    expect(env.VERIFIER_CONTRACT).to.equal(devnet.verifierAddress);
+    expect(env.ASSET_DAI_ID).to.equal("3");
+    expect(env.ASSET_DAI_TOKEN).to.equal(devnet.assets[2].address);
+    expect(env.NATIVE_ASSET_ID).to.equal("4");
+    expect(env.TEST_ACCOUNTS).to.equal(devnet.accounts.join(","));
+    expect(new ethers.Wallet(env.SEQUENCER_PRIVATE_KEY).address).to.equal(devnet.deployer);
+    expect(new ethers.Wallet(env.TEST_PRIVATE_KEYS.split(",")[1]).address).to.equal(devnet.accounts[1]);
+
+    // The written manifest is enough for the SDK
+    const client = await ZkClearClient.fromDeployment(await ethers.getSigner(devnet.accounts[0]), { dir });
+    expect((await client.latestBlock()).blockId).to.equal(1n);
+  });
+
+  it("Should resume without redeploying or re-proving", async function () {
+    const first = await bootstrapDevnet({ dir, envFile, accountCount: 1, blockCount: 2, log: quiet });
+
+    const second = await bootstrapDevnet({ dir, envFile, accountCount: 1, blockCount: 2, log: quiet });
+
+    expect(second.verifierAddress).to.equal(first.verifierAddress);
+    expect(second.assets).to.deep.equal(first.assets);
+    expect(second.sampleBlocks).to.equal(0);
+    expect(await second.contracts.verifier.lastBlockId()).to.equal(2);
+    // Balances spent on sample deposits are topped up again
+    const usdc = await ethers.getContractAt("ERC20Mock", second.assets[0].address);
+    expect(await usdc.balanceOf(second.accounts[0])).to.equal(ethers.parseEther("10000"));
+    expect(readManifest(second.chainId, { dir }).devnet.sampleBlocks).to.equal(2);
+  });
+
+  it("Should refuse to run on a network that is not local", async function () {
+    const { name } = network;
+    network.name = "sepolia";
+    ethers.provider.getNetwork = async () => ({ chainId: 11155111n });
+    try {
+      await expect(bootstrapDevnet({ dir, envFile, log: quiet })).to.be.rejectedWith(
+        "Refusing to bootstrap a devnet on the sepolia network (chain 11155111)"
+      );
+    } finally {
+      network.name = name;
+      delete ethers.provider.getNetwork;
+    }
+
+    // Nothing was deployed or written
+    expect(fs.readdirSync(dir)).to.deep.equal([]);
+  });
+
+  it("Should skip sample blocks with a real verifying key", async function () {
+    const verifyingKeyFile = path.join(__dirname, "fixtures", "verifying_key.arkworks.txt");
+    const devnet = await bootstrapDevnet({ dir, envFile, accountCount: 1, verifyingKeyFile, log: quiet });
+
+    expect(devnet.sampleBlocks).to.equal(0);
+    expect(await devnet.contracts.verifier.lastBlockId()).to.equal(0);
+    expect(readManifest(devnet.chainId, { dir }).devnet.insecureVerifyingKey).to.be.false;
+  });
+});
@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const path = require("path");
+const {
+  encodeProof,
+  decodeProof,
+  rootToPublicInputs,
+  blockPublicInputs,
+  parseProof,
+  parseVerifyingKey,
+  toContractArgs,
+} = require("../sdk");
+const { deployProxy } = require("../scripts/deploy-helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf-8");
+}
+
+// Proof struct as returned by the contract, as plain bigints
+function toPlainProof(proof) {
+  return {
+    a: { X: proof.a.X, Y: proof.a.Y },
+    b: { X: [...proof.b.X], Y: [...proof.b.Y] },
+    c: { X: proof.c.X, Y: proof.c.Y },
+  };
+}
+
+describe("Proof encoding", function () {
+  async function deployFixture() {
+    const [owner, sequencer] = await ethers.getSigners();
+    const groth16Verifier = await deployProxy("Groth16Verifier", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      ethers.ZeroHash,
+      owner.address,
+      await groth16Verifier.getAddress(),
+    ]);
+    return { groth16Verifier, verifierContract, sequencer };
+  }
+
+  let groth16Verifier;
+  let verifierContract;
+  let sequencer;
+
+  beforeEach(async function () {
+    ({ groth16Verifier, verifierContract, sequencer } = await loadFixture(deployFixture));
+  });
+
+  describe("encodeProof / decodeProof", function () {
+    const proof = {
+      a: { X: 1n, Y: 2n },
+      b: { X: [3n, 4n], Y: [5n, 6n] },
+      c: { X: 7n, Y: ethers.MaxUint256 },
+    };
+
+    it("Should lay out A || B || C as 32-byte words", function () {
+      const encoded = encodeProof(proof);
+
+      expect(ethers.dataLength(encoded)).to.equal(256);
+      expect(ethers.dataSlice(encoded, 64, 96)).to.equal(ethers.toBeHex(3n, 32));
+      expect(ethers.dataSlice(encoded, 224, 256)).to.equal(ethers.toBeHex(ethers.MaxUint256, 32));
+    });
+
+    it("Should round-trip", function () {
+      expect(decodeProof(encodeProof(proof))).to.deep.equal(proof);
+    });
+
+    it("Should match VerifierContract.decodeProof", async function () {
+      const random = () => ethers.toBigInt(ethers.randomBytes(32));
+      const randomProof = {
+        a: { X: random(), Y: random() },
+        b: { X: [random(), random()], Y: [random(), random()] },
+        c: { X: random(), Y: random() },
+      };
+      const encoded = encodeProof(randomProof);
+
+      expect(toPlainProof(await verifierContract.decodeProof(encoded))).to.deep.equal(decodeProof(encoded));
+      expect(decodeProof(encoded)).to.deep.equal(randomProof);
+    });
+
+    it("Should ignore trailing bytes like the contract", async function () {
+      const encoded = ethers.concat([encodeProof(proof), "0xdeadbeef"]);
+
+      expect(decodeProof(encoded)).to.deep.equal(proof);
+      expect(toPlainProof(await verifierContract.decodeProof(encoded))).to.deep.equal(proof);
+    });
+
+    it("Should reject short proofs", async function () {
+      expect(() => decodeProof("0x" + "00".repeat(255))).to.throw("Invalid proof length");
+      await expect(verifierContract.decodeProof("0x" + "00".repeat(255))).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidProof"
+      );
+    });
+  });
+
+  describe("Public inputs", function () {
+    it("Should split a root into least-significant-first u32 limbs", function () {
+      const root = "0x" + "0000000" + "8" + "00000007" + "00000006" + "00000005" + "00000004" + "00000003" + "00000002" + "11223344";
+
+      expect(rootToPublicInputs(root)).to.deep.equal([0x11223344n, 2n, 3n, 4n, 5n, 6n, 7n, 8n]);
+    });
+
+    it("Should match VerifierContract.blockPublicInputs", async function () {
+      for (let i = 0; i < 5; i++) {
+        const hashes = Array.from({ length: 4 }, () => ethers.hexlify(ethers.randomBytes(32)));
+        const depositIndex = ethers.toBigInt(ethers.randomBytes(8));
+
+        const onChain = await verifierContract.blockPublicInputs(...hashes, depositIndex);
+        expect([...onChain]).to.deep.equal(blockPublicInputs(...hashes, depositIndex));
+      }
+    });
+
+    it("Should match the contract on edge-case hashes", async function () {
+      const hashes = [ethers.ZeroHash, ethers.MaxUint256, "0x" + "80".padEnd(64, "0"), ethers.MaxUint256].map((hash) =>
+        ethers.toBeHex(hash, 32)
+      );
+
+      const onChain = await verifierContract.blockPublicInputs(...hashes, 2n ** 64n - 1n);
+      expect([...onChain]).to.deep.equal(blockPublicInputs(...hashes, 2n ** 64n - 1n));
+    });
+  });
+
+  describe("parseProof", function () {
+    it("Should import snarkjs and Arkworks proofs into the same EVM-order proof", function () {
+      const snarkjs = parseProof(readFixture("synthetic_proof.snarkjs.json"));
+      const arkworks = parseProof(readFixture("synthetic_proof.arkworks.json"));
+
+      expect(snarkjs.format).to.equal("snarkjs");
+      expect(arkworks.format).to.equal("arkworks");
+      expect(arkworks.proof).to.deep.equal(snarkjs.proof);
+
+      // pi_b is [[x.c0, x.c1], [y.c0, y.c1]]; EVM order puts c1 first
+      const json = JSON.parse(readFixture("synthetic_proof.snarkjs.json"));
+      expect(snarkjs.proof.b.X).to.deep.equal([BigInt(json.pi_b[0][1]), BigInt(json.pi_b[0][0])]);
+    });
+
+    it("Should import canonical proofs as-is", function () {
+      const { proof } = parseProof(readFixture("synthetic_proof.snarkjs.json"));
+      const canonical = JSON.parse(
+        JSON.stringify(proof, (key, value) => (typeof value === "bigint" ? ethers.toBeHex(value) : value))
+      );
+
+      const parsed = parseProof(canonical);
+      expect(parsed.format).to.equal("canonical");
+      expect(parsed.proof).to.deep.equal(proof);
+    });
+
+    it("Should reject unknown formats", function () {
+      expect(() => parseProof({ foo: 1 })).to.throw("Unrecognized proof JSON");
+      expect(() => parseProof(readFixture("synthetic_proof.snarkjs.json"), "gnark")).to.throw(
+        'Unknown proof format "gnark"'
+      );
+    });
+
+    it("Should submit an imported proof through VerifierContract", async function () {
+      const { key } = parseVerifyingKey(readFixture("synthetic_verifying_key.json"));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+
+      for (const fixture of ["synthetic_proof.snarkjs.json", "synthetic_proof.arkworks.json"]) {
+        const { proof } = parseProof(readFixture(fixture));
+        const stateRoot = await verifierContract.stateRoot();
+        const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes(fixture));
+        const blockId = (await verifierContract.stateRoot()) === ethers.ZeroHash ? 1 : 2;
+
+        expect(await groth16Verifier.verifyProof(proof, blockPublicInputs(stateRoot, newStateRoot, ethers.ZeroHash, ethers.ZeroHash, 0))).to
+          .be.true;
+        await expect(
+          verifierContract
+            .connect(sequencer)
+            .submitBlockProof(blockId, stateRoot, newStateRoot, ethers.ZeroHash, 0, ethers.ZeroHash, encodeProof(proof))
+        ).to.emit(verifierContract, "StateRootUpdated");
+      }
+    });
+
+    it("Should reject a proof with unswapped G2 coordinates", async function () {
+      const { key } = parseVerifyingKey(readFixture("synthetic_verifying_key.json"));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+      const { proof } = parseProof(readFixture("synthetic_proof.snarkjs.json"));
+      const unswapped = { ...proof, b: { X: [...proof.b.X].reverse(), Y: [...proof.b.Y].reverse() } };
+
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            1,
+            ethers.ZeroHash,
+            ethers.id("state"),
+            ethers.ZeroHash,
+            0,
+            ethers.ZeroHash,
+            encodeProof(unswapped)
+          )
+      ).to.be.reverted;
+    });
+  });
+});
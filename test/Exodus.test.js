@@ -0,0 +1,357 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { StateTree } = require("../sdk/merkle");
+const { G1, G2 } = require("../sdk/bn254");
+const { encodeProof, toContractArgs } = require("../sdk");
+const { ROLES } = require("../sdk/roles");
+const { deployProxy } = require("../scripts/deploy-helpers");
+const { devnetVerifyingKey } = require("../scripts/devnet-helpers");
+
+describe("Exodus mode", function () {
+  const proof = "0x" + "01".repeat(256);
+
+  async function deployFixture() {
+    const [owner, user, sequencer, other] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      ethers.ZeroHash,
+      owner.address,
+      ethers.ZeroAddress,
+    ]);
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
+      await verifierContract.getAddress(),
+      owner.address,
+    ]);
+    const mockToken = await ethers.deployContract("ERC20Mock", [
+      "Test Token",
+      "TEST",
+      user.address,
+      ethers.parseEther("1000"),
+    ]);
+
+    await depositContract.setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.setDepositContract(await depositContract.getAddress());
+    await verifierContract.addWithdrawalContract(await withdrawalContract.getAddress());
+    await verifierContract.setDepositContract(await depositContract.getAddress());
+    await depositContract.registerAsset(1, await mockToken.getAddress(), 0);
+    await depositContract.registerNativeAsset(2);
+    await mockToken.connect(user).approve(await depositContract.getAddress(), ethers.MaxUint256);
+
+    // Deposits 0 and 1 are consumed by block 1, deposit 2 is still queued
+    await depositContract.connect(user).deposit(1, ethers.parseEther("100"));
+    await depositContract.connect(user).depositNative(2, { value: ethers.parseEther("10") });
+    await depositContract.connect(other).depositNative(2, { value: ethers.parseEther("3") });
+
+    const accounts = [
+      { user: user.address, assetId: 1n, balance: ethers.parseEther("60"), chainId },
+      { user: user.address, assetId: 2n, balance: ethers.parseEther("4"), chainId },
+      { user: other.address, assetId: 1n, balance: ethers.parseEther("40"), chainId },
+    ];
+    const tree = new StateTree(accounts);
+    const depositsHash = await depositContract.depositHashAt(2);
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(1, ethers.ZeroHash, tree.root, ethers.ZeroHash, 2, depositsHash, proof);
+
+    return { depositContract, verifierContract, withdrawalContract, mockToken, owner, user, sequencer, other, tree };
+  }
+
+  let depositContract;
+  let verifierContract;
+  let withdrawalContract;
+  let mockToken;
+  let user;
+  let sequencer;
+  let other;
+  let tree;
+
+  beforeEach(async function () {
+    ({ depositContract, verifierContract, withdrawalContract, mockToken, user, sequencer, other, tree } =
+      await loadFixture(deployFixture));
+  });
+
+  async function freezeAfterTimeout() {
+    await time.increaseTo(await verifierContract.freezeDeadline());
+    await verifierContract.connect(other).freeze();
+  }
+
+  function exitArgs(index) {
+    return [tree.accounts[index], tree.getProof(index)];
+  }
+
+  describe("Liveness timeout", function () {
+    it("Should start with the default timeout", async function () {
+      const [, header] = await verifierContract.latestBlock();
+
+      expect(await verifierContract.livenessTimeout()).to.equal(await verifierContract.DEFAULT_LIVENESS_TIMEOUT());
+      expect(await verifierContract.freezeDeadline()).to.equal(header.timestamp + 7n * 24n * 60n * 60n);
+      expect(await verifierContract.frozen()).to.be.false;
+    });
+
+    it("Should not freeze while the sequencer is live", async function () {
+      await time.increaseTo((await verifierContract.freezeDeadline()) - 10n);
+
+      await expect(verifierContract.connect(other).freeze()).to.be.revertedWithCustomError(
+        verifierContract,
+        "SequencerStillLive"
+      );
+    });
+
+    it("Should let anyone freeze once no block was proven for the timeout", async function () {
+      await time.increaseTo(await verifierContract.freezeDeadline());
+
+      await expect(verifierContract.connect(other).freeze())
+        .to.emit(verifierContract, "Frozen")
+        .withArgs(1, tree.root);
+      expect(await verifierContract.frozen()).to.be.true;
+    });
+
+    it("Should move the deadline with every new block", async function () {
+      const deadline = await verifierContract.freezeDeadline();
+      await time.increase(3 * 24 * 60 * 60);
+
+      const depositsHash = await depositContract.depositHashAt(2);
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(2, tree.root, ethers.id("state 2"), ethers.ZeroHash, 2, depositsHash, proof);
+      const [, header] = await verifierContract.latestBlock();
+
+      const livenessTimeout = await verifierContract.livenessTimeout();
+      expect(await verifierContract.freezeDeadline()).to.equal(header.timestamp + livenessTimeout);
+      await time.increaseTo(deadline);
+      await expect(verifierContract.freeze()).to.be.revertedWithCustomError(verifierContract, "SequencerStillLive");
+    });
+
+    it("Should let the timelock change the timeout", async function () {
+      await expect(verifierContract.setLivenessTimeout(3600))
+        .to.emit(verifierContract, "LivenessTimeoutUpdated")
+        .withArgs(7 * 24 * 60 * 60, 3600);
+
+      await time.increase(3600);
+      await expect(verifierContract.connect(other).freeze()).to.emit(verifierContract, "Frozen");
+    });
+
+    it("Should reject invalid or unauthorized timeout changes", async function () {
+      await expect(verifierContract.setLivenessTimeout(0)).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidLivenessTimeout"
+      );
+      const max = await verifierContract.MAX_LIVENESS_TIMEOUT();
+      await expect(verifierContract.setLivenessTimeout(max + 1n)).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidLivenessTimeout"
+      );
+      await expect(verifierContract.setLivenessTimeout(max)).to.emit(verifierContract, "LivenessTimeoutUpdated");
+      await expect(verifierContract.connect(sequencer).setLivenessTimeout(3600)).to.be.revertedWithCustomError(
+        verifierContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should not let an admin without the timelock role change the timeout", async function () {
+      const [owner] = await ethers.getSigners();
+      await verifierContract.renounceRole(ROLES.timelock, owner.address);
+
+      expect(await verifierContract.hasRole(ROLES.admin, owner.address)).to.be.true;
+      await expect(verifierContract.setLivenessTimeout(3600))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
+    });
+
+    it("Should stop block submission once frozen", async function () {
+      await freezeAfterTimeout();
+      const depositsHash = await depositContract.depositHashAt(2);
+
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(2, tree.root, ethers.id("state 2"), ethers.ZeroHash, 2, depositsHash, proof)
+      ).to.be.revertedWithCustomError(verifierContract, "SystemFrozen");
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProofs([[2, tree.root, ethers.id("state 2"), ethers.ZeroHash, 2, depositsHash, proof]])
+      ).to.be.revertedWithCustomError(verifierContract, "SystemFrozen");
+      await expect(verifierContract.freeze()).to.be.revertedWithCustomError(verifierContract, "SystemFrozen");
+      await expect(verifierContract.setLivenessTimeout(3600)).to.be.revertedWithCustomError(
+        verifierContract,
+        "SystemFrozen"
+      );
+    });
+  });
+
+  describe("exit", function () {
+    it("Should only be available in exodus mode", async function () {
+      await expect(withdrawalContract.connect(user).exit(...exitArgs(0))).to.be.revertedWithCustomError(
+        withdrawalContract,
+        "NotFrozen"
+      );
+    });
+
+    it("Should pay out balances proven against the last state root", async function () {
+      await freezeAfterTimeout();
+      const nullifier = await withdrawalContract.exitNullifier(user.address, 1);
+
+      const tx = withdrawalContract.connect(user).exit(...exitArgs(0));
+
+      await expect(tx)
+        .to.emit(withdrawalContract, "Exit")
+        .withArgs(user.address, 1, ethers.parseEther("60"), nullifier, 1, tree.root);
+      await expect(tx).to.changeTokenBalances(
+        mockToken,
+        [user, depositContract],
+        [ethers.parseEther("60"), -ethers.parseEther("60")]
+      );
+      await expect(withdrawalContract.connect(user).exit(...exitArgs(1))).to.changeEtherBalances(
+        [user, depositContract],
+        [ethers.parseEther("4"), -ethers.parseEther("4")]
+      );
+      expect(await verifierContract.isNullifierUsed(nullifier)).to.be.true;
+    });
+
+    it("Should allow one exit per account and asset", async function () {
+      await freezeAfterTimeout();
+      await withdrawalContract.connect(user).exit(...exitArgs(0));
+
+      await expect(withdrawalContract.connect(user).exit(...exitArgs(0))).to.be.revertedWithCustomError(
+        withdrawalContract,
+        "NullifierAlreadyUsed"
+      );
+    });
+
+    it("Should reject balances not in the state root", async function () {
+      await freezeAfterTimeout();
+      const [account, stateProof] = exitArgs(0);
+
+      await expect(
+        withdrawalContract.connect(user).exit({ ...account, balance: ethers.parseEther("61") }, stateProof)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+      await expect(withdrawalContract.connect(user).exit(account, tree.getProof(1))).to.be.revertedWithCustomError(
+        withdrawalContract,
+        "InvalidMerkleProof"
+      );
+    });
+
+    it("Should reject exits for other users or chains", async function () {
+      await freezeAfterTimeout();
+      const [account, stateProof] = exitArgs(2);
+
+      await expect(withdrawalContract.connect(user).exit(account, stateProof)).to.be.revertedWithCustomError(
+        withdrawalContract,
+        "InvalidUser"
+      );
+      await expect(
+        withdrawalContract.connect(other).exit({ ...account, chainId: 1 }, stateProof)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidChainId");
+    });
+  });
+
+  describe("reclaimDeposit", function () {
+    it("Should only be available in exodus mode", async function () {
+      await expect(
+        withdrawalContract.reclaimDeposit(2, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "NotFrozen");
+    });
+
+    it("Should refund deposits the final state did not consume to the depositor", async function () {
+      await freezeAfterTimeout();
+
+      const tx = withdrawalContract
+        .connect(user)
+        .reclaimDeposit(2, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash);
+
+      await expect(tx)
+        .to.emit(withdrawalContract, "DepositReclaimed")
+        .withArgs(other.address, 2, ethers.parseEther("3"), 2);
+      await expect(tx).to.changeEtherBalances(
+        [other, depositContract],
+        [ethers.parseEther("3"), -ethers.parseEther("3")]
+      );
+
+      await expect(
+        withdrawalContract.reclaimDeposit(2, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "NullifierAlreadyUsed");
+    });
+
+    it("Should reject consumed or unknown deposits", async function () {
+      await freezeAfterTimeout();
+
+      await expect(
+        withdrawalContract.reclaimDeposit(1, user.address, 2, ethers.parseEther("10"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "DepositAlreadyConsumed");
+      await expect(
+        withdrawalContract.reclaimDeposit(2, other.address, 2, ethers.parseEther("30"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidDeposit");
+      await expect(
+        withdrawalContract.reclaimDeposit(2, user.address, 2, ethers.parseEther("3"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidDeposit");
+      await expect(
+        withdrawalContract.reclaimDeposit(3, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidDeposit");
+    });
+
+    it("Should refund deposits made for someone else to the recipient", async function () {
+      await freezeAfterTimeout();
+      const l2Account = ethers.id("l2 account");
+      await depositContract.connect(user).depositForAccount(other.address, l2Account, 1, ethers.parseEther("5"));
+
+      await expect(
+        withdrawalContract.reclaimDeposit(3, other.address, 1, ethers.parseEther("5"), ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidDeposit");
+      await expect(
+        withdrawalContract.reclaimDeposit(3, other.address, 1, ethers.parseEther("5"), l2Account)
+      ).to.changeTokenBalances(mockToken, [other, user], [ethers.parseEther("5"), 0]);
+    });
+
+    it("Should refund from the deposit index the last block proved", async function () {
+      // devnetVerifyingKey with the deposit index point set to G1: vk_x is
+      // (1 + depositIndex) G1, so A = (3 + depositIndex) G1 only proves one index
+      const key = devnetVerifyingKey();
+      key.gammaAbc[33] = key.gammaAbc[0];
+      const groth16Verifier = await deployProxy("Groth16Verifier", [user.address]);
+      await groth16Verifier.connect(user).setVerifyingKey(...toContractArgs(key));
+      await verifierContract.setGroth16Verifier(await groth16Verifier.getAddress());
+
+      const g1 = (scalar) => {
+        const { x, y } = G1.mul(G1.generator, scalar);
+        return { X: x, Y: y };
+      };
+      const g2 = { X: [G2.generator.x[1], G2.generator.x[0]], Y: [G2.generator.y[1], G2.generator.y[0]] };
+      const proofFor = (depositIndex) => encodeProof({ a: g1(3n + BigInt(depositIndex)), b: g2, c: g1(1n) });
+      const submit = async (depositIndex, blockProof) =>
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            2,
+            tree.root,
+            ethers.id("state 2"),
+            ethers.ZeroHash,
+            depositIndex,
+            await depositContract.depositHashAt(depositIndex),
+            blockProof
+          );
+
+      // Claiming deposit 2 as consumed needs a proof that consumed it
+      await expect(submit(3, proofFor(2))).to.be.revertedWithCustomError(verifierContract, "InvalidProof");
+      await submit(2, proofFor(2));
+      await freezeAfterTimeout();
+
+      await expect(
+        withdrawalContract.reclaimDeposit(2, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash)
+      ).to.changeEtherBalance(other, ethers.parseEther("3"));
+    });
+
+    it("Should refund deposits made after the freeze", async function () {
+      await freezeAfterTimeout();
+      await depositContract.connect(user).deposit(1, ethers.parseEther("5"));
+
+      await expect(
+        withdrawalContract.reclaimDeposit(3, user.address, 1, ethers.parseEther("5"), ethers.ZeroHash)
+      ).to.changeTokenBalance(mockToken, user, ethers.parseEther("5"));
+    });
+  });
+});
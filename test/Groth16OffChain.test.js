@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const path = require("path");
+const {
+  ZkClearClient,
+  Groth16ProofError,
+  blockPublicInputs,
+  encodeProof,
+  parseProof,
+  parseVerifyingKey,
+  toContractArgs,
+  verifyGroth16Proof,
+} = require("../sdk");
+const { P, R, G1, G2, pairingCheck } = require("../sdk/bn254");
+const { deployProxy } = require("../scripts/deploy-helpers");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf-8");
+}
+
+function randomScalar() {
+  return ethers.toBigInt(ethers.randomBytes(32)) % R;
+}
+
+function scalarInverse(a) {
+  let result = 1n;
+  for (let base = a % R, e = R - 2n; e > 0n; e >>= 1n, base = (base * base) % R) {
+    if (e & 1n) {
+      result = (result * base) % R;
+    }
+  }
+  return result;
+}
+
+// bn254 points into the contract's coordinate layout
+function g1ToEvm(point) {
+  return { X: ethers.toBeHex(point.x, 32), Y: ethers.toBeHex(point.y, 32) };
+}
+
+function g2ToEvm(point) {
+  return {
+    X: [ethers.toBeHex(point.x[1], 32), ethers.toBeHex(point.x[0], 32)],
+    Y: [ethers.toBeHex(point.y[1], 32), ethers.toBeHex(point.y[0], 32)],
+  };
+}
+
+/**
+ * Key and proof satisfying the Groth16 equation for the given inputs, with
+ * beta = gamma = delta = G2 and every other point a random multiple of G1:
+ * a * s = k + vk_x + 1 for alpha = k G1, B = s G2, C = G1.
+ */
+function randomCase(publicInputs) {
+  const k = randomScalar();
+  const s = randomScalar();
+  const t = publicInputs.map(() => randomScalar());
+  const vkX = publicInputs.reduce((sum, input, i) => (sum + t[i] * input) % R, 1n);
+  const a = ((k + vkX + 1n) * scalarInverse(s)) % R;
+
+  const key = {
+    alpha: g1ToEvm(G1.mul(G1.generator, k)),
+    beta: g2ToEvm(G2.generator),
+    gamma: g2ToEvm(G2.generator),
+    delta: g2ToEvm(G2.generator),
+    gammaAbc: [g1ToEvm(G1.generator), ...t.map((scalar) => g1ToEvm(G1.mul(G1.generator, scalar)))],
+  };
+  const proof = {
+    a: g1ToEvm(G1.mul(G1.generator, a)),
+    b: g2ToEvm(G2.mul(G2.generator, s)),
+    c: g1ToEvm(G1.generator),
+  };
+  return { key, proof };
+}
+
+describe("Off-chain Groth16 verification", function () {
+  const roots = [ethers.id("prev"), ethers.id("new"), ethers.id("withdrawals")];
+  const publicInputs = blockPublicInputs(...roots, ethers.ZeroHash, 0);
+
+  async function deployFixture() {
+    const [owner, sequencer, user] = await ethers.getSigners();
+    const groth16Verifier = await deployProxy("Groth16Verifier", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      roots[0],
+      owner.address,
+      await groth16Verifier.getAddress(),
+    ]);
+    return { groth16Verifier, verifierContract, sequencer, user };
+  }
+
+  let groth16Verifier;
+  let verifierContract;
+  let sequencer;
+  let user;
+
+  beforeEach(async function () {
+    ({ groth16Verifier, verifierContract, sequencer, user } = await loadFixture(deployFixture));
+  });
+
+  async function verifyOnChain(key, proof, inputs) {
+    await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+    return groth16Verifier.verifyProof(proof, inputs);
+  }
+
+  describe("BN254 pairing", function () {
+    it("Should be bilinear and non-degenerate", function () {
+      const [a, b] = [randomScalar(), randomScalar()];
+      const aP = G1.mul(G1.generator, a);
+      const bQ = G2.mul(G2.generator, b);
+
+      expect(pairingCheck([{ p: aP, q: bQ }, { p: G1.neg(G1.mul(G1.generator, (a * b) % R)), q: G2.generator }])).to
+        .be.true;
+      expect(pairingCheck([{ p: G1.generator, q: G2.generator }])).to.be.false;
+    });
+
+    it("Should have generators of order r", function () {
+      expect(G1.mul(G1.generator, R)).to.be.null;
+      expect(G2.isInSubgroup(G2.generator)).to.be.true;
+    });
+  });
+
+  describe("Agreement with Groth16Verifier", function () {
+    it("Should accept the synthetic fixture proofs", async function () {
+      const { key } = parseVerifyingKey(readFixture("synthetic_verifying_key.json"));
+
+      for (const fixture of ["synthetic_proof.snarkjs.json", "synthetic_proof.arkworks.json"]) {
+        const { proof } = parseProof(readFixture(fixture));
+
+        expect(verifyGroth16Proof(key, proof, publicInputs)).to.deep.equal({ valid: true });
+        expect(await verifyOnChain(key, proof, publicInputs)).to.be.true;
+      }
+    });
+
+    it("Should accept a proof over non-trivial public inputs", async function () {
+      const { key, proof } = randomCase(publicInputs);
+
+      expect(verifyGroth16Proof(key, proof, publicInputs).valid).to.be.true;
+      expect(await verifyOnChain(key, proof, publicInputs)).to.be.true;
+    });
+
+    it("Should fail the pairing stage for the wrong public inputs", async function () {
+      const { key, proof } = randomCase(publicInputs);
+      const tampered = [...publicInputs];
+      tampered[5] += 1n;
+
+      expect(verifyGroth16Proof(key, proof, tampered)).to.deep.equal({
+        valid: false,
+        stage: "pairing",
+        reason: "pairing check failed",
+      });
+      expect(await verifyOnChain(key, proof, tampered)).to.be.false;
+    });
+
+    it("Should fail the pairing stage for a proof made for another key", async function () {
+      // Every point of the fixture key is valid, the proof is not
+      const { key } = parseVerifyingKey(readFixture("verifying_key.arkworks.txt"));
+      const { proof } = parseProof(readFixture("synthetic_proof.snarkjs.json"));
+
+      expect(verifyGroth16Proof(key, proof, publicInputs).stage).to.equal("pairing");
+      expect(await verifyOnChain(key, proof, publicInputs)).to.be.false;
+    });
+  });
+
+  describe("Stages", function () {
+    let key;
+    let proof;
+
+    beforeEach(function () {
+      ({ key } = parseVerifyingKey(readFixture("synthetic_verifying_key.json")));
+      ({ proof } = parseProof(readFixture("synthetic_proof.snarkjs.json")));
+    });
+
+    it("Should reject the wrong number of public inputs", async function () {
+      const result = verifyGroth16Proof(key, proof, publicInputs.slice(1));
+
+      expect(result.stage).to.equal("input-range");
+      expect(result.reason).to.equal("expected 33 public inputs, got 32");
+      await expect(verifyOnChain(key, proof, publicInputs.slice(1))).to.be.revertedWithCustomError(
+        groth16Verifier,
+        "InvalidPublicInputs"
+      );
+    });
+
+    it("Should reject public inputs outside the scalar field", function () {
+      const inputs = [...publicInputs];
+      inputs[3] = R;
+
+      expect(verifyGroth16Proof(key, proof, inputs)).to.deep.equal({
+        valid: false,
+        stage: "input-range",
+        reason: "public input 3 is outside the scalar field",
+      });
+    });
+
+    it("Should reject coordinates outside the base field", async function () {
+      const outOfRange = { ...proof, c: { X: proof.c.X + P, Y: proof.c.Y } };
+
+      expect(verifyGroth16Proof(key, outOfRange, publicInputs)).to.deep.equal({
+        valid: false,
+        stage: "input-range",
+        reason: "proof.c has a coordinate outside the base field",
+      });
+      await expect(verifyOnChain(key, outOfRange, publicInputs)).to.be.revertedWith("Pairing: pairing call failed");
+    });
+
+    it("Should reject G1 points off the curve", async function () {
+      const offCurve = { ...proof, a: { X: 1n, Y: 3n } };
+
+      expect(verifyGroth16Proof(key, offCurve, publicInputs)).to.deep.equal({
+        valid: false,
+        stage: "point-on-curve",
+        reason: "proof.a is not on the G1 curve",
+      });
+      await expect(verifyOnChain(key, offCurve, publicInputs)).to.be.revertedWith("Pairing: pairing call failed");
+    });
+
+    it("Should reject G2 points with unswapped coordinates", async function () {
+      const unswapped = { ...proof, b: { X: [...proof.b.X].reverse(), Y: [...proof.b.Y].reverse() } };
+
+      expect(verifyGroth16Proof(key, unswapped, publicInputs)).to.deep.equal({
+        valid: false,
+        stage: "point-on-curve",
+        reason: "proof.b is not on the G2 curve",
+      });
+      await expect(verifyOnChain(key, unswapped, publicInputs)).to.be.revertedWith("Pairing: pairing call failed");
+    });
+
+    it("Should check verifying key points", function () {
+      const badKey = { ...key, gammaAbc: key.gammaAbc.map((point, i) => (i === 7 ? { X: 1n, Y: 3n } : point)) };
+
+      expect(verifyGroth16Proof(badKey, proof, publicInputs)).to.deep.equal({
+        valid: false,
+        stage: "point-on-curve",
+        reason: "key.gammaAbc[7] is not on the G1 curve",
+      });
+    });
+  });
+
+  describe("ZkClearClient preflight", function () {
+    let client;
+    let key;
+    let proof;
+
+    beforeEach(async function () {
+      client = new ZkClearClient(sequencer, {
+        groth16Verifier: await groth16Verifier.getAddress(),
+        verifier: await verifierContract.getAddress(),
+      });
+      ({ key, proof } = randomCase(publicInputs));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+    });
+
+    it("Should submit a proof that verifies off-chain", async function () {
+      const block = {
+        blockId: 1,
+        prevStateRoot: roots[0],
+        newStateRoot: roots[1],
+        withdrawalsRoot: roots[2],
+        depositIndex: 0,
+        depositsHash: ethers.ZeroHash,
+      };
+
+      const result = await client.submitBlockProof({ ...block, proof: encodeProof(proof) }, { preflight: true });
+
+      expect(result.newStateRoot).to.equal(roots[1]);
+    });
+
+    it("Should not send a proof that fails off-chain", async function () {
+      const block = {
+        blockId: 1,
+        prevStateRoot: roots[0],
+        newStateRoot: ethers.id("other"),
+        withdrawalsRoot: roots[2],
+        depositIndex: 0,
+        depositsHash: ethers.ZeroHash,
+      };
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const error = await client
+        .submitBlockProof({ ...block, proof: encodeProof(proof) }, { preflight: true })
+        .catch((caught) => caught);
+
+      expect(error).to.be.instanceOf(Groth16ProofError);
+      expect(error.stage).to.equal("pairing");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+  });
+
+  describe("Deposit binding", function () {
+    let depositContract;
+
+    beforeEach(async function () {
+      const [owner] = await ethers.getSigners();
+      depositContract = await deployProxy("DepositContract", [owner.address]);
+      await depositContract.registerNativeAsset(2);
+      await verifierContract.setDepositContract(await depositContract.getAddress());
+      for (let i = 0; i < 2; i++) {
+        await depositContract.connect(user).depositNative(2, { value: 1n });
+      }
+    });
+
+    function submit(proof, depositIndex, depositsHash) {
+      return verifierContract
+        .connect(sequencer)
+        .submitBlockProof(1, ...roots, depositIndex, depositsHash, encodeProof(proof));
+    }
+
+    it("Should accept a proof for the deposits it consumes", async function () {
+      const depositsHash = await depositContract.depositHashAt(1);
+      const { key, proof } = randomCase(blockPublicInputs(...roots, depositsHash, 1));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+
+      await expect(submit(proof, 1, depositsHash)).to.emit(verifierContract, "StateRootUpdated");
+      expect((await verifierContract.getBlock(1)).depositIndex).to.equal(1);
+    });
+
+    it("Should reject a proof replayed with a different deposit range", async function () {
+      const { key, proof } = randomCase(blockPublicInputs(...roots, await depositContract.depositHashAt(1), 1));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+
+      // Both ranges match the on-chain queue; only the proof ties the block to one
+      for (const depositIndex of [0, 2]) {
+        await expect(
+          submit(proof, depositIndex, await depositContract.depositHashAt(depositIndex))
+        ).to.be.revertedWithCustomError(verifierContract, "InvalidProof");
+      }
+    });
+  });
+});
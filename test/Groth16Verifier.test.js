@@ -1,7 +1,24 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const fs = require("fs");
 const path = require("path");
+const { hashVerifyingKey, toContractArgs, ROLES } = require("../sdk");
+const { deployProxy } = require("../scripts/deploy-helpers");
+
+// BN254 base field modulus and generators (G2 in EVM order: [imaginary, real])
+const FIELD_MODULUS = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const G1 = { X: 1n, Y: 2n };
+const G2 = {
+  X: [
+    11559732032986387107991004021392285783925812861821192530917403151452391805634n,
+    10857046999023057135944570762232829481370756359578518086990519993285655852781n,
+  ],
+  Y: [
+    4082367875863433681332203403145435568316851327593401208105741076214120093531n,
+    8495653923123431417604973247489272438418190587263600148770280649306958101930n,
+  ],
+};
 
 describe("Groth16Verifier", function () {
   let groth16Verifier;
@@ -39,12 +56,60 @@ describe("Groth16Verifier", function () {
     return gammaAbc.filter((p) => p !== undefined);
   }
 
+  function modInverse(a) {
+    let [r0, r1, s0, s1] = [((a % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS, FIELD_MODULUS, 1n, 0n];
+    while (r1 !== 0n) {
+      const q = r0 / r1;
+      [r0, r1] = [r1, r0 - q * r1];
+      [s0, s1] = [s1, s0 - q * s1];
+    }
+    return ((s0 % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS;
+  }
+
+  // k * G1 by repeated affine addition (k is small)
+  function g1Mul(k) {
+    let point = G1;
+    for (let i = 1; i < k; i++) {
+      const lambda =
+        point.X === G1.X && point.Y === G1.Y
+          ? (3n * G1.X * G1.X * modInverse(2n * G1.Y)) % FIELD_MODULUS
+          : (((G1.Y - point.Y) % FIELD_MODULUS) * modInverse(G1.X - point.X)) % FIELD_MODULUS;
+      const x = (((lambda * lambda - point.X - G1.X) % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS;
+      const y = (((lambda * (point.X - x) - point.Y) % FIELD_MODULUS) + FIELD_MODULUS) % FIELD_MODULUS;
+      point = { X: x, Y: y };
+    }
+    return point;
+  }
+
+  // Synthetic key with alpha = alphaScalar * G1, beta = gamma = delta = G2 and
+  // gamma_abc = [G1, 0, ..., 0], so vk_x = G1 for any public inputs. The proof
+  // A = (alphaScalar + 2) * G1, B = G2, C = G1 then satisfies the pairing check.
+  function syntheticKey(alphaScalar) {
+    return {
+      alpha: g1Mul(alphaScalar),
+      beta: G2,
+      gamma: G2,
+      delta: G2,
+      gammaAbc: [G1, ...Array(33).fill({ X: 0n, Y: 0n })],
+    };
+  }
+
+  function syntheticProof(alphaScalar) {
+    return { a: g1Mul(alphaScalar + 2), b: G2, c: G1 };
+  }
+
+  function encodeProof(proof) {
+    return ethers.concat(
+      [proof.a.X, proof.a.Y, ...proof.b.X, ...proof.b.Y, proof.c.X, proof.c.Y].map((value) =>
+        ethers.toBeHex(value, 32)
+      )
+    );
+  }
+
   beforeEach(async function () {
     [deployer] = await ethers.getSigners();
 
-    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-    groth16Verifier = await Groth16Verifier.deploy();
-    await groth16Verifier.waitForDeployment();
+    groth16Verifier = await deployProxy("Groth16Verifier", [deployer.address]);
   });
 
   describe("Deployment", function () {
@@ -59,7 +124,7 @@ describe("Groth16Verifier", function () {
         b: { X: ["0x0", "0x0"], Y: ["0x0", "0x0"] },
         c: { X: "0x0", Y: "0x0" },
       };
-      const publicInputs = Array(24).fill("0x0");
+      const publicInputs = Array(33).fill("0x0");
 
       await expect(
         groth16Verifier.verifyProof(invalidProof, publicInputs)
@@ -70,7 +135,7 @@ describe("Groth16Verifier", function () {
   describe("setVerifyingKey", function () {
     it("Should set verifying key successfully", async function () {
       // Read verifying key from file
-      const keyPath = path.join(__dirname, "../scripts/verifying_key.txt");
+      const keyPath = path.join(__dirname, "fixtures/verifying_key.arkworks.txt");
       if (!fs.existsSync(keyPath)) {
         this.skip(); // Skip if key file doesn't exist
       }
@@ -109,7 +174,7 @@ describe("Groth16Verifier", function () {
         b: { X: ["0x0", "0x0"], Y: ["0x0", "0x0"] },
         c: { X: "0x0", Y: "0x0" },
       };
-      const publicInputs = Array(24).fill("0x0");
+      const publicInputs = Array(33).fill("0x0");
 
       // Should not revert with InvalidVerifyingKey (key is set)
       // Will revert with InvalidProof or return false, but not InvalidVerifyingKey
@@ -118,8 +183,8 @@ describe("Groth16Verifier", function () {
       ).to.not.be.revertedWithCustomError(groth16Verifier, "InvalidVerifyingKey");
     });
 
-    it("Should revert if gamma_abc has less than 25 elements", async function () {
-      const invalidGammaAbc = Array(24).fill({ X: "0x0", Y: "0x0" });
+    it("Should revert if gamma_abc has less than 34 elements", async function () {
+      const invalidGammaAbc = Array(33).fill({ X: "0x0", Y: "0x0" });
 
       await expect(
         groth16Verifier.setVerifyingKey(
@@ -133,7 +198,7 @@ describe("Groth16Verifier", function () {
     });
 
     it("Should emit VerifyingKeySet event", async function () {
-      const keyPath = path.join(__dirname, "../scripts/verifying_key.txt");
+      const keyPath = path.join(__dirname, "fixtures/verifying_key.arkworks.txt");
       if (!fs.existsSync(keyPath)) {
         this.skip();
       }
@@ -164,7 +229,7 @@ describe("Groth16Verifier", function () {
   describe("verifyProof", function () {
     beforeEach(async function () {
       // Set verifying key before verification tests
-      const keyPath = path.join(__dirname, "../scripts/verifying_key.txt");
+      const keyPath = path.join(__dirname, "fixtures/verifying_key.arkworks.txt");
       if (!fs.existsSync(keyPath)) {
         this.skip();
       }
@@ -189,7 +254,7 @@ describe("Groth16Verifier", function () {
       );
     });
 
-    it("Should revert if public inputs length is not 24", async function () {
+    it("Should revert if public inputs length is not 33", async function () {
       const invalidProof = {
         a: { X: "0x0", Y: "0x0" },
         b: { X: ["0x0", "0x0"], Y: ["0x0", "0x0"] },
@@ -203,16 +268,14 @@ describe("Groth16Verifier", function () {
 
     it("Should revert if verifying key is not set", async function () {
       // Deploy new verifier without setting key
-      const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-      const newVerifier = await Groth16Verifier.deploy();
-      await newVerifier.waitForDeployment();
+      const newVerifier = await deployProxy("Groth16Verifier", [deployer.address]);
 
       const invalidProof = {
         a: { X: "0x0", Y: "0x0" },
         b: { X: ["0x0", "0x0"], Y: ["0x0", "0x0"] },
         c: { X: "0x0", Y: "0x0" },
       };
-      const publicInputs = Array(24).fill("0x0");
+      const publicInputs = Array(33).fill("0x0");
 
       await expect(
         newVerifier.verifyProof(invalidProof, publicInputs)
@@ -223,5 +286,193 @@ describe("Groth16Verifier", function () {
     // This would require integration with the Rust prover service
     // For now, we test the contract structure and error handling
   });
-});
 
+  describe("Access control", function () {
+    it("Should make the deployer admin", async function () {
+      expect(await groth16Verifier.getRoleMembers(ethers.ZeroHash)).to.deep.equal([deployer.address]);
+    });
+
+    it("Should reject setVerifyingKey without the timelock role", async function () {
+      const [, attacker] = await ethers.getSigners();
+
+      await expect(groth16Verifier.connect(attacker).setVerifyingKey(...toContractArgs(syntheticKey(1))))
+        .to.be.revertedWithCustomError(groth16Verifier, "AccessControlUnauthorizedAccount")
+        .withArgs(attacker.address, ROLES.timelock);
+    });
+
+    it("Should reject scheduleVerifyingKey without the timelock role", async function () {
+      const [, attacker] = await ethers.getSigners();
+      const activationBlock = (await ethers.provider.getBlockNumber()) + 10;
+
+      await expect(
+        groth16Verifier
+          .connect(attacker)
+          .scheduleVerifyingKey(...toContractArgs(syntheticKey(1)), activationBlock)
+      )
+        .to.be.revertedWithCustomError(groth16Verifier, "AccessControlUnauthorizedAccount")
+        .withArgs(attacker.address, ROLES.timelock);
+    });
+
+    it("Should reject key changes from an admin without the timelock role", async function () {
+      await groth16Verifier.renounceRole(ROLES.timelock, deployer.address);
+      expect(await groth16Verifier.hasRole(ROLES.admin, deployer.address)).to.be.true;
+      const activationBlock = (await ethers.provider.getBlockNumber()) + 10;
+
+      await expect(groth16Verifier.setVerifyingKey(...toContractArgs(syntheticKey(1))))
+        .to.be.revertedWithCustomError(groth16Verifier, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
+      await expect(groth16Verifier.scheduleVerifyingKey(...toContractArgs(syntheticKey(1)), activationBlock))
+        .to.be.revertedWithCustomError(groth16Verifier, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
+    });
+  });
+
+  describe("Key versions", function () {
+    it("Should start without a key", async function () {
+      expect(await groth16Verifier.latestVersion()).to.equal(0);
+      expect(await groth16Verifier.activeVersion()).to.equal(0);
+      expect(await groth16Verifier.keyHash()).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should version keys and expose the key hash", async function () {
+      const key = syntheticKey(1);
+      const keyHash = hashVerifyingKey(key);
+
+      const tx = await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+      const { blockNumber } = await tx.wait();
+
+      await expect(tx).to.emit(groth16Verifier, "VerifyingKeySet").withArgs(1, keyHash, blockNumber);
+      expect(await groth16Verifier.latestVersion()).to.equal(1);
+      expect(await groth16Verifier.activeVersion()).to.equal(1);
+      expect(await groth16Verifier.keyHash()).to.equal(keyHash);
+      expect(await groth16Verifier.hashVerifyingKey(...toContractArgs(key))).to.equal(keyHash);
+
+      const [hash, activationBlock] = await groth16Verifier.keyVersions(1);
+      expect(hash).to.equal(keyHash);
+      expect(activationBlock).to.equal(blockNumber);
+    });
+
+    it("Should keep previous keys on rotation", async function () {
+      const first = syntheticKey(1);
+      const second = syntheticKey(2);
+      await groth16Verifier.setVerifyingKey(...toContractArgs(first));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(second));
+
+      expect(await groth16Verifier.activeVersion()).to.equal(2);
+      expect(await groth16Verifier.keyHash()).to.equal(hashVerifyingKey(second));
+      expect((await groth16Verifier.getVerifyingKey(1)).alpha.X).to.equal(first.alpha.X);
+      expect((await groth16Verifier.getVerifyingKey(2)).alpha.X).to.equal(second.alpha.X);
+      expect((await groth16Verifier.vk()).alpha.X).to.equal(second.alpha.X);
+    });
+
+    it("Should revert for unknown versions", async function () {
+      await expect(groth16Verifier.getVerifyingKey(0)).to.be.revertedWithCustomError(
+        groth16Verifier,
+        "UnknownKeyVersion"
+      );
+      await expect(groth16Verifier.getVerifyingKey(1)).to.be.revertedWithCustomError(
+        groth16Verifier,
+        "UnknownKeyVersion"
+      );
+    });
+
+    it("Should reject activation blocks that are not in the future", async function () {
+      const currentBlock = await ethers.provider.getBlockNumber();
+
+      await expect(
+        groth16Verifier.scheduleVerifyingKey(...toContractArgs(syntheticKey(1)), currentBlock)
+      ).to.be.revertedWithCustomError(groth16Verifier, "InvalidActivationBlock");
+    });
+  });
+
+  describe("Scheduled rotation", function () {
+    const publicInputs = Array(33).fill(0n);
+
+    it("Should verify a synthetic proof against its key", async function () {
+      await groth16Verifier.setVerifyingKey(...toContractArgs(syntheticKey(1)));
+
+      expect(await groth16Verifier.verifyProof(syntheticProof(1), publicInputs)).to.be.true;
+      expect(await groth16Verifier.verifyProof(syntheticProof(2), publicInputs)).to.be.false;
+    });
+
+    it("Should switch keys at the activation block", async function () {
+      await groth16Verifier.setVerifyingKey(...toContractArgs(syntheticKey(1)));
+      const activationBlock = (await ethers.provider.getBlockNumber()) + 5;
+      await expect(groth16Verifier.scheduleVerifyingKey(...toContractArgs(syntheticKey(2)), activationBlock))
+        .to.emit(groth16Verifier, "VerifyingKeySet")
+        .withArgs(2, hashVerifyingKey(syntheticKey(2)), activationBlock);
+
+      // Still the old key before activation
+      expect(await groth16Verifier.latestVersion()).to.equal(2);
+      expect(await groth16Verifier.activeVersion()).to.equal(1);
+      expect(await groth16Verifier.verifyProof(syntheticProof(1), publicInputs)).to.be.true;
+      expect(await groth16Verifier.verifyProof(syntheticProof(2), publicInputs)).to.be.false;
+
+      await mine(activationBlock - (await ethers.provider.getBlockNumber()));
+
+      expect(await groth16Verifier.activeVersion()).to.equal(2);
+      expect(await groth16Verifier.verifyProof(syntheticProof(1), publicInputs)).to.be.false;
+      expect(await groth16Verifier.verifyProof(syntheticProof(2), publicInputs)).to.be.true;
+    });
+
+    it("Should check block proofs against the key active at submission", async function () {
+      const [owner, sequencer] = await ethers.getSigners();
+      const verifierContract = await deployProxy("VerifierContract", [
+        sequencer.address,
+        ethers.ZeroHash,
+        owner.address,
+        await groth16Verifier.getAddress(),
+      ]);
+      const stateRoot = (i) => ethers.keccak256(ethers.toUtf8Bytes(`state_root_${i}`));
+
+      await groth16Verifier.setVerifyingKey(...toContractArgs(syntheticKey(1)));
+      const activationBlock = (await ethers.provider.getBlockNumber()) + 10;
+      await groth16Verifier.scheduleVerifyingKey(...toContractArgs(syntheticKey(2)), activationBlock);
+
+      // Block 1 is submitted before the rotation with a proof for key 1
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            1,
+            ethers.ZeroHash,
+            stateRoot(1),
+            ethers.ZeroHash,
+            0,
+            ethers.ZeroHash,
+            encodeProof(syntheticProof(1))
+          )
+      ).to.emit(verifierContract, "StateRootUpdated");
+
+      await mine(activationBlock - (await ethers.provider.getBlockNumber()));
+
+      // After the rotation key 1 proofs are rejected and key 2 proofs accepted
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            2,
+            stateRoot(1),
+            stateRoot(2),
+            ethers.ZeroHash,
+            0,
+            ethers.ZeroHash,
+            encodeProof(syntheticProof(1))
+          )
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidProof");
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            2,
+            stateRoot(1),
+            stateRoot(2),
+            ethers.ZeroHash,
+            0,
+            ethers.ZeroHash,
+            encodeProof(syntheticProof(2))
+          )
+      ).to.emit(verifierContract, "StateRootUpdated");
+    });
+  });
+});
@@ -0,0 +1,395 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, takeSnapshot, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ZkClearIndexer } = require("../sdk/indexer");
+const { MemoryStore, JsonStore, SqliteStore, openStore } = require("../sdk/indexer-stores");
+const { writeManifest } = require("../sdk/manifest");
+const { StateTree, WithdrawalTree } = require("../sdk/merkle");
+const { ROLES } = require("../sdk/roles");
+const { deployProxy } = require("../scripts/deploy-helpers");
+
+function hasSqlite() {
+  try {
+    require.resolve("better-sqlite3");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe("ZkClearIndexer", function () {
+  const proof = "0x" + "01".repeat(256);
+
+  async function deployFixture() {
+    const [owner, user, sequencer, other] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      ethers.ZeroHash,
+      owner.address,
+      ethers.ZeroAddress,
+    ]);
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
+      await verifierContract.getAddress(),
+      owner.address,
+    ]);
+    const mockToken = await ethers.deployContract("ERC20Mock", [
+      "Test Token",
+      "TEST",
+      user.address,
+      ethers.parseEther("1000"),
+    ]);
+
+    await depositContract.setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.setDepositContract(await depositContract.getAddress());
+    await verifierContract.addWithdrawalContract(await withdrawalContract.getAddress());
+    await depositContract.registerAsset(1, await mockToken.getAddress(), 0);
+    await depositContract.registerNativeAsset(2);
+    await mockToken.connect(user).approve(await depositContract.getAddress(), ethers.MaxUint256);
+
+    const addresses = {
+      deposit: await depositContract.getAddress(),
+      verifier: await verifierContract.getAddress(),
+      withdrawal: await withdrawalContract.getAddress(),
+    };
+    return { depositContract, verifierContract, withdrawalContract, owner, user, sequencer, other, startBlock, addresses };
+  }
+
+  // Block 1 credits the user's deposit, then the system freezes: the user exits and the other depositor is refunded
+  async function exodusFixture() {
+    const fixture = await deployFixture();
+    const { depositContract, verifierContract, withdrawalContract, user, sequencer, other } = fixture;
+    const { chainId } = await ethers.provider.getNetwork();
+    await verifierContract.setDepositContract(await depositContract.getAddress());
+
+    await depositContract.connect(user).depositNative(2, { value: ethers.parseEther("1") });
+    await depositContract.connect(other).depositNative(2, { value: ethers.parseEther("3") });
+    const tree = new StateTree([{ user: user.address, assetId: 2n, balance: ethers.parseEther("1"), chainId }]);
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(1, ethers.ZeroHash, tree.root, ethers.ZeroHash, 1, await depositContract.depositHashAt(1), proof);
+
+    await time.increaseTo(await verifierContract.freezeDeadline());
+    await verifierContract.connect(other).freeze();
+    await withdrawalContract.connect(user).exit(tree.accounts[0], tree.getProof(0));
+    await withdrawalContract.reclaimDeposit(1, other.address, 2, ethers.parseEther("3"), ethers.ZeroHash);
+
+    return fixture;
+  }
+
+  // A deposit of each kind, block 1 paying one withdrawal, then a sequencer rotation and a verifier update
+  async function historyFixture() {
+    const fixture = await deployFixture();
+    const { depositContract, verifierContract, withdrawalContract, user, sequencer, other } = fixture;
+
+    await depositContract.connect(user).deposit(1, ethers.parseEther("100"));
+    await depositContract.connect(other).depositNative(2, { value: ethers.parseEther("5") });
+
+    const withdrawal = { user: user.address, assetId: 1, amount: ethers.parseEther("40"), chainId: 1 };
+    const tree = new WithdrawalTree([withdrawal]);
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(1, ethers.ZeroHash, ethers.id("state 1"), tree.root, 0, ethers.ZeroHash, proof);
+    await withdrawalContract.connect(user).withdraw(withdrawal, tree.getProof(0), proof, 1);
+
+    await verifierContract.grantRole(ROLES.sequencer, other.address);
+    await verifierContract.revokeRole(ROLES.sequencer, sequencer.address);
+    await withdrawalContract.setVerifier(await verifierContract.getAddress());
+
+    return fixture;
+  }
+
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-indexer-"));
+  });
+
+  const stores = [
+    ["MemoryStore", () => new MemoryStore()],
+    ["JsonStore", () => new JsonStore(path.join(dir, "history.json"))],
+    ["SqliteStore", () => new SqliteStore(path.join(dir, "history.sqlite"))],
+  ];
+
+  for (const [storeName, createStore] of stores) {
+    describe(`with ${storeName}`, function () {
+      let store;
+
+      beforeEach(function () {
+        if (storeName === "SqliteStore" && !hasSqlite()) {
+          this.skip(); // better-sqlite3 is an optional dependency
+        }
+        store = createStore();
+      });
+
+      afterEach(function () {
+        if (store) {
+          store.close();
+          store = null;
+        }
+      });
+
+      it("Should backfill all indexed events in chain order", async function () {
+        const { addresses, startBlock, user, sequencer, other } = await loadFixture(historyFixture);
+        const indexer = new ZkClearIndexer(ethers.provider, addresses, { store, startBlock, chunkSize: 3 });
+
+        const result = await indexer.sync();
+
+        const events = await indexer.getEvents();
+        expect(result).to.include({ fromBlock: startBlock, toBlock: await ethers.provider.getBlockNumber(), events: 11 });
+        expect(result.reorg).to.be.null;
+        expect(events.map(({ type }) => type)).to.deep.equal([
+          "RoleGranted",
+          "RoleGranted",
+          "RoleGranted",
+          "Deposit",
+          "Deposit",
+          "StateRootUpdated",
+          "FundsReleased",
+          "Withdrawal",
+          "RoleGranted",
+          "RoleRevoked",
+          "VerifierUpdated",
+        ]);
+        // Role changes are indexed for VerifierContract only, from its initialization on
+        expect(events[1].args).to.include({ role: ROLES.timelock });
+        expect(events[2]).to.include({ address: addresses.verifier });
+        expect(events[2].args).to.include({ role: ROLES.sequencer, account: sequencer.address });
+        expect(events[4]).to.include({ user: other.address, assetId: "2", blockId: null, address: addresses.deposit });
+        expect(events[4].args).to.include({ amount: ethers.parseEther("5").toString(), depositIndex: "1" });
+        expect(events[6]).to.include({ user: user.address, assetId: "1", blockId: null, address: addresses.deposit });
+        expect(events[7]).to.include({ user: user.address, assetId: "1", blockId: "1" });
+        expect(events[8].args).to.include({ role: ROLES.sequencer, account: other.address });
+        expect(events[9].args).to.include({ role: ROLES.sequencer, account: sequencer.address });
+      });
+
+      it("Should query events by user, asset, block and range", async function () {
+        const { addresses, startBlock, user, other } = await loadFixture(historyFixture);
+        const indexer = new ZkClearIndexer(ethers.provider, addresses, { store, startBlock });
+        await indexer.sync();
+
+        const userEvents = await indexer.getUserEvents(user.address.toLowerCase());
+        expect(userEvents.map(({ type }) => type)).to.deep.equal(["Deposit", "FundsReleased", "Withdrawal"]);
+        expect(await indexer.getUserEvents(user.address, { type: "Withdrawal" })).to.have.length(1);
+        expect((await indexer.getAssetEvents(2n)).map(({ user }) => user)).to.deep.equal([other.address]);
+        expect((await indexer.getBlockEvents(1)).map(({ type }) => type)).to.deep.equal([
+          "StateRootUpdated",
+          "Withdrawal",
+        ]);
+
+        const [deposit] = userEvents;
+        const inRange = await indexer.getEvents({ fromBlock: deposit.blockNumber, toBlock: deposit.blockNumber });
+        expect(inRange).to.deep.equal([deposit]);
+        expect(await indexer.getEvents({ type: ["RoleRevoked", "VerifierUpdated"] })).to.have.length(2);
+      });
+
+      it("Should resume from the cursor", async function () {
+        const { addresses, startBlock, depositContract, user } = await loadFixture(historyFixture);
+        const indexer = new ZkClearIndexer(ethers.provider, addresses, { store, startBlock });
+        const first = await indexer.sync();
+
+        await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+        const second = await indexer.sync();
+
+        expect(second).to.include({ fromBlock: first.toBlock + 1, events: 1 });
+        expect(await indexer.sync()).to.include({ events: 0 });
+        expect(await indexer.getEvents({ type: "Deposit" })).to.have.length(3);
+      });
+
+      it("Should drop events from blocks that were reorged out", async function () {
+        const { addresses, startBlock, depositContract, user, other } = await loadFixture(historyFixture);
+        const indexer = new ZkClearIndexer(ethers.provider, addresses, { store, startBlock });
+        await indexer.sync();
+        const forkPoint = await ethers.provider.getBlockNumber();
+
+        const snapshot = await takeSnapshot();
+        await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+        await mine(2);
+        await indexer.sync();
+        expect(await indexer.getUserEvents(user.address, { type: "Deposit" })).to.have.length(2);
+
+        // Replace the deposit block and the blocks after it
+        await snapshot.restore();
+        await depositContract.connect(other).depositNative(2, { value: ethers.parseEther("1") });
+        await mine(5);
+        const result = await indexer.sync();
+
+        expect(result.reorg).to.deep.equal({ from: forkPoint + 1, to: forkPoint + 3 });
+        expect(result).to.include({ fromBlock: forkPoint + 1, events: 1 });
+        expect(await indexer.getUserEvents(user.address, { type: "Deposit" })).to.have.length(1);
+        expect(await indexer.getUserEvents(other.address, { type: "Deposit" })).to.have.length(2);
+        expect((await store.getCursor()).blockNumber).to.equal(await ethers.provider.getBlockNumber());
+      });
+
+      it("Should reindex everything when no scanned block is left on the chain", async function () {
+        const { addresses, startBlock, depositContract, user } = await loadFixture(historyFixture);
+        const snapshot = await takeSnapshot();
+        const indexer = new ZkClearIndexer(ethers.provider, addresses, { store, startBlock, maxReorgDepth: 1 });
+        await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+        await indexer.sync();
+
+        await snapshot.restore();
+        const result = await indexer.sync();
+
+        expect(result.reorg).to.deep.equal({ from: startBlock, to: result.toBlock + 1 });
+        expect(result.fromBlock).to.equal(startBlock);
+        expect(await indexer.getEvents()).to.have.length(11);
+      });
+    });
+  }
+
+  it("Should keep the JSON store across restarts", async function () {
+    const { addresses, startBlock, depositContract, user } = await loadFixture(historyFixture);
+    const filepath = path.join(dir, "history.json");
+    const first = await new ZkClearIndexer(ethers.provider, addresses, { store: openStore(filepath), startBlock }).sync();
+
+    await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+    const indexer = new ZkClearIndexer(ethers.provider, addresses, { store: openStore(filepath), startBlock });
+    const second = await indexer.sync();
+
+    expect(second).to.include({ fromBlock: first.toBlock + 1, events: 1 });
+    expect(await indexer.getEvents()).to.have.length(12);
+    expect(fs.existsSync(`${filepath}.tmp`)).to.be.false;
+  });
+
+  it("Should keep the SQLite store across restarts", async function () {
+    if (!hasSqlite()) {
+      this.skip();
+    }
+    const { addresses, startBlock } = await loadFixture(historyFixture);
+    const filepath = path.join(dir, "history.db");
+    const store = openStore(filepath);
+    expect(store).to.be.instanceOf(SqliteStore);
+    await new ZkClearIndexer(ethers.provider, addresses, { store, startBlock }).sync();
+    store.close();
+
+    const reopened = openStore(filepath);
+    expect(reopened.query({ type: "Withdrawal" })).to.have.length(1);
+    expect(reopened.getCursor().blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    reopened.close();
+  });
+
+  it("Should start at the deployment block from the manifest", async function () {
+    const { addresses } = await loadFixture(deployFixture);
+    const { chainId } = await ethers.provider.getNetwork();
+    const entry = (address, blockNumber) => ({ address, blockNumber });
+    writeManifest(
+      {
+        chainId: Number(chainId),
+        contracts: {
+          deposit: entry(addresses.deposit, 12),
+          verifier: entry(addresses.verifier, 10),
+          withdrawal: entry(addresses.withdrawal, 11),
+        },
+      },
+      { dir }
+    );
+
+    const indexer = await ZkClearIndexer.fromDeployment(ethers.provider, { dir, chunkSize: 500 });
+
+    expect(indexer.startBlock).to.equal(10);
+    expect(indexer.chunkSize).to.equal(500);
+  });
+
+  it("Should stay behind the head by the confirmation count", async function () {
+    const { addresses, startBlock, depositContract, user } = await loadFixture(deployFixture);
+    const indexer = new ZkClearIndexer(ethers.provider, addresses, { startBlock, confirmations: 2 });
+    await indexer.sync(); // the deployment's role grants
+
+    await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+    expect(await indexer.sync()).to.include({ events: 0 });
+
+    await mine(2);
+    expect(await indexer.sync()).to.include({ events: 1 });
+  });
+
+  it("Should follow new blocks until stopped", async function () {
+    const { addresses, startBlock, depositContract, user } = await loadFixture(deployFixture);
+    const indexer = new ZkClearIndexer(ethers.provider, addresses, { startBlock, log: () => {} });
+
+    const running = indexer.run({ pollInterval: 10 });
+    await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+    while ((await indexer.getEvents({ type: "Deposit" })).length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    indexer.stop();
+    await running;
+
+    expect(await indexer.getUserEvents(user.address)).to.have.length(1);
+  });
+
+  it("Should index exodus exits and refunds in the users' histories", async function () {
+    const { addresses, startBlock, user, other } = await loadFixture(exodusFixture);
+    const indexer = new ZkClearIndexer(ethers.provider, addresses, { startBlock });
+    await indexer.sync();
+
+    const types = (events) => events.map(({ type }) => type);
+    expect(types(await indexer.getUserEvents(user.address))).to.deep.equal(["Deposit", "FundsReleased", "Exit"]);
+    expect(types(await indexer.getUserEvents(other.address))).to.deep.equal([
+      "Deposit",
+      "FundsReleased",
+      "DepositReclaimed",
+    ]);
+    const [exit] = await indexer.getEvents({ type: "Exit" });
+    expect(exit).to.include({ user: user.address, assetId: "2", blockId: "1", address: addresses.withdrawal });
+    expect(exit.args).to.include({ amount: ethers.parseEther("1").toString() });
+    const [refund] = await indexer.getEvents({ type: "DepositReclaimed" });
+    expect(refund).to.include({ user: other.address, assetId: "2", blockId: null });
+    expect(refund.args).to.include({ amount: ethers.parseEther("3").toString(), depositIndex: "1" });
+  });
+
+  it("Should fetch a range again when it is reorged while its logs are read", async function () {
+    const { addresses, startBlock, depositContract, user, other } = await loadFixture(historyFixture);
+    let onGetLogs = null;
+    const provider = new Proxy(ethers.provider, {
+      get(target, prop) {
+        if (prop === "getLogs") {
+          return async (filter) => {
+            const logs = await target.getLogs(filter);
+            const hook = onGetLogs;
+            onGetLogs = null;
+            if (hook) {
+              await hook();
+            }
+            return logs;
+          };
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+    const indexer = new ZkClearIndexer(provider, addresses, { startBlock });
+    await indexer.sync();
+
+    const snapshot = await takeSnapshot();
+    await depositContract.connect(user).deposit(1, ethers.parseEther("1"));
+    await mine(2);
+    // The logs come from the fork holding the user's deposit, which is replaced right after
+    onGetLogs = async () => {
+      await snapshot.restore();
+      await depositContract.connect(other).depositNative(2, { value: ethers.parseEther("1") });
+      await mine(5);
+    };
+    const result = await indexer.sync();
+
+    expect(result).to.include({ events: 1 });
+    expect(await indexer.getUserEvents(user.address, { type: "Deposit" })).to.have.length(1);
+    expect(await indexer.getUserEvents(other.address, { type: "Deposit" })).to.have.length(2);
+    const cursor = await indexer.store.getCursor();
+    expect(cursor.blockHash).to.equal((await ethers.provider.getBlock(cursor.blockNumber)).hash);
+  });
+
+  it("Should reject missing addresses and invalid chunk sizes", async function () {
+    const { addresses } = await loadFixture(deployFixture);
+
+    expect(() => new ZkClearIndexer(ethers.provider, { ...addresses, withdrawal: undefined })).to.throw(
+      "No address configured for WithdrawalContract"
+    );
+    expect(() => new ZkClearIndexer(ethers.provider, addresses, { chunkSize: 0 })).to.throw("chunkSize");
+  });
+});
@@ -3,38 +3,32 @@ const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const fs = require("fs");
 const path = require("path");
+const { encodeProof, parseProof, parseVerifyingKey, toContractArgs } = require("../sdk");
+const { deployProxy } = require("../scripts/deploy-helpers");
 
 describe("On-Chain Verification", function () {
   async function deployFixture() {
     const [owner, sequencer] = await ethers.getSigners();
 
     // Deploy contracts
-    const DepositContract = await ethers.getContractFactory("DepositContract");
-    const depositContract = await DepositContract.deploy();
-    await depositContract.waitForDeployment();
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
 
-    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-    const groth16Verifier = await Groth16Verifier.deploy();
-    await groth16Verifier.waitForDeployment();
+    const groth16Verifier = await deployProxy("Groth16Verifier", [owner.address]);
 
-    const VerifierContract = await ethers.getContractFactory("VerifierContract");
     const initialStateRoot = ethers.ZeroHash;
     // Use zero address for groth16Verifier to enable placeholder verification in gas tests
     // This allows testing gas costs without requiring verifying key setup
-    const verifierContract = await VerifierContract.deploy(
+    const verifierContract = await deployProxy("VerifierContract", [
       sequencer.address,
       initialStateRoot,
       owner.address,
-      ethers.ZeroAddress // Use placeholder verification for gas tests
-    );
-    await verifierContract.waitForDeployment();
+      ethers.ZeroAddress, // Use placeholder verification for gas tests
+    ]);
 
-    const WithdrawalContract = await ethers.getContractFactory("WithdrawalContract");
-    const withdrawalContract = await WithdrawalContract.deploy(
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
       await verifierContract.getAddress(),
-      owner.address
-    );
-    await withdrawalContract.waitForDeployment();
+      owner.address,
+    ]);
 
     return {
       depositContract,
@@ -89,7 +83,7 @@ describe("On-Chain Verification", function () {
       // Submit proof (will use placeholder verification if key not set)
       const tx = await verifierContract
         .connect(sequencer)
-        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       await expect(tx)
         .to.emit(verifierContract, "StateRootUpdated")
@@ -142,7 +136,7 @@ describe("On-Chain Verification", function () {
       // Submit proof
       const tx = await verifierContract
         .connect(sequencer)
-        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       await expect(tx)
         .to.emit(verifierContract, "StateRootUpdated")
@@ -161,7 +155,7 @@ describe("On-Chain Verification", function () {
 
       const tx = await verifierContract
         .connect(sequencer)
-        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed;
@@ -187,7 +181,7 @@ describe("On-Chain Verification", function () {
 
         const tx = await verifierContract
           .connect(sequencer)
-          .submitBlockProof(i, prevStateRoot, newStateRoot, withdrawalsRoot, proof);
+          .submitBlockProof(i, prevStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
         const receipt = await tx.wait();
         totalGas += Number(receipt.gasUsed);
@@ -202,9 +196,95 @@ describe("On-Chain Verification", function () {
       expect(totalGas).to.be.greaterThan(0);
     });
 
+    // Blocks 1..count chaining from the zero state root
+    function chainBlocks(count, proof) {
+      const blocks = [];
+      let prevStateRoot = ethers.ZeroHash;
+      for (let i = 1; i <= count; i++) {
+        const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes(`state_root_${i}`));
+        blocks.push({
+          blockId: i,
+          prevStateRoot,
+          newStateRoot,
+          withdrawalsRoot: ethers.ZeroHash,
+          depositIndex: 0,
+          depositsHash: ethers.ZeroHash,
+          proof,
+        });
+        prevStateRoot = newStateRoot;
+      }
+      return blocks;
+    }
+
+    // Gas of submitting blocks one transaction each vs one batch, from the same state
+    async function compareBatchGas(blocks, { groth16 = false } = {}) {
+      let singleGas = 0n;
+      for (const block of blocks) {
+        const tx = await verifierContract
+          .connect(sequencer)
+          .submitBlockProof(
+            block.blockId,
+            block.prevStateRoot,
+            block.newStateRoot,
+            block.withdrawalsRoot,
+            block.depositIndex,
+            block.depositsHash,
+            block.proof
+          );
+        singleGas += (await tx.wait()).gasUsed;
+      }
+
+      ({ verifierContract } = await loadFixture(deployFixture));
+      if (groth16) {
+        await useSyntheticKey();
+      }
+      const tx = await verifierContract.connect(sequencer).submitBlockProofs(blocks);
+      const batchGas = (await tx.wait()).gasUsed;
+      expect(await verifierContract.stateRoot()).to.equal(blocks[blocks.length - 1].newStateRoot);
+
+      return { singleGas, batchGas };
+    }
+
+    // Synthetic key: vk_x = G1 for any inputs, so one fixture proof verifies every block
+    async function useSyntheticKey() {
+      const fixtures = path.join(__dirname, "fixtures");
+      const { key } = parseVerifyingKey(fs.readFileSync(path.join(fixtures, "synthetic_verifying_key.json"), "utf-8"));
+      await groth16Verifier.setVerifyingKey(...toContractArgs(key));
+      await verifierContract.connect(owner).setGroth16Verifier(await groth16Verifier.getAddress());
+    }
+
+    it("Should measure gas savings of batched submission", async function () {
+      const numBlocks = 5;
+      const { singleGas, batchGas } = await compareBatchGas(chainBlocks(numBlocks, "0x" + "01".repeat(256)));
+
+      console.log(`\nBatched submission (${numBlocks} blocks, placeholder verification):`);
+      console.log(`   One transaction per block: ${singleGas}`);
+      console.log(`   One batch:                 ${batchGas}`);
+      console.log(`   Saved per block:           ${(singleGas - batchGas) / BigInt(numBlocks)}`);
+
+      expect(batchGas).to.be.lessThan(singleGas);
+    });
+
+    it("Should measure gas savings of batched submission with Groth16 verification", async function () {
+      await useSyntheticKey();
+      const fixture = fs.readFileSync(path.join(__dirname, "fixtures", "synthetic_proof.snarkjs.json"), "utf-8");
+      const numBlocks = 5;
+      const blocks = chainBlocks(numBlocks, encodeProof(parseProof(fixture).proof));
+
+      const { singleGas, batchGas } = await compareBatchGas(blocks, { groth16: true });
+
+      console.log(`\nBatched submission (${numBlocks} blocks, Groth16 verification):`);
+      console.log(`   One transaction per block: ${singleGas}`);
+      console.log(`   One batch:                 ${batchGas}`);
+      console.log(`   Saved per block:           ${(singleGas - batchGas) / BigInt(numBlocks)}`);
+
+      // At least the 21000 intrinsic gas of every transaction but one
+      expect(singleGas - batchGas).to.be.greaterThan(21000n * BigInt(numBlocks - 1));
+    });
+
     it("Should measure gas costs for public inputs parsing", async function () {
       // Test that public inputs parsing is optimized
-      const blockId = 1;
+      const blockId = 2;
       const prevStateRoot = ethers.keccak256(ethers.toUtf8Bytes("prev_root"));
       const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes("new_root"));
       const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals_root"));
@@ -213,12 +293,12 @@ describe("On-Chain Verification", function () {
       // First block - set state root
       await verifierContract
         .connect(sequencer)
-        .submitBlockProof(0, ethers.ZeroHash, prevStateRoot, ethers.ZeroHash, proof);
+        .submitBlockProof(1, ethers.ZeroHash, prevStateRoot, ethers.ZeroHash, 0, ethers.ZeroHash, proof);
 
       // Measure gas for block with non-zero roots
       const tx = await verifierContract
         .connect(sequencer)
-        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(blockId, prevStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed;
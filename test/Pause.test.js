@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts, deployProxy } = require("../scripts/deploy-helpers");
+const { pauseAll, formatPauseReport } = require("../scripts/pause-helpers");
+const { ZkClearClient, ROLES } = require("../sdk");
+const { StateTree } = require("../sdk/merkle");
+
+describe("Emergency pause", function () {
+  const proof = "0x" + "01".repeat(256);
+
+  async function deployFixture() {
+    const [owner, user, sequencer, guardian] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      ethers.ZeroHash,
+      owner.address,
+      ethers.ZeroAddress,
+    ]);
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
+      await verifierContract.getAddress(),
+      owner.address,
+    ]);
+
+    await depositContract.setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.setDepositContract(await depositContract.getAddress());
+    await verifierContract.addWithdrawalContract(await withdrawalContract.getAddress());
+    await verifierContract.setDepositContract(await depositContract.getAddress());
+    await depositContract.registerNativeAsset(1);
+    for (const contract of [depositContract, verifierContract, withdrawalContract]) {
+      await contract.grantRole(ROLES.guardian, guardian.address);
+    }
+
+    await depositContract.connect(user).depositNative(1, { value: ethers.parseEther("10") });
+    const tree = new StateTree([{ user: user.address, assetId: 1n, balance: ethers.parseEther("10"), chainId }]);
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(1, ethers.ZeroHash, tree.root, ethers.ZeroHash, 1, await depositContract.depositsHash(), proof);
+
+    return { depositContract, verifierContract, withdrawalContract, owner, user, sequencer, guardian, tree };
+  }
+
+  let depositContract;
+  let verifierContract;
+  let withdrawalContract;
+  let owner;
+  let user;
+  let sequencer;
+  let guardian;
+  let tree;
+
+  beforeEach(async function () {
+    ({ depositContract, verifierContract, withdrawalContract, owner, user, sequencer, guardian, tree } =
+      await loadFixture(deployFixture));
+  });
+
+  function submitBlock2() {
+    return verifierContract
+      .connect(sequencer)
+      .submitBlockProof(2, tree.root, ethers.id("state 2"), ethers.ZeroHash, 1, ethers.ZeroHash, proof);
+  }
+
+  describe("Guardian", function () {
+    it("Should let the admin grant and revoke guardians", async function () {
+      await expect(depositContract.grantRole(ROLES.guardian, user.address))
+        .to.emit(depositContract, "RoleGranted")
+        .withArgs(ROLES.guardian, user.address, owner.address);
+      expect(await depositContract.getRoleMembers(ROLES.guardian)).to.deep.equal([guardian.address, user.address]);
+
+      await depositContract.revokeRole(ROLES.guardian, guardian.address);
+      await expect(depositContract.connect(guardian).pause())
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(guardian.address, ROLES.guardian);
+      await expect(depositContract.connect(user).grantRole(ROLES.guardian, guardian.address))
+        .to.be.revertedWithCustomError(depositContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, ROLES.admin);
+    });
+
+    it("Should let a guardian and the admin pause, and nobody else", async function () {
+      for (const contract of [depositContract, verifierContract, withdrawalContract]) {
+        await expect(contract.connect(user).pause())
+          .to.be.revertedWithCustomError(contract, "AccessControlUnauthorizedAccount")
+          .withArgs(user.address, ROLES.guardian);
+        await expect(contract.connect(guardian).pause()).to.emit(contract, "Paused").withArgs(guardian.address);
+        expect(await contract.paused()).to.be.true;
+        await expect(contract.connect(guardian).pause()).to.be.revertedWithCustomError(contract, "EnforcedPause");
+      }
+
+      const fresh = await deployProxy("DepositContract", [owner.address]);
+      await expect(fresh.pause()).to.emit(fresh, "Paused").withArgs(owner.address);
+    });
+
+    it("Should let only the admin unpause", async function () {
+      for (const contract of [depositContract, verifierContract, withdrawalContract]) {
+        await contract.connect(guardian).pause();
+
+        await expect(contract.connect(guardian).unpause()).to.be.revertedWithCustomError(
+          contract,
+          "AccessControlUnauthorizedAccount"
+        );
+        await expect(contract.connect(owner).unpause()).to.emit(contract, "Unpaused").withArgs(owner.address);
+        expect(await contract.paused()).to.be.false;
+      }
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should reject every deposit entry point while paused", async function () {
+      await depositContract.connect(guardian).pause();
+
+      const value = { value: 1n };
+      const permit = { permitted: { token: ethers.ZeroAddress, amount: 1n }, nonce: 0, deadline: 0 };
+      const calls = [
+        () => depositContract.connect(user).deposit(1, 1n),
+        () => depositContract.connect(user).depositWithPermit(1, 1n, 0, 0, ethers.ZeroHash, ethers.ZeroHash),
+        () => depositContract.connect(user).depositWithPermit2(1, 1n, permit, "0x"),
+        () => depositContract.connect(user).depositNative(1, value),
+        () => depositContract.connect(user).depositFor(owner.address, 1, 1n),
+        () => depositContract.connect(user).depositForAccount(owner.address, ethers.ZeroHash, 1, 1n),
+        () => depositContract.connect(user).depositNativeFor(owner.address, 1, value),
+        () => depositContract.connect(user).depositNativeForAccount(owner.address, ethers.ZeroHash, 1, value),
+      ];
+      for (const call of calls) {
+        await expect(call()).to.be.revertedWithCustomError(depositContract, "EnforcedPause");
+      }
+
+      await depositContract.unpause();
+      await expect(depositContract.connect(user).depositNative(1, value)).to.emit(depositContract, "Deposit");
+    });
+
+    it("Should keep paying out withdrawals while deposits are paused", async function () {
+      await depositContract.connect(guardian).pause();
+      await time.increaseTo(await verifierContract.freezeDeadline());
+      await verifierContract.freeze();
+
+      await expect(withdrawalContract.connect(user).exit(tree.accounts[0], tree.getProof(0))).to.changeEtherBalance(
+        user,
+        ethers.parseEther("10")
+      );
+    });
+  });
+
+  describe("Block submission", function () {
+    it("Should reject block proofs while paused", async function () {
+      await verifierContract.connect(guardian).pause();
+
+      await expect(submitBlock2()).to.be.revertedWithCustomError(verifierContract, "EnforcedPause");
+      await expect(
+        verifierContract.connect(sequencer).submitBlockProofs([
+          {
+            blockId: 2,
+            prevStateRoot: tree.root,
+            newStateRoot: ethers.id("state 2"),
+            withdrawalsRoot: ethers.ZeroHash,
+            depositIndex: 1,
+            depositsHash: await depositContract.depositsHash(),
+            proof,
+          },
+        ])
+      ).to.be.revertedWithCustomError(verifierContract, "EnforcedPause");
+    });
+
+    it("Should stop the liveness clock while paused", async function () {
+      const deadline = await verifierContract.freezeDeadline();
+      await verifierContract.connect(guardian).pause();
+      expect(await verifierContract.freezeDeadline()).to.equal(ethers.MaxUint256);
+
+      await time.increaseTo(deadline + 1n);
+      await expect(verifierContract.freeze()).to.be.revertedWithCustomError(verifierContract, "EnforcedPause");
+
+      // A full timeout from the unpause, not from the last block
+      await verifierContract.unpause();
+      const unpausedAt = BigInt(await time.latest());
+      expect(await verifierContract.lastUnpausedAt()).to.equal(unpausedAt);
+      expect(await verifierContract.freezeDeadline()).to.equal(unpausedAt + (await verifierContract.livenessTimeout()));
+      await expect(verifierContract.freeze()).to.be.revertedWithCustomError(verifierContract, "SequencerStillLive");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should reject withdrawals, exits and refunds while paused", async function () {
+      await time.increaseTo(await verifierContract.freezeDeadline());
+      await verifierContract.freeze();
+      await withdrawalContract.connect(guardian).pause();
+
+      const { chainId } = await ethers.provider.getNetwork();
+      await expect(
+        withdrawalContract
+          .connect(user)
+          .withdraw({ user: user.address, assetId: 1, amount: 1n, chainId }, "0x", proof, 1)
+      ).to.be.revertedWithCustomError(withdrawalContract, "EnforcedPause");
+      await expect(
+        withdrawalContract.connect(user).exit(tree.accounts[0], tree.getProof(0))
+      ).to.be.revertedWithCustomError(withdrawalContract, "EnforcedPause");
+      await expect(
+        withdrawalContract.reclaimDeposit(0, user.address, 1, 1n, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(withdrawalContract, "EnforcedPause");
+
+      await withdrawalContract.unpause();
+      await expect(withdrawalContract.connect(user).exit(tree.accounts[0], tree.getProof(0))).to.emit(
+        withdrawalContract,
+        "Exit"
+      );
+    });
+  });
+
+  describe("Emergency script", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-pause-"));
+    });
+
+    it("Should grant the guardian role at deployment", async function () {
+      const deployment = await deployContracts({ dir, roles: { guardians: [guardian.address] }, log: () => {} });
+
+      for (const key of ["deposit", "verifier", "withdrawal"]) {
+        expect(await deployment.contracts[key].getRoleMembers(ROLES.guardian)).to.deep.equal([guardian.address]);
+      }
+    });
+
+    it("Should pause every contract in the manifest and report each", async function () {
+      const deployment = await deployContracts({ dir, roles: { guardians: [guardian.address] }, log: () => {} });
+      await deployment.contracts.withdrawal.connect(guardian).pause();
+
+      const reports = await pauseAll({ dir, signer: guardian });
+
+      expect(reports.map(({ key, paused, wasPaused }) => [key, paused, wasPaused])).to.deep.equal([
+        ["deposit", true, false],
+        ["verifier", true, false],
+        ["withdrawal", true, true],
+      ]);
+      expect(reports[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(reports[2].txHash).to.be.null;
+      expect(reports.every(({ guardians }) => guardians.length === 1 && guardians[0] === guardian.address)).to.be.true;
+      expect(formatPauseReport(reports)[2]).to.include("already paused");
+
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      expect(await client.getPauseStatus()).to.deep.equal({ deposits: true, blocks: true, withdrawals: true });
+    });
+
+    it("Should report contracts it could not pause and keep going", async function () {
+      await deployContracts({ dir, roles: { guardians: [guardian.address] }, log: () => {} });
+
+      const reports = await pauseAll({ dir, signer: user });
+
+      expect(reports.map(({ paused }) => paused)).to.deep.equal([false, false, false]);
+      expect(reports.every(({ error }) => error && error.includes("AccessControlUnauthorizedAccount"))).to.be.true;
+      expect(formatPauseReport(reports)[0]).to.include("NOT PAUSED");
+    });
+
+    it("Should only report the state in a dry run", async function () {
+      await deployContracts({ dir, log: () => {} });
+
+      const reports = await pauseAll({ dir, dryRun: true });
+
+      expect(reports.map(({ paused, txHash }) => [paused, txHash])).to.deep.equal([
+        [false, null],
+        [false, null],
+        [false, null],
+      ]);
+      expect(formatPauseReport(reports)[1]).to.include("block submission: running");
+    });
+  });
+});
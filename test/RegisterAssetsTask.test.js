@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeManifest } = require("../sdk");
+const { readAssetConfig } = require("../tasks/assets");
+const { deployProxy } = require("../scripts/deploy-helpers");
+
+describe("zkclear:register-assets task", function () {
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
+    const usdc = await ethers.deployContract("ERC20Mock", ["USD Coin", "USDC", owner.address, 0]);
+    const dai = await ethers.deployContract("ERC20Mock", ["Dai", "DAI", owner.address, 0]);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-assets-"));
+    writeManifest(
+      {
+        chainId: Number(chainId),
+        deployer: owner.address,
+        contracts: {
+          deposit: { contract: "DepositContract", address: await depositContract.getAddress() },
+        },
+      },
+      { dir }
+    );
+
+    return { depositContract, usdc: await usdc.getAddress(), dai: await dai.getAddress(), dir };
+  }
+
+  let depositContract;
+  let usdc;
+  let dai;
+  let dir;
+
+  beforeEach(async function () {
+    ({ depositContract, usdc, dai, dir } = await loadFixture(deployFixture));
+  });
+
+  function writeConfig(config) {
+    const file = path.join(dir, `assets-${Math.random().toString(16).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  }
+
+  function run(config) {
+    return hre.run("zkclear:register-assets", { file: writeConfig(config), deployments: dir, quiet: true });
+  }
+
+  describe("Registration", function () {
+    it("Should register native ETH and tokens with limits from the config", async function () {
+      const { address, assets } = await run({
+        native: { assetId: 3, minDeposit: "0.01", maxDeposit: "5" },
+        assets: [
+          { assetId: 1, symbol: "USDC", token: usdc, minDeposit: "1", maxDeposit: "1000" },
+          { assetId: 2, token: dai, enabled: false },
+        ],
+      });
+
+      expect(address).to.equal(await depositContract.getAddress());
+      expect(assets.map(({ assetId, kind, changes }) => [assetId, kind, changes])).to.deep.equal([
+        [3, "native", ["registered", "limits"]],
+        [1, "erc20", ["registered", "limits"]],
+        [2, "erc20", ["registered", "disabled"]],
+      ]);
+
+      expect(await depositContract.nativeAssetId()).to.equal(3);
+      const native = await depositContract.getAsset(3);
+      expect(native.minDeposit).to.equal(ethers.parseEther("0.01"));
+      expect(native.maxDeposit).to.equal(ethers.parseEther("5"));
+
+      const usdcAsset = await depositContract.getAsset(1);
+      expect(usdcAsset.token).to.equal(usdc);
+      expect(usdcAsset.symbol).to.equal("USDC");
+      expect(usdcAsset.minDeposit).to.equal(ethers.parseEther("1"));
+      expect(usdcAsset.maxDeposit).to.equal(ethers.parseEther("1000"));
+
+      const daiAsset = await depositContract.getAsset(2);
+      expect(daiAsset.enabled).to.be.false;
+      expect(daiAsset.maxDeposit).to.equal(0);
+    });
+
+    it("Should be idempotent and only sync changed limits and flags", async function () {
+      const config = {
+        native: { assetId: 3 },
+        assets: [{ assetId: 1, token: usdc, minDeposit: "1" }],
+      };
+      await run(config);
+
+      const again = await run(config);
+      expect(again.assets.map(({ changes }) => changes)).to.deep.equal([[], []]);
+
+      config.assets[0].maxDeposit = "50";
+      config.assets[0].enabled = false;
+      const updated = await run(config);
+      expect(updated.assets[1].changes).to.deep.equal(["limits", "disabled"]);
+
+      const asset = await depositContract.getAsset(1);
+      expect(asset.minDeposit).to.equal(ethers.parseEther("1"));
+      expect(asset.maxDeposit).to.equal(ethers.parseEther("50"));
+      expect(asset.enabled).to.be.false;
+    });
+
+    it("Should declare and sync token behaviors", async function () {
+      const config = { assets: [{ assetId: 1, token: usdc, behavior: "feeOnTransfer" }, { assetId: 2, token: dai }] };
+      const { assets } = await run(config);
+
+      expect(assets.map(({ behavior, changes }) => [behavior, changes])).to.deep.equal([
+        ["feeOnTransfer", ["registered"]],
+        ["standard", ["registered"]],
+      ]);
+      expect(await depositContract.tokenBehavior(1)).to.equal(1);
+
+      config.assets[0].behavior = "rebasing";
+      delete config.assets[1].behavior;
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const updated = await run(config);
+      expect(updated.assets.map(({ changes }) => changes)).to.deep.equal([["behavior"], []]);
+      expect(await depositContract.tokenBehavior(1)).to.equal(2);
+      expect((await depositContract.getAsset(1)).enabled).to.be.true;
+
+      // No block accepts deposits of the asset under its old behavior
+      const events = await depositContract.queryFilter("*", fromBlock);
+      expect(events.map(({ fragment }) => fragment.name)).to.deep.equal([
+        "AssetDisabled",
+        "TokenBehaviorUpdated",
+        "AssetUpdated",
+      ]);
+    });
+
+    it("Should keep a disabled asset disabled while its behavior changes", async function () {
+      const config = { assets: [{ assetId: 1, token: usdc, enabled: false }] };
+      await run(config);
+
+      config.assets[0].behavior = "feeOnTransfer";
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const { assets } = await run(config);
+
+      expect(assets[0].changes).to.deep.equal(["behavior"]);
+      expect((await depositContract.getAsset(1)).enabled).to.be.false;
+      const events = await depositContract.queryFilter("*", fromBlock);
+      expect(events.map(({ fragment }) => fragment.name)).to.deep.equal(["TokenBehaviorUpdated"]);
+    });
+
+    it("Should use an explicit DepositContract address", async function () {
+      const [owner] = await ethers.getSigners();
+      const other = await deployProxy("DepositContract", [owner.address]);
+      const result = await hre.run("zkclear:register-assets", {
+        file: writeConfig({ assets: [{ assetId: 1, token: usdc }] }),
+        address: await other.getAddress(),
+        quiet: true,
+      });
+
+      expect(result.address).to.equal(await other.getAddress());
+      expect(await other.assetAddresses(1)).to.equal(usdc);
+      expect(await depositContract.assetAddresses(1)).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should refuse to re-map a registered asset ID", async function () {
+      await run({ assets: [{ assetId: 1, token: usdc }] });
+
+      await expect(run({ assets: [{ assetId: 1, token: dai }] })).to.be.rejectedWith(
+        "Asset IDs cannot be re-mapped"
+      );
+      await expect(run({ native: { assetId: 1 } })).to.be.rejectedWith("Asset IDs cannot be re-mapped");
+      expect(await depositContract.assetAddresses(1)).to.equal(usdc);
+    });
+
+    it("Should refuse to move the native asset ID", async function () {
+      await run({ native: { assetId: 3 } });
+
+      await expect(run({ native: { assetId: 4 } })).to.be.rejectedWith(
+        "Native ETH is registered as asset 3, the config says 4"
+      );
+    });
+
+    it("Should reject a symbol that does not match the token", async function () {
+      await expect(run({ assets: [{ assetId: 1, symbol: "USDT", token: usdc }] })).to.be.rejectedWith(
+        'has symbol "USDC", the config says "USDT"'
+      );
+    });
+
+    it("Should validate the config file", function () {
+      expect(() => readAssetConfig(path.join(dir, "missing.json"))).to.throw("Asset config not found");
+      expect(() => readAssetConfig(writeConfig({ assets: [{ assetId: 0, token: usdc }] }))).to.throw(
+        "assetId must be a positive integer"
+      );
+      expect(() =>
+        readAssetConfig(writeConfig({ native: { assetId: 1 }, assets: [{ assetId: 1, token: usdc }] }))
+      ).to.throw("asset 1 is configured twice");
+      expect(() => readAssetConfig(writeConfig({ assets: [{ assetId: 1, token: "0x1234" }] }))).to.throw(
+        "invalid token address"
+      );
+      expect(() =>
+        readAssetConfig(writeConfig({ assets: [{ assetId: 1, token: usdc, behavior: "deflationary" }] }))
+      ).to.throw('asset 1 has an unknown behavior "deflationary", expected one of standard, feeOnTransfer, rebasing');
+      expect(() => readAssetConfig(writeConfig({ native: { assetId: 1, behavior: "standard" } }))).to.throw(
+        "the native asset has no token behavior"
+      );
+    });
+
+    it("Should ship valid configs for the public testnets", function () {
+      for (const network of ["sepolia", "base_sepolia"]) {
+        const { native, assets } = readAssetConfig(path.join(__dirname, "../config/assets", `${network}.json`));
+        expect(native.assetId).to.be.a("number");
+        expect(assets).to.not.be.empty;
+      }
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../scripts/deploy-helpers");
+const { ROLES } = require("../sdk");
+const { readRolesConfig, resolveRoles } = require("../tasks/roles");
+
+describe("zkclear:roles task", function () {
+  const quiet = () => {};
+  const proof = "0x" + "01".repeat(256);
+
+  async function deployFixture() {
+    const [deployer, admin, sequencer1, sequencer2, guardian, manager, treasurer] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-roles-"));
+    const { contracts, timelockAddress } = await deployContracts({ dir, log: quiet });
+    return { contracts, timelockAddress, dir, deployer, admin, sequencer1, sequencer2, guardian, manager, treasurer };
+  }
+
+  let contracts;
+  let timelockAddress;
+  let dir;
+  let deployer;
+  let admin;
+  let sequencer1;
+  let sequencer2;
+  let guardian;
+  let manager;
+  let treasurer;
+
+  beforeEach(async function () {
+    ({ contracts, timelockAddress, dir, deployer, admin, sequencer1, sequencer2, guardian, manager, treasurer } =
+      await loadFixture(deployFixture));
+  });
+
+  function writeConfig(config) {
+    const file = path.join(dir, `roles-${Math.random().toString(16).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  }
+
+  function run(config) {
+    return hre.run("zkclear:roles", { file: writeConfig(config), deployments: dir, quiet: true });
+  }
+
+  // The deployed verifier has no verifying key yet, but the role is checked first
+  function submitBlock1(signer) {
+    return contracts.verifier
+      .connect(signer)
+      .submitBlockProof(1, ethers.ZeroHash, ethers.id("state 1"), ethers.ZeroHash, 0, ethers.ZeroHash, proof);
+  }
+
+  describe("Assignment", function () {
+    it("Should give the deployer every role but guardian and timelock by default", async function () {
+      for (const [key, roles] of [
+        ["deposit", ["admin", "assetManager", "treasurer"]],
+        ["groth16Verifier", ["admin"]],
+        ["verifier", ["admin", "sequencer"]],
+        ["withdrawal", ["admin"]],
+      ]) {
+        for (const role of roles) {
+          expect(await contracts[key].getRoleMembers(ROLES[role])).to.deep.equal([deployer.address]);
+        }
+      }
+      expect(await contracts.verifier.getRoleMemberCount(ROLES.guardian)).to.equal(0);
+      for (const key of ["deposit", "groth16Verifier", "verifier", "withdrawal"]) {
+        expect(await contracts[key].getRoleMembers(ROLES.timelock)).to.deep.equal([timelockAddress]);
+      }
+    });
+
+    it("Should assign every role from the config and hand over the admin last", async function () {
+      const { contracts: results } = await run({
+        admin: admin.address,
+        sequencers: [sequencer1.address, sequencer2.address],
+        guardians: [guardian.address],
+        assetManagers: [manager.address],
+        treasurers: [treasurer.address],
+      });
+
+      const verifier = results.find(({ key }) => key === "verifier");
+      expect(verifier.changes.map(({ role, account, action }) => [action, role, account])).to.deep.equal([
+        ["granted", "admin", admin.address],
+        ["granted", "sequencer", sequencer1.address],
+        ["granted", "sequencer", sequencer2.address],
+        ["granted", "guardian", guardian.address],
+        ["revoked", "sequencer", deployer.address],
+        ["revoked", "admin", deployer.address],
+      ]);
+
+      for (const key of ["deposit", "groth16Verifier", "verifier", "withdrawal"]) {
+        expect(await contracts[key].getRoleMembers(ROLES.admin)).to.deep.equal([admin.address]);
+      }
+      for (const key of ["deposit", "verifier", "withdrawal"]) {
+        expect(await contracts[key].getRoleMembers(ROLES.guardian)).to.deep.equal([guardian.address]);
+      }
+      expect(await contracts.deposit.getRoleMembers(ROLES.assetManager)).to.deep.equal([manager.address]);
+      expect(await contracts.deposit.getRoleMembers(ROLES.treasurer)).to.deep.equal([treasurer.address]);
+      expect(await contracts.deposit.getRoleMembers(ROLES.timelock)).to.deep.equal([timelockAddress]);
+
+      await expect(submitBlock1(deployer)).to.be.revertedWithCustomError(
+        contracts.verifier,
+        "AccessControlUnauthorizedAccount"
+      );
+      expect(await contracts.verifier.hasRole(ROLES.sequencer, sequencer2.address)).to.be.true;
+    });
+
+    it("Should be idempotent", async function () {
+      const config = { sequencers: ["deployer", sequencer1.address], guardians: [guardian.address] };
+      await run(config);
+
+      const again = await run(config);
+      expect(again.contracts.map(({ changes }) => changes)).to.deep.equal([[], [], [], []]);
+    });
+
+    it("Should rotate sequencers", async function () {
+      await run({ sequencers: [sequencer1.address] });
+
+      const { contracts: results } = await run({ sequencers: [sequencer2.address] });
+
+      const verifier = results.find(({ key }) => key === "verifier");
+      expect(verifier.changes.map(({ account, action }) => [action, account])).to.deep.equal([
+        ["granted", sequencer2.address],
+        ["revoked", sequencer1.address],
+      ]);
+      expect(await contracts.verifier.getRoleMembers(ROLES.sequencer)).to.deep.equal([sequencer2.address]);
+    });
+
+    it("Should assign roles at deployment and resume after the admin moved", async function () {
+      const roles = { admin: admin.address, guardians: [guardian.address] };
+      const deployDir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-roles-"));
+      const deployment = await deployContracts({ dir: deployDir, roles, log: quiet });
+
+      expect(deployment.roles.admin).to.equal(admin.address);
+      expect(await deployment.contracts.verifier.getRoleMembers(ROLES.admin)).to.deep.equal([admin.address]);
+      expect(await deployment.contracts.verifier.getRoleMembers(ROLES.sequencer)).to.deep.equal([deployer.address]);
+
+      // Nothing left to change, so the deployer no longer needs to be admin
+      const resumed = await deployContracts({ dir: deployDir, roles, log: quiet });
+      expect(resumed.verifierAddress).to.equal(deployment.verifierAddress);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should refuse to change roles without the admin role", async function () {
+      await run({ admin: admin.address });
+
+      await expect(run({ admin: admin.address, guardians: [guardian.address] })).to.be.rejectedWith(
+        `${deployer.address} is not an admin of DepositContract`
+      );
+    });
+
+    it("Should validate the config file", function () {
+      expect(() => readRolesConfig(path.join(dir, "missing.json"))).to.throw("Roles config not found");
+      expect(() => readRolesConfig(writeConfig({ owners: [] }))).to.throw('unknown role "owners"');
+      expect(() => readRolesConfig(writeConfig({ admin: "0x1234" }))).to.throw("invalid admin address");
+      expect(() => readRolesConfig(writeConfig({ guardians: guardian.address }))).to.throw(
+        "guardians must be a list of addresses"
+      );
+      expect(() => readRolesConfig(writeConfig({ sequencers: ["deployer", "sequencer"] }))).to.throw(
+        'sequencers has an invalid address "sequencer"'
+      );
+      expect(() => resolveRoles({ sequencers: [] }, deployer.address)).to.throw("At least one sequencer is required");
+      expect(() => resolveRoles({ admin: ethers.ZeroAddress }, deployer.address)).to.throw(
+        "The admin cannot be the zero address"
+      );
+    });
+
+    it("Should ship valid configs for the public testnets", function () {
+      for (const network of ["sepolia", "base_sepolia"]) {
+        const roles = resolveRoles(
+          readRolesConfig(path.join(__dirname, "../config/roles", `${network}.json`)),
+          deployer.address
+        );
+        expect(roles.sequencers).to.not.be.empty;
+      }
+    });
+  });
+});
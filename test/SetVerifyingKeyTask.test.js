@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseVerifyingKey, fromContract, hashVerifyingKey, verifyingKeysEqual, writeManifest } = require("../sdk");
+const { deployContracts, deployProxy } = require("../scripts/deploy-helpers");
+const { DEFAULT_MIN_DELAY } = require("../tasks/timelock");
+
+const ARKWORKS_KEY = path.join(__dirname, "fixtures/verifying_key.arkworks.txt");
+const SNARKJS_KEY = path.join(__dirname, "fixtures/verification_key.snarkjs.json");
+const CANONICAL_KEY = path.join(__dirname, "fixtures/verifying_key.canonical.json");
+
+describe("zkclear:set-vk task", function () {
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+    const groth16Verifier = await deployProxy("Groth16Verifier", [owner.address]);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-vk-"));
+    writeManifest(
+      {
+        chainId: Number(chainId),
+        deployer: owner.address,
+        contracts: {
+          groth16Verifier: { contract: "Groth16Verifier", address: await groth16Verifier.getAddress() },
+        },
+      },
+      { dir }
+    );
+
+    return { groth16Verifier, dir };
+  }
+
+  async function readKey(groth16Verifier) {
+    return fromContract(await groth16Verifier.vk(), await groth16Verifier.getGammaAbc());
+  }
+
+  let groth16Verifier;
+  let dir;
+
+  beforeEach(async function () {
+    ({ groth16Verifier, dir } = await loadFixture(deployFixture));
+  });
+
+  describe("Formats", function () {
+    it("Should load the Arkworks key using the deployment manifest", async function () {
+      const result = await hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: dir, quiet: true });
+
+      expect(result.format).to.equal("arkworks");
+      expect(result.address).to.equal(await groth16Verifier.getAddress());
+      expect(verifyingKeysEqual(await readKey(groth16Verifier), result.key)).to.be.true;
+    });
+
+    it("Should load a snarkjs key", async function () {
+      const result = await hre.run("zkclear:set-vk", { file: SNARKJS_KEY, deployments: dir, quiet: true });
+
+      expect(result.format).to.equal("snarkjs");
+      expect(verifyingKeysEqual(await readKey(groth16Verifier), result.key)).to.be.true;
+    });
+
+    it("Should load a canonical JSON key at an explicit address", async function () {
+      const result = await hre.run("zkclear:set-vk", {
+        file: CANONICAL_KEY,
+        address: await groth16Verifier.getAddress(),
+        quiet: true,
+      });
+
+      expect(result.format).to.equal("canonical");
+      expect(verifyingKeysEqual(await readKey(groth16Verifier), result.key)).to.be.true;
+    });
+
+    it("Should report the version and key hash", async function () {
+      const result = await hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: dir, quiet: true });
+
+      expect(result.version).to.equal(1n);
+      expect(result.keyHash).to.equal(hashVerifyingKey(result.key));
+      expect(await groth16Verifier.keyHash()).to.equal(result.keyHash);
+    });
+
+    it("Should schedule a rotation with --activation-block", async function () {
+      await hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: dir, quiet: true });
+      const activationBlock = (await ethers.provider.getBlockNumber()) + 100;
+
+      const result = await hre.run("zkclear:set-vk", {
+        file: SNARKJS_KEY,
+        deployments: dir,
+        activationBlock,
+        quiet: true,
+      });
+
+      expect(result.version).to.equal(2n);
+      expect(result.activationBlock).to.equal(BigInt(activationBlock));
+      expect(await groth16Verifier.activeVersion()).to.equal(1n);
+      expect(verifyingKeysEqual(fromContract(await groth16Verifier.getVerifyingKey(2)), result.key)).to.be.true;
+    });
+
+    it("Should produce the same key from every format", function () {
+      const arkworks = parseVerifyingKey(fs.readFileSync(ARKWORKS_KEY, "utf-8")).key;
+      const snarkjs = parseVerifyingKey(fs.readFileSync(SNARKJS_KEY, "utf-8")).key;
+      const canonical = parseVerifyingKey(fs.readFileSync(CANONICAL_KEY, "utf-8")).key;
+
+      expect(verifyingKeysEqual(arkworks, snarkjs)).to.be.true;
+      expect(verifyingKeysEqual(arkworks, canonical)).to.be.true;
+    });
+
+    it("Should put G2 coordinates in EVM order", function () {
+      const content = fs.readFileSync(ARKWORKS_KEY, "utf-8");
+      const [c0, c1] = content.match(/beta_X:\s+\[(0x[0-9a-fA-F]+),\s+(0x[0-9a-fA-F]+)\]/).slice(1);
+      const { key } = parseVerifyingKey(content);
+
+      expect(BigInt(key.beta.X[0])).to.equal(BigInt(c1));
+      expect(BigInt(key.beta.X[1])).to.equal(BigInt(c0));
+    });
+  });
+
+  describe("Timelock", function () {
+    async function deployedFixture() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-vk-"));
+      const { contracts } = await deployContracts({ dir, log: () => {} });
+      return { contracts, dir };
+    }
+
+    it("Should propose the key to the timelock once it holds the role", async function () {
+      const { contracts, dir } = await loadFixture(deployedFixture);
+
+      const result = await hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: dir, quiet: true });
+
+      expect(result.status).to.equal("proposed");
+      expect(await contracts.groth16Verifier.latestVersion()).to.equal(0n);
+
+      await time.increase(DEFAULT_MIN_DELAY);
+      await hre.run("zkclear:timelock:execute", { id: result.operation, deployments: dir, quiet: true });
+
+      expect(await contracts.groth16Verifier.keyHash()).to.equal(result.keyHash);
+      expect(verifyingKeysEqual(await readKey(contracts.groth16Verifier), result.key)).to.be.true;
+    });
+
+    it("Should fail without the role or a timelock holding it", async function () {
+      const [owner] = await ethers.getSigners();
+      await groth16Verifier.renounceRole(await groth16Verifier.TIMELOCK_ROLE(), owner.address);
+
+      await expect(
+        hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: dir, quiet: true })
+      ).to.be.rejectedWith(`${owner.address} does not hold the timelock role of Groth16Verifier`);
+      expect(await groth16Verifier.latestVersion()).to.equal(0n);
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should fail without a manifest for the chain", async function () {
+      const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-vk-"));
+
+      await expect(
+        hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, deployments: emptyDir, quiet: true })
+      ).to.be.rejectedWith("No deployment found for chain ID 31337");
+    });
+
+    it("Should fail on a missing key file", async function () {
+      await expect(
+        hre.run("zkclear:set-vk", { file: path.join(dir, "missing.json"), deployments: dir, quiet: true })
+      ).to.be.rejectedWith("Verifying key file not found");
+    });
+
+    it("Should reject an unknown format", async function () {
+      await expect(
+        hre.run("zkclear:set-vk", { file: ARKWORKS_KEY, format: "gnark", deployments: dir, quiet: true })
+      ).to.be.rejectedWith('Unknown verifying key format "gnark"');
+    });
+
+    it("Should reject unrecognized JSON", function () {
+      expect(() => parseVerifyingKey(JSON.stringify({ foo: 1 }))).to.throw("Unrecognized verifying key JSON");
+    });
+
+    it("Should reject a key with too few gamma_abc points", function () {
+      const json = JSON.parse(fs.readFileSync(CANONICAL_KEY, "utf-8"));
+      json.gammaAbc = json.gammaAbc.slice(0, 3);
+
+      expect(() => parseVerifyingKey(JSON.stringify(json))).to.throw("Invalid gamma_abc length");
+    });
+
+    it("Should require a key file", async function () {
+      await expect(hre.run("zkclear:set-vk", { deployments: dir, quiet: true })).to.be.rejectedWith("file");
+    });
+
+    it("Should reject a key exported before the deposit inputs", async function () {
+      const file = path.join(__dirname, "..", "scripts", "verifying_key.txt");
+
+      await expect(hre.run("zkclear:set-vk", { file, deployments: dir, quiet: true })).to.be.rejectedWith(
+        "Invalid gamma_abc length: expected at least 34, got 27"
+      );
+    });
+
+    it("Should reject a non-groth16 snarkjs key", function () {
+      const json = JSON.parse(fs.readFileSync(SNARKJS_KEY, "utf-8"));
+      json.protocol = "plonk";
+
+      expect(() => parseVerifyingKey(JSON.stringify(json))).to.throw("Unsupported snarkjs protocol: plonk");
+    });
+
+    it("Should not send a transaction when the key fails to parse", async function () {
+      await hre
+        .run("zkclear:set-vk", { file: ARKWORKS_KEY, format: "snarkjs", deployments: dir, quiet: true })
+        .catch(() => {});
+
+      expect((await groth16Verifier.getGammaAbc()).length).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../scripts/deploy-helpers");
+const { ROLES } = require("../sdk");
+const {
+  DEFAULT_MIN_DELAY,
+  readTimelockConfig,
+  resolveTimelockConfig,
+  scheduleCall,
+  listOperations,
+} = require("../tasks/timelock");
+
+describe("zkclear:timelock tasks", function () {
+  const quiet = () => {};
+
+  async function deployFixture() {
+    const [deployer, user] = await ethers.getSigners();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-timelock-"));
+    const { contracts } = await deployContracts({ dir, log: quiet });
+
+    // Some funds in the vault for the treasury to move
+    await contracts.deposit.registerNativeAsset(1);
+    await contracts.deposit.connect(user).depositNative(1, { value: ethers.parseEther("5") });
+    return { contracts, dir, deployer, user };
+  }
+
+  let contracts;
+  let dir;
+  let deployer;
+  let user;
+
+  beforeEach(async function () {
+    ({ contracts, dir, deployer, user } = await loadFixture(deployFixture));
+  });
+
+  function propose(contract, method, args, options = {}) {
+    return hre.run("zkclear:timelock:propose", {
+      contract,
+      method,
+      args: JSON.stringify(args),
+      deployments: dir,
+      quiet: true,
+      ...options,
+    });
+  }
+
+  function list(options = {}) {
+    return hre.run("zkclear:timelock:list", { deployments: dir, quiet: true, ...options });
+  }
+
+  function execute(id) {
+    return hre.run("zkclear:timelock:execute", { id, deployments: dir, quiet: true });
+  }
+
+  function cancel(id) {
+    return hre.run("zkclear:timelock:cancel", { id, deployments: dir, quiet: true });
+  }
+
+  describe("Queue and execute", function () {
+    it("Should move vault funds only after the delay", async function () {
+      const amount = ethers.parseEther("2");
+      // The deployer is the default treasurer
+      const { id, readyAt } = await propose("deposit", "withdrawNative", [deployer.address, amount.toString()]);
+
+      expect(readyAt).to.equal((await time.latest()) + DEFAULT_MIN_DELAY);
+      const [pending] = await list();
+      expect(pending).to.include({ id, state: "waiting", readyAt });
+      expect(pending.calls).to.have.length(1);
+      expect(pending.calls[0]).to.include({
+        target: await contracts.deposit.getAddress(),
+        description: `DepositContract.withdrawNative(${deployer.address}, ${amount})`,
+      });
+
+      await expect(execute(id)).to.be.rejectedWith(`Operation ${id} is not ready until`);
+
+      await time.increase(DEFAULT_MIN_DELAY);
+      expect((await list())[0].state).to.equal("ready");
+      const vault = await contracts.deposit.getAddress();
+      const balance = await ethers.provider.getBalance(vault);
+      const { executedIn } = await execute(id);
+
+      expect(await ethers.provider.getBalance(vault)).to.equal(balance - amount);
+      const executed = await contracts.timelock.queryFilter(contracts.timelock.filters.CallExecuted(id));
+      expect(executed.map(({ transactionHash }) => transactionHash)).to.deep.equal([executedIn]);
+      expect(await list()).to.be.empty;
+      expect((await list({ all: true })).map(({ state }) => state)).to.deep.equal(["done"]);
+      await expect(execute(id)).to.be.rejectedWith("is already executed");
+    });
+
+    it("Should swap the proof verifiers through the timelock only", async function () {
+      const [, , replacement] = await ethers.getSigners();
+      await expect(contracts.verifier.setGroth16Verifier(replacement.address))
+        .to.be.revertedWithCustomError(contracts.verifier, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
+      await expect(contracts.withdrawal.setVerifier(replacement.address))
+        .to.be.revertedWithCustomError(contracts.withdrawal, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
+
+      const first = await propose("verifier", "setGroth16Verifier", [replacement.address]);
+      const second = await propose("withdrawal", "setVerifier", [replacement.address]);
+      expect((await list()).map(({ id }) => id)).to.deep.equal([first.id, second.id]);
+
+      await time.increase(DEFAULT_MIN_DELAY);
+      await execute(first.id);
+      await execute(second.id);
+
+      expect(await contracts.verifier.groth16Verifier()).to.equal(replacement.address);
+      expect(await contracts.withdrawal.verifier()).to.equal(replacement.address);
+    });
+
+    it("Should change its own delay through itself", async function () {
+      const { id } = await propose("timelock", "updateDelay", [3600]);
+
+      await time.increase(DEFAULT_MIN_DELAY);
+      await execute(id);
+
+      expect(await contracts.timelock.getMinDelay()).to.equal(3600);
+    });
+
+    it("Should accept longer delays and propose the same call twice", async function () {
+      const args = [user.address, "1"];
+      const longer = await propose("deposit", "withdrawNative", args, { delay: String(DEFAULT_MIN_DELAY * 2) });
+      const again = await propose("deposit", "withdrawNative", args);
+
+      expect(again.id).to.not.equal(longer.id);
+      await time.increase(DEFAULT_MIN_DELAY);
+      expect((await list()).map(({ state }) => state)).to.deep.equal(["waiting", "ready"]);
+    });
+  });
+
+  describe("List", function () {
+    it("Should read the events in ranges no longer than the chunk size", async function () {
+      const first = await propose("deposit", "withdrawNative", [deployer.address, "1"]);
+      await mine(5);
+      const second = await propose("deposit", "withdrawNative", [deployer.address, "2"]);
+
+      // An RPC that caps log queries at 3 blocks
+      const getLogs = ethers.provider.getLogs;
+      const ranges = [];
+      ethers.provider.getLogs = async (filter) => {
+        const from = Number(filter.fromBlock);
+        const to = Number(filter.toBlock);
+        if (!(to - from < 3)) {
+          throw new Error(`Block range ${filter.fromBlock}-${filter.toBlock} exceeds 3 blocks`);
+        }
+        ranges.push([from, to]);
+        return getLogs.call(ethers.provider, filter);
+      };
+      try {
+        await expect(list()).to.be.rejectedWith("exceeds 3 blocks");
+        const operations = await list({ chunkSize: 3 });
+
+        expect(operations.map(({ id }) => id)).to.deep.equal([first.id, second.id]);
+        expect(ranges.at(-1)[1]).to.equal(await ethers.provider.getBlockNumber());
+      } finally {
+        delete ethers.provider.getLogs;
+      }
+    });
+  });
+
+  describe("Cancel", function () {
+    it("Should cancel a pending operation", async function () {
+      const { id } = await propose("deposit", "withdrawNative", [user.address, "1"]);
+
+      const { cancelledIn } = await cancel(id);
+
+      const cancelled = await contracts.timelock.queryFilter(contracts.timelock.filters.Cancelled(id));
+      expect(cancelled.map(({ transactionHash }) => transactionHash)).to.deep.equal([cancelledIn]);
+      expect(await list()).to.be.empty;
+      expect((await list({ all: true }))[0]).to.include({ id, state: "cancelled", readyAt: 0 });
+      await time.increase(DEFAULT_MIN_DELAY);
+      await expect(execute(id)).to.be.rejectedWith("is not scheduled");
+      await expect(cancel(id)).to.be.rejectedWith("is cancelled");
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should reject invalid proposals", async function () {
+      await expect(propose("bridge", "withdrawNative", [])).to.be.rejectedWith('Contract "bridge" not found');
+      await expect(propose("deposit", "drain", [])).to.be.rejectedWith("DepositContract has no function drain");
+      await expect(propose("deposit", "withdrawNative", [user.address, "1"], { delay: "60" })).to.be.rejectedWith(
+        `Delay 60s is shorter than the timelock's minimum of ${DEFAULT_MIN_DELAY}s`
+      );
+      await expect(execute(ethers.ZeroHash)).to.be.rejectedWith("was never scheduled");
+    });
+
+    it("Should only let proposers schedule", async function () {
+      const data = contracts.deposit.interface.encodeFunctionData("withdrawNative", [user.address, 1]);
+
+      await expect(
+        scheduleCall(contracts.timelock.connect(user), { target: await contracts.deposit.getAddress(), data })
+      ).to.be.rejectedWith(`${user.address} is not a proposer of the timelock`);
+      expect(await listOperations(contracts.timelock)).to.be.empty;
+    });
+
+    it("Should validate the config file", function () {
+      const write = (config) => {
+        const file = path.join(dir, `timelock-${Math.random().toString(16).slice(2)}.json`);
+        fs.writeFileSync(file, JSON.stringify(config));
+        return file;
+      };
+
+      expect(() => readTimelockConfig(path.join(dir, "missing.json"))).to.throw("Timelock config not found");
+      expect(() => readTimelockConfig(write({ delay: 60 }))).to.throw('unknown key "delay"');
+      expect(() => readTimelockConfig(write({ minDelay: "1 day" }))).to.throw("minDelay must be a number of seconds");
+      expect(() => readTimelockConfig(write({ proposers: ["0x1234"] }))).to.throw(
+        'proposers has an invalid address "0x1234"'
+      );
+      expect(() => resolveTimelockConfig({ proposers: [] }, deployer.address, deployer.address)).to.throw(
+        "At least one proposer is required"
+      );
+      expect(resolveTimelockConfig({}, deployer.address, user.address)).to.deep.equal({
+        minDelay: DEFAULT_MIN_DELAY,
+        proposers: [user.address],
+        executors: [ethers.ZeroAddress],
+      });
+    });
+
+    it("Should ship valid configs for the public testnets", function () {
+      for (const network of ["sepolia", "base_sepolia"]) {
+        const config = resolveTimelockConfig(
+          readTimelockConfig(path.join(__dirname, "../config/timelock", `${network}.json`)),
+          deployer.address,
+          deployer.address
+        );
+        expect(config.proposers).to.not.be.empty;
+      }
+    });
+  });
+});
@@ -0,0 +1,397 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  deployOrResume,
+  deployProxyOrResume,
+  deployImplementation,
+  implementationAddress,
+} = require("../scripts/deploy-helpers");
+const { upgradeContracts } = require("../scripts/upgrade-helpers");
+const { storageLayout, compareStorageLayouts } = require("../scripts/storage-layout");
+const { ROLES, readManifest, writeManifest } = require("../sdk");
+const { listOperations, executeOperation } = require("../tasks/timelock");
+const { WithdrawalTree } = require("../sdk/merkle");
+
+describe("Upgrades", function () {
+  const quiet = () => {};
+  const proof = "0x" + "01".repeat(256);
+
+  // Deployed through the manifest like deployContracts, but with placeholder
+  // verification so the fixture can prove blocks and pay out a withdrawal
+  async function deployFixture() {
+    const [owner, user, sequencer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-upgrade-"));
+    const manifest = { chainId: Number(chainId), network: "hardhat", deployer: owner.address, contracts: {} };
+    const options = { dir, log: quiet };
+
+    const depositContract = await deployProxyOrResume(manifest, "deposit", "DepositContract", [owner.address], options);
+    const verifierContract = await deployProxyOrResume(
+      manifest,
+      "verifier",
+      "VerifierContract",
+      [sequencer.address, ethers.ZeroHash, owner.address, ethers.ZeroAddress],
+      options
+    );
+    const withdrawalContract = await deployProxyOrResume(
+      manifest,
+      "withdrawal",
+      "WithdrawalContract",
+      [await verifierContract.getAddress(), owner.address],
+      options
+    );
+
+    await depositContract.setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.setDepositContract(await depositContract.getAddress());
+    await verifierContract.addWithdrawalContract(await withdrawalContract.getAddress());
+    await verifierContract.setDepositContract(await depositContract.getAddress());
+    await depositContract.registerNativeAsset(1);
+
+    // One deposit, one block and one withdrawal, so every contract has state to keep
+    await depositContract.connect(user).depositNative(1, { value: ethers.parseEther("10") });
+    const withdrawal = { user: user.address, assetId: 1, amount: ethers.parseEther("1"), chainId };
+    const tree = new WithdrawalTree([withdrawal]);
+    const depositsHash = await depositContract.depositsHash();
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(1, ethers.ZeroHash, ethers.id("state 1"), tree.root, 1, depositsHash, proof);
+    await withdrawalContract.connect(user).withdraw(withdrawal, tree.getProof(0), proof, 1);
+    const nullifier = await withdrawalContract.withdrawalNullifier(1, 0);
+
+    return {
+      depositContract,
+      verifierContract,
+      withdrawalContract,
+      owner,
+      user,
+      sequencer,
+      manifest,
+      withdrawal,
+      tree,
+      nullifier,
+    };
+  }
+
+  let depositContract;
+  let verifierContract;
+  let withdrawalContract;
+  let owner;
+  let user;
+  let sequencer;
+  let dir;
+  let withdrawal;
+  let tree;
+  let nullifier;
+
+  beforeEach(async function () {
+    const fixture = await loadFixture(deployFixture);
+    ({ depositContract, verifierContract, withdrawalContract, owner, user, sequencer, withdrawal, tree, nullifier } =
+      fixture);
+
+    // The chain is reverted to the fixture, so the manifest must be too
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-upgrade-"));
+    writeManifest(fixture.manifest, { dir });
+  });
+
+  async function manifestEntry(key) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return readManifest(Number(chainId), { dir }).contracts[key];
+  }
+
+  function upgrade(requests, options = {}) {
+    return upgradeContracts(requests, { dir, log: quiet, ...options });
+  }
+
+  describe("Compatible upgrades", function () {
+    it("Should upgrade VerifierContract and keep its state", async function () {
+      const verifierAddress = await verifierContract.getAddress();
+      const previous = await manifestEntry("verifier");
+      const header = await verifierContract.getBlock(1);
+
+      const [report] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+
+      expect(report.status).to.equal("upgraded");
+      expect(report.previousImplementation).to.equal(previous.implementation.address);
+      expect(report.implementation).to.not.equal(previous.implementation.address);
+      expect(await implementationAddress(verifierAddress)).to.equal(report.implementation);
+
+      const upgraded = await ethers.getContractAt("VerifierContractV2Mock", verifierAddress);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.stateRoot()).to.equal(ethers.id("state 1"));
+      expect(await upgraded.lastBlockId()).to.equal(1);
+      expect(await upgraded.getBlock(1)).to.deep.equal(header);
+      expect(await upgraded.nullifiers(nullifier)).to.be.true;
+      expect(await upgraded.depositContract()).to.equal(await depositContract.getAddress());
+      expect(await upgraded.withdrawalContracts(await withdrawalContract.getAddress())).to.be.true;
+      expect(await upgraded.getRoleMembers(ROLES.admin)).to.deep.equal([owner.address]);
+      expect(await upgraded.getRoleMembers(ROLES.sequencer)).to.deep.equal([sequencer.address]);
+
+      // The appended variable starts empty and does not overlap anything
+      await upgraded.incrementUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(1);
+      expect(await upgraded.livenessTimeout()).to.equal(await verifierContract.livenessTimeout());
+    });
+
+    it("Should keep working against the upgraded contract", async function () {
+      await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+      const depositsHash = await depositContract.depositsHash();
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(withdrawal, tree.getProof(0), proof, 1)
+      ).to.be.revertedWithCustomError(withdrawalContract, "NullifierAlreadyUsed");
+      await expect(
+        verifierContract
+          .connect(sequencer)
+          .submitBlockProof(2, ethers.id("state 1"), ethers.id("state 2"), ethers.ZeroHash, 1, depositsHash, proof)
+      ).to.emit(verifierContract, "StateRootUpdated");
+    });
+
+    it("Should record the new implementation in the manifest", async function () {
+      const previous = await manifestEntry("verifier");
+
+      const [report] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+
+      const entry = await manifestEntry("verifier");
+      expect(entry.address).to.equal(previous.address);
+      expect(entry.contract).to.equal("VerifierContractV2Mock");
+      expect(entry.implementation.address).to.equal(report.implementation);
+      expect(entry.implementation.storageLayout.storage.map(({ label }) => label)).to.include("upgradeCounter");
+      expect(entry.previousImplementations).to.deep.equal([
+        {
+          contract: "VerifierContract",
+          address: previous.implementation.address,
+          txHash: previous.implementation.txHash,
+          blockNumber: previous.implementation.blockNumber,
+          bytecodeHash: previous.implementation.bytecodeHash,
+          compiler: previous.implementation.compiler,
+          replacedBy: report.txHash,
+        },
+      ]);
+      // The proxy's deployment record is unchanged, so it still verifies
+      expect(entry.constructorArgs).to.deep.equal(previous.constructorArgs);
+    });
+
+    it("Should leave contracts built from the current artifacts alone", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const reports = await upgrade();
+
+      expect(reports.map(({ key, status }) => [key, status])).to.deep.equal([
+        ["deposit", "up-to-date"],
+        ["verifier", "up-to-date"],
+        ["withdrawal", "up-to-date"],
+      ]);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should only check upgrades in a dry run", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const [report] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }], {
+        dryRun: true,
+        signer: user,
+      });
+
+      expect(report.status).to.equal("safe");
+      expect(report.txHash).to.be.null;
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+  });
+
+  describe("Unsafe upgrades", function () {
+    it("Should refuse a storage layout that moves variables", async function () {
+      const previous = await manifestEntry("withdrawal");
+
+      const rejection = upgrade([{ key: "withdrawal", contract: "WithdrawalContractUnsafeMock" }]);
+
+      await expect(rejection).to.be.rejectedWith("the storage layout is incompatible");
+      await expect(rejection).to.be.rejectedWith("slot 0: verifier was replaced by depositContract");
+      expect(await implementationAddress(previous.address)).to.equal(previous.implementation.address);
+      expect(await withdrawalContract.verifier()).to.equal(await verifierContract.getAddress());
+    });
+
+    it("Should check every upgrade before sending any", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      await expect(
+        upgrade([
+          { key: "verifier", contract: "VerifierContractV2Mock" },
+          { key: "withdrawal", contract: "WithdrawalContractUnsafeMock" },
+        ])
+      ).to.be.rejectedWith("Refusing to upgrade withdrawal");
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should refuse a proxy that no longer runs the recorded implementation", async function () {
+      const implementation = await deployImplementation("VerifierContractV2Mock");
+      await verifierContract.upgradeToAndCall(implementation.address, "0x");
+
+      await expect(upgrade([{ key: "verifier" }])).to.be.rejectedWith("refusing to upgrade from an unknown layout");
+    });
+
+    it("Should reject unknown contracts", async function () {
+      await expect(upgrade([{ key: "bridge" }])).to.be.rejectedWith('Contract "bridge" not found');
+    });
+  });
+
+  describe("Access", function () {
+    it("Should let only the timelock role upgrade", async function () {
+      await expect(
+        upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }], { signer: user })
+      ).to.be.rejectedWith(`${user.address} does not hold the timelock role of VerifierContract`);
+
+      const implementation = await deployImplementation("VerifierContractV2Mock");
+      await expect(verifierContract.connect(user).upgradeToAndCall(implementation.address, "0x"))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user.address, ROLES.timelock);
+    });
+
+    it("Should not initialize a proxy twice, nor an implementation at all", async function () {
+      await expect(
+        verifierContract.initialize(user.address, ethers.ZeroHash, user.address, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidInitialization");
+
+      const { implementation } = await manifestEntry("deposit");
+      const bare = await ethers.getContractAt("DepositContract", implementation.address);
+      await expect(bare.initialize(user.address)).to.be.revertedWithCustomError(bare, "InvalidInitialization");
+    });
+  });
+
+  describe("Timelocked upgrades", function () {
+    const delay = 3600;
+
+    // Hand the verifier's TIMELOCK_ROLE to a timelock in the manifest, like deployContracts
+    async function handOverToTimelock() {
+      const { chainId } = await ethers.provider.getNetwork();
+      const manifest = readManifest(Number(chainId), { dir });
+      const timelock = await deployOrResume(
+        manifest,
+        "timelock",
+        "ZkClearTimelock",
+        [delay, [owner.address], [ethers.ZeroAddress]],
+        { dir, log: quiet }
+      );
+      await verifierContract.grantRole(ROLES.timelock, await timelock.getAddress());
+      await verifierContract.renounceRole(ROLES.timelock, owner.address);
+      return timelock;
+    }
+
+    it("Should propose the upgrade to the timelock and record it once executed", async function () {
+      const timelock = await handOverToTimelock();
+      const previous = await manifestEntry("verifier");
+
+      const [proposal] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+
+      expect(proposal).to.include({ status: "proposed", implementation: previous.implementation.address });
+      const pending = (await manifestEntry("verifier")).pendingImplementation;
+      expect(pending).to.include({ contract: "VerifierContractV2Mock", operation: proposal.operation });
+      expect(await implementationAddress(previous.address)).to.equal(previous.implementation.address);
+
+      // Running again waits for the same proposal
+      const [again] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+      expect(again).to.include({ status: "proposed", operation: proposal.operation, txHash: null });
+
+      const [operation] = await listOperations(timelock);
+      await expect(executeOperation(timelock, operation)).to.be.rejectedWith("is not ready until");
+      await time.increase(delay);
+      const receipt = await executeOperation(timelock, operation);
+      expect(await implementationAddress(previous.address)).to.equal(pending.address);
+
+      const [recorded] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+      expect(recorded.status).to.equal("up-to-date");
+      const entry = await manifestEntry("verifier");
+      expect(entry.pendingImplementation).to.be.undefined;
+      expect(entry.contract).to.equal("VerifierContractV2Mock");
+      expect(entry.implementation.address).to.equal(pending.address);
+      expect(entry.previousImplementations).to.have.length(1);
+      expect(entry.previousImplementations[0]).to.include({
+        address: previous.implementation.address,
+        replacedBy: receipt.hash,
+      });
+      expect(await (await ethers.getContractAt("VerifierContractV2Mock", entry.address)).version()).to.equal(2);
+    });
+
+    it("Should forget cancelled proposals and refuse to stack them", async function () {
+      const timelock = await handOverToTimelock();
+      const [proposal] = await upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }]);
+
+      await expect(upgrade([{ key: "verifier" }])).to.be.rejectedWith(
+        `is already proposed (timelock operation ${proposal.operation})`
+      );
+
+      await timelock.cancel(proposal.operation);
+      const [report] = await upgrade([{ key: "verifier" }]);
+      expect(report.status).to.equal("up-to-date");
+      expect((await manifestEntry("verifier")).pendingImplementation).to.be.undefined;
+    });
+
+    it("Should not let the admin bypass the timelock", async function () {
+      await handOverToTimelock();
+
+      await expect(
+        upgrade([{ key: "verifier", contract: "VerifierContractV2Mock" }], { signer: user })
+      ).to.be.rejectedWith(`${user.address} is not a proposer of the timelock`);
+      const implementation = await deployImplementation("VerifierContractV2Mock");
+      await expect(verifierContract.upgradeToAndCall(implementation.address, "0x"))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
+    });
+  });
+
+  describe("Storage layout checks", function () {
+    let layout;
+
+    beforeEach(async function () {
+      layout = await storageLayout("VerifierContract");
+    });
+
+    function withStorage(storage, types = layout.types) {
+      return { storage, types };
+    }
+
+    it("Should strip AST IDs from type IDs", function () {
+      expect(layout.storage.find(({ label }) => label === "blockHeaders").type).to.equal(
+        "t_mapping(t_uint256,t_struct(BlockHeader)_storage)"
+      );
+    });
+
+    it("Should accept identical and appended layouts", function () {
+      const appended = { label: "extra", slot: "100", offset: 0, type: "t_uint256" };
+      expect(compareStorageLayouts(layout, layout)).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, withStorage([...layout.storage, appended]))).to.deep.equal([]);
+    });
+
+    it("Should report removed, retyped and renamed variables", function () {
+      const storage = layout.storage
+        .filter(({ label }) => label !== "lastUnpausedAt")
+        .map((variable) => {
+          if (variable.label === "frozen") return { ...variable, type: "t_uint256" };
+          if (variable.label === "stateRoot") return { ...variable, label: "root" };
+          return variable;
+        });
+
+      expect(compareStorageLayouts(layout, withStorage(storage))).to.have.members([
+        "slot 2: stateRoot was replaced by root",
+        "frozen: type changed from bool to uint256",
+        "lastUnpausedAt (slot 9) was removed",
+      ]);
+    });
+
+    it("Should report struct layout changes", function () {
+      const typeId = "t_struct(BlockHeader)_storage";
+      const struct = layout.types[typeId];
+      const types = {
+        ...layout.types,
+        [typeId]: { ...struct, members: [...struct.members].reverse() },
+      };
+
+      expect(compareStorageLayouts(layout, withStorage(layout.storage, types))).to.deep.equal([
+        "blockHeaders: the layout of mapping(uint256 => struct VerifierContract.BlockHeader) changed",
+      ]);
+    });
+  });
+});
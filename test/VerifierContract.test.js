@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { ROLES } = require("../sdk/roles");
+const { deployProxy } = require("../scripts/deploy-helpers");
 
 describe("VerifierContract", function () {
   let verifierContract;
@@ -11,21 +13,17 @@ describe("VerifierContract", function () {
     [deployer, sequencer] = await ethers.getSigners();
 
     // Deploy Groth16Verifier (but don't set verifying key - will use placeholder)
-    const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-    groth16Verifier = await Groth16Verifier.deploy();
-    await groth16Verifier.waitForDeployment();
+    groth16Verifier = await deployProxy("Groth16Verifier", [deployer.address]);
 
     // Deploy VerifierContract with zero address for groth16Verifier to use placeholder
     // Or deploy with groth16Verifier but it won't have verifying key set
-    const VerifierContract = await ethers.getContractFactory("VerifierContract");
     const initialStateRoot = ethers.ZeroHash;
-    verifierContract = await VerifierContract.deploy(
+    verifierContract = await deployProxy("VerifierContract", [
       sequencer.address,
       initialStateRoot,
       deployer.address,
-      ethers.ZeroAddress // Use zero address to force placeholder verification
-    );
-    await verifierContract.waitForDeployment();
+      ethers.ZeroAddress, // Use zero address to force placeholder verification
+    ]);
   });
 
   describe("Deployment", function () {
@@ -38,11 +36,11 @@ describe("VerifierContract", function () {
     });
 
     it("Should set sequencer", async function () {
-      expect(await verifierContract.sequencer()).to.equal(sequencer.address);
+      expect(await verifierContract.getRoleMembers(ROLES.sequencer)).to.deep.equal([sequencer.address]);
     });
 
-    it("Should set owner", async function () {
-      expect(await verifierContract.owner()).to.equal(deployer.address);
+    it("Should set admin", async function () {
+      expect(await verifierContract.getRoleMembers(ROLES.admin)).to.deep.equal([deployer.address]);
     });
   });
 
@@ -53,8 +51,10 @@ describe("VerifierContract", function () {
       const proof = "0x" + "00".repeat(256); // Dummy proof
 
       await expect(
-        verifierContract.submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, proof)
-      ).to.be.revertedWithCustomError(verifierContract, "OnlySequencer");
+        verifierContract.submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof)
+      )
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.sequencer);
     });
 
     it("Should revert if block already processed", async function () {
@@ -70,13 +70,13 @@ describe("VerifierContract", function () {
       const firstNewStateRoot = ethers.keccak256(ethers.toUtf8Bytes("first"));
       await verifierContract
         .connect(sequencer)
-        .submitBlockProof(1, ethers.ZeroHash, firstNewStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(1, ethers.ZeroHash, firstNewStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       // Second submission with same block ID should fail
       await expect(
         verifierContract
           .connect(sequencer)
-          .submitBlockProof(1, firstNewStateRoot, newStateRoot, withdrawalsRoot, proof)
+          .submitBlockProof(1, firstNewStateRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof)
       ).to.be.revertedWithCustomError(verifierContract, "BlockAlreadyProcessed");
     });
 
@@ -89,7 +89,7 @@ describe("VerifierContract", function () {
       await expect(
         verifierContract
           .connect(sequencer)
-          .submitBlockProof(1, wrongPrevRoot, newStateRoot, withdrawalsRoot, proof)
+          .submitBlockProof(1, wrongPrevRoot, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof)
       ).to.be.revertedWithCustomError(verifierContract, "InvalidStateRoot");
     });
 
@@ -100,7 +100,7 @@ describe("VerifierContract", function () {
       await expect(
         verifierContract
           .connect(sequencer)
-          .submitBlockProof(1, ethers.ZeroHash, ethers.ZeroHash, withdrawalsRoot, proof)
+          .submitBlockProof(1, ethers.ZeroHash, ethers.ZeroHash, withdrawalsRoot, 0, ethers.ZeroHash, proof)
       ).to.be.revertedWithCustomError(verifierContract, "InvalidStateRoot");
     });
 
@@ -112,7 +112,7 @@ describe("VerifierContract", function () {
       // For first block, prevStateRoot can be ZeroHash (initial state)
       const tx = await verifierContract
         .connect(sequencer)
-        .submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, proof);
+        .submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
 
       await expect(tx)
         .to.emit(verifierContract, "StateRootUpdated")
@@ -122,6 +122,25 @@ describe("VerifierContract", function () {
       expect(await verifierContract.processedBlocks(1)).to.be.true;
     });
 
+    it("Should record the withdrawals root of every accepted block", async function () {
+      const proof = "0x" + "01".repeat(256);
+      const firstStateRoot = ethers.keccak256(ethers.toUtf8Bytes("first"));
+      const secondStateRoot = ethers.keccak256(ethers.toUtf8Bytes("second"));
+      const firstWithdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals_1"));
+      const secondWithdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals_2"));
+
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(1, ethers.ZeroHash, firstStateRoot, firstWithdrawalsRoot, 0, ethers.ZeroHash, proof);
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(2, firstStateRoot, secondStateRoot, secondWithdrawalsRoot, 0, ethers.ZeroHash, proof);
+
+      expect(await verifierContract.getWithdrawalsRoot(1)).to.equal(firstWithdrawalsRoot);
+      expect(await verifierContract.getWithdrawalsRoot(2)).to.equal(secondWithdrawalsRoot);
+      expect(await verifierContract.getWithdrawalsRoot(3)).to.equal(ethers.ZeroHash);
+    });
+
     it("Should revert if proof is empty (with placeholder)", async function () {
       const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes("new"));
       const withdrawalsRoot = ethers.ZeroHash;
@@ -130,37 +149,341 @@ describe("VerifierContract", function () {
       await expect(
         verifierContract
           .connect(sequencer)
-          .submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, emptyProof)
+          .submitBlockProof(1, ethers.ZeroHash, newStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, emptyProof)
       ).to.be.revertedWithCustomError(verifierContract, "InvalidProof");
     });
   });
 
-  describe("setGroth16Verifier", function () {
-    it("Should allow owner to set Groth16Verifier", async function () {
-      // Deploy a new Groth16Verifier for this test
-      const Groth16Verifier = await ethers.getContractFactory("Groth16Verifier");
-      const newVerifier = await Groth16Verifier.deploy();
-      await newVerifier.waitForDeployment();
+  describe("Block headers", function () {
+    const proof = "0x" + "01".repeat(256);
+    const firstStateRoot = ethers.keccak256(ethers.toUtf8Bytes("first"));
+    const secondStateRoot = ethers.keccak256(ethers.toUtf8Bytes("second"));
 
-      await verifierContract.setGroth16Verifier(await newVerifier.getAddress());
+    it("Should record the genesis header at deployment", async function () {
+      const deployBlock = (await verifierContract.deploymentTransaction().wait()).blockNumber;
+      const header = await verifierContract.getBlock(0);
 
-      // Verify it was set (we can't directly read it, but we can check it's used)
-      // This is tested indirectly through submitBlockProof behavior
+      expect(await verifierContract.lastBlockId()).to.equal(0);
+      expect(header.newStateRoot).to.equal(ethers.ZeroHash);
+      expect(header.l1BlockNumber).to.equal(deployBlock);
+
+      const [blockId, latest] = await verifierContract.latestBlock();
+      expect(blockId).to.equal(0);
+      expect(latest.l1BlockNumber).to.equal(deployBlock);
+      expect(await verifierContract.processedBlocks(0)).to.be.false;
     });
 
-    it("Should revert if called by non-owner", async function () {
-      const newVerifier = await ethers.deployContract("Groth16Verifier");
-      await newVerifier.waitForDeployment();
+    it("Should store a header for every accepted block", async function () {
+      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(1, ethers.ZeroHash, firstStateRoot, ethers.ZeroHash, 0, ethers.ZeroHash, proof);
+      const tx = await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(2, firstStateRoot, secondStateRoot, withdrawalsRoot, 0, ethers.ZeroHash, proof);
+      const receipt = await tx.wait();
+      const l1Block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      const header = await verifierContract.getBlock(2);
+      expect(header.prevStateRoot).to.equal(firstStateRoot);
+      expect(header.newStateRoot).to.equal(secondStateRoot);
+      expect(header.withdrawalsRoot).to.equal(withdrawalsRoot);
+      expect(header.l1BlockNumber).to.equal(receipt.blockNumber);
+      expect(header.timestamp).to.equal(l1Block.timestamp);
+
+      expect((await verifierContract.getBlock(1)).newStateRoot).to.equal(firstStateRoot);
+      const [blockId, latest] = await verifierContract.latestBlock();
+      expect(blockId).to.equal(2);
+      expect(latest.newStateRoot).to.equal(secondStateRoot);
+      expect(await verifierContract.lastBlockId()).to.equal(2);
+    });
+
+    it("Should require sequential block IDs", async function () {
+      await expect(
+        verifierContract.connect(sequencer).submitBlockProof(
+          2,
+          ethers.ZeroHash,
+          firstStateRoot,
+          ethers.ZeroHash,
+          0,
+          ethers.ZeroHash,
+          proof
+        )
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidBlockId");
+      await expect(
+        verifierContract.connect(sequencer).submitBlockProof(
+          0,
+          ethers.ZeroHash,
+          firstStateRoot,
+          ethers.ZeroHash,
+          0,
+          ethers.ZeroHash,
+          proof
+        )
+      ).to.be.revertedWithCustomError(verifierContract, "BlockAlreadyProcessed");
+
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(1, ethers.ZeroHash, firstStateRoot, ethers.ZeroHash, 0, ethers.ZeroHash, proof);
+      await expect(
+        verifierContract.connect(sequencer).submitBlockProof(
+          3,
+          firstStateRoot,
+          secondStateRoot,
+          ethers.ZeroHash,
+          0,
+          ethers.ZeroHash,
+          proof
+        )
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidBlockId");
+    });
+
+    it("Should reject unknown block IDs", async function () {
+      await expect(verifierContract.getBlock(1)).to.be.revertedWithCustomError(verifierContract, "InvalidBlockId");
+      expect(await verifierContract.getWithdrawalsRoot(1)).to.equal(ethers.ZeroHash);
+      expect(await verifierContract.processedBlocks(1)).to.be.false;
+    });
+  });
+
+  describe("submitBlockProofs", function () {
+    const proof = "0x" + "01".repeat(256);
+
+    // Blocks 1..count chaining from the zero state root
+    function chain(count) {
+      const blocks = [];
+      let prevStateRoot = ethers.ZeroHash;
+      for (let i = 1; i <= count; i++) {
+        const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes(`state_${i}`));
+        const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes(`withdrawals_${i}`));
+        const depositsHash = ethers.ZeroHash;
+        blocks.push({ blockId: i, prevStateRoot, newStateRoot, withdrawalsRoot, depositIndex: 0, depositsHash, proof });
+        prevStateRoot = newStateRoot;
+      }
+      return blocks;
+    }
+
+    it("Should apply every block in order", async function () {
+      const blocks = chain(3);
+
+      const tx = await verifierContract.connect(sequencer).submitBlockProofs(blocks);
+
+      for (const block of blocks) {
+        await expect(tx)
+          .to.emit(verifierContract, "StateRootUpdated")
+          .withArgs(block.blockId, block.prevStateRoot, block.newStateRoot, block.withdrawalsRoot);
+        expect(await verifierContract.processedBlocks(block.blockId)).to.be.true;
+        expect(await verifierContract.getWithdrawalsRoot(block.blockId)).to.equal(block.withdrawalsRoot);
+      }
+      expect(await verifierContract.stateRoot()).to.equal(blocks[2].newStateRoot);
+    });
+
+    it("Should continue from blocks submitted one by one", async function () {
+      const [first, ...rest] = chain(3);
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(
+          first.blockId,
+          first.prevStateRoot,
+          first.newStateRoot,
+          first.withdrawalsRoot,
+          first.depositIndex,
+          first.depositsHash,
+          first.proof
+        );
+
+      await verifierContract.connect(sequencer).submitBlockProofs(rest);
+
+      expect(await verifierContract.stateRoot()).to.equal(rest[1].newStateRoot);
+    });
+
+    it("Should revert the whole batch if the roots do not chain", async function () {
+      const blocks = chain(3);
+      blocks[2].prevStateRoot = blocks[0].newStateRoot;
+
+      await expect(verifierContract.connect(sequencer).submitBlockProofs(blocks)).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidStateRoot"
+      );
+      expect(await verifierContract.stateRoot()).to.equal(ethers.ZeroHash);
+      expect(await verifierContract.processedBlocks(1)).to.be.false;
+    });
+
+    it("Should revert the whole batch on an invalid proof", async function () {
+      const blocks = chain(3);
+      blocks[1].proof = "0x";
+
+      await expect(verifierContract.connect(sequencer).submitBlockProofs(blocks)).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidProof"
+      );
+      expect(await verifierContract.processedBlocks(1)).to.be.false;
+    });
+
+    it("Should reject repeated block IDs", async function () {
+      const blocks = chain(2);
+      blocks[1].blockId = 1;
+
+      await expect(verifierContract.connect(sequencer).submitBlockProofs(blocks)).to.be.revertedWithCustomError(
+        verifierContract,
+        "BlockAlreadyProcessed"
+      );
+    });
+
+    it("Should reject batches that skip a block ID", async function () {
+      const blocks = chain(3);
+      blocks[2].blockId = 4;
+
+      await expect(verifierContract.connect(sequencer).submitBlockProofs(blocks)).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidBlockId"
+      );
+    });
+
+    it("Should reject empty batches", async function () {
+      await expect(verifierContract.connect(sequencer).submitBlockProofs([])).to.be.revertedWithCustomError(
+        verifierContract,
+        "EmptyBatch"
+      );
+    });
+
+    it("Should revert if called by non-sequencer", async function () {
+      await expect(verifierContract.submitBlockProofs(chain(1))).to.be.revertedWithCustomError(
+        verifierContract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("deposit queue", function () {
+    const proof = "0x" + "01".repeat(256);
+    let depositContract;
+    let user;
+
+    beforeEach(async function () {
+      [, , user] = await ethers.getSigners();
+      depositContract = await deployProxy("DepositContract", [deployer.address]);
+      await depositContract.registerNativeAsset(2);
+      await verifierContract.setDepositContract(await depositContract.getAddress());
+    });
+
+    function submit(blockId, depositIndex, depositsHash) {
+      const prevStateRoot = blockId === 1 ? ethers.ZeroHash : ethers.id(`state ${blockId - 1}`);
+      const newStateRoot = ethers.id(`state ${blockId}`);
+      return verifierContract
+        .connect(sequencer)
+        .submitBlockProof(blockId, prevStateRoot, newStateRoot, ethers.ZeroHash, depositIndex, depositsHash, proof);
+    }
+
+    async function depositNative(count) {
+      for (let i = 0; i < count; i++) {
+        await depositContract.connect(user).depositNative(2, { value: 1n });
+      }
+    }
+
+    it("Should let blocks consume deposits in queue order", async function () {
+      await depositNative(3);
+      const afterTwo = await depositContract.depositHashAt(2);
+      const afterThree = await depositContract.depositHashAt(3);
+
+      await submit(1, 2, afterTwo);
+      await submit(2, 2, afterTwo);
+      await submit(3, 3, afterThree);
+
+      const header = await verifierContract.getBlock(3);
+      expect(header.depositIndex).to.equal(3);
+      expect(header.depositsHash).to.equal(afterThree);
+      expect((await verifierContract.getBlock(1)).depositIndex).to.equal(2);
+    });
+
+    it("Should reject a deposits hash that does not match the queue", async function () {
+      await depositNative(2);
+
+      await expect(submit(1, 2, ethers.id("invented"))).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidDepositsHash"
+      );
+      await expect(submit(1, 1, await depositContract.depositHashAt(2))).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidDepositsHash"
+      );
+    });
+
+    it("Should reject going backwards or past the end of the queue", async function () {
+      await depositNative(2);
+      await submit(1, 2, await depositContract.depositHashAt(2));
+
+      await expect(submit(2, 1, await depositContract.depositHashAt(1))).to.be.revertedWithCustomError(
+        verifierContract,
+        "InvalidDepositIndex"
+      );
+      await expect(submit(2, 3, ethers.ZeroHash)).to.be.revertedWithCustomError(verifierContract, "InvalidDepositIndex");
+    });
+
+    it("Should only allow the admin to set the deposit contract, once", async function () {
+      const other = await deployProxy("DepositContract", [deployer.address]);
+      const fresh = await deployProxy("VerifierContract", [
+        sequencer.address,
+        ethers.ZeroHash,
+        deployer.address,
+        ethers.ZeroAddress,
+      ]);
+
+      await expect(
+        fresh.connect(sequencer).setDepositContract(await other.getAddress())
+      ).to.be.revertedWithCustomError(fresh, "AccessControlUnauthorizedAccount");
+      await expect(fresh.setDepositContract(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        fresh,
+        "InvalidDepositContractAddress"
+      );
+      await expect(fresh.setDepositContract(await other.getAddress()))
+        .to.emit(fresh, "DepositContractSet")
+        .withArgs(await other.getAddress());
+      expect(await fresh.depositContract()).to.equal(await other.getAddress());
+
+      await expect(
+        verifierContract.setDepositContract(await other.getAddress())
+      ).to.be.revertedWithCustomError(verifierContract, "DepositContractAlreadySet");
+    });
+
+    it("Should require an empty deposit range without a deposit contract", async function () {
+      const fresh = await deployProxy("VerifierContract", [
+        sequencer.address,
+        ethers.ZeroHash,
+        deployer.address,
+        ethers.ZeroAddress,
+      ]);
+
+      await expect(
+        fresh
+          .connect(sequencer)
+          .submitBlockProof(1, ethers.ZeroHash, ethers.id("state"), ethers.ZeroHash, 1, ethers.ZeroHash, proof)
+      ).to.be.revertedWithCustomError(fresh, "InvalidDepositIndex");
+    });
+  });
+
+  describe("setGroth16Verifier", function () {
+    it("Should allow the timelock to set Groth16Verifier", async function () {
+      const newVerifier = await deployProxy("Groth16Verifier", [deployer.address]);
+      const oldVerifier = await verifierContract.groth16Verifier();
+
+      await expect(verifierContract.setGroth16Verifier(await newVerifier.getAddress()))
+        .to.emit(verifierContract, "Groth16VerifierUpdated")
+        .withArgs(oldVerifier, await newVerifier.getAddress());
+      expect(await verifierContract.groth16Verifier()).to.equal(await newVerifier.getAddress());
+    });
+
+    it("Should revert if called without the timelock role", async function () {
+      const newVerifier = await deployProxy("Groth16Verifier", [deployer.address]);
 
       await expect(
         verifierContract.connect(sequencer).setGroth16Verifier(await newVerifier.getAddress())
-      ).to.be.revertedWithCustomError(verifierContract, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount");
     });
 
     it("Should revert if verifier address is zero", async function () {
       await expect(
         verifierContract.setGroth16Verifier(ethers.ZeroAddress)
-      ).to.be.revertedWithCustomError(verifierContract, "InvalidSequencerAddress");
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidGroth16VerifierAddress");
     });
   });
 
@@ -170,35 +493,133 @@ describe("VerifierContract", function () {
       expect(await verifierContract.isNullifierUsed(nullifier)).to.be.false;
     });
 
-    it("Should mark nullifier as used", async function () {
+    it("Should mark nullifier as used by an authorized withdrawal contract", async function () {
       const nullifier = ethers.keccak256(ethers.toUtf8Bytes("test"));
+      const [, , withdrawalContract] = await ethers.getSigners();
 
-      await verifierContract.markNullifierUsed(nullifier);
+      await verifierContract.addWithdrawalContract(withdrawalContract.address);
+      await verifierContract.connect(withdrawalContract).markNullifierUsed(nullifier);
 
       expect(await verifierContract.isNullifierUsed(nullifier)).to.be.true;
     });
+
+    it("Should reject marking nullifiers from unauthorized callers", async function () {
+      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("test"));
+
+      await expect(
+        verifierContract.markNullifierUsed(nullifier)
+      ).to.be.revertedWithCustomError(verifierContract, "OnlyWithdrawalContract");
+      await expect(
+        verifierContract.connect(sequencer).markNullifierUsed(nullifier)
+      ).to.be.revertedWithCustomError(verifierContract, "OnlyWithdrawalContract");
+    });
   });
 
-  describe("setSequencer", function () {
-    it("Should allow sequencer to update sequencer address", async function () {
-      const [newSequencer] = await ethers.getSigners();
-      const newSequencerAddress = newSequencer.address;
+  describe("withdrawal contract registry", function () {
+    it("Should let the timelock add and remove withdrawal contracts", async function () {
+      const [, , withdrawalContract] = await ethers.getSigners();
+
+      await expect(verifierContract.addWithdrawalContract(withdrawalContract.address))
+        .to.emit(verifierContract, "WithdrawalContractAdded")
+        .withArgs(withdrawalContract.address);
+      expect(await verifierContract.withdrawalContracts(withdrawalContract.address)).to.be.true;
+
+      await expect(verifierContract.removeWithdrawalContract(withdrawalContract.address))
+        .to.emit(verifierContract, "WithdrawalContractRemoved")
+        .withArgs(withdrawalContract.address);
+      expect(await verifierContract.withdrawalContracts(withdrawalContract.address)).to.be.false;
 
       await expect(
-        verifierContract.connect(sequencer).setSequencer(newSequencerAddress)
-      )
-        .to.emit(verifierContract, "SequencerUpdated")
-        .withArgs(sequencer.address, newSequencerAddress);
+        verifierContract.connect(withdrawalContract).markNullifierUsed(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(verifierContract, "OnlyWithdrawalContract");
+    });
+
+    it("Should reject registry changes from accounts without the timelock role", async function () {
+      await expect(
+        verifierContract.connect(sequencer).addWithdrawalContract(sequencer.address)
+      ).to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        verifierContract.connect(sequencer).removeWithdrawalContract(sequencer.address)
+      ).to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount");
+    });
 
-      expect(await verifierContract.sequencer()).to.equal(newSequencerAddress);
+    it("Should timelock both additions and removals", async function () {
+      const [, , withdrawalContract] = await ethers.getSigners();
+      await verifierContract.addWithdrawalContract(withdrawalContract.address);
+      await verifierContract.renounceRole(ROLES.timelock, deployer.address);
+
+      expect(await verifierContract.hasRole(ROLES.admin, deployer.address)).to.be.true;
+      await expect(verifierContract.addWithdrawalContract(sequencer.address))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
+      await expect(verifierContract.removeWithdrawalContract(withdrawalContract.address))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(deployer.address, ROLES.timelock);
     });
 
-    it("Should revert if called by non-sequencer", async function () {
-      const [newSequencer] = await ethers.getSigners();
+    it("Should reject zero or unknown addresses", async function () {
+      await expect(
+        verifierContract.addWithdrawalContract(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidWithdrawalContractAddress");
+      await expect(
+        verifierContract.removeWithdrawalContract(sequencer.address)
+      ).to.be.revertedWithCustomError(verifierContract, "InvalidWithdrawalContractAddress");
+    });
+  });
 
+  describe("Sequencer rotation", function () {
+    const newStateRoot = ethers.id("new");
+    const proof = "0x" + "01".repeat(256);
+
+    function submitBlock1(signer) {
+      return verifierContract
+        .connect(signer)
+        .submitBlockProof(1, ethers.ZeroHash, newStateRoot, ethers.ZeroHash, 0, ethers.ZeroHash, proof);
+    }
+
+    it("Should let the admin add sequencers and accept blocks from any of them", async function () {
+      const [, , second] = await ethers.getSigners();
+
+      await expect(verifierContract.grantRole(ROLES.sequencer, second.address))
+        .to.emit(verifierContract, "RoleGranted")
+        .withArgs(ROLES.sequencer, second.address, deployer.address);
+      expect(await verifierContract.getRoleMembers(ROLES.sequencer)).to.deep.equal([
+        sequencer.address,
+        second.address,
+      ]);
+
+      await expect(submitBlock1(second)).to.emit(verifierContract, "StateRootUpdated");
+    });
+
+    it("Should let the admin replace a lost sequencer key", async function () {
+      const [, , replacement] = await ethers.getSigners();
+
+      await verifierContract.grantRole(ROLES.sequencer, replacement.address);
+      await expect(verifierContract.revokeRole(ROLES.sequencer, sequencer.address))
+        .to.emit(verifierContract, "RoleRevoked")
+        .withArgs(ROLES.sequencer, sequencer.address, deployer.address);
+
+      await expect(submitBlock1(sequencer))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(sequencer.address, ROLES.sequencer);
+      await expect(submitBlock1(replacement)).to.emit(verifierContract, "StateRootUpdated");
+    });
+
+    it("Should not let a sequencer manage sequencers", async function () {
+      const [, , other] = await ethers.getSigners();
+
+      await expect(verifierContract.connect(sequencer).grantRole(ROLES.sequencer, other.address))
+        .to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount")
+        .withArgs(sequencer.address, ROLES.admin);
       await expect(
-        verifierContract.connect(deployer).setSequencer(newSequencer.address)
-      ).to.be.revertedWithCustomError(verifierContract, "OnlySequencer");
+        verifierContract.connect(sequencer).revokeRole(ROLES.sequencer, sequencer.address)
+      ).to.be.revertedWithCustomError(verifierContract, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let a sequencer step down", async function () {
+      await verifierContract.connect(sequencer).renounceRole(ROLES.sequencer, sequencer.address);
+
+      expect(await verifierContract.getRoleMemberCount(ROLES.sequencer)).to.equal(0);
     });
   });
 });
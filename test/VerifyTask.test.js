@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { deployContracts } = require("../scripts/deploy-helpers");
+const { getExplorer } = require("../tasks/verify");
+
+/**
+ * Minimal Etherscan-compatible API. Addresses in `unindexed` answer
+ * "Unable to locate ContractCode" that many more times before verifying.
+ */
+function startExplorerStub() {
+  const stub = {
+    verified: new Set(),
+    unindexed: new Map(),
+    submissions: [],
+  };
+
+  stub.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const params = req.method === "POST" ? new URLSearchParams(body) : url.searchParams;
+      const reply = (json) => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(json));
+      };
+
+      switch (params.get("action")) {
+        case "getsourcecode": {
+          const address = params.get("address").toLowerCase();
+          const sourceCode = stub.verified.has(address) ? "contract {}" : "";
+          return reply({ status: "1", message: "OK", result: [{ SourceCode: sourceCode }] });
+        }
+        case "verifysourcecode": {
+          const address = params.get("contractaddress").toLowerCase();
+          stub.submissions.push({
+            address,
+            contractName: params.get("contractname"),
+            constructorArguments: params.get("constructorArguements"),
+          });
+          const pending = stub.unindexed.get(address) || 0;
+          if (pending > 0) {
+            stub.unindexed.set(address, pending - 1);
+            return reply({ status: "0", message: "NOTOK", result: `Unable to locate ContractCode at ${address}` });
+          }
+          stub.verified.add(address);
+          return reply({ status: "1", message: "OK", result: `guid-${address}` });
+        }
+        case "checkverifystatus":
+          return reply({ status: "1", message: "OK", result: "Pass - Verified" });
+        default:
+          return reply({ status: "0", message: "NOTOK", result: "Unknown action" });
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    stub.server.listen(0, "127.0.0.1", () => {
+      stub.apiURL = `http://127.0.0.1:${stub.server.address().port}/api`;
+      resolve(stub);
+    });
+  });
+}
+
+describe("zkclear:verify task", function () {
+  const quiet = () => {};
+
+  let stub;
+  let dir;
+  let deployment;
+  let originalEtherscan;
+  let originalLog;
+  let originalWarn;
+
+  before(async function () {
+    stub = await startExplorerStub();
+    originalEtherscan = hre.config.etherscan;
+    hre.config.etherscan = {
+      ...originalEtherscan,
+      apiKey: { ...originalEtherscan.apiKey, hardhat: "test-key" },
+      customChains: [
+        ...originalEtherscan.customChains,
+        { network: "hardhat", chainId: 31337, urls: { apiURL: stub.apiURL, browserURL: "http://explorer.local" } },
+      ],
+    };
+  });
+
+  after(async function () {
+    hre.config.etherscan = originalEtherscan;
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  beforeEach(async function () {
+    stub.verified.clear();
+    stub.unindexed.clear();
+    stub.submissions = [];
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-verify-"));
+    deployment = await deployContracts({ dir, log: quiet });
+
+    // hardhat-verify logs every submission
+    originalLog = console.log;
+    originalWarn = console.warn;
+    console.log = quiet;
+    console.warn = quiet;
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  });
+
+  function runVerify(args = {}) {
+    return hre.run("zkclear:verify", { deployments: dir, confirmations: 1, delay: 0, ...args });
+  }
+
+  it("Should verify the implementation and proxy of all four contracts, and the timelock", async function () {
+    const results = await runVerify();
+
+    expect(results.map(({ key, contract }) => `${key}:${contract}`)).to.have.members([
+      "deposit:DepositContract",
+      "deposit:ZkClearProxy",
+      "groth16Verifier:Groth16Verifier",
+      "groth16Verifier:ZkClearProxy",
+      "verifier:VerifierContract",
+      "verifier:ZkClearProxy",
+      "withdrawal:WithdrawalContract",
+      "withdrawal:ZkClearProxy",
+      "timelock:ZkClearTimelock",
+    ]);
+    expect(results.every((result) => result.status === "verified")).to.be.true;
+
+    const { implementation, constructorArgs } = deployment.manifest.contracts.verifier;
+    const submission = (address) => stub.submissions.find((submission) => submission.address === address.toLowerCase());
+
+    const implementationSubmission = submission(implementation.address);
+    expect(implementationSubmission.contractName).to.equal("contracts/VerifierContract.sol:VerifierContract");
+    expect(implementationSubmission.constructorArguments).to.equal("");
+
+    const proxySubmission = submission(deployment.verifierAddress);
+    expect(proxySubmission.contractName).to.equal("contracts/proxy/ZkClearProxy.sol:ZkClearProxy");
+    const expectedArgs = ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes"], constructorArgs);
+    expect("0x" + proxySubmission.constructorArguments).to.equal(expectedArgs);
+
+    const timelockSubmission = submission(deployment.timelockAddress);
+    expect(timelockSubmission.contractName).to.equal("contracts/governance/ZkClearTimelock.sol:ZkClearTimelock");
+    expect("0x" + timelockSubmission.constructorArguments).to.equal(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "address[]", "address[]"],
+        deployment.manifest.contracts.timelock.constructorArgs
+      )
+    );
+  });
+
+  it("Should skip contracts that are already verified", async function () {
+    stub.verified.add(deployment.depositAddress.toLowerCase());
+
+    const results = await runVerify();
+
+    const deposit = results.filter((result) => result.key === "deposit");
+    expect(deposit.map(({ contract, status }) => [contract, status])).to.deep.equal([
+      ["DepositContract", "verified"],
+      ["ZkClearProxy", "already-verified"],
+    ]);
+    expect(stub.submissions.map((submission) => submission.address)).to.not.include(
+      deployment.depositAddress.toLowerCase()
+    );
+    expect(stub.submissions).to.have.length(8);
+  });
+
+  it("Should retry with backoff while the explorer has not indexed a contract", async function () {
+    stub.unindexed.set(deployment.groth16VerifierAddress.toLowerCase(), 2);
+
+    const results = await runVerify({ contracts: "groth16Verifier" });
+
+    expect(results.map(({ contract, status, attempts }) => [contract, status, attempts])).to.deep.equal([
+      ["Groth16Verifier", "verified", 1],
+      ["ZkClearProxy", "verified", 3],
+    ]);
+  });
+
+  it("Should fail after running out of retries", async function () {
+    stub.unindexed.set(deployment.withdrawalAddress.toLowerCase(), 5);
+
+    await expect(runVerify({ contracts: "withdrawal", retries: 2 })).to.be.rejectedWith(
+      "Verification failed for: WithdrawalContract proxy"
+    );
+    // The implementation, then the proxy three times
+    expect(stub.submissions).to.have.length(4);
+  });
+
+  it("Should verify without waiting when the provider does not know the deployment transaction", async function () {
+    const messages = [];
+    console.log = (message) => messages.push(message);
+    ethers.provider.getTransaction = async () => null;
+    try {
+      const results = await runVerify({ contracts: "deposit" });
+
+      expect(results.map(({ status }) => status)).to.deep.equal(["verified", "verified"]);
+    } finally {
+      delete ethers.provider.getTransaction;
+    }
+    expect(messages.filter((message) => /^Deployment transaction 0x[0-9a-f]{64} of /.test(message))).to.have.length(2);
+  });
+
+  it("Should reject unknown manifest keys", async function () {
+    await expect(runVerify({ contracts: "bridge" })).to.be.rejectedWith(
+      'Contract "bridge" not found in the deployment manifest'
+    );
+  });
+
+  it("Should fail on networks without explorer config", async function () {
+    const etherscan = hre.config.etherscan;
+    hre.config.etherscan = originalEtherscan;
+    try {
+      expect(await getExplorer(hre)).to.be.null;
+      await expect(runVerify()).to.be.rejectedWith("No block explorer configured for network hardhat");
+    } finally {
+      hre.config.etherscan = etherscan;
+    }
+  });
+});
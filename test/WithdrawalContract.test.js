@@ -1,47 +1,80 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { WithdrawalTree, hashWithdrawal, verifyProof, withdrawalNullifier } = require("../sdk/merkle");
+const { ROLES } = require("../sdk/roles");
+const { deployProxy } = require("../scripts/deploy-helpers");
 
 describe("WithdrawalContract", function () {
   async function deployFixture() {
     const [owner, user, sequencer] = await ethers.getSigners();
 
-    const DepositContract = await ethers.getContractFactory("DepositContract");
-    const depositContract = await DepositContract.deploy();
-    await depositContract.waitForDeployment();
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
 
     // Deploy VerifierContract first (needed for WithdrawalContract)
-    const VerifierContract = await ethers.getContractFactory("VerifierContract");
     const initialStateRoot = ethers.ZeroHash;
-    const verifierContract = await VerifierContract.deploy(
+    const verifierContract = await deployProxy("VerifierContract", [
       sequencer.address,
       initialStateRoot,
       owner.address,
-      ethers.ZeroAddress // No Groth16Verifier for testing
-    );
-    await verifierContract.waitForDeployment();
+      ethers.ZeroAddress, // No Groth16Verifier for testing
+    ]);
 
-    const WithdrawalContract = await ethers.getContractFactory("WithdrawalContract");
-    const withdrawalContract = await WithdrawalContract.deploy(
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
       await verifierContract.getAddress(),
-      owner.address
-    );
-    await withdrawalContract.waitForDeployment();
+      owner.address,
+    ]);
+
+    // Link the vault and fund it: asset 1 is an ERC20, unregistered asset IDs are native ETH
+    await depositContract.connect(owner).setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.connect(owner).setDepositContract(await depositContract.getAddress());
+    await verifierContract.connect(owner).addWithdrawalContract(await withdrawalContract.getAddress());
+
+    const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+    const mockToken = await ERC20Mock.deploy("Test Token", "TEST", owner.address, ethers.parseEther("1000"));
+    await mockToken.waitForDeployment();
 
-    return { depositContract, withdrawalContract, verifierContract, owner, user, sequencer };
+    await depositContract.connect(owner).registerAsset(1, await mockToken.getAddress(), 0);
+    await depositContract.connect(owner).registerNativeAsset(2);
+    await mockToken.connect(owner).approve(await depositContract.getAddress(), ethers.MaxUint256);
+    await depositContract.connect(owner).deposit(1, ethers.parseEther("100"));
+    await depositContract.connect(owner).depositNative(2, { value: ethers.parseEther("10") });
+
+    return { depositContract, withdrawalContract, verifierContract, mockToken, owner, user, sequencer };
   }
 
   let depositContract;
   let withdrawalContract;
   let verifierContract;
+  let mockToken;
   let owner;
   let user;
   let sequencer;
 
+  let nextBlockId;
+
   beforeEach(async function () {
-    ({ depositContract, withdrawalContract, verifierContract, owner, user, sequencer } = await loadFixture(deployFixture));
+    ({ depositContract, withdrawalContract, verifierContract, mockToken, owner, user, sequencer } = await loadFixture(deployFixture));
+    nextBlockId = 1;
   });
 
+  // Accept a block on VerifierContract (placeholder verification) carrying the given withdrawals root
+  async function proveBlock(withdrawalsRoot) {
+    const blockId = nextBlockId++;
+    await verifierContract
+      .connect(sequencer)
+      .submitBlockProof(
+        blockId,
+        await verifierContract.stateRoot(),
+        ethers.keccak256(ethers.toUtf8Bytes(`state_root_${blockId}`)),
+        withdrawalsRoot,
+        0,
+        ethers.ZeroHash,
+        "0x" + "01".repeat(256)
+      );
+    return blockId;
+  }
+
   describe("Withdrawal", function () {
     it("Should emit Withdrawal event", async function () {
       const withdrawalData = {
@@ -50,25 +83,28 @@ describe("WithdrawalContract", function () {
         amount: ethers.parseEther("1.0"),
         chainId: 1,
       };
-      const merkleProof = "0x" + "01".repeat(32); // Non-empty merkle proof
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier"));
+      const tree = new WithdrawalTree([withdrawalData]);
+      const merkleProof = tree.getProof(0);
       const zkProof = "0x" + "01".repeat(256); // Non-empty ZK proof
-      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      const withdrawalsRoot = tree.root;
 
       // Set withdrawals root first
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(withdrawalsRoot);
+      const blockId = await proveBlock(withdrawalsRoot);
 
       const tx = await withdrawalContract.connect(user).withdraw(
         withdrawalData,
         merkleProof,
-        nullifier,
         zkProof,
-        withdrawalsRoot
+        blockId
       );
 
+      const nullifier = await withdrawalContract.withdrawalNullifier(blockId, 0);
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(nullifier).to.equal(withdrawalNullifier(chainId, blockId, 0));
+      expect(await verifierContract.isNullifierUsed(nullifier)).to.be.true;
       await expect(tx)
         .to.emit(withdrawalContract, "Withdrawal")
-        .withArgs(user.address, withdrawalData.assetId, withdrawalData.amount, nullifier, withdrawalsRoot);
+        .withArgs(user.address, withdrawalData.assetId, withdrawalData.amount, nullifier, blockId, withdrawalsRoot);
     });
 
     it("Should reject zero amount", async function () {
@@ -78,20 +114,19 @@ describe("WithdrawalContract", function () {
         amount: 0,
         chainId: 1,
       };
-      const merkleProof = "0x" + "01".repeat(32);
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier"));
+      const tree = new WithdrawalTree([withdrawalData]);
+      const merkleProof = tree.getProof(0);
       const zkProof = "0x" + "01".repeat(256);
-      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      const withdrawalsRoot = tree.root;
 
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(withdrawalsRoot);
+      const blockId = await proveBlock(withdrawalsRoot);
 
       await expect(
         withdrawalContract.connect(user).withdraw(
           withdrawalData,
           merkleProof,
-          nullifier,
           zkProof,
-          withdrawalsRoot
+          blockId
         )
       ).to.be.revertedWithCustomError(withdrawalContract, "InvalidAmount");
     });
@@ -103,20 +138,19 @@ describe("WithdrawalContract", function () {
         amount: ethers.parseEther("1.0"),
         chainId: 1,
       };
-      const merkleProof = "0x" + "01".repeat(32);
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier"));
+      const tree = new WithdrawalTree([withdrawalData]);
+      const merkleProof = tree.getProof(0);
       const zkProof = "0x" + "01".repeat(256);
-      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      const withdrawalsRoot = tree.root;
 
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(withdrawalsRoot);
+      const blockId = await proveBlock(withdrawalsRoot);
 
       await expect(
         withdrawalContract.connect(user).withdraw(
           withdrawalData,
           merkleProof,
-          nullifier,
           zkProof,
-          withdrawalsRoot
+          blockId
         )
       ).to.be.revertedWithCustomError(withdrawalContract, "InvalidUser");
     });
@@ -128,34 +162,68 @@ describe("WithdrawalContract", function () {
         amount: ethers.parseEther("1.0"),
         chainId: 1,
       };
-      const merkleProof = "0x" + "01".repeat(32);
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier"));
+      const tree = new WithdrawalTree([withdrawalData]);
+      const merkleProof = tree.getProof(0);
       const zkProof = "0x" + "01".repeat(256);
-      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      const withdrawalsRoot = tree.root;
 
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(withdrawalsRoot);
+      const blockId = await proveBlock(withdrawalsRoot);
 
       // First withdrawal
       await withdrawalContract.connect(user).withdraw(
         withdrawalData,
         merkleProof,
-        nullifier,
         zkProof,
-        withdrawalsRoot
+        blockId
       );
 
-      // Second withdrawal with same nullifier should fail
+      // Second withdrawal of the same leaf should fail
       await expect(
         withdrawalContract.connect(user).withdraw(
           withdrawalData,
           merkleProof,
-          nullifier, // Same nullifier
           zkProof,
-          withdrawalsRoot
+          blockId
         )
       ).to.be.revertedWithCustomError(withdrawalContract, "NullifierAlreadyUsed");
     });
 
+    it("Should pay out each leaf once whatever the proofs around it", async function () {
+      const withdrawalData = { user: user.address, assetId: 2, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      const blockId = await proveBlock(tree.root);
+      const zkProof = "0x" + "01".repeat(256);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(withdrawalData, tree.getProof(0), zkProof, blockId)
+      ).to.changeEtherBalance(depositContract, -withdrawalData.amount);
+
+      // Neither a different ZK proof nor another index for the same leaf gets it paid again
+      for (let i = 0; i < 4; i++) {
+        await expect(
+          withdrawalContract.connect(user).withdraw(withdrawalData, tree.getProof(0), "0x0" + i, blockId)
+        ).to.be.revertedWithCustomError(withdrawalContract, "NullifierAlreadyUsed");
+      }
+      const shifted = ethers.getBytes(tree.getProof(0) + "00".repeat(32));
+      shifted[31] = 1;
+      await expect(
+        withdrawalContract.connect(user).withdraw(withdrawalData, ethers.hexlify(shifted), zkProof, blockId)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should pay out identical withdrawals at different leaves", async function () {
+      const withdrawalData = { user: user.address, assetId: 2, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData, withdrawalData]);
+      const blockId = await proveBlock(tree.root);
+      const zkProof = "0x" + "01".repeat(256);
+
+      await withdrawalContract.connect(user).withdraw(withdrawalData, tree.getProof(0), zkProof, blockId);
+      await withdrawalContract.connect(user).withdraw(withdrawalData, tree.getProof(1), zkProof, blockId);
+      await expect(
+        withdrawalContract.connect(user).withdraw(withdrawalData, tree.getProof(1), zkProof, blockId)
+      ).to.be.revertedWithCustomError(withdrawalContract, "NullifierAlreadyUsed");
+    });
+
     it("Should reject empty proof", async function () {
       const withdrawalData = {
         user: user.address,
@@ -163,49 +231,374 @@ describe("WithdrawalContract", function () {
         amount: ethers.parseEther("1.0"),
         chainId: 1,
       };
-      const merkleProof = "0x" + "01".repeat(32);
-      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("nullifier"));
+      const tree = new WithdrawalTree([withdrawalData]);
+      const merkleProof = tree.getProof(0);
       const zkProof = "0x"; // Empty ZK proof
-      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+      const withdrawalsRoot = tree.root;
 
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(withdrawalsRoot);
+      const blockId = await proveBlock(withdrawalsRoot);
 
       await expect(
         withdrawalContract.connect(user).withdraw(
           withdrawalData,
           merkleProof,
-          nullifier,
           zkProof,
-          withdrawalsRoot
+          blockId
         )
       ).to.be.revertedWithCustomError(withdrawalContract, "InvalidProof");
     });
   });
 
-  describe("Verifier Management", function () {
-    it("Should allow owner to update withdrawals root", async function () {
-      const newWithdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("new"));
+  describe("Merkle inclusion proofs", function () {
+    function makeWithdrawals() {
+      return [
+        { user: owner.address, assetId: 1, amount: ethers.parseEther("3.0"), chainId: 1 },
+        { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 },
+        { user: sequencer.address, assetId: 2, amount: ethers.parseEther("2.0"), chainId: 1 },
+        { user: user.address, assetId: 2, amount: ethers.parseEther("4.0"), chainId: 8453 },
+        { user: owner.address, assetId: 2, amount: 5n, chainId: 8453 },
+      ];
+    }
+
+    function withdrawArgs(withdrawalData, merkleProof, blockId) {
+      return [
+        withdrawalData,
+        merkleProof,
+        "0x" + "01".repeat(256),
+        blockId,
+      ];
+    }
+
+    it("Should accept valid paths for every leaf position", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      const signers = { [owner.address]: owner, [user.address]: user, [sequencer.address]: sequencer };
+      for (let i = 0; i < withdrawals.length; i++) {
+        expect(verifyProof(tree.getProof(i), tree.root, hashWithdrawal(withdrawals[i]))).to.be.true;
+        await expect(
+          withdrawalContract
+            .connect(signers[withdrawals[i].user])
+            .withdraw(...withdrawArgs(withdrawals[i], tree.getProof(i), blockId))
+        ).to.emit(withdrawalContract, "Withdrawal");
+      }
+    });
+
+    it("Should accept a single-leaf tree", async function () {
+      const withdrawalData = makeWithdrawals()[1];
+      const tree = new WithdrawalTree([withdrawalData]);
+      expect(tree.root).to.equal(await withdrawalContract.withdrawalLeaf(withdrawalData));
+      const blockId = await proveBlock(tree.root);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, tree.getProof(0), blockId))
+      ).to.emit(withdrawalContract, "Withdrawal");
+    });
+
+    it("Should reject a proof with a tampered sibling", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      const proof = ethers.getBytes(tree.getProof(1));
+      proof[proof.length - 1] ^= 0x01;
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawals[1], ethers.hexlify(proof), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject tampered withdrawal data", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      const inflated = { ...withdrawals[1], amount: ethers.parseEther("100.0") };
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(inflated, tree.getProof(1), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject a proof built against a different leaf ordering", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      // Same withdrawals, first two swapped: the user's leaf moves from index 1 to 0
+      const reordered = new WithdrawalTree([withdrawals[1], withdrawals[0], ...withdrawals.slice(2)]);
+      expect(reordered.root).to.not.equal(tree.root);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawals[1], reordered.getProof(0), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject a valid path with the wrong leaf index", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      const proof = ethers.getBytes(tree.getProof(1));
+      proof[31] = 0; // Claim the leaf sits at index 0 instead of 1
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawals[1], ethers.hexlify(proof), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject an index outside the tree", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const blockId = await proveBlock(tree.root);
+
+      const proof = ethers.getBytes(tree.getProof(1));
+      proof[31] = 1 + 2 ** tree.depth; // Same low bits, out of range
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawals[1], ethers.hexlify(proof), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject a proof against the wrong root", async function () {
+      const withdrawals = makeWithdrawals();
+      const tree = new WithdrawalTree(withdrawals);
+      const otherTree = new WithdrawalTree(withdrawals.slice(0, 3));
+      const blockId = await proveBlock(otherTree.root);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawals[1], tree.getProof(1), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+
+    it("Should reject malformed proofs", async function () {
+      const withdrawalData = makeWithdrawals()[1];
+      const tree = new WithdrawalTree([withdrawalData, makeWithdrawals()[0]]);
+      const blockId = await proveBlock(tree.root);
+
+      for (const proof of ["0x", "0x01", tree.getProof(0) + "00"]) {
+        await expect(
+          withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, proof, blockId))
+        ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+      }
+    });
+  });
+
+  describe("Payouts", function () {
+    async function withdrawFromTree(signer, withdrawalData) {
+      const tree = new WithdrawalTree([withdrawalData]);
+      const blockId = await proveBlock(tree.root);
+      return withdrawalContract.connect(signer).withdraw(
+        withdrawalData,
+        tree.getProof(0),
+        "0x" + "01".repeat(256),
+        blockId
+      );
+    }
 
-      await withdrawalContract.connect(owner).updateWithdrawalsRoot(newWithdrawalsRoot);
+    it("Should pay out ERC20 assets from the vault", async function () {
+      const amount = ethers.parseEther("7.5");
+      const withdrawalData = { user: user.address, assetId: 1, amount, chainId: 1 };
 
-      expect(await withdrawalContract.withdrawalsRoot()).to.equal(newWithdrawalsRoot);
+      await expect(withdrawFromTree(user, withdrawalData)).to.changeTokenBalances(
+        mockToken,
+        [user, depositContract],
+        [amount, -amount]
+      );
+    });
+
+    it("Should pay out native ETH from the vault", async function () {
+      const amount = ethers.parseEther("2.0");
+      const withdrawalData = { user: user.address, assetId: 2, amount, chainId: 1 };
+
+      const tx = withdrawFromTree(user, withdrawalData);
+      await expect(tx).to.changeEtherBalances([user, depositContract], [amount, -amount]);
+      await expect(tx)
+        .to.emit(depositContract, "FundsReleased")
+        .withArgs(user.address, 2, amount);
+    });
+
+    it("Should revert and keep the nullifier unused when ERC20 liquidity is insufficient", async function () {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("101"), chainId: 1 };
+
+      await expect(withdrawFromTree(user, withdrawalData)).to.be.revertedWith("Insufficient balance");
+      const nullifier = await withdrawalContract.withdrawalNullifier(nextBlockId - 1, 0);
+      expect(await verifierContract.isNullifierUsed(nullifier)).to.be.false;
+    });
+
+    it("Should revert when native liquidity is insufficient", async function () {
+      const withdrawalData = { user: user.address, assetId: 2, amount: ethers.parseEther("11"), chainId: 1 };
+
+      await expect(withdrawFromTree(user, withdrawalData)).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should reject release calls that don't come from the WithdrawalContract", async function () {
+      await expect(
+        depositContract.connect(user).release(user.address, 1, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only withdrawal contract");
+      await expect(
+        depositContract.connect(owner).release(owner.address, 2, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only withdrawal contract");
+    });
+
+    it("Should revert if deposit contract is not set", async function () {
+      const unlinked = await deployProxy("WithdrawalContract", [await verifierContract.getAddress(), owner.address]);
+      await verifierContract.connect(owner).addWithdrawalContract(await unlinked.getAddress());
+      const withdrawalData = { user: user.address, assetId: 1, amount: 1n, chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      const blockId = await proveBlock(tree.root);
+
+      await expect(
+        unlinked.connect(user).withdraw(
+          withdrawalData,
+          tree.getProof(0),
+          "0x" + "01".repeat(256),
+          blockId
+        )
+      ).to.be.revertedWithCustomError(unlinked, "DepositContractNotSet");
+    });
+  });
+
+  describe("Block withdrawals roots", function () {
+    function withdrawArgs(withdrawalData, merkleProof, blockId) {
+      return [
+        withdrawalData,
+        merkleProof,
+        "0x" + "01".repeat(256),
+        blockId,
+      ];
+    }
+
+    it("Should accept withdrawals against an older block after newer blocks are proven", async function () {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      const oldBlockId = await proveBlock(tree.root);
+
+      const laterTree = new WithdrawalTree([{ ...withdrawalData, amount: 2n }]);
+      await proveBlock(laterTree.root);
+      await proveBlock(ethers.ZeroHash);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, tree.getProof(0), oldBlockId))
+      )
+        .to.emit(withdrawalContract, "Withdrawal")
+        .withArgs(user.address, 1, withdrawalData.amount, await withdrawalContract.withdrawalNullifier(oldBlockId, 0), oldBlockId, tree.root);
+    });
+
+    it("Should reject a block that was never accepted", async function () {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      await proveBlock(tree.root);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, tree.getProof(0), 99))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidWithdrawalsRoot");
+    });
+
+    it("Should reject a block without withdrawals", async function () {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      const blockId = await proveBlock(ethers.ZeroHash);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, tree.getProof(0), blockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidWithdrawalsRoot");
+    });
+
+    it("Should reject a proof checked against a different block", async function () {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      await proveBlock(tree.root);
+      const otherTree = new WithdrawalTree([{ ...withdrawalData, user: owner.address }]);
+      const otherBlockId = await proveBlock(otherTree.root);
+
+      await expect(
+        withdrawalContract.connect(user).withdraw(...withdrawArgs(withdrawalData, tree.getProof(0), otherBlockId))
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidMerkleProof");
+    });
+  });
+
+  describe("Nullifier authorization", function () {
+    async function withdrawVia(contract) {
+      const withdrawalData = { user: user.address, assetId: 1, amount: ethers.parseEther("1.0"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawalData]);
+      const blockId = await proveBlock(tree.root);
+      return contract.connect(user).withdraw(
+        withdrawalData,
+        tree.getProof(0),
+        "0x" + "01".repeat(256),
+        blockId
+      );
+    }
+
+    it("Should reject an arbitrary EOA marking nullifiers", async function () {
+      const nullifier = ethers.keccak256(ethers.toUtf8Bytes("victim"));
+
+      await expect(
+        verifierContract.connect(user).markNullifierUsed(nullifier)
+      ).to.be.revertedWithCustomError(verifierContract, "OnlyWithdrawalContract");
+      expect(await verifierContract.isNullifierUsed(nullifier)).to.be.false;
     });
 
-    it("Should reject non-owner from updating withdrawals root", async function () {
-      const newWithdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("new"));
+    it("Should reject a de-registered withdrawal contract", async function () {
+      await expect(withdrawVia(withdrawalContract)).to.emit(withdrawalContract, "Withdrawal");
 
+      await expect(verifierContract.connect(owner).removeWithdrawalContract(await withdrawalContract.getAddress()))
+        .to.emit(verifierContract, "WithdrawalContractRemoved")
+        .withArgs(await withdrawalContract.getAddress());
+
+      await expect(withdrawVia(withdrawalContract)).to.be.revertedWithCustomError(
+        verifierContract,
+        "OnlyWithdrawalContract"
+      );
+    });
+
+    it("Should reject an unregistered withdrawal contract", async function () {
+      const rogue = await deployProxy("WithdrawalContract", [await verifierContract.getAddress(), user.address]);
+      await rogue.connect(user).setDepositContract(await depositContract.getAddress());
+
+      await expect(withdrawVia(rogue)).to.be.revertedWithCustomError(
+        verifierContract,
+        "OnlyWithdrawalContract"
+      );
+    });
+  });
+
+  describe("Verifier Management", function () {
+    it("Should allow the timelock to set deposit contract", async function () {
+      const newDeposit = await deployProxy("DepositContract", [owner.address]);
+
+      await expect(withdrawalContract.connect(owner).setDepositContract(await newDeposit.getAddress()))
+        .to.emit(withdrawalContract, "DepositContractUpdated")
+        .withArgs(await depositContract.getAddress(), await newDeposit.getAddress());
+      expect(await withdrawalContract.depositContract()).to.equal(await newDeposit.getAddress());
+    });
+
+    it("Should reject other callers or zero address when setting deposit contract", async function () {
       await expect(
-        withdrawalContract.connect(user).updateWithdrawalsRoot(newWithdrawalsRoot)
-      ).to.be.revertedWithCustomError(withdrawalContract, "OwnableUnauthorizedAccount");
+        withdrawalContract.connect(user).setDepositContract(await depositContract.getAddress())
+      ).to.be.revertedWithCustomError(withdrawalContract, "AccessControlUnauthorizedAccount");
+      await expect(
+        withdrawalContract.connect(owner).setDepositContract(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidDepositContractAddress");
+    });
+
+    it("Should not let an admin without the timelock role re-wire the vault", async function () {
+      await withdrawalContract.connect(owner).renounceRole(ROLES.timelock, owner.address);
+
+      expect(await withdrawalContract.hasRole(ROLES.admin, owner.address)).to.be.true;
+      await expect(withdrawalContract.connect(owner).setDepositContract(user.address))
+        .to.be.revertedWithCustomError(withdrawalContract, "AccessControlUnauthorizedAccount")
+        .withArgs(owner.address, ROLES.timelock);
     });
   });
 
-  describe("Constructor", function () {
-    it("Should reject zero address for verifier in constructor", async function () {
-      const WithdrawalContract = await ethers.getContractFactory("WithdrawalContract");
+  describe("Initialization", function () {
+    it("Should reject zero address for verifier in initializer", async function () {
       await expect(
-        WithdrawalContract.deploy(ethers.ZeroAddress, owner.address)
-      ).to.be.revertedWithCustomError(WithdrawalContract, "InvalidVerifierAddress");
+        deployProxy("WithdrawalContract", [ethers.ZeroAddress, owner.address])
+      ).to.be.revertedWithCustomError(withdrawalContract, "InvalidVerifierAddress");
     });
   });
 });
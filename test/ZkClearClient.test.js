@@ -0,0 +1,531 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployProxy } = require("../scripts/deploy-helpers");
+const {
+  ZkClearClient,
+  ZkClearError,
+  WithdrawalTree,
+  StateTree,
+  withdrawalNullifier,
+  loadDeployment,
+  splitByGasBudget,
+  depositsHash,
+  writeManifest,
+  PERMIT2_ADDRESS,
+  ROLES,
+  loadAbi,
+} = require("../sdk");
+const { SDK_CONTRACTS } = require("../sdk/abis");
+
+describe("ZkClearClient", function () {
+  async function deployFixture() {
+    const [owner, user, sequencer] = await ethers.getSigners();
+
+    const depositContract = await deployProxy("DepositContract", [owner.address]);
+    const verifierContract = await deployProxy("VerifierContract", [
+      sequencer.address,
+      ethers.ZeroHash,
+      owner.address,
+      ethers.ZeroAddress, // Placeholder verification
+    ]);
+    const withdrawalContract = await deployProxy("WithdrawalContract", [
+      await verifierContract.getAddress(),
+      owner.address,
+    ]);
+
+    const mockToken = await ethers.deployContract("ERC20Mock", [
+      "Test Token",
+      "TEST",
+      user.address,
+      ethers.parseEther("1000"),
+    ]);
+    await depositContract.connect(owner).registerAsset(1, await mockToken.getAddress(), 0);
+    await depositContract.connect(owner).registerNativeAsset(2);
+    await depositContract.connect(owner).setWithdrawalContract(await withdrawalContract.getAddress());
+    await withdrawalContract.connect(owner).setDepositContract(await depositContract.getAddress());
+    await verifierContract.connect(owner).addWithdrawalContract(await withdrawalContract.getAddress());
+    await mockToken.connect(user).approve(await depositContract.getAddress(), ethers.parseEther("10"));
+    await depositContract.connect(user).deposit(1, ethers.parseEther("10"));
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkclear-sdk-"));
+    writeManifest(
+      {
+        chainId: Number(chainId),
+        network: "hardhat",
+        deployer: owner.address,
+        contracts: {
+          deposit: { contract: "DepositContract", address: await depositContract.getAddress() },
+          verifier: { contract: "VerifierContract", address: await verifierContract.getAddress() },
+          withdrawal: { contract: "WithdrawalContract", address: await withdrawalContract.getAddress() },
+        },
+      },
+      { dir }
+    );
+
+    return { depositContract, verifierContract, withdrawalContract, mockToken, owner, user, sequencer, dir };
+  }
+
+  let depositContract;
+  let verifierContract;
+  let mockToken;
+  let owner;
+  let user;
+  let sequencer;
+  let dir;
+
+  beforeEach(async function () {
+    ({ depositContract, verifierContract, mockToken, owner, user, sequencer, dir } = await loadFixture(deployFixture));
+  });
+
+  describe("loadDeployment", function () {
+    it("Should load addresses from the per-chain manifest", async function () {
+      const deployment = loadDeployment(31337, { dir });
+      expect(deployment.contracts.deposit).to.equal(await depositContract.getAddress());
+      expect(deployment.deployer).to.equal(owner.address);
+    });
+
+    it("Should expose the full manifest entries", async function () {
+      const deployment = loadDeployment(31337, { dir });
+      expect(deployment.network).to.equal("hardhat");
+      expect(deployment.manifest.contracts.verifier.contract).to.equal("VerifierContract");
+      expect(deployment.manifest.contracts.verifier.address).to.equal(await verifierContract.getAddress());
+      expect(deployment.manifest.updatedAt).to.be.a("string");
+    });
+
+    it("Should throw when no manifest exists for the chain", function () {
+      expect(() => loadDeployment(1, { dir })).to.throw("No deployment found for chain ID 1");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should approve and deposit ERC20 tokens", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const amount = ethers.parseEther("5");
+
+      const result = await client.deposit(1, amount, { approve: true });
+
+      expect(result.user).to.equal(user.address);
+      expect(result.assetId).to.equal(1n);
+      expect(result.amount).to.equal(amount);
+      expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await mockToken.balanceOf(await depositContract.getAddress())).to.equal(ethers.parseEther("10") + amount);
+    });
+
+    it("Should deposit native ETH", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const amount = ethers.parseEther("1");
+
+      const result = await client.depositNative(2, amount);
+
+      expect(result.assetId).to.equal(2n);
+      expect(result.amount).to.equal(amount);
+      expect(await ethers.provider.getBalance(await depositContract.getAddress())).to.equal(amount);
+    });
+
+    it("Should report the deposit queue position", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const before = await client.getDepositQueue();
+
+      const result = await client.depositNative(2, 1n);
+
+      expect(result.depositIndex).to.equal(before.depositCount);
+      expect(result.depositsHash).to.equal(depositsHash([result], before.depositsHash));
+      expect(await client.getDepositQueue()).to.deep.equal({
+        depositCount: before.depositCount + 1n,
+        depositsHash: result.depositsHash,
+      });
+      expect(await client.getDepositsHashAt(before.depositCount)).to.equal(before.depositsHash);
+
+      const error = await client.getDepositsHashAt(before.depositCount + 2n).catch((e) => e);
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.reason).to.equal("Deposit index out of range");
+    });
+
+    it("Should deposit for another recipient", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const amount = ethers.parseEther("2");
+      const l2Account = ethers.id("l2 account");
+
+      const erc20 = await client.depositFor(owner.address, 1, amount, { approve: true });
+      const native = await client.depositNativeFor(owner.address, 2, amount, { l2Account });
+
+      expect(erc20).to.include({ user: owner.address, payer: user.address, l2Account: ethers.ZeroHash });
+      expect(native).to.include({ user: owner.address, payer: user.address, l2Account });
+      expect(native.depositsHash).to.equal(depositsHash([native], erc20.depositsHash));
+    });
+
+    it("Should deposit with an EIP-2612 permit", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const amount = ethers.parseEther("5");
+
+      const result = await client.depositWithPermit(1, amount);
+
+      expect(result.user).to.equal(user.address);
+      expect(result.amount).to.equal(amount);
+      expect(await mockToken.allowance(user.address, await depositContract.getAddress())).to.equal(0);
+
+      const deadline = await time.latest();
+      const error = await client.depositWithPermit(1, amount, { deadline }).catch((e) => e);
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.is("ERC2612ExpiredSignature")).to.be.true;
+    });
+
+    it("Should deposit with Permit2", async function () {
+      const permit2Mock = await ethers.deployContract("Permit2Mock");
+      const code = await ethers.provider.getCode(await permit2Mock.getAddress());
+      await ethers.provider.send("hardhat_setCode", [PERMIT2_ADDRESS, code]);
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const amount = ethers.parseEther("5");
+
+      const result = await client.depositWithPermit2(1, amount, { approve: true, nonce: 7 });
+
+      expect(result.amount).to.equal(amount);
+      expect(await mockToken.allowance(user.address, PERMIT2_ADDRESS)).to.equal(ethers.MaxUint256);
+
+      const error = await client.depositWithPermit2(1, amount, { nonce: 7 }).catch((e) => e);
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.is("InvalidNonce")).to.be.true;
+    });
+
+    it("Should read the asset registry", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+
+      const token = await client.getAsset(1);
+      expect(token).to.deep.include({
+        assetId: 1n,
+        kind: "erc20",
+        token: await mockToken.getAddress(),
+        decimals: 18,
+        minDeposit: 0n,
+        maxDeposit: 0n,
+        enabled: true,
+        behavior: "standard",
+      });
+      expect((await client.getAsset(2)).kind).to.equal("native");
+      expect(await client.getAsset(9)).to.be.null;
+      expect(await client.getNativeAssetId()).to.equal(2n);
+
+      await expect(client.getAssetToken(2)).to.be.rejectedWith("Asset 2 is native ETH, not an ERC20 token");
+      await expect(client.getAssetToken(9)).to.be.rejectedWith("Asset 9 is not registered");
+    });
+
+    it("Should decode revert strings", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+
+      const error = await client.depositNative(1, 1n).catch((e) => e);
+
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.kind).to.equal("revert");
+      expect(error.reason).to.equal("Use ERC20 deposit for this asset");
+      expect(error.contract).to.equal("DepositContract");
+      expect(error.method).to.equal("depositNative");
+    });
+
+    it("Should decode token custom errors", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+
+      const error = await client.deposit(1, ethers.parseEther("1")).catch((e) => e);
+
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.kind).to.equal("custom");
+      expect(error.is("ERC20InsufficientAllowance")).to.be.true;
+    });
+  });
+
+  describe("Blocks", function () {
+    it("Should submit a block proof and read the state root", async function () {
+      const client = await ZkClearClient.fromDeployment(sequencer, { dir });
+      const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes("new"));
+
+      const result = await client.submitBlockProof({
+        blockId: 1,
+        prevStateRoot: ethers.ZeroHash,
+        newStateRoot,
+        withdrawalsRoot: ethers.ZeroHash,
+        depositIndex: 0,
+        depositsHash: ethers.ZeroHash,
+        proof: "0x" + "01".repeat(256),
+      });
+
+      expect(result.blockId).to.equal(1n);
+      expect(result.newStateRoot).to.equal(newStateRoot);
+      expect(await client.getStateRoot()).to.equal(newStateRoot);
+      expect(await client.isBlockProcessed(1)).to.be.true;
+    });
+
+    it("Should read block headers", async function () {
+      const client = await ZkClearClient.fromDeployment(sequencer, { dir });
+      const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes("new"));
+      const withdrawalsRoot = ethers.keccak256(ethers.toUtf8Bytes("withdrawals"));
+
+      expect((await client.latestBlock()).blockId).to.equal(0n);
+
+      const { receipt } = await client.submitBlockProof({
+        blockId: 1,
+        prevStateRoot: ethers.ZeroHash,
+        newStateRoot,
+        withdrawalsRoot,
+        depositIndex: 0,
+        depositsHash: ethers.ZeroHash,
+        proof: "0x" + "01".repeat(256),
+      });
+
+      const header = await client.getBlock(1);
+      expect(header).to.include({ blockId: 1n, prevStateRoot: ethers.ZeroHash, newStateRoot, withdrawalsRoot });
+      expect(header.l1BlockNumber).to.equal(BigInt(receipt.blockNumber));
+      expect(await client.latestBlock()).to.deep.equal(header);
+
+      const error = await client.getBlock(2).catch((e) => e);
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.errorName).to.equal("InvalidBlockId");
+    });
+
+    it("Should decode custom errors from VerifierContract", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+
+      const error = await client
+        .submitBlockProof({
+          blockId: 1,
+          prevStateRoot: ethers.ZeroHash,
+          newStateRoot: ethers.keccak256(ethers.toUtf8Bytes("new")),
+          withdrawalsRoot: ethers.ZeroHash,
+          depositIndex: 0,
+          depositsHash: ethers.ZeroHash,
+          proof: "0x01",
+        })
+        .catch((e) => e);
+
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.kind).to.equal("custom");
+      expect(error.errorName).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.args[0]).to.equal(user.address);
+      expect(error.contract).to.equal("VerifierContract");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should read role members and check roles", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+
+      expect(await client.getSequencers()).to.deep.equal([sequencer.address]);
+      expect(await client.getRoleMembers("deposit", "timelock")).to.deep.equal([owner.address]);
+      expect(await client.hasRole("verifier", "admin", owner.address)).to.be.true;
+      expect(await client.hasRole("verifier", "sequencer", user.address)).to.be.false;
+
+      await verifierContract.connect(owner).grantRole(ROLES.sequencer, user.address);
+      expect(await client.getSequencers()).to.deep.equal([sequencer.address, user.address]);
+
+      await expect(client.getRoleMembers("withdrawal", "assetManager")).to.be.rejectedWith(
+        "WithdrawalContract has no assetManager role"
+      );
+    });
+  });
+
+  describe("ABIs and reads", function () {
+    it("Should ship the ABIs of the compiled contracts", async function () {
+      for (const contractName of SDK_CONTRACTS) {
+        const { abi } = await hre.artifacts.readArtifact(contractName);
+        expect(loadAbi(contractName), `${contractName}: run npm run export-abis`).to.deep.equal(abi);
+      }
+    });
+
+    it("Should wrap failing reads in ZkClearError", async function () {
+      // VerifierContract has no nativeAssetId(), so the call reverts without data
+      const client = new ZkClearClient(user, { deposit: await verifierContract.getAddress() });
+
+      const error = await client.getNativeAssetId().catch((e) => e);
+
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.contract).to.equal("DepositContract");
+      expect(error.method).to.equal("nativeAssetId");
+    });
+  });
+
+  describe("Batched blocks", function () {
+    // Blocks 1..count chaining from the zero state root
+    function chain(count) {
+      const blocks = [];
+      let prevStateRoot = ethers.ZeroHash;
+      for (let i = 1; i <= count; i++) {
+        const newStateRoot = ethers.keccak256(ethers.toUtf8Bytes(`state_${i}`));
+        const proof = "0x" + "01".repeat(256);
+        const withdrawalsRoot = ethers.ZeroHash;
+        blocks.push({
+          blockId: i,
+          prevStateRoot,
+          newStateRoot,
+          withdrawalsRoot,
+          depositIndex: 0,
+          depositsHash: ethers.ZeroHash,
+          proof,
+        });
+        prevStateRoot = newStateRoot;
+      }
+      return blocks;
+    }
+
+    it("Should split blocks by gas budget", function () {
+      const blocks = chain(5);
+
+      const batches = splitByGasBudget(blocks, { gasBudget: 100, baseGas: 20, blockGas: 30 });
+
+      expect(batches.map((batch) => batch.map((block) => block.blockId))).to.deep.equal([[1, 2], [3, 4], [5]]);
+    });
+
+    it("Should split blocks with per-block gas estimates", function () {
+      const blocks = chain(4);
+      const gas = { 1: 10, 2: 60, 3: 30, 4: 50 };
+
+      const batches = splitByGasBudget(blocks, { gasBudget: 100, blockGas: (block) => gas[block.blockId] });
+
+      expect(batches.map((batch) => batch.map((block) => block.blockId))).to.deep.equal([[1, 2, 3], [4]]);
+    });
+
+    it("Should reject blocks that do not fit the budget on their own", function () {
+      expect(() => splitByGasBudget(chain(2), { gasBudget: 100, baseGas: 50, blockGas: 60 })).to.throw(
+        "Block 1 needs about 110 gas, more than the 100 gas budget"
+      );
+    });
+
+    it("Should submit all blocks in one transaction", async function () {
+      const client = await ZkClearClient.fromDeployment(sequencer, { dir });
+      const blocks = chain(3);
+
+      const results = await client.submitBlockProofs(blocks);
+
+      expect(results.map((result) => result.blockId)).to.deep.equal([1n, 2n, 3n]);
+      expect(new Set(results.map((result) => result.receipt.hash)).size).to.equal(1);
+      expect(await client.getStateRoot()).to.equal(blocks[2].newStateRoot);
+    });
+
+    it("Should split blocks into transactions that fit the gas budget", async function () {
+      const client = await ZkClearClient.fromDeployment(sequencer, { dir });
+      const blocks = chain(5);
+      const { baseGas, blockGas } = await client.estimateBatchGas(blocks);
+      const gasBudget = baseGas + 2n * blockGas;
+
+      const results = await client.submitBlockProofs(blocks, { gasBudget });
+
+      const receipts = [...new Map(results.map((result) => [result.receipt.hash, result.receipt])).values()];
+      expect(receipts).to.have.length(3);
+      for (const receipt of receipts) {
+        expect(receipt.gasUsed).to.be.at.most(gasBudget);
+      }
+      expect(results.map((result) => result.blockId)).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+      expect(await client.getStateRoot()).to.equal(blocks[4].newStateRoot);
+    });
+
+    it("Should decode reverts while estimating", async function () {
+      const client = await ZkClearClient.fromDeployment(sequencer, { dir });
+      const blocks = chain(2);
+      blocks[1].prevStateRoot = ethers.ZeroHash;
+
+      const error = await client.submitBlockProofs(blocks, { gasBudget: 10_000_000 }).catch((e) => e);
+
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.errorName).to.equal("InvalidStateRoot");
+      expect(error.method).to.equal("submitBlockProofs");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should withdraw and mark the nullifier as used", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const withdrawal = { user: user.address, assetId: 1, amount: ethers.parseEther("1"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawal]);
+      const withdrawalsRoot = tree.root;
+      const { chainId } = await ethers.provider.getNetwork();
+      const nullifier = withdrawalNullifier(chainId, 1, 0);
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(
+          1,
+          ethers.ZeroHash,
+          ethers.keccak256(ethers.toUtf8Bytes("state")),
+          withdrawalsRoot,
+          0,
+          ethers.ZeroHash,
+          "0x01"
+        );
+
+      expect(await client.isNullifierUsed(nullifier)).to.be.false;
+
+      const result = await client.withdraw({
+        withdrawal,
+        merkleProof: tree.getProof(0),
+        zkProof: "0x" + "01".repeat(256),
+        blockId: 1,
+      });
+
+      expect(result.nullifier).to.equal(nullifier);
+      expect(result.blockId).to.equal(1n);
+      expect(await mockToken.balanceOf(user.address)).to.equal(ethers.parseEther("991"));
+      expect(await client.isNullifierUsed(nullifier)).to.be.true;
+      expect(await client.getWithdrawalsRoot(1)).to.equal(withdrawalsRoot);
+    });
+
+    it("Should decode NullifierAlreadyUsed", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const withdrawal = { user: user.address, assetId: 1, amount: ethers.parseEther("1"), chainId: 1 };
+      const tree = new WithdrawalTree([withdrawal]);
+      const withdrawalsRoot = tree.root;
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(
+          1,
+          ethers.ZeroHash,
+          ethers.keccak256(ethers.toUtf8Bytes("state")),
+          withdrawalsRoot,
+          0,
+          ethers.ZeroHash,
+          "0x01"
+        );
+
+      const request = {
+        withdrawal,
+        merkleProof: tree.getProof(0),
+        zkProof: "0x" + "01".repeat(256),
+        blockId: 1,
+      };
+      await client.withdraw(request);
+
+      const error = await client.withdraw(request).catch((e) => e);
+      expect(error).to.be.instanceOf(ZkClearError);
+      expect(error.is("NullifierAlreadyUsed")).to.be.true;
+    });
+  });
+
+  describe("Exodus", function () {
+    it("Should freeze after the liveness timeout and exit a balance", async function () {
+      const client = await ZkClearClient.fromDeployment(user, { dir });
+      const { chainId } = await ethers.provider.getNetwork();
+      const account = { user: user.address, assetId: 1, balance: ethers.parseEther("4"), chainId };
+      const tree = new StateTree([account]);
+      await verifierContract
+        .connect(sequencer)
+        .submitBlockProof(1, ethers.ZeroHash, tree.root, ethers.ZeroHash, 0, ethers.ZeroHash, "0x01");
+      const request = { account, stateProof: tree.getProof(0) };
+
+      const early = await client.exit(request).catch((e) => e);
+      expect(early).to.be.instanceOf(ZkClearError);
+      expect(early.errorName).to.equal("NotFrozen");
+
+      const status = await client.getExodusStatus();
+      expect(status.frozen).to.be.false;
+      await time.increaseTo(status.freezeDeadline);
+      expect(await client.freeze()).to.include({ blockId: 1n, stateRoot: tree.root });
+      expect((await client.getExodusStatus()).frozen).to.be.true;
+
+      const result = await client.exit(request);
+      expect(result.amount).to.equal(ethers.parseEther("4"));
+      expect(result.stateRoot).to.equal(tree.root);
+      expect(await mockToken.balanceOf(user.address)).to.equal(ethers.parseEther("994"));
+    });
+  });
+});